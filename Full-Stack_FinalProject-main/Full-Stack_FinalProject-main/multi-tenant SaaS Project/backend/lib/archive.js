@@ -0,0 +1,76 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const BLOCK_SIZE = 512;
+
+const octal = (value, length) => `${value.toString(8).padStart(length - 1, '0')}\0`;
+
+// POSIX ustar header for a regular file; names are limited to 100 bytes, which exports stay under
+const tarHeader = (name, size, mtime = new Date()) => {
+  const header = Buffer.alloc(BLOCK_SIZE);
+  header.write(name, 0, 100, 'utf8');
+  header.write(octal(0o644, 8), 100);
+  header.write(octal(0, 8), 108);
+  header.write(octal(0, 8), 116);
+  header.write(octal(size, 12), 124);
+  header.write(octal(Math.floor(mtime.getTime() / 1000), 12), 136);
+  header.write(' '.repeat(8), 148);
+  header.write('0', 156);
+  header.write('ustar\0', 257);
+  header.write('00', 263);
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148);
+  return header;
+};
+
+const padding = (size) => Buffer.alloc((BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE);
+
+/**
+ * Streams a .tar.gz of `entries` into `output`. An entry is { name, content } with a string,
+ * Buffer or function returning one (evaluated when written, e.g. a manifest of counts), or
+ * { name, source } with an async iterable such as NDJSON lines from a cursor.
+ * Tar headers need each size up front, so sources are spooled to temp files before anything
+ * is written; a failure while collecting data therefore happens before the response starts.
+ */
+const writeTarGz = async (entries, output, { mtime = new Date() } = {}) => {
+  const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'export-'));
+  try {
+    const files = [];
+    for (const [index, entry] of entries.entries()) {
+      if (entry.source) {
+        const file = path.join(directory, String(index));
+        await pipeline(Readable.from(entry.source), fs.createWriteStream(file));
+        files.push({ name: entry.name, file, size: (await fs.promises.stat(file)).size });
+      } else {
+        files.push({ name: entry.name, content: entry.content });
+      }
+    }
+
+    await pipeline(async function* () {
+      for (const { name, file, size, content } of files) {
+        if (file) {
+          yield tarHeader(name, size, mtime);
+          yield* fs.createReadStream(file);
+          yield padding(size);
+        } else {
+          const data = Buffer.from(typeof content === 'function' ? content() : content);
+          yield tarHeader(name, data.length, mtime);
+          yield data;
+          yield padding(data.length);
+        }
+      }
+      yield Buffer.alloc(BLOCK_SIZE * 2);
+    }, zlib.createGzip(), output);
+  } finally {
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  }
+};
+
+module.exports = {
+  tarHeader,
+  writeTarGz
+};
@@ -0,0 +1,78 @@
+// Cells starting with these characters are evaluated as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value.toHexString === 'function') {
+    text = value.toHexString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (values) => `${values.map(escapeCell).join(',')}\r\n`;
+
+// Reverses the formula guard added by escapeCell so exported files re-import unchanged
+const unescapeCell = (text) => (/^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text);
+
+/**
+ * Reads RFC 4180 CSV into an array of rows of strings. Quoted cells may contain
+ * commas, doubled quotes and line breaks; blank lines are skipped.
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+  
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char !== '"') {
+        cell += char;
+      } else if (input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else {
+        quoted = false;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  
+  if (quoted) {
+    const error = new Error('CSV has an unterminated quoted field');
+    error.status = 400;
+    throw error;
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.length > 1 || cells[0] !== '');
+};
+
+module.exports = { escapeCell, toCsvRow, unescapeCell, parseCsv };
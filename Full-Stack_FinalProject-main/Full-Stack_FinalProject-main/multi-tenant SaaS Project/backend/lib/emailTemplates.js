@@ -0,0 +1,110 @@
+const { parseColor } = require('./theme');
+
+// Used when a stored theme predates validation and a color no longer parses
+const FALLBACK_THEME = {
+  name: 'Multi-Tenant SaaS',
+  logo: '🏛️',
+  primaryColor: '#3b82f6',
+  accentColor: '#10b981',
+  backgroundColor: '#ffffff',
+  textColor: '#1f2937',
+  fontFamily: 'system-ui, sans-serif'
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const brandingFrom = (theme = {}) => {
+  const branding = { ...FALLBACK_THEME };
+  for (const [key, value] of Object.entries(theme)) {
+    if (value === undefined || value === null || value === '') continue;
+    if (key.endsWith('Color') && !parseColor(value)) continue;
+    if (key in FALLBACK_THEME) branding[key] = value;
+  }
+  return branding;
+};
+
+// Each template returns the copy; renderEmail wraps it in the tenant's branding
+const TEMPLATES = {
+  passwordReset: ({ user, url, expiresInMinutes }) => ({
+    subject: 'Reset your password',
+    paragraphs: [
+      `Hi ${user.name},`,
+      `We received a request to reset the password for ${user.email}. The link below works once and expires in ${expiresInMinutes} minutes.`
+    ],
+    action: { label: 'Choose a new password', url },
+    footer: 'If you did not ask for this, you can ignore this email and your password will stay the same.'
+  }),
+  emailVerification: ({ user, url, expiresInHours }) => ({
+    subject: 'Confirm your email address',
+    paragraphs: [
+      `Hi ${user.name},`,
+      `Please confirm that ${user.email} is your email address. The link expires in ${expiresInHours} hours.`
+    ],
+    action: { label: 'Confirm email address', url },
+    footer: 'If you did not create an account, you can ignore this email.'
+  })
+};
+
+const TEMPLATE_NAMES = Object.keys(TEMPLATES);
+
+/**
+ * Renders `name` with the tenant's theme into { subject, html, text }. Every value is
+ * escaped, and colors that do not parse fall back to the defaults, so a theme cannot
+ * inject markup into the message.
+ */
+const renderEmail = (name, { theme, ...vars }) => {
+  const template = TEMPLATES[name];
+  if (!template) throw new Error(`Unknown email template: ${name}`);
+  const content = template(vars);
+  const brand = brandingFrom(theme);
+  const e = escapeHtml;
+
+  const html = `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:24px;background:${e(brand.backgroundColor)};font-family:${e(brand.fontFamily)};color:${e(brand.textColor)}">
+  <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:560px;margin:0 auto">
+    <tr>
+      <td style="background:${e(brand.primaryColor)};color:#ffffff;padding:20px 24px;border-radius:8px 8px 0 0;font-size:20px;font-weight:bold">
+        <span style="font-size:28px;vertical-align:middle">${e(brand.logo)}</span>
+        <span style="vertical-align:middle;margin-left:8px">${e(brand.name)}</span>
+      </td>
+    </tr>
+    <tr>
+      <td style="background:#ffffff;padding:24px;border:1px solid #e5e7eb;border-top:4px solid ${e(brand.accentColor)};border-radius:0 0 8px 8px;color:${e(brand.textColor)}">
+        <h1 style="font-size:20px;margin:0 0 16px">${e(content.subject)}</h1>
+        ${content.paragraphs.map(paragraph => `<p style="margin:0 0 16px;line-height:1.5">${e(paragraph)}</p>`).join('\n        ')}
+        <p style="margin:24px 0">
+          <a href="${e(content.action.url)}" style="display:inline-block;background:${e(brand.primaryColor)};color:#ffffff;padding:12px 20px;border-radius:6px;text-decoration:none;font-weight:bold">${e(content.action.label)}</a>
+        </p>
+        <p style="margin:0 0 16px;font-size:12px;color:#6b7280;word-break:break-all">Or paste this link into your browser: ${e(content.action.url)}</p>
+        <p style="margin:0;font-size:12px;color:#6b7280">${e(content.footer)}</p>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+`;
+
+  const text = [
+    brand.name,
+    '',
+    ...content.paragraphs.flatMap(paragraph => [paragraph, '']),
+    `${content.action.label}: ${content.action.url}`,
+    '',
+    content.footer,
+    ''
+  ].join('\n');
+
+  return { subject: `${content.subject} - ${brand.name}`, html, text };
+};
+
+module.exports = {
+  TEMPLATE_NAMES,
+  escapeHtml,
+  renderEmail
+};
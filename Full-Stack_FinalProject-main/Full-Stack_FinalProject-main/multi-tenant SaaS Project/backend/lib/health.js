@@ -0,0 +1,52 @@
+// Mongoose connection.readyState values
+const CONNECTION_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+const DEFAULT_PING_TIMEOUT_MS = 2000;
+const DEFAULT_DRAIN_TIMEOUT_MS = 10 * 1000;
+
+const withTimeout = (promise, timeoutMs) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Reports the connection state and, when connected, the round trip of a ping command.
+ * Never throws: returns { status: 'up' | 'down', state, latencyMs?, error? }.
+ */
+const checkMongo = async (connection, { timeoutMs = DEFAULT_PING_TIMEOUT_MS } = {}) => {
+  const state = CONNECTION_STATES[connection.readyState] || 'unknown';
+  if (state !== 'connected') return { status: 'down', state };
+  const startedAt = Date.now();
+  try {
+    await withTimeout(connection.db.command({ ping: 1 }), timeoutMs);
+    return { status: 'up', state, latencyMs: Date.now() - startedAt };
+  } catch (error) {
+    return { status: 'down', state, latencyMs: Date.now() - startedAt, error: error.message };
+  }
+};
+
+/**
+ * Stops accepting connections and resolves once in-flight requests have finished.
+ * Idle keep-alive sockets are closed straight away; whatever is still open after
+ * `timeoutMs` is destroyed and the result reports { forced: true }.
+ */
+const drainServer = (server, { timeoutMs = DEFAULT_DRAIN_TIMEOUT_MS } = {}) => new Promise((resolve) => {
+  let forced = false;
+  const timer = setTimeout(() => {
+    forced = true;
+    server.closeAllConnections();
+  }, timeoutMs);
+  server.close(() => {
+    clearTimeout(timer);
+    resolve({ forced });
+  });
+  server.closeIdleConnections();
+});
+
+module.exports = {
+  CONNECTION_STATES,
+  checkMongo,
+  drainServer
+};
@@ -0,0 +1,97 @@
+const { parseCsv, unescapeCell } = require('./csv');
+
+const IMPORT_FORMATS = ['csv', 'json', 'ndjson'];
+
+// Only these fields are taken from a row; ids, tenantId and timestamps are always server-assigned
+const IMPORT_FIELDS = ['name', 'type', 'size'];
+
+const CONTENT_TYPE_FORMATS = {
+  'text/csv': 'csv',
+  'application/json': 'json',
+  'application/x-ndjson': 'ndjson'
+};
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// An explicit ?format= wins over the Content-Type header
+const detectFormat = (format, contentType = '') => {
+  if (format) return IMPORT_FORMATS.includes(format) ? format : null;
+  return CONTENT_TYPE_FORMATS[contentType.split(';')[0].trim().toLowerCase()] || null;
+};
+
+const pickFields = (source) => {
+  const value = {};
+  for (const field of IMPORT_FIELDS) {
+    if (source[field] !== undefined) value[field] = source[field];
+  }
+  return value;
+};
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const fromCsv = (text) => {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map(column => column.trim().toLowerCase());
+  if (!columns.includes('name') || !columns.includes('type')) {
+    throw badRequest('CSV header must include name and type columns');
+  }
+  return rows.map((cells, index) => {
+    const source = {};
+    columns.forEach((column, i) => {
+      source[column] = unescapeCell(cells[i] ?? '');
+    });
+    // Cells are always strings; blank sizes mean "not given" and the rest must be numeric
+    if (source.size === '') delete source.size;
+    else if (source.size !== undefined) source.size = Number(source.size);
+    return { row: index + 1, value: pickFields(source) };
+  });
+};
+
+const fromJson = (text) => {
+  let records;
+  try {
+    records = JSON.parse(text);
+  } catch (error) {
+    throw badRequest('Body is not valid JSON');
+  }
+  if (!Array.isArray(records)) {
+    throw badRequest('JSON imports must be an array of resources');
+  }
+  return records.map((record, index) => (isPlainObject(record)
+    ? { row: index + 1, value: pickFields(record) }
+    : { row: index + 1, errors: { _row: 'Expected an object' } }));
+};
+
+const fromNdjson = (text) => text.split(/\r?\n/)
+  .map((line, index) => ({ line: line.trim(), row: index + 1 }))
+  .filter(({ line }) => line)
+  .map(({ line, row }) => {
+    try {
+      const record = JSON.parse(line);
+      return isPlainObject(record) ? { row, value: pickFields(record) } : { row, errors: { _row: 'Expected an object' } };
+    } catch (error) {
+      return { row, errors: { _row: 'Invalid JSON' } };
+    }
+  });
+
+/**
+ * Parses an uploaded file into [{ row, value }] records, or [{ row, errors }] for rows that
+ * could not be read at all. Rows are 1-based: data rows for CSV, array items for JSON and
+ * lines for NDJSON. Throws a 400 error when the file as a whole is unreadable.
+ */
+const parseImport = (text, format) => {
+  if (format === 'csv') return fromCsv(text);
+  if (format === 'json') return fromJson(text);
+  return fromNdjson(text);
+};
+
+module.exports = {
+  IMPORT_FORMATS,
+  IMPORT_FIELDS,
+  detectFormat,
+  parseImport
+};
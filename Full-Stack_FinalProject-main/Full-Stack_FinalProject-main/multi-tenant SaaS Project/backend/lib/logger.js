@@ -0,0 +1,119 @@
+const LEVELS = { debug: 20, info: 30, warn: 40, error: 50, silent: Infinity };
+
+const REDACTED = '[REDACTED]';
+// Matched against object keys at any depth, e.g. password, refreshToken, x-api-key, authorization.
+// API key names are anchored so identifiers such as apiKeyId stay readable.
+const SENSITIVE_KEY = /password|passwd|secret|token|authorization|cookie|^(x-)?api[-_]?key$|otp|recovery/i;
+const MAX_DEPTH = 6;
+
+const isPlainObject = (value) => Object.prototype.toString.call(value) === '[object Object]'
+  && (Object.getPrototypeOf(value) === Object.prototype || Object.getPrototypeOf(value) === null);
+
+// Returns a copy with sensitive values replaced; dates, ids and other class instances pass through
+const redact = (value, depth = 0) => {
+  if (depth > MAX_DEPTH) return '[Truncated]';
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+  if (!isPlainObject(value)) return value;
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = SENSITIVE_KEY.test(key) ? REDACTED : redact(item, depth + 1);
+  }
+  return copy;
+};
+
+const serializeError = (error, includeStack) => {
+  if (!(error instanceof Error)) return { message: String(error) };
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined && { code: error.code }),
+    ...(error.status !== undefined && { status: error.status }),
+    ...(includeStack && { stack: error.stack })
+  };
+};
+
+const resolveBindings = (bindings) => (typeof bindings === 'function' ? bindings() : bindings);
+
+/**
+ * Creates a logger that writes one JSON object per line. Pass fields as the second
+ * argument and an Error as `fields.err`; stacks are only included outside production.
+ * `bindings` may be a function so request loggers pick up tenant and user once resolved.
+ */
+const createLogger = ({
+  level = 'info',
+  production = false,
+  write = line => process.stdout.write(`${line}\n`),
+  bindings = {}
+} = {}) => {
+  const threshold = LEVELS[level] ?? LEVELS.info;
+
+  const log = (levelName, message, fields = {}) => {
+    if (LEVELS[levelName] < threshold) return;
+    const { err, ...rest } = fields;
+    const entry = {
+      time: new Date().toISOString(),
+      level: levelName,
+      msg: message,
+      ...redact({ ...resolveBindings(bindings), ...rest }),
+      ...(err && { err: serializeError(err, !production) })
+    };
+    try {
+      write(JSON.stringify(entry));
+    } catch (error) {
+      write(JSON.stringify({ time: entry.time, level: levelName, msg: message, logError: error.message }));
+    }
+  };
+
+  return {
+    debug: (message, fields) => log('debug', message, fields),
+    info: (message, fields) => log('info', message, fields),
+    warn: (message, fields) => log('warn', message, fields),
+    error: (message, fields) => log('error', message, fields),
+    isLevelEnabled: (levelName) => LEVELS[levelName] >= threshold,
+    child: (extra) => createLogger({
+      level,
+      production,
+      write,
+      bindings: () => ({ ...resolveBindings(bindings), ...resolveBindings(extra) })
+    })
+  };
+};
+
+/**
+ * Attaches req.log and writes a single summary line when the response finishes.
+ * `route` is the matched pattern (e.g. /api/resources/:id) so lines group by endpoint.
+ * Headers, query and body are only logged at debug level, and always redacted.
+ */
+const requestLogging = (logger) => (req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+  req.log = logger.child(() => ({
+    correlationId: req.correlationId,
+    tenantId: req.tenantId,
+    userId: req.user?.userId,
+    apiKeyId: req.apiKey?.id
+  }));
+
+  res.on('finish', () => {
+    const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+    const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+    req.log[level]('request', {
+      method: req.method,
+      route: req.route ? `${req.baseUrl}${req.route.path}` : null,
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      durationMs: Math.round(durationMs * 10) / 10,
+      ip: req.ip,
+      userAgent: req.headers['user-agent'],
+      ...(logger.isLevelEnabled('debug') && { headers: req.headers, query: req.query, body: req.body })
+    });
+  });
+  next();
+};
+
+module.exports = {
+  LEVELS,
+  redact,
+  serializeError,
+  createLogger,
+  requestLogging
+};
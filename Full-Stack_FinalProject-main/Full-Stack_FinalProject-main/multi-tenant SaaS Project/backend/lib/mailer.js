@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const MailComposer = require('nodemailer/lib/mail-composer');
+
+const MAIL_TRANSPORTS = ['smtp', 'file', 'memory'];
+
+// A transport is { name, send(message) } where message is { from, to, subject, html, text };
+// send resolves to { messageId } once the message has been handed off.
+
+const createSmtpTransport = ({ url }) => {
+  if (!url) throw new Error('SMTP_URL is required for the smtp mail transport');
+  const transporter = nodemailer.createTransport(url);
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+// Writes every message to `directory` as an .eml file, which mail clients open directly
+const createFileTransport = ({ directory }) => ({
+  name: 'file',
+  directory,
+  send: async (message) => {
+    const mail = new MailComposer(message).compile();
+    const raw = await mail.build();
+    await fs.mkdir(directory, { recursive: true });
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const file = path.join(directory, `${stamp}-${crypto.randomBytes(4).toString('hex')}.eml`);
+    await fs.writeFile(file, raw);
+    return { messageId: mail.messageId(), file };
+  }
+});
+
+// Keeps sent messages in `messages` so tests can assert on what would have gone out
+const createMemoryTransport = () => {
+  const messages = [];
+  return {
+    name: 'memory',
+    messages,
+    send: async (message) => {
+      const messageId = `<${crypto.randomUUID()}@memory>`;
+      messages.push({ ...message, messageId, sentAt: new Date() });
+      return { messageId };
+    }
+  };
+};
+
+/**
+ * Picks the transport named by MAIL_TRANSPORT. Without it, production uses SMTP and
+ * everything else writes to a local outbox, so development never emails real people.
+ */
+const createTransportFromEnv = (env = process.env) => {
+  const name = env.MAIL_TRANSPORT || (env.NODE_ENV === 'production' ? 'smtp' : 'file');
+  if (name === 'smtp') return createSmtpTransport({ url: env.SMTP_URL });
+  if (name === 'file') {
+    return createFileTransport({ directory: env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'multitenant-outbox') });
+  }
+  if (name === 'memory') return createMemoryTransport();
+  throw new Error(`MAIL_TRANSPORT must be one of: ${MAIL_TRANSPORTS.join(', ')}`);
+};
+
+const createMailer = ({ transport, from }) => ({
+  transport,
+  send: message => transport.send({ from, ...message })
+});
+
+module.exports = {
+  MAIL_TRANSPORTS,
+  createSmtpTransport,
+  createFileTransport,
+  createMemoryTransport,
+  createTransportFromEnv,
+  createMailer
+};
@@ -0,0 +1,98 @@
+const client = require('prom-client');
+
+const OTHER_TENANT = 'other';
+const NO_TENANT = 'none';
+const UNMATCHED_ROUTE = 'unmatched';
+const HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const MONGO_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5];
+
+/**
+ * Builds a registry with the API's metrics. Tenant labels are capped at `maxTenants`
+ * distinct values per process; later tenants are reported as "other" so a signup spike
+ * cannot blow up the number of series Prometheus has to store.
+ */
+const createMetrics = ({ maxTenants = 100, collectDefaults = true } = {}) => {
+  const registry = new client.Registry();
+  if (collectDefaults) client.collectDefaultMetrics({ register: registry });
+
+  const seenTenants = new Set();
+  const tenantLabel = (tenantId) => {
+    if (!tenantId) return NO_TENANT;
+    if (seenTenants.has(tenantId)) return tenantId;
+    if (seenTenants.size >= maxTenants) return OTHER_TENANT;
+    seenTenants.add(tenantId);
+    return tenantId;
+  };
+
+  const httpRequests = new client.Counter({
+    name: 'http_requests_total',
+    help: 'HTTP requests by route template, status and tenant',
+    labelNames: ['method', 'route', 'status', 'tenant'],
+    registers: [registry]
+  });
+  const httpDuration = new client.Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request latency by route template, status and tenant',
+    labelNames: ['method', 'route', 'status', 'tenant'],
+    buckets: HTTP_BUCKETS,
+    registers: [registry]
+  });
+  const logins = new client.Counter({
+    name: 'auth_logins_total',
+    help: 'Login attempts by outcome and failure reason',
+    labelNames: ['tenant', 'outcome', 'reason'],
+    registers: [registry]
+  });
+  const rateLimited = new client.Counter({
+    name: 'rate_limit_rejections_total',
+    help: 'Requests rejected by a rate limiter',
+    labelNames: ['limiter', 'tenant'],
+    registers: [registry]
+  });
+  const mongoDuration = new client.Histogram({
+    name: 'mongodb_command_duration_seconds',
+    help: 'MongoDB command latency by command name and outcome',
+    labelNames: ['command', 'outcome'],
+    buckets: MONGO_BUCKETS,
+    registers: [registry]
+  });
+
+  // Unmatched paths are collapsed so 404 scans don't create a series per URL
+  const middleware = (req, res, next) => {
+    const endTimer = httpDuration.startTimer();
+    res.on('finish', () => {
+      const labels = {
+        method: req.method,
+        route: req.route ? `${req.baseUrl}${req.route.path}` : UNMATCHED_ROUTE,
+        status: res.statusCode,
+        tenant: tenantLabel(req.tenantId)
+      };
+      httpRequests.inc(labels);
+      endTimer(labels);
+    });
+    next();
+  };
+
+  // Needs a MongoClient created with { monitorCommands: true }
+  const instrumentMongoClient = (mongoClient) => {
+    const observe = outcome => (event) => {
+      mongoDuration.observe({ command: event.commandName, outcome }, event.duration / 1000);
+    };
+    mongoClient.on('commandSucceeded', observe('success'));
+    mongoClient.on('commandFailed', observe('failure'));
+  };
+
+  return {
+    registry,
+    middleware,
+    instrumentMongoClient,
+    tenantLabel,
+    recordLogin: (tenantId, outcome, reason = NO_TENANT) => logins.inc({ tenant: tenantLabel(tenantId), outcome, reason }),
+    recordRateLimit: (limiter, tenantId) => rateLimited.inc({ limiter, tenant: tenantLabel(tenantId) })
+  };
+};
+
+module.exports = {
+  OTHER_TENANT,
+  createMetrics
+};
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+// Repeated or nested query parameters (?limit=1&limit=2, ?sort[x]=1) arrive as arrays and objects, not strings
+const parseLimit = (value) => {
+  const limit = (typeof value === 'string' && parseInt(value)) || DEFAULT_LIMIT;
+  return Math.min(Math.max(limit, 1), MAX_LIMIT);
+};
+
+const parsePage = (value) => Math.max((typeof value === 'string' && parseInt(value)) || 1, 1);
+
+// "-createdAt" -> { field: 'createdAt', direction: -1 }; null for anything not on the whitelist
+const parseSort = (value, allowed, fallback) => {
+  const sort = value || fallback;
+  if (typeof sort !== 'string' || !allowed.includes(sort.replace(/^-/, ''))) return null;
+  return sort.startsWith('-')
+    ? { key: sort, field: sort.slice(1), direction: -1 }
+    : { key: sort, field: sort, direction: 1 };
+};
+
+// Cursors are opaque to clients: base64url JSON of the sort key plus the
+// boundary document's sort value and _id, which breaks ties between equal values.
+const encodeCursor = (sort, doc, direction) => {
+  const value = doc[sort.field];
+  const payload = {
+    s: sort.key,
+    d: direction,
+    v: value instanceof Date ? value.toISOString() : value,
+    t: value instanceof Date ? 'date' : typeof value,
+    id: String(doc._id)
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+const decodeCursor = (cursor, sort) => {
+  if (typeof cursor !== 'string') return null;
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (payload.s !== sort.key || !['next', 'prev'].includes(payload.d) || !mongoose.isValidObjectId(payload.id)) {
+      return null;
+    }
+    return {
+      direction: payload.d,
+      value: payload.t === 'date' ? new Date(payload.v) : payload.v,
+      id: new mongoose.Types.ObjectId(payload.id)
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Runs a keyset-paginated find: fetches one extra row to know whether another
+ * page exists, and walks backwards (then reverses) for "prev" cursors.
+ */
+const findWithCursor = async (Model, filter, { sort, cursor, limit }) => {
+  const decoded = cursor ? decodeCursor(cursor, sort) : null;
+  if (cursor && !decoded) {
+    const error = new Error('Invalid cursor');
+    error.status = 400;
+    throw error;
+  }
+
+  const backwards = decoded?.direction === 'prev';
+  const direction = backwards ? -sort.direction : sort.direction;
+  const op = direction === 1 ? '$gt' : '$lt';
+
+  const boundary = decoded && {
+    $or: [
+      { [sort.field]: { [op]: decoded.value } },
+      { [sort.field]: decoded.value, _id: { [op]: decoded.id } }
+    ]
+  };
+  // Keep filter keys top-level where possible: $text is only allowed at the top of a query
+  let query = filter;
+  if (boundary) {
+    query = filter.$or ? { $and: [filter, boundary] } : { ...filter, ...boundary };
+  }
+
+  const rows = await Model.find(query)
+    .sort({ [sort.field]: direction, _id: direction })
+    .limit(limit + 1)
+    .lean();
+
+  const hasMore = rows.length > limit;
+  const data = rows.slice(0, limit);
+  if (backwards) data.reverse();
+
+  const hasNext = backwards ? Boolean(decoded) : hasMore;
+  const hasPrev = backwards ? hasMore : Boolean(decoded);
+
+  return {
+    data,
+    next: hasNext && data.length > 0 ? encodeCursor(sort, data[data.length - 1], 'next') : null,
+    prev: hasPrev && data.length > 0 ? encodeCursor(sort, data[0], 'prev') : null
+  };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseLimit,
+  parsePage,
+  parseSort,
+  encodeCursor,
+  decodeCursor,
+  findWithCursor
+};
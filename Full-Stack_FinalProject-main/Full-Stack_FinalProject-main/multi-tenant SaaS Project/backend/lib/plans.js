@@ -0,0 +1,49 @@
+const MB = 1024 * 1024;
+const GB = 1024 * MB;
+
+// A null limit means the plan is unlimited on that dimension
+const PLANS = {
+  free: {
+    label: 'Free',
+    requestsPerMinute: 60,
+    limits: { users: 5, resources: 100, storageBytes: 100 * MB }
+  },
+  pro: {
+    label: 'Pro',
+    requestsPerMinute: 600,
+    limits: { users: 50, resources: 10000, storageBytes: 10 * GB }
+  },
+  enterprise: {
+    label: 'Enterprise',
+    requestsPerMinute: 3000,
+    limits: { users: null, resources: null, storageBytes: null }
+  }
+};
+
+const PLAN_NAMES = Object.keys(PLANS);
+const DEFAULT_PLAN = 'free';
+
+const getPlan = (name) => PLANS[name] || PLANS[DEFAULT_PLAN];
+
+/**
+ * Checks `usage` plus the requested `increments` against a plan's limits.
+ * Returns the first exceeded quota as { quota, limit, current, requested }, or null.
+ */
+const findExceededQuota = (plan, usage, increments) => {
+  for (const [quota, requested] of Object.entries(increments)) {
+    const limit = plan.limits[quota];
+    if (limit === null || limit === undefined || requested <= 0) continue;
+    if (usage[quota] + requested > limit) {
+      return { quota, limit, current: usage[quota], requested };
+    }
+  }
+  return null;
+};
+
+module.exports = {
+  PLANS,
+  PLAN_NAMES,
+  DEFAULT_PLAN,
+  getPlan,
+  findExceededQuota
+};
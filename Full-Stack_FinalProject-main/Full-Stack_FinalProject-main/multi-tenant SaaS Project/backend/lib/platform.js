@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const { PLAN_NAMES } = require('./plans');
+const { TENANT_STATUSES } = require('./tenantLifecycle');
+
+// Platform operator tokens are signed with this audience, which tenant access tokens never carry
+const PLATFORM_AUDIENCE = 'platform';
+const MAX_SEARCH_LENGTH = 100;
+// No 0/O or 1/l/I, so a password read out over the phone survives
+const TEMPORARY_PASSWORD_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz23456789';
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Builds the tenant list filter from ?q=&status=&plan=. `q` matches the tenant ID or
+ * name anywhere, case-insensitively. Returns { filter, errors } like the other filters.
+ */
+const buildTenantSearch = (query) => {
+  const filter = {};
+  const errors = {};
+  if (query.q !== undefined && query.q !== '') {
+    if (typeof query.q !== 'string' || query.q.length > MAX_SEARCH_LENGTH) {
+      errors.q = `Search must be at most ${MAX_SEARCH_LENGTH} characters`;
+    } else {
+      const pattern = { $regex: escapeRegex(query.q.trim()), $options: 'i' };
+      filter.$or = [{ tenantId: pattern }, { name: pattern }];
+    }
+  }
+  if (query.status !== undefined && query.status !== '') {
+    if (!TENANT_STATUSES.includes(query.status)) {
+      errors.status = `Status must be one of: ${TENANT_STATUSES.join(', ')}`;
+    } else {
+      filter.status = query.status === 'active' ? { $in: ['active', null] } : query.status;
+    }
+  }
+  if (query.plan !== undefined && query.plan !== '') {
+    if (!PLAN_NAMES.includes(query.plan)) {
+      errors.plan = `Plan must be one of: ${PLAN_NAMES.join(', ')}`;
+    } else {
+      filter.plan = query.plan;
+    }
+  }
+  return { filter, errors };
+};
+
+// Handed to the operator once; the admin is expected to change it after signing in
+const generateTemporaryPassword = (length = 16) => Array.from(
+  { length },
+  () => TEMPORARY_PASSWORD_ALPHABET[crypto.randomInt(TEMPORARY_PASSWORD_ALPHABET.length)]
+).join('');
+
+module.exports = {
+  PLATFORM_AUDIENCE,
+  escapeRegex,
+  buildTenantSearch,
+  generateTemporaryPassword
+};
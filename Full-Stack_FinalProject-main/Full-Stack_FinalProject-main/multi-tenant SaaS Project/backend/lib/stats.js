@@ -0,0 +1,45 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Selectable dashboard ranges, in days
+const STAT_RANGES = { '7d': 7, '30d': 30, '90d': 90 };
+const DEFAULT_RANGE = '30d';
+
+/**
+ * Resolves a range key into the current period and the equally long period before it.
+ * Periods are whole UTC days ending with today; returns null for unknown keys.
+ */
+const parseRange = (value = DEFAULT_RANGE, now = new Date()) => {
+  const days = STAT_RANGES[value];
+  if (!days) return null;
+  const tomorrow = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  const since = new Date(tomorrow - days * DAY_MS);
+  return {
+    key: value,
+    days,
+    since,
+    previousSince: new Date(since.getTime() - days * DAY_MS)
+  };
+};
+
+// Aggregations only return days that had activity; charts need every day, zeros included
+const fillDailySeries = (rows, range) => {
+  const counts = new Map(rows.map(row => [row._id, row.count]));
+  return Array.from({ length: range.days }, (_, i) => {
+    const date = new Date(range.since.getTime() + i * DAY_MS).toISOString().slice(0, 10);
+    return { date, count: counts.get(date) || 0 };
+  });
+};
+
+// Percentage change from the previous period, or null when there is nothing to compare against
+const percentChange = (current, previous) => {
+  if (!previous) return null;
+  return Math.round(((current - previous) / previous) * 1000) / 10;
+};
+
+module.exports = {
+  STAT_RANGES,
+  DEFAULT_RANGE,
+  parseRange,
+  fillDailySeries,
+  percentChange
+};
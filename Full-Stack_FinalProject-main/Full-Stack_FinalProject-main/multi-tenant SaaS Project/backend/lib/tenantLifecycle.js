@@ -0,0 +1,80 @@
+const TENANT_STATUSES = ['active', 'suspended', 'pending-deletion'];
+const DEFAULT_DELETION_GRACE_DAYS = 30;
+
+// Which statuses each action may start from; cancelling a deletion restores the status it replaced
+const TRANSITIONS = {
+  suspend: ['active'],
+  reactivate: ['suspended'],
+  scheduleDeletion: ['active', 'suspended'],
+  cancelDeletion: ['pending-deletion']
+};
+
+const conflict = (message) => Object.assign(new Error(message), { status: 409 });
+
+/**
+ * Returns the { $set, $unset } update that applies `action` to `tenant`, or throws a 409
+ * error when the tenant's current status does not allow it.
+ */
+const planTransition = (tenant, action, { reason, actorId, graceDays = DEFAULT_DELETION_GRACE_DAYS, now = new Date() } = {}) => {
+  const status = tenant.status || 'active';
+  if (!TRANSITIONS[action]) throw new Error(`Unknown lifecycle action: ${action}`);
+  if (!TRANSITIONS[action].includes(status)) {
+    throw conflict(`Cannot ${action.replace(/[A-Z]/g, letter => ` ${letter.toLowerCase()}`)} a tenant that is ${status}`);
+  }
+
+  if (action === 'suspend') {
+    return { $set: { status: 'suspended', suspendedAt: now, suspendedReason: reason || null } };
+  }
+  if (action === 'reactivate') {
+    return { $set: { status: 'active' }, $unset: { suspendedAt: 1, suspendedReason: 1 } };
+  }
+  if (action === 'scheduleDeletion') {
+    return {
+      $set: {
+        status: 'pending-deletion',
+        statusBeforeDeletion: status,
+        deletionRequestedAt: now,
+        deletionRequestedBy: actorId || null,
+        deletionScheduledFor: new Date(now.getTime() + graceDays * 24 * 60 * 60 * 1000)
+      }
+    };
+  }
+  return {
+    $set: { status: tenant.statusBeforeDeletion || 'active' },
+    $unset: { statusBeforeDeletion: 1, deletionRequestedAt: 1, deletionRequestedBy: 1, deletionScheduledFor: 1 }
+  };
+};
+
+/**
+ * Returns the 403 body for a tenant that is out of service, or null if requests may proceed.
+ * Tenants pending deletion stay reachable on routes that opt in, so admins can export or cancel.
+ */
+const unavailableResponse = (tenant, { allowPendingDeletion = false } = {}) => {
+  if (tenant.status === 'suspended') {
+    return {
+      error: 'This organization has been suspended. Contact support to restore access.',
+      code: 'tenant_suspended'
+    };
+  }
+  if (tenant.status === 'pending-deletion' && !allowPendingDeletion) {
+    return {
+      error: `This organization is scheduled for deletion on ${tenant.deletionScheduledFor.toISOString().slice(0, 10)}`,
+      code: 'tenant_pending_deletion',
+      deletionScheduledFor: tenant.deletionScheduledFor
+    };
+  }
+  return null;
+};
+
+const lifecycleOf = (tenant) => ({
+  status: tenant.status || 'active',
+  deletionScheduledFor: tenant.deletionScheduledFor || null
+});
+
+module.exports = {
+  TENANT_STATUSES,
+  DEFAULT_DELETION_GRACE_DAYS,
+  planTransition,
+  unavailableResponse,
+  lifecycleOf
+};
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const fs = require('fs').promises;
+const net = require('net');
+
+const RESOLUTION_STRATEGIES = ['domain', 'subdomain', 'path', 'header'];
+// The header is absent on purpose: any client can set it, so deployments opt in explicitly
+const DEFAULT_RESOLUTION_ORDER = ['domain', 'subdomain', 'path'];
+const VERIFICATION_RECORD_PREFIX = '_mt-verify';
+const VERIFICATION_VALUE_PREFIX = 'mt-verify=';
+
+// "/api/t/acme/resources" addresses tenant "acme" without relying on Host or headers
+const TENANT_PATH_PATTERN = /^\/api\/t\/([^/?]+)(?=[/?]|$)/;
+const HOSTNAME_LABEL_PATTERN = /^(?!-)[a-z0-9-]{1,63}(?<!-)$/;
+
+const parseList = (value) => String(value || '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+
+const parseResolutionOrder = (value) => {
+  if (!value) return DEFAULT_RESOLUTION_ORDER;
+  const order = parseList(value);
+  const unknown = order.filter(strategy => !RESOLUTION_STRATEGIES.includes(strategy));
+  if (unknown.length > 0 || order.length === 0) {
+    throw new Error(`TENANT_RESOLUTION must list strategies among: ${RESOLUTION_STRATEGIES.join(', ')}`);
+  }
+  return [...new Set(order)];
+};
+
+// Lowercased Host without port or trailing dot; null for IP literals, which never name a tenant
+const normalizeHostname = (host) => {
+  if (typeof host !== 'string' || !host) return null;
+  const hostname = host.trim().toLowerCase().replace(/:\d+$/, '').replace(/\.$/, '');
+  if (!hostname || hostname.startsWith('[') || net.isIP(hostname)) return null;
+  return hostname;
+};
+
+const isUnderBaseDomain = (hostname, baseDomain) => Boolean(baseDomain)
+  && (hostname === baseDomain || hostname.endsWith(`.${baseDomain}`));
+
+// "acme.example.com" -> "acme" for base domain "example.com"; nested or reserved labels are ignored
+const subdomainFromHost = (hostname, baseDomain, reserved = []) => {
+  if (!hostname || !baseDomain || !hostname.endsWith(`.${baseDomain}`)) return null;
+  const label = hostname.slice(0, -(baseDomain.length + 1));
+  if (label.includes('.') || reserved.includes(label)) return null;
+  return label;
+};
+
+// Splits the tenant segment off an API URL so routes are matched without it
+const extractPathTenant = (url) => {
+  const match = url.match(TENANT_PATH_PATTERN);
+  if (!match) return null;
+  let tenantId;
+  try {
+    tenantId = decodeURIComponent(match[1]);
+  } catch (error) {
+    return null;
+  }
+  return { tenantId, url: `/api${url.slice(match[0].length)}` };
+};
+
+/**
+ * Picks the tenant for a request by trying each strategy of `order` in turn.
+ * `lookupDomain(hostname)` returns the tenantId of a verified custom domain, or null.
+ * Resolves to { tenantId, source } or null when nothing matched.
+ */
+const resolveTenantId = async ({ order, hostname, baseDomain, reserved = [], pathTenantId, headerTenantId, lookupDomain }) => {
+  for (const strategy of order) {
+    let tenantId = null;
+    if (strategy === 'domain' && hostname && !isUnderBaseDomain(hostname, baseDomain)) {
+      tenantId = await lookupDomain(hostname);
+    } else if (strategy === 'subdomain') {
+      tenantId = subdomainFromHost(hostname, baseDomain, reserved);
+    } else if (strategy === 'path') {
+      tenantId = pathTenantId || null;
+    } else if (strategy === 'header' && typeof headerTenantId === 'string') {
+      tenantId = headerTenantId.trim() || null;
+    }
+    if (tenantId) return { tenantId, source: strategy };
+  }
+  return null;
+};
+
+const validateCustomDomain = (hostname, baseDomain) => {
+  const normalized = typeof hostname === 'string' ? hostname.trim().toLowerCase().replace(/\.$/, '') : '';
+  const labels = normalized.split('.');
+  if (!normalized || normalized.length > 253 || labels.length < 2 || !labels.every(label => HOSTNAME_LABEL_PATTERN.test(label))) {
+    return { error: 'Enter a fully qualified hostname such as app.example.com' };
+  }
+  if (/^\d+$/.test(labels[labels.length - 1]) || normalized === 'localhost' || normalized.endsWith('.localhost')) {
+    return { error: 'IP addresses and localhost cannot be used as custom domains' };
+  }
+  if (isUnderBaseDomain(normalized, baseDomain)) {
+    return { error: `Hostnames under ${baseDomain} are assigned by subdomain and cannot be claimed` };
+  }
+  return { hostname: normalized };
+};
+
+const createVerificationToken = () => crypto.randomBytes(16).toString('hex');
+
+const verificationRecord = (hostname, token) => ({
+  type: 'TXT',
+  name: `${VERIFICATION_RECORD_PREFIX}.${hostname}`,
+  value: `${VERIFICATION_VALUE_PREFIX}${token}`
+});
+
+/**
+ * Returns resolveTxt(name) -> string[][] like dns.resolveTxt. `stubFile` points at a JSON
+ * object of record name -> string or string[] for local development and tests;
+ * otherwise `servers` (e.g. ["127.0.0.1:5353"]) or the system resolver is queried.
+ */
+const createTxtResolver = ({ stubFile, servers = [] } = {}) => {
+  if (stubFile) {
+    return async (name) => {
+      const records = JSON.parse(await fs.readFile(stubFile, 'utf8'));
+      const values = records[name];
+      if (values === undefined) throw Object.assign(new Error(`queryTxt ENOTFOUND ${name}`), { code: 'ENOTFOUND' });
+      return [].concat(values).map(value => [value]);
+    };
+  }
+  if (servers.length > 0) {
+    const resolver = new dns.Resolver();
+    resolver.setServers(servers);
+    return name => resolver.resolveTxt(name);
+  }
+  return name => dns.resolveTxt(name);
+};
+
+// TXT strings may be split into chunks, which are joined before comparing
+const verifyDomainOwnership = async (hostname, token, resolveTxt) => {
+  const { name, value } = verificationRecord(hostname, token);
+  try {
+    const records = await resolveTxt(name);
+    if (records.some(chunks => chunks.join('') === value)) return { verified: true };
+    return { verified: false, error: `TXT record ${name} does not contain ${value}` };
+  } catch (error) {
+    const missing = ['ENOTFOUND', 'ENODATA'].includes(error.code);
+    return { verified: false, error: missing ? `No TXT record found at ${name}` : `DNS lookup failed: ${error.message}` };
+  }
+};
+
+module.exports = {
+  RESOLUTION_STRATEGIES,
+  DEFAULT_RESOLUTION_ORDER,
+  parseList,
+  parseResolutionOrder,
+  normalizeHostname,
+  subdomainFromHost,
+  extractPathTenant,
+  resolveTenantId,
+  validateCustomDomain,
+  createVerificationToken,
+  verificationRecord,
+  createTxtResolver,
+  verifyDomainOwnership
+};
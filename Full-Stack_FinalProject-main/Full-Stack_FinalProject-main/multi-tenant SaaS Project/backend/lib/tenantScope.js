@@ -0,0 +1,150 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const mongoose = require('mongoose');
+
+const storage = new AsyncLocalStorage();
+
+// Query middleware names that take a filter; findById* and exists() go through findOne
+const FILTERED_OPERATIONS = [
+  'find',
+  'findOne',
+  'countDocuments',
+  'distinct',
+  'updateOne',
+  'updateMany',
+  'replaceOne',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'findOneAndDelete',
+  'findOneAndRemove',
+  'deleteOne',
+  'deleteMany'
+];
+
+const scopeError = (message) => Object.assign(new Error(message), { code: 'TENANT_SCOPE' });
+
+/**
+ * Runs `fn` with every query on tenant-owned models limited to `tenantId`.
+ * The context follows awaits, timers and callbacks started inside `fn`.
+ */
+const runWithTenant = (tenantId, fn) => storage.run({ tenantId }, fn);
+
+// Escape hatch for platform code that works across tenants on purpose: jobs, migrations, the seed
+const runUnscoped = (fn) => storage.run({ unscoped: true }, fn);
+
+const currentTenantId = () => storage.getStore()?.tenantId || null;
+
+// Returns the tenant to scope to, or null when running unscoped; throws without any context
+const requireTenant = (operation) => {
+  const store = storage.getStore();
+  if (store?.unscoped) return null;
+  if (!store?.tenantId) {
+    throw scopeError(`${operation} ran without a tenant context; use runWithTenant or runUnscoped`);
+  }
+  return store.tenantId;
+};
+
+const assertSameTenant = (value, tenantId, operation) => {
+  if (value !== undefined && value !== tenantId) {
+    throw scopeError(`${operation} tried to reach tenant data outside "${tenantId}"`);
+  }
+};
+
+const stampTenant = (doc, tenantId, operation) => {
+  assertSameTenant(doc.tenantId, tenantId, operation);
+  return { ...doc, tenantId };
+};
+
+const scopeBulkOperation = (op, tenantId, operation) => {
+  const [[type, spec]] = Object.entries(op);
+  if (type === 'insertOne') {
+    return { insertOne: { ...spec, document: stampTenant(spec.document, tenantId, operation) } };
+  }
+  assertSameTenant(spec.filter?.tenantId, tenantId, operation);
+  const scoped = { ...spec, filter: { ...spec.filter, tenantId } };
+  if (type === 'replaceOne') {
+    scoped.replacement = stampTenant(spec.replacement, tenantId, operation);
+  } else if (spec.update) {
+    assertSameTenant(spec.update.$set?.tenantId, tenantId, operation);
+    assertSameTenant(spec.update.$setOnInsert?.tenantId, tenantId, operation);
+  }
+  return { [type]: scoped };
+};
+
+/**
+ * Mongoose plugin for models that carry a tenantId. Filters, aggregations and inserts are
+ * limited to the tenant in the current context, and anything that names a different
+ * tenant is rejected rather than silently rewritten.
+ * Not covered: $lookup/$unionWith stages (join only tenant-owned collections with their
+ * own tenantId match) and the native driver via Model.collection.
+ */
+const tenantScopePlugin = (schema) => {
+  schema.pre(FILTERED_OPERATIONS, { document: false, query: true }, function () {
+    const operation = `${this.model.modelName}.${this.op}`;
+    const tenantId = requireTenant(operation);
+    if (tenantId === null) return;
+    assertSameTenant(this.getFilter().tenantId, tenantId, operation);
+    this.where({ tenantId });
+    // Updates must not move documents to another tenant either
+    const update = this.getUpdate();
+    if (update) {
+      assertSameTenant(update.tenantId, tenantId, operation);
+      assertSameTenant(update.$set?.tenantId, tenantId, operation);
+      assertSameTenant(update.$setOnInsert?.tenantId, tenantId, operation);
+    }
+  });
+
+  // Has no filter to add to, so it only works for platform code
+  schema.pre('estimatedDocumentCount', function () {
+    const operation = `${this.model.modelName}.estimatedDocumentCount`;
+    if (requireTenant(operation) !== null) {
+      throw scopeError(`${operation} counts every tenant; use countDocuments instead`);
+    }
+  });
+
+  schema.pre('aggregate', function () {
+    const tenantId = requireTenant(`${this.model().modelName}.aggregate`);
+    if (tenantId === null) return;
+    this.pipeline().unshift({ $match: { tenantId } });
+  });
+
+  // Runs before save and create, and for each document of insertMany
+  schema.pre('validate', function () {
+    const operation = `${this.constructor.modelName}.save`;
+    const tenantId = requireTenant(operation);
+    if (tenantId === null) return;
+    assertSameTenant(this.tenantId ?? undefined, tenantId, operation);
+    this.tenantId = tenantId;
+  });
+
+  // insertMany with { lean: true } skips validation, so stamp the raw documents as well
+  schema.pre('insertMany', function (next, docs) {
+    try {
+      const operation = `${this.modelName}.insertMany`;
+      const tenantId = requireTenant(operation);
+      if (tenantId !== null) {
+        (Array.isArray(docs) ? docs : [docs]).forEach((doc) => {
+          assertSameTenant(doc.tenantId ?? undefined, tenantId, operation);
+          doc.tenantId = tenantId;
+        });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Mongoose runs no middleware for bulkWrite, so scope each operation here
+  schema.static('bulkWrite', async function (ops, options) {
+    const operation = `${this.modelName}.bulkWrite`;
+    const tenantId = requireTenant(operation);
+    const scoped = tenantId === null ? ops : ops.map(op => scopeBulkOperation(op, tenantId, operation));
+    return mongoose.Model.bulkWrite.call(this, scoped, options);
+  });
+};
+
+module.exports = {
+  runWithTenant,
+  runUnscoped,
+  currentTenantId,
+  tenantScopePlugin
+};
@@ -0,0 +1,171 @@
+const COLOR_FIELDS = ['primaryColor', 'secondaryColor', 'accentColor', 'backgroundColor', 'textColor'];
+const THEME_FIELDS = ['name', 'logo', 'fontFamily', ...COLOR_FIELDS];
+
+const FONT_STACKS = [
+  'system-ui, sans-serif',
+  'Inter, system-ui, sans-serif',
+  'Inter, sans-serif',
+  '"Helvetica Neue", Arial, sans-serif',
+  'Georgia, serif',
+  'ui-monospace, monospace'
+];
+
+const MAX_NAME_LENGTH = 100;
+const MAX_LOGO_LENGTH = 8;
+
+// WCAG 2.1 AA: 4.5:1 for body text, 3:1 for large text such as button labels
+const AA_NORMAL_TEXT = 4.5;
+const AA_LARGE_TEXT = 3;
+
+// Buttons render white labels on the primary color (see the frontend's text-white buttons)
+const BUTTON_TEXT_COLOR = '#ffffff';
+
+const HEX_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+const RGB_PATTERN = /^rgb\(\s*(\d{1,3})\s*,\s*(\d{1,3})\s*,\s*(\d{1,3})\s*\)$/i;
+
+/**
+ * Parses "#abc", "#aabbcc" or "rgb(r, g, b)" into [r, g, b], or null if malformed.
+ */
+const parseColor = (value) => {
+  if (typeof value !== 'string') return null;
+  const color = value.trim();
+
+  const hex = color.match(HEX_PATTERN);
+  if (hex) {
+    const digits = hex[1].length === 3 ? hex[1].split('').map(d => d + d).join('') : hex[1];
+    return [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16));
+  }
+
+  const rgb = color.match(RGB_PATTERN);
+  if (rgb) {
+    const channels = rgb.slice(1, 4).map(Number);
+    return channels.every(channel => channel <= 255) ? channels : null;
+  }
+
+  return null;
+};
+
+const toHex = (channels) => `#${channels.map(c => c.toString(16).padStart(2, '0')).join('')}`;
+
+const relativeLuminance = (channels) => {
+  const [r, g, b] = channels.map((channel) => {
+    const c = channel / 255;
+    return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+};
+
+const contrastRatio = (first, second) => {
+  const [lighter, darker] = [relativeLuminance(parseColor(first)), relativeLuminance(parseColor(second))]
+    .sort((a, b) => b - a);
+  return (lighter + 0.05) / (darker + 0.05);
+};
+
+/**
+ * Validates a partial theme update against the tenant's current theme.
+ * Returns the normalized fields to persist plus field-level errors and warnings;
+ * contrast is checked on the merged result so single-color edits are judged in context.
+ */
+const validateThemeUpdate = (body, current = {}) => {
+  const errors = {};
+  const warnings = {};
+  const value = {};
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { value, errors: { _body: 'Expected a JSON object' }, warnings };
+  }
+
+  for (const key of Object.keys(body)) {
+    if (!THEME_FIELDS.includes(key)) {
+      errors[key] = 'Unknown or read-only field';
+    }
+  }
+
+  if (body.name !== undefined) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      errors.name = `Name must be 1-${MAX_NAME_LENGTH} characters`;
+    } else {
+      value.name = name;
+    }
+  }
+
+  if (body.logo !== undefined) {
+    const logo = typeof body.logo === 'string' ? body.logo.trim() : '';
+    if (!logo || [...logo].length > MAX_LOGO_LENGTH) {
+      errors.logo = `Logo must be 1-${MAX_LOGO_LENGTH} characters`;
+    } else {
+      value.logo = logo;
+    }
+  }
+
+  if (body.fontFamily !== undefined) {
+    if (!FONT_STACKS.includes(body.fontFamily)) {
+      errors.fontFamily = `Font must be one of: ${FONT_STACKS.join(' | ')}`;
+    } else {
+      value.fontFamily = body.fontFamily;
+    }
+  }
+
+  for (const field of COLOR_FIELDS) {
+    if (body[field] === undefined) continue;
+    const channels = parseColor(body[field]);
+    if (!channels) {
+      errors[field] = 'Color must be #rgb, #rrggbb or rgb(r, g, b)';
+    } else {
+      value[field] = toHex(channels);
+    }
+  }
+
+  // Only pairs touched by this update are checked, so legacy themes can still be renamed
+  const merged = { ...current, ...value };
+  const touchesText = value.textColor !== undefined || value.backgroundColor !== undefined;
+  if (touchesText && !errors.textColor && !errors.backgroundColor && parseColor(merged.textColor) && parseColor(merged.backgroundColor)) {
+    const ratio = contrastRatio(merged.textColor, merged.backgroundColor);
+    if (ratio < AA_NORMAL_TEXT) {
+      const message = `Text and background contrast is ${ratio.toFixed(2)}:1; WCAG AA requires ${AA_NORMAL_TEXT}:1`;
+      errors[body.textColor !== undefined ? 'textColor' : 'backgroundColor'] = message;
+    }
+  }
+
+  if (value.primaryColor !== undefined) {
+    const ratio = contrastRatio(BUTTON_TEXT_COLOR, merged.primaryColor);
+    const message = `Button label contrast on the primary color is ${ratio.toFixed(2)}:1`;
+    if (ratio < AA_LARGE_TEXT) {
+      errors.primaryColor = `${message}; WCAG AA requires at least ${AA_LARGE_TEXT}:1`;
+    } else if (ratio < AA_NORMAL_TEXT) {
+      warnings.primaryColor = `${message}; below ${AA_NORMAL_TEXT}:1, so only large or bold labels meet WCAG AA`;
+    }
+  }
+
+  return { value, errors, warnings };
+};
+
+/**
+ * The part of a stored theme that still passes validateThemeUpdate against the current one.
+ * Older versions may predate today's rules, so failing fields are dropped and the rest re-checked
+ * until nothing fails; `dropped` names what was left out.
+ */
+const restorableTheme = (theme, current = {}) => {
+  const dropped = [];
+  let candidate = theme && typeof theme === 'object' && !Array.isArray(theme) ? theme : {};
+  for (;;) {
+    const { value, errors } = validateThemeUpdate(candidate, current);
+    const failed = Object.keys(errors);
+    if (failed.length === 0) return { value, dropped };
+    dropped.push(...failed);
+    candidate = Object.fromEntries(Object.entries(value).filter(([key]) => !failed.includes(key)));
+  }
+};
+
+module.exports = {
+  COLOR_FIELDS,
+  THEME_FIELDS,
+  FONT_STACKS,
+  AA_NORMAL_TEXT,
+  AA_LARGE_TEXT,
+  parseColor,
+  contrastRatio,
+  validateThemeUpdate,
+  restorableTheme
+};
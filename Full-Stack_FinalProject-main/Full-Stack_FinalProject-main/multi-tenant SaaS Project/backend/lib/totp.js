@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+
+// RFC 6238 with the parameters every authenticator app defaults to: SHA-1, 6 digits, 30 seconds
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+// Recovery codes avoid 0/o and 1/l/i so they can be copied from paper
+const RECOVERY_CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+const RECOVERY_CODE_COUNT = 10;
+
+// "off" never asks for a second factor; "admins" requires it for anyone holding one of
+// ADMIN_PERMISSIONS, whatever their role is called; "all" for everyone
+const MFA_POLICIES = ['off', 'admins', 'all'];
+// Permissions that control who can get in or how the tenant is set up
+const ADMIN_PERMISSIONS = ['users:manage', 'tenant:configure', 'apikeys:manage'];
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+// Lenient about case, spaces and padding, since people type secrets in by hand
+const base32Decode = (value) => {
+  let bits = '';
+  for (const char of value.toUpperCase().replace(/[\s=]/g, '')) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error(`Invalid base32 character: ${char}`);
+    bits += index.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+};
+
+// 160 bits, the HMAC-SHA1 block the RFC recommends
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const timeStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+const generateTotp = (secret, step = timeStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Checks `code` against the current step and `window` steps either side, to allow for
+ * clock drift. Returns the matching step, which callers store to refuse the same code
+ * twice, or null when nothing matches.
+ */
+const verifyTotp = (secret, code, { time = Date.now(), window = 1 } = {}) => {
+  const normalized = typeof code === 'string' ? code.replace(/\s/g, '') : '';
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) return null;
+  const current = timeStep(time);
+  for (let step = current - window; step <= current + window; step++) {
+    if (crypto.timingSafeEqual(Buffer.from(generateTotp(secret, step)), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+// The otpauth:// URI authenticator apps read from the enrollment QR code
+const provisioningUri = ({ secret, issuer, account }) => {
+  const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: DIGITS, period: STEP_SECONDS });
+  return `otpauth://totp/${encodeURIComponent(issuer)}:${encodeURIComponent(account)}?${params}`;
+};
+
+// Formatted as "xxxxx-xxxxx"; only their hashes are stored
+const generateRecoveryCodes = (count = RECOVERY_CODE_COUNT) => Array.from({ length: count }, () => {
+  const chars = Array.from({ length: 10 }, () => RECOVERY_CODE_ALPHABET[crypto.randomInt(RECOVERY_CODE_ALPHABET.length)]);
+  return `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`;
+});
+
+// What gets hashed, so "ABCDE FGHIJ" and "abcde-fghij" are the same code
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const isMfaRequired = (policy, permissions = []) => policy === 'all'
+  || (policy === 'admins' && permissions.some(permission => ADMIN_PERMISSIONS.includes(permission)));
+
+module.exports = {
+  MFA_POLICIES,
+  ADMIN_PERMISSIONS,
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  timeStep,
+  generateTotp,
+  verifyTotp,
+  provisioningUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+  isMfaRequired
+};
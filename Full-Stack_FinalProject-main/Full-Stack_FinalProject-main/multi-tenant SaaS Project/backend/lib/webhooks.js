@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+
+// Audit actions that tenants may subscribe to; "webhook.test" is only sent by the test action
+const WEBHOOK_EVENTS = [
+  'resource.created',
+  'resource.updated',
+  'resource.deleted',
+  'resource.restored',
+  'resource.imported',
+  'tenant.config.updated',
+  'user.invited',
+  'user.invite.accepted',
+  'user.role.changed',
+  'user.deactivated',
+  'user.reactivated',
+  'user.removed',
+  'role.created',
+  'role.updated',
+  'role.deleted'
+];
+
+const MAX_ATTEMPTS = 8;
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+const MAX_RESPONSE_BODY_LENGTH = 2048;
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+const createSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+const hmac = (secret, timestamp, body) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+/**
+ * Builds the X-Webhook-Signature header: "t=<unix seconds>,v1=<hex HMAC-SHA256>".
+ * The timestamp is part of the signed content so receivers can reject replays.
+ */
+const signPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => (
+  `t=${timestamp},v1=${hmac(secret, timestamp, body)}`
+);
+
+// What a receiver runs on the raw request body before trusting a delivery
+const verifySignature = (secret, body, header, { toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS, now = Date.now() } = {}) => {
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1) return false;
+  if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) return false;
+  const expected = Buffer.from(hmac(secret, timestamp, body));
+  const received = Buffer.from(parts.v1);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// Delay before the next try after `attempt` failed attempts: 30s, 1m, 2m, ... capped at 6h
+const retryDelay = (attempt) => Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+
+const PRIVATE_IPV4_RANGES = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16]
+];
+
+const ipv4ToInt = (ip) => ip.split('.').reduce((value, octet) => (value << 8) + Number(octet), 0) >>> 0;
+
+// Loopback, private, link-local and carrier-grade NAT addresses, including IPv4-mapped IPv6
+const isPrivateAddress = (ip) => {
+  const mapped = ip.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  const address = mapped ? mapped[1] : ip;
+  if (net.isIPv4(address)) {
+    const value = ipv4ToInt(address);
+    return PRIVATE_IPV4_RANGES.some(([base, bits]) => (value >>> (32 - bits)) === (ipv4ToInt(base) >>> (32 - bits)));
+  }
+  const normalized = address.toLowerCase();
+  return normalized === '::' || normalized === '::1' || /^f[cd]/.test(normalized) || /^fe[89ab]/.test(normalized);
+};
+
+const validateWebhook = (body, { partial = false } = {}) => {
+  const errors = {};
+  if (!partial || body.url !== undefined) {
+    let url = null;
+    try {
+      url = new URL(body.url);
+    } catch (error) {
+      // handled below
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol) || body.url.length > 2048) {
+      errors.url = 'URL must be an absolute http(s) URL';
+    } else if (url.username || url.password) {
+      errors.url = 'URL must not contain credentials';
+    }
+  }
+  if (!partial || body.events !== undefined) {
+    if (!Array.isArray(body.events) || body.events.length === 0) {
+      errors.events = 'Subscribe to at least one event';
+    } else if (body.events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+      errors.events = `Events must be among: ${WEBHOOK_EVENTS.join(', ')}`;
+    }
+  }
+  if (body.description !== undefined && (typeof body.description !== 'string' || body.description.length > 200)) {
+    errors.description = 'Description must be at most 200 characters';
+  }
+  if (body.active !== undefined && typeof body.active !== 'boolean') {
+    errors.active = 'Active must be true or false';
+  }
+  return errors;
+};
+
+// Resolves the destination up front; the connection itself may still re-resolve, so this is best effort
+const checkDestination = async (url) => {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(hostname) ? [{ address: hostname }] : await dns.lookup(hostname, { all: true });
+  return addresses.every(({ address }) => !isPrivateAddress(address));
+};
+
+/**
+ * POSTs one signed delivery. Never throws: returns { ok, retryable, status, body, error, durationMs }.
+ * Redirects are not followed, so a 3xx counts as a failure rather than a way around the address check.
+ */
+const sendWebhook = async ({ url, secret, event, deliveryId, payload, allowPrivate = false, timeoutMs = DELIVERY_TIMEOUT_MS }) => {
+  const body = JSON.stringify(payload);
+  const startedAt = Date.now();
+  try {
+    if (!allowPrivate && !await checkDestination(url)) {
+      return { ok: false, retryable: false, error: 'Destination resolves to a private address', durationMs: 0 };
+    }
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'MultiTenant-Webhooks/1.0',
+        'X-Webhook-Id': deliveryId,
+        'X-Webhook-Event': event,
+        'X-Webhook-Signature': signPayload(secret, body)
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    const text = await response.text().catch(() => '');
+    return {
+      ok: response.status >= 200 && response.status < 300,
+      retryable: true,
+      status: response.status,
+      body: text.slice(0, MAX_RESPONSE_BODY_LENGTH),
+      durationMs: Date.now() - startedAt
+    };
+  } catch (error) {
+    return {
+      ok: false,
+      retryable: true,
+      error: error.name === 'TimeoutError' ? `Timed out after ${timeoutMs}ms` : (error.cause?.message || error.message),
+      durationMs: Date.now() - startedAt
+    };
+  }
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  MAX_ATTEMPTS,
+  DELIVERY_TIMEOUT_MS,
+  createSecret,
+  signPayload,
+  verifySignature,
+  retryDelay,
+  isPrivateAddress,
+  validateWebhook,
+  sendWebhook
+};
@@ -0,0 +1,54 @@
+// Suspends or reactivates a tenant from an operator shell:
+//   MONGO_URI=mongodb://... node scripts/tenant-status.js suspend <tenantId> [reason]
+//   MONGO_URI=mongodb://... node scripts/tenant-status.js reactivate <tenantId>
+// Suspended tenants are refused by resolveTenant until reactivated; the change is audited as a system action.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { planTransition } = require('../lib/tenantLifecycle');
+
+const [action, tenantId, ...reasonWords] = process.argv.slice(2);
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/multitenant';
+
+async function main() {
+  if (!['suspend', 'reactivate'].includes(action) || !tenantId) {
+    console.error('Usage: node scripts/tenant-status.js suspend|reactivate <tenantId> [reason]');
+    return 1;
+  }
+
+  await mongoose.connect(MONGO_URI);
+  try {
+    const tenants = mongoose.connection.collection('tenants');
+    const tenant = await tenants.findOne({ tenantId });
+    if (!tenant) {
+      console.error(`Tenant not found: ${tenantId}`);
+      return 1;
+    }
+
+    const reason = reasonWords.join(' ') || undefined;
+    const update = planTransition(tenant, action, { reason });
+    const status = tenant.status || 'active';
+    await tenants.updateOne(
+      { _id: tenant._id, status: status === 'active' ? { $in: ['active', null] } : status },
+      { ...update, $set: { ...update.$set, updatedAt: new Date() } }
+    );
+    await mongoose.connection.collection('auditevents').insertOne({
+      tenantId,
+      actor: { type: 'system' },
+      action: action === 'suspend' ? 'tenant.suspended' : 'tenant.reactivated',
+      target: { type: 'tenant', id: tenantId },
+      metadata: { ...(reason && { reason }), via: 'cli' },
+      createdAt: new Date()
+    });
+    console.log(`Tenant ${tenantId} is now ${update.$set.status}`);
+    return 0;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().then((code) => {
+  process.exitCode = code;
+}).catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
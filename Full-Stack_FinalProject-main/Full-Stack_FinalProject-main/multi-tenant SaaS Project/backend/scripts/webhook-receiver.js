@@ -0,0 +1,23 @@
+// Minimal local receiver for trying out webhooks:
+//   WEBHOOK_SECRET=whsec_... node scripts/webhook-receiver.js [port]
+// Register http://localhost:<port>/ as an endpoint (private URLs are allowed outside production).
+// Set RESPOND_STATUS=500 to watch the retry queue back off.
+const http = require('http');
+const { verifySignature } = require('../lib/webhooks');
+
+const port = parseInt(process.argv[2]) || 4000;
+const secret = process.env.WEBHOOK_SECRET;
+const respondStatus = parseInt(process.env.RESPOND_STATUS) || 200;
+
+http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const signature = req.headers['x-webhook-signature'];
+    const verified = secret ? verifySignature(secret, body, signature) : 'skipped (no WEBHOOK_SECRET)';
+    console.log(`[${new Date().toISOString()}] ${req.headers['x-webhook-event']} ${req.headers['x-webhook-id']} signature: ${verified}`);
+    console.log(body);
+    res.writeHead(secret && !verified ? 401 : respondStatus, { 'Content-Type': 'text/plain' });
+    res.end(secret && !verified ? 'invalid signature' : 'ok');
+  });
+}).listen(port, () => console.log(`Webhook receiver listening on http://localhost:${port}`));
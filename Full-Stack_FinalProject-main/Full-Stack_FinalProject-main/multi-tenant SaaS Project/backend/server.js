@@ -1,3 +1,5 @@
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
 const express = require('express');
 const mongoose = require('mongoose');
 const jwt = require('jsonwebtoken');
@@ -6,281 +8,4035 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const { v4: uuidv4 } = require('uuid');
+const { parseLimit, parsePage, parseSort, findWithCursor } = require('./lib/pagination');
+const { toCsvRow } = require('./lib/csv');
+const { IMPORT_FORMATS, detectFormat, parseImport } = require('./lib/import');
+const { validateThemeUpdate, restorableTheme } = require('./lib/theme');
+const { PLAN_NAMES, DEFAULT_PLAN, getPlan, findExceededQuota } = require('./lib/plans');
+const { STAT_RANGES, parseRange, fillDailySeries, percentChange } = require('./lib/stats');
+const webhooks = require('./lib/webhooks');
+const { createLogger, requestLogging } = require('./lib/logger');
+const { createMetrics } = require('./lib/metrics');
+const { checkMongo, drainServer } = require('./lib/health');
+const { runWithTenant, runUnscoped, tenantScopePlugin } = require('./lib/tenantScope');
+const tenantResolution = require('./lib/tenantResolution');
+const { TENANT_STATUSES, planTransition, unavailableResponse, lifecycleOf } = require('./lib/tenantLifecycle');
+const { writeTarGz } = require('./lib/archive');
+const { PLATFORM_AUDIENCE, buildTenantSearch, generateTemporaryPassword } = require('./lib/platform');
+const { createMailer, createTransportFromEnv } = require('./lib/mailer');
+const { renderEmail } = require('./lib/emailTemplates');
+const QRCode = require('qrcode');
+const {
+  MFA_POLICIES,
+  ADMIN_PERMISSIONS,
+  generateSecret,
+  verifyTotp,
+  provisioningUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+  isMfaRequired
+} = require('./lib/totp');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 const MONGO_URI = process.env.MONGO_URI || 'mongodb://mongo:27017/multitenant';
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const INVITE_TTL_HOURS = parseInt(process.env.INVITE_TTL_HOURS) || 72;
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48;
+// Links in emails point here, e.g. APP_URL=https://app.example.com
+const APP_URL = (process.env.APP_URL || 'http://localhost').replace(/\/+$/, '');
+const MAIL_FROM = process.env.MAIL_FROM || 'Multi-Tenant SaaS <no-reply@localhost>';
+// Time between passing the password check and entering the second factor
+const MFA_CHALLENGE_TTL_SECONDS = parseInt(process.env.MFA_CHALLENGE_TTL_SECONDS) || 5 * 60;
+const MFA_CHALLENGE_AUDIENCE = 'mfa-challenge';
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+const IMPORT_MAX_BYTES = process.env.IMPORT_MAX_BYTES || '5mb';
+const IMPORT_MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS) || 5000;
+const IMPORT_BATCH_SIZE = 500;
+const WEBHOOK_POLL_MS = parseInt(process.env.WEBHOOK_POLL_MS) || 5000;
+const MAX_WEBHOOK_ENDPOINTS = 10;
+const MAX_API_KEYS = 25;
+const API_KEY_PREFIX = 'mtk_';
+// Local receivers are handy in development; production deliveries only go to public addresses
+const WEBHOOK_ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS
+  ? process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true'
+  : process.env.NODE_ENV !== 'production';
+// Scrapers must send "Authorization: Bearer <token>"; /metrics stays closed until this is set
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || 10 * 1000;
+const HEALTH_PING_TIMEOUT_MS = parseInt(process.env.HEALTH_PING_TIMEOUT_MS) || 2000;
+// Tenant resolution: strategies tried in order, e.g. "domain,subdomain,path"; add "header" to trust X-Tenant-ID
+const TENANT_RESOLUTION_ORDER = tenantResolution.parseResolutionOrder(process.env.TENANT_RESOLUTION);
+// Subdomain resolution only applies below this domain, e.g. BASE_DOMAIN=example.com for acme.example.com
+const BASE_DOMAIN = tenantResolution.normalizeHostname(process.env.BASE_DOMAIN);
+const MAX_CUSTOM_DOMAINS = 5;
+const resolveTxt = tenantResolution.createTxtResolver({
+  stubFile: process.env.DNS_TXT_STUB_FILE,
+  servers: tenantResolution.parseList(process.env.DNS_SERVERS)
+});
+// How long an offboarded tenant can still export or cancel before all of its data is purged
+const TENANT_DELETION_GRACE_DAYS = parseInt(process.env.TENANT_DELETION_GRACE_DAYS) || 30;
+// Platform operators sign in for a working day; there is no refresh token outside a tenant
+const PLATFORM_SESSION_TTL_HOURS = parseInt(process.env.PLATFORM_SESSION_TTL_HOURS) || 8;
+// Number of proxy hops in front of the API, or an Express trust proxy list such as "10.0.0.5"
+const TRUST_PROXY = /^\d+$/.test(process.env.TRUST_PROXY || '') ? parseInt(process.env.TRUST_PROXY) : (process.env.TRUST_PROXY || 1);
+// Demo tenants are created on first start unless turned off; production never seeds by default
+const SEED_DEMO_DATA = process.env.SEED_DEMO_DATA
+  ? process.env.SEED_DEMO_DATA === 'true'
+  : process.env.NODE_ENV !== 'production';
+
+const logger = createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  production: process.env.NODE_ENV === 'production'
+});
+const metrics = createMetrics({ maxTenants: parseInt(process.env.METRICS_MAX_TENANTS) || 100 });
+// MAIL_TRANSPORT=smtp|file|memory; see lib/mailer for the defaults
+const mailer = createMailer({ transport: createTransportFromEnv(), from: MAIL_FROM });
 
 // Middleware
+// req.ip comes from X-Forwarded-For, trusting only as many hops as sit in front of the API:
+// one, nginx, in docker-compose, where the API port is not published. A client-supplied header
+// would otherwise pick its own IP for rate limits and the audit log.
+app.set('trust proxy', TRUST_PROXY);
 app.use(helmet());
 app.use(cors());
-app.use(express.json());
 
 // Correlation ID middleware
+// Client-supplied IDs are echoed into headers and logs, so only short, plain ones are accepted
+const CORRELATION_ID_PATTERN = /^[\w.:-]{1,128}$/;
 app.use((req, res, next) => {
-  req.correlationId = req.headers['x-correlation-id'] || uuidv4();
+  const supplied = req.headers['x-correlation-id'];
+  req.correlationId = typeof supplied === 'string' && CORRELATION_ID_PATTERN.test(supplied) ? supplied : uuidv4();
   res.setHeader('X-Correlation-ID', req.correlationId);
-  console.log(`[${new Date().toISOString()}] ${req.method} ${req.path} - Correlation: ${req.correlationId}`);
   next();
 });
+app.use(requestLogging(logger));
+app.use(metrics.middleware);
+
+// "/api/t/:tenantId/..." is routed as "/api/..."; resolveTenant uses the tenant if "path" is enabled
+app.use((req, res, next) => {
+  const pathTenant = tenantResolution.extractPathTenant(req.url);
+  if (pathTenant) {
+    req.pathTenantId = pathTenant.tenantId;
+    req.url = pathTenant.url;
+  }
+  next();
+});
+
+// Set once SIGTERM arrives: readiness fails and kept-alive clients are asked to reconnect elsewhere
+let shuttingDown = false;
+app.use((req, res, next) => {
+  if (shuttingDown) res.set('Connection', 'close');
+  next();
+});
+
+// Imports read their own, larger raw body (see POST /api/resources/import)
+const jsonParser = express.json();
+app.use((req, res, next) => (req.path === '/api/resources/import' ? next() : jsonParser(req, res, next)));
+
+// Rate limiting
+// Runs from resolveTenant so every tenant route shares one per-tenant budget set by its plan
+const tenantLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  limit: (req) => getPlan(req.tenant.plan).requestsPerMinute,
+  keyGenerator: (req) => req.tenantId,
+  standardHeaders: 'draft-6',
+  legacyHeaders: false,
+  handler: (req, res, next, options) => {
+    const plan = getPlan(req.tenant.plan);
+    metrics.recordRateLimit('tenant', req.tenantId);
+    res.status(options.statusCode).json({
+      error: `Rate limit of ${plan.requestsPerMinute} requests per minute exceeded for the ${plan.label} plan`,
+      plan: req.tenant.plan,
+      retryAfter: Number(res.getHeader('Retry-After'))
+    });
+  }
+});
+
+const signupLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 10,
+  message: 'Too many signup attempts, please try again later',
+  handler: (req, res, next, options) => {
+    metrics.recordRateLimit('signup');
+    res.status(options.statusCode).send(options.message);
+  }
+});
+
+// Runs after resolveTenant; caps reset and verification emails a caller can trigger per tenant
+const emailTokenLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  keyGenerator: (req) => `${req.tenantId}:${req.ip}`,
+  standardHeaders: 'draft-6',
+  legacyHeaders: false,
+  handler: (req, res, next, options) => {
+    metrics.recordRateLimit('email_token', req.tenantId);
+    res.status(options.statusCode).json({ error: 'Too many requests, please try again later' });
+  }
+});
+
+// A 6-digit code is guessable with enough attempts, so second-factor checks get their own budget
+const mfaLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  keyGenerator: (req) => `${req.tenantId}:${req.ip}`,
+  standardHeaders: 'draft-6',
+  legacyHeaders: false,
+  handler: (req, res, next, options) => {
+    metrics.recordRateLimit('mfa', req.tenantId);
+    res.status(options.statusCode).json({ error: 'Too many verification attempts, please try again later' });
+  }
+});
+
+const platformLoginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  standardHeaders: 'draft-6',
+  legacyHeaders: false,
+  handler: (req, res, next, options) => {
+    metrics.recordRateLimit('platform_login');
+    res.status(options.statusCode).json({ error: 'Too many sign-in attempts, please try again later' });
+  }
+});
+
+// Schemas
+const TenantSchema = new mongoose.Schema({
+  tenantId: { type: String, required: true, unique: true, index: true },
+  name: { type: String, required: true },
+  logo: { type: String, default: '🏛️' },
+  primaryColor: { type: String, default: '#3b82f6' },
+  secondaryColor: { type: String, default: '#8b5cf6' },
+  accentColor: { type: String, default: '#10b981' },
+  backgroundColor: { type: String, default: '#ffffff' },
+  textColor: { type: String, default: '#1f2937' },
+  fontFamily: { type: String, default: 'system-ui, sans-serif' },
+  plan: { type: String, enum: PLAN_NAMES, default: DEFAULT_PLAN },
+  // Unpublished edits; only admins previewing it ever see this
+  themeDraft: {
+    theme: { type: mongoose.Schema.Types.Mixed },
+    updatedAt: { type: Date },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  // Lifecycle (see lib/tenantLifecycle): suspended and pending-deletion tenants are refused by resolveTenant
+  status: { type: String, enum: TENANT_STATUSES, default: 'active', index: true },
+  suspendedAt: { type: Date },
+  suspendedReason: { type: String },
+  statusBeforeDeletion: { type: String, enum: TENANT_STATUSES },
+  deletionRequestedAt: { type: Date },
+  deletionRequestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  deletionScheduledFor: { type: Date },
+  // Who must sign in with a second factor; see lib/totp
+  mfaPolicy: { type: String, enum: MFA_POLICIES, default: 'off' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Every published theme is kept so admins can diff and roll back
+const ThemeVersionSchema = new mongoose.Schema({
+  tenantId: { type: String, required: true },
+  version: { type: Number, required: true },
+  theme: { type: mongoose.Schema.Types.Mixed, required: true },
+  publishedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  restoredFrom: { type: Number },
+  note: { type: String },
+  createdAt: { type: Date, default: Date.now }
+});
+ThemeVersionSchema.index({ tenantId: 1, version: -1 }, { unique: true });
+
+const UserSchema = new mongoose.Schema({
+  tenantId: { type: String, required: true, index: true },
+  email: { type: String, required: true },
+  password: { type: String, required: function () { return this.status !== 'invited'; } },
+  name: { type: String, required: true },
+  role: { type: String, required: true, default: 'user' },
+  status: { type: String, enum: ['invited', 'active', 'deactivated'], default: 'active' },
+  inviteTokenHash: { type: String, index: { sparse: true } },
+  inviteExpiresAt: { type: Date },
+  invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  emailVerifiedAt: { type: Date },
+  emailVerificationTokenHash: { type: String, index: { sparse: true } },
+  emailVerificationExpiresAt: { type: Date },
+  passwordResetTokenHash: { type: String, index: { sparse: true } },
+  passwordResetExpiresAt: { type: Date },
+  // TOTP second factor; secrets are only loaded by the routes that check them
+  mfa: {
+    enabledAt: { type: Date },
+    secret: { type: String, select: false },
+    // Set by enrollment until the first code confirms the authenticator app has it
+    pendingSecret: { type: String, select: false },
+    // Highest time step accepted, so a code cannot be used twice
+    lastUsedStep: { type: Number },
+    recoveryCodeHashes: { type: [String], select: false, default: undefined }
+  },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+UserSchema.index({ tenantId: 1, email: 1 }, { unique: true });
+
+const RESOURCE_TYPES = ['Document', 'Image', 'Video'];
+
+const ResourceSchema = new mongoose.Schema({
+  tenantId: { type: String, required: true, index: true },
+  name: { type: String, required: true, trim: true, maxlength: 200 },
+  type: { type: String, required: true, enum: RESOURCE_TYPES },
+  // Bytes counted against the plan's storage quota
+  size: { type: Number, min: 0, default: 0 },
+  deletedAt: { type: Date },
+  deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+// _id is appended as the tiebreaker that keeps cursor pagination stable
+ResourceSchema.index({ tenantId: 1, createdAt: -1, _id: -1 });
+ResourceSchema.index({ tenantId: 1, type: 1, createdAt: -1, _id: -1 });
+ResourceSchema.index({ tenantId: 1, updatedAt: -1, _id: -1 });
+ResourceSchema.index({ tenantId: 1, name: 1, _id: 1 });
+ResourceSchema.index({ tenantId: 1, name: 'text' });
+ResourceSchema.index({ tenantId: 1, deletedAt: -1 });
+ResourceSchema.index({ deletedAt: 1 }, { sparse: true });
+
+const PERMISSIONS = ['resources:read', 'resources:write', 'tenant:configure', 'users:manage', 'audit:read', 'apikeys:manage'];
+
+// Seeded into every tenant. "admin" always holds every permission; "user" can be re-scoped by the tenant.
+const BUILT_IN_ROLES = {
+  admin: { label: 'Admin', permissions: PERMISSIONS },
+  user: { label: 'User', permissions: ['resources:read', 'resources:write'] }
+};
+
+const RoleSchema = new mongoose.Schema({
+  tenantId: { type: String, required: true },
+  name: { type: String, required: true },
+  label: { type: String, required: true },
+  permissions: [{ type: String, enum: PERMISSIONS }],
+  builtIn: { type: Boolean, default: false },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+RoleSchema.index({ tenantId: 1, name: 1 }, { unique: true });
+
+// Tenant-owned credentials for scripts and CI. Only the SHA-256 of the key is stored;
+// `prefix` is the first characters of the key so admins can tell keys apart.
+const ApiKeySchema = new mongoose.Schema({
+  tenantId: { type: String, required: true, index: true },
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  prefix: { type: String, required: true },
+  keyHash: { type: String, required: true, unique: true },
+  scopes: [{ type: String, enum: PERMISSIONS }],
+  expiresAt: { type: Date },
+  lastUsedAt: { type: Date },
+  lastUsedIp: { type: String },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+  revokedAt: { type: Date },
+  revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+});
+
+// A hostname a tenant has claimed. It only routes to the tenant once the TXT record
+// "_mt-verify.<hostname>" proves control of DNS; until then several tenants may claim it.
+const CustomDomainSchema = new mongoose.Schema({
+  tenantId: { type: String, required: true },
+  hostname: { type: String, required: true, lowercase: true, trim: true },
+  verificationToken: { type: String, required: true },
+  verifiedAt: { type: Date },
+  lastCheckedAt: { type: Date },
+  lastCheckError: { type: String },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now }
+});
+CustomDomainSchema.index({ tenantId: 1, hostname: 1 }, { unique: true });
+CustomDomainSchema.index({ hostname: 1 }, { unique: true, partialFilterExpression: { verifiedAt: { $type: 'date' } } });
+
+// One session per sign-in. The session is the refresh token family: every refresh
+// rotates refreshTokenHash, and presenting an already-rotated token revokes the session.
+const SessionSchema = new mongoose.Schema({
+  tenantId: { type: String, required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  refreshTokenHash: { type: String, required: true },
+  userAgent: { type: String },
+  ip: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date },
+  revokedReason: { type: String }
+});
+SessionSchema.index({ tenantId: 1, userId: 1, revokedAt: 1 });
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AuditEventSchema = new mongoose.Schema({
+  tenantId: { type: String, required: true },
+  actor: {
+    type: { type: String, enum: ['user', 'apiKey', 'anonymous', 'system', 'platform'], required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    apiKeyId: { type: mongoose.Schema.Types.ObjectId, ref: 'ApiKey' },
+    operatorId: { type: mongoose.Schema.Types.ObjectId, ref: 'PlatformOperator' },
+    email: { type: String }
+  },
+  action: { type: String, required: true },
+  target: {
+    type: { type: String },
+    id: { type: String }
+  },
+  changes: {
+    before: { type: mongoose.Schema.Types.Mixed },
+    after: { type: mongoose.Schema.Types.Mixed }
+  },
+  metadata: { type: mongoose.Schema.Types.Mixed },
+  ip: { type: String },
+  correlationId: { type: String },
+  createdAt: { type: Date, default: Date.now }
+});
+AuditEventSchema.index({ tenantId: 1, createdAt: -1, _id: -1 });
+AuditEventSchema.index({ tenantId: 1, action: 1, createdAt: -1 });
+AuditEventSchema.index({ tenantId: 1, 'actor.userId': 1, createdAt: -1 });
+AuditEventSchema.index({ tenantId: 1, 'target.type': 1, 'target.id': 1, createdAt: -1 });
+
+const WebhookEndpointSchema = new mongoose.Schema({
+  tenantId: { type: String, required: true, index: true },
+  url: { type: String, required: true },
+  description: { type: String },
+  events: [{ type: String, enum: webhooks.WEBHOOK_EVENTS }],
+  // Kept in plaintext because every delivery is signed with it
+  secret: { type: String, required: true },
+  active: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Doubles as the retry queue: the worker claims due "pending" rows one at a time
+const WebhookDeliverySchema = new mongoose.Schema({
+  tenantId: { type: String, required: true },
+  endpointId: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookEndpoint', required: true },
+  event: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  status: { type: String, enum: ['pending', 'delivering', 'succeeded', 'failed'], default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedUntil: { type: Date },
+  lastAttemptAt: { type: Date },
+  responseStatus: { type: Number },
+  responseBody: { type: String },
+  error: { type: String },
+  durationMs: { type: Number },
+  redeliveryOf: { type: mongoose.Schema.Types.ObjectId },
+  createdAt: { type: Date, default: Date.now }
+});
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ tenantId: 1, endpointId: 1, createdAt: -1, _id: -1 });
+WebhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// Platform operators administer every tenant and belong to none, so these models are not tenant-scoped
+const PlatformOperatorSchema = new mongoose.Schema({
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  name: { type: String, required: true },
+  password: { type: String, required: true },
+  status: { type: String, enum: ['active', 'deactivated'], default: 'active' },
+  lastLoginAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+const PlatformSessionSchema = new mongoose.Schema({
+  operatorId: { type: mongoose.Schema.Types.ObjectId, ref: 'PlatformOperator', required: true, index: true },
+  userAgent: { type: String },
+  ip: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date }
+});
+PlatformSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Every operator action; those aimed at a tenant are copied into that tenant's own AuditEvent log
+const PlatformAuditEventSchema = new mongoose.Schema({
+  actor: {
+    type: { type: String, enum: ['platform', 'anonymous', 'system'], required: true },
+    operatorId: { type: mongoose.Schema.Types.ObjectId, ref: 'PlatformOperator' },
+    email: { type: String }
+  },
+  action: { type: String, required: true },
+  tenantId: { type: String },
+  target: {
+    type: { type: String },
+    id: { type: String }
+  },
+  changes: {
+    before: { type: mongoose.Schema.Types.Mixed },
+    after: { type: mongoose.Schema.Types.Mixed }
+  },
+  metadata: { type: mongoose.Schema.Types.Mixed },
+  ip: { type: String },
+  correlationId: { type: String },
+  createdAt: { type: Date, default: Date.now }
+});
+PlatformAuditEventSchema.index({ createdAt: -1, _id: -1 });
+PlatformAuditEventSchema.index({ tenantId: 1, createdAt: -1, _id: -1 });
+
+// Every tenant-owned model is scoped to the tenant resolved for the current request (see lib/tenantScope)
+[
+  UserSchema,
+  ResourceSchema,
+  AuditEventSchema,
+  SessionSchema,
+  RoleSchema,
+  ThemeVersionSchema,
+  ApiKeySchema,
+  WebhookEndpointSchema,
+  WebhookDeliverySchema,
+  CustomDomainSchema
+].forEach(schema => schema.plugin(tenantScopePlugin));
+
+const Tenant = mongoose.model('Tenant', TenantSchema);
+const User = mongoose.model('User', UserSchema);
+const Resource = mongoose.model('Resource', ResourceSchema);
+const AuditEvent = mongoose.model('AuditEvent', AuditEventSchema);
+const Session = mongoose.model('Session', SessionSchema);
+const Role = mongoose.model('Role', RoleSchema);
+const ThemeVersion = mongoose.model('ThemeVersion', ThemeVersionSchema);
+const ApiKey = mongoose.model('ApiKey', ApiKeySchema);
+const WebhookEndpoint = mongoose.model('WebhookEndpoint', WebhookEndpointSchema);
+const WebhookDelivery = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
+const CustomDomain = mongoose.model('CustomDomain', CustomDomainSchema);
+const PlatformOperator = mongoose.model('PlatformOperator', PlatformOperatorSchema);
+const PlatformSession = mongoose.model('PlatformSession', PlatformSessionSchema);
+const PlatformAuditEvent = mongoose.model('PlatformAuditEvent', PlatformAuditEventSchema);
+
+// Tenant slugs double as subdomains and /t/:tenant path segments
+const TENANT_SLUG_PATTERN = /^[a-z0-9](?:[a-z0-9-]{1,30}[a-z0-9])$/;
+// Extend with RESERVED_SUBDOMAINS=docs,blog; these never resolve as tenants and cannot be signed up for
+const RESERVED_TENANT_SLUGS = [
+  ...new Set([
+    'admin', 'api', 'app', 'auth', 'health', 'localhost', 'mail', 'platform', 'static', 'status', 't', 'www',
+    ...tenantResolution.parseList(process.env.RESERVED_SUBDOMAINS)
+  ])
+];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+const validateSignup = ({ tenantId, name, adminName, adminEmail, password }) => {
+  const errors = {};
+  if (typeof tenantId !== 'string' || !TENANT_SLUG_PATTERN.test(tenantId)) {
+    errors.tenantId = 'Must be 3-32 lowercase letters, numbers or hyphens, starting and ending with a letter or number';
+  } else if (RESERVED_TENANT_SLUGS.includes(tenantId)) {
+    errors.tenantId = 'This tenant ID is reserved';
+  }
+  if (typeof name !== 'string' || !name.trim()) {
+    errors.name = 'Organization name is required';
+  }
+  if (typeof adminName !== 'string' || !adminName.trim()) {
+    errors.adminName = 'Admin name is required';
+  }
+  if (typeof adminEmail !== 'string' || !EMAIL_PATTERN.test(adminEmail)) {
+    errors.adminEmail = 'A valid email address is required';
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    errors.password = `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return errors;
+};
+
+const validateResource = (body, { partial = false } = {}) => {
+  const errors = {};
+  if (!partial || body.name !== undefined) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      errors.name = 'Name is required';
+    } else if (body.name.trim().length > 200) {
+      errors.name = 'Name must be at most 200 characters';
+    }
+  }
+  if (!partial || body.type !== undefined) {
+    if (!RESOURCE_TYPES.includes(body.type)) {
+      errors.type = `Type must be one of: ${RESOURCE_TYPES.join(', ')}`;
+    }
+  }
+  if (body.size !== undefined && !(Number.isSafeInteger(body.size) && body.size >= 0)) {
+    errors.size = 'Size must be a non-negative whole number of bytes';
+  }
+  return errors;
+};
+
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9-]{1,31}$/;
+
+// Creates missing built-in roles without clobbering a tenant's edits to "user"
+const ensureBuiltInRoles = (tenantIds) => Role.bulkWrite(
+  tenantIds.flatMap(tenantId => Object.entries(BUILT_IN_ROLES).map(([name, role]) => ({
+    updateOne: {
+      filter: { tenantId, name },
+      update: name === 'admin'
+        ? { $set: { permissions: role.permissions, builtIn: true }, $setOnInsert: { label: role.label } }
+        : { $setOnInsert: { label: role.label, permissions: role.permissions, builtIn: true } },
+      upsert: true
+    }
+  })))
+);
+
+// Current consumption of everything a plan limits; trashed resources are excluded
+const getTenantUsage = async (tenantId) => {
+  const [users, resources, storage] = await Promise.all([
+    User.countDocuments({ tenantId, status: { $ne: 'deactivated' } }),
+    Resource.countDocuments({ tenantId, deletedAt: null }),
+    Resource.aggregate([
+      { $match: { tenantId, deletedAt: null } },
+      { $group: { _id: null, bytes: { $sum: '$size' } } }
+    ])
+  ]);
+  return { users, resources, storageBytes: storage[0]?.bytes || 0 };
+};
+
+/**
+ * Returns a 402 response body when adding `increments` would exceed the tenant's plan, else null.
+ * Check-then-write is not atomic, so concurrent requests can overshoot a quota slightly.
+ */
+const checkPlanQuota = async (req, increments) => {
+  const plan = getPlan(req.tenant.plan);
+  const exceeded = findExceededQuota(plan, await getTenantUsage(req.tenantId), increments);
+  if (!exceeded) return null;
+  return {
+    error: `The ${plan.label} plan allows at most ${exceeded.limit} ${exceeded.quota === 'storageBytes' ? 'bytes of storage' : exceeded.quota}`,
+    plan: req.tenant.plan,
+    ...exceeded
+  };
+};
+
+const getRolePermissions = async (tenantId, roleName) => {
+  const role = await Role.findOne({ tenantId, name: roleName }).select('permissions').lean();
+  return role ? role.permissions : [];
+};
+
+// Roles whose members administer the tenant, i.e. hold at least one administrative permission
+const findAdminRoleNames = (tenantId) => Role.distinct('name', { tenantId, permissions: { $in: ADMIN_PERMISSIONS } });
+
+// Access is only ever handed on, never created: whatever a caller grants must be within their own permissions
+const holdsAll = (req, permissions) => permissions.every(permission => req.user.permissions.includes(permission));
+
+// Returns why the caller may not give someone this role, or null if they may
+const checkAssignableRole = async (req, name) => {
+  const role = typeof name === 'string' && await Role.findOne({ tenantId: req.tenantId, name }).select('permissions').lean();
+  if (!role) return 'Invalid role';
+  if (!holdsAll(req, role.permissions)) return 'You cannot assign a role with permissions you do not hold yourself';
+  return null;
+};
+
+const RESOURCE_SORT_FIELDS = ['createdAt', 'updatedAt', 'name', 'type'];
+
+// Query strings can repeat a parameter or nest it (?from=a&from=b, ?from[x]=1); only a single string is a date
+const parseDateParam = (value) => {
+  if (value === undefined) return undefined;
+  if (typeof value !== 'string') return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Translates GET /api/resources query parameters into a Mongo filter
+const buildResourceFilter = (tenantId, query) => {
+  const errors = {};
+  const filter = { tenantId, deletedAt: null };
+  
+  if (query.type) {
+    const types = String(query.type).split(',');
+    if (types.some(type => !RESOURCE_TYPES.includes(type))) {
+      errors.type = `Type must be one of: ${RESOURCE_TYPES.join(', ')}`;
+    } else {
+      filter.type = types.length === 1 ? types[0] : { $in: types };
+    }
+  }
+  
+  if (query.q) {
+    filter.$text = { $search: String(query.q).slice(0, 200) };
+  }
+  
+  for (const field of ['createdAt', 'updatedAt']) {
+    const prefix = field.replace('At', '');
+    const from = parseDateParam(query[`${prefix}From`]);
+    const to = parseDateParam(query[`${prefix}To`]);
+    if (from === null || to === null) {
+      errors[field] = `${prefix}From and ${prefix}To must be ISO 8601 dates`;
+      continue;
+    }
+    if (from || to) {
+      filter[field] = { ...(from && { $gte: from }), ...(to && { $lte: to }) };
+    }
+  }
+  
+  return { filter, errors };
+};
+
+const themeFromTenant = (tenant) => ({
+  name: tenant.name,
+  logo: tenant.logo,
+  primaryColor: tenant.primaryColor,
+  secondaryColor: tenant.secondaryColor,
+  accentColor: tenant.accentColor,
+  backgroundColor: tenant.backgroundColor,
+  textColor: tenant.textColor,
+  fontFamily: tenant.fontFamily
+});
+
+// Keeps only the fields whose values differ, so events stay small and readable
+const diffChanges = (before = {}, after = {}) => {
+  const changes = { before: {}, after: {} };
+  for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      changes.before[key] = before[key];
+      changes.after[key] = after[key];
+    }
+  }
+  return changes;
+};
+
+/**
+ * Appends an audit event for the current request. Failures are logged rather than
+ * thrown so a slow or failing audit write never breaks the mutation it describes.
+ */
+const recordAudit = (req, action, { tenantId, actor, target, before, after, metadata } = {}) => {
+  return AuditEvent.create({
+    tenantId: tenantId || req.tenantId,
+    actor: actor || requestActor(req),
+    action,
+    target,
+    changes: before || after ? diffChanges(before, after) : undefined,
+    metadata,
+    ip: req.ip,
+    correlationId: req.correlationId
+  }).then((event) => {
+    if (webhooks.WEBHOOK_EVENTS.includes(action)) {
+      return enqueueWebhooks(event.tenantId, action, toWebhookPayload(event));
+    }
+  }).catch((error) => {
+    req.log.error('Audit write error', { err: error });
+  });
+};
+
+// Webhook payloads are built from the audit event, so they describe exactly what was recorded
+const toWebhookPayload = (event) => ({
+  id: String(event._id),
+  type: event.action,
+  tenantId: event.tenantId,
+  createdAt: event.createdAt,
+  data: {
+    actor: event.actor,
+    target: event.target,
+    changes: event.changes,
+    metadata: event.metadata
+  }
+});
+
+const enqueueWebhooks = async (tenantId, event, payload) => {
+  const endpoints = await WebhookEndpoint.find({ tenantId, active: true, events: event }).select('_id').lean();
+  if (endpoints.length === 0) return;
+  await WebhookDelivery.insertMany(endpoints.map(endpoint => ({ tenantId, endpointId: endpoint._id, event, payload })));
+  // The worker drains every tenant's queue, so it must not inherit this request's scope
+  setImmediate(() => runUnscoped(processWebhookQueue));
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const toPublicUser = (user) => ({
+  id: user._id,
+  email: user.email,
+  name: user.name,
+  role: user.role,
+  status: user.status,
+  emailVerified: Boolean(user.emailVerifiedAt),
+  mfaEnabled: Boolean(user.mfa?.enabledAt),
+  createdAt: user.createdAt,
+  updatedAt: user.updatedAt
+});
+
+// Refresh tokens are "<sessionId>.<secret>" so a presented token always identifies its family
+const createRefreshSecret = () => crypto.randomBytes(32).toString('base64url');
+
+// Who a request acts as, for audit events and webhook payloads
+const requestActor = (req) => {
+  if (req.operator) return { type: 'platform', operatorId: req.operator.id, email: req.operator.email };
+  if (req.apiKey) return { type: 'apiKey', apiKeyId: req.apiKey.id };
+  return req.user ? { type: 'user', userId: req.user.userId } : { type: 'anonymous' };
+};
+
+// Accepts "Authorization: ApiKey <key>" or "X-API-Key: <key>"
+const readApiKey = (req) => {
+  const header = req.headers['x-api-key'] || req.headers.authorization?.match(/^ApiKey\s+(\S+)$/i)?.[1];
+  return typeof header === 'string' && header.startsWith(API_KEY_PREFIX) ? header : null;
+};
+
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== 'string') return null;
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!secret || !mongoose.isValidObjectId(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+const signAccessToken = (user, session) => jwt.sign(
+  { userId: user._id, tenantId: user.tenantId, role: user.role, sid: session._id },
+  JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+const revokeUserSessions = (tenantId, userId, reason) => Session.updateMany(
+  { tenantId, userId, revokedAt: null },
+  { revokedAt: new Date(), revokedReason: reason }
+);
+
+const buildAuthResponse = async (req, user, tenant) => {
+  const secret = createRefreshSecret();
+  const session = await Session.create({
+    tenantId: tenant.tenantId,
+    userId: user._id,
+    refreshTokenHash: hashToken(secret),
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+  const permissions = await getRolePermissions(tenant.tenantId, user.role);
+  
+  return {
+    token: signAccessToken(user, session),
+    refreshToken: `${session._id}.${secret}`,
+    user: {
+      id: user._id,
+      email: user.email,
+      name: user.name,
+      tenantId: user.tenantId,
+      role: user.role,
+      emailVerified: Boolean(user.emailVerifiedAt),
+      mfaEnabled: Boolean(user.mfa?.enabledAt),
+      permissions
+    },
+    theme: themeFromTenant(tenant),
+    tenant: lifecycleOf(tenant)
+  };
+};
+
+// Tenant Resolution Middleware
+// Verified custom domains are looked up before any tenant is known, hence unscoped
+// exec() starts the query inside runUnscoped; a bare Query would only run once awaited outside it
+const lookupCustomDomain = async (hostname) => {
+  const domain = await runUnscoped(() => CustomDomain.findOne({ hostname, verifiedAt: { $ne: null } }).select('tenantId').lean().exec());
+  return domain?.tenantId || null;
+};
+
+// Strategies and their order come from TENANT_RESOLUTION; see lib/tenantResolution.
+// Out-of-service tenants are refused; `allowPendingDeletion` keeps sign-in, export and cancel reachable.
+const resolveTenantWith = ({ allowPendingDeletion = false } = {}) => async (req, res, next) => {
+  try {
+    const resolved = await tenantResolution.resolveTenantId({
+      order: TENANT_RESOLUTION_ORDER,
+      hostname: tenantResolution.normalizeHostname(req.headers.host),
+      baseDomain: BASE_DOMAIN,
+      reserved: RESERVED_TENANT_SLUGS,
+      pathTenantId: req.pathTenantId,
+      headerTenantId: req.headers['x-tenant-id'],
+      lookupDomain: lookupCustomDomain
+    });
+    
+    if (!resolved) {
+      return res.status(400).json({ error: 'Tenant ID required' });
+    }
+    const { tenantId } = resolved;
+    
+    const tenant = await Tenant.findOne({ tenantId });
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant not found' });
+    }
+    const unavailable = unavailableResponse(tenant, { allowPendingDeletion });
+    if (unavailable) {
+      return res.status(403).json(unavailable);
+    }
+    
+    req.tenantId = tenantId;
+    req.tenant = tenant;
+    req.tenantSource = resolved.source;
+    // Everything downstream, including awaits and callbacks, runs scoped to this tenant
+    runWithTenant(tenantId, () => tenantLimiter(req, res, next));
+  } catch (error) {
+    req.log.error('Tenant resolution error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+const resolveTenant = resolveTenantWith();
+const resolveTenantForOffboarding = resolveTenantWith({ allowPendingDeletion: true });
+
+// Auth Middleware
+const authenticate = async (req, res, next) => {
+  try {
+    const apiKey = readApiKey(req);
+    if (apiKey) {
+      return await authenticateApiKey(req, res, next, apiKey);
+    }
+    
+    const token = req.headers.authorization?.replace('Bearer ', '');
+    if (!token) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    
+    const decoded = jwt.verify(token, JWT_SECRET);
+    
+    if (decoded.tenantId !== req.tenantId) {
+      req.log.warn('Tenant mismatch', { claimedTenantId: decoded.tenantId });
+      return res.status(403).json({ error: 'Tenant mismatch' });
+    }
+    
+    // Tokens outlive role changes, deactivation and logout, so account and session are checked on every request
+    const [account, session] = await Promise.all([
+      User.findOne({ _id: decoded.userId, tenantId: req.tenantId }).select('role status').lean(),
+      decoded.sid && Session.findOne({ _id: decoded.sid, tenantId: req.tenantId }).select('revokedAt expiresAt').lean()
+    ]);
+    if (!account || account.status !== 'active') {
+      req.log.warn('Inactive account', { userId: decoded.userId });
+      return res.status(401).json({ error: 'Account is not active' });
+    }
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+      return res.status(401).json({ error: 'Session has been revoked' });
+    }
+    
+    req.user = { ...decoded, role: account.role, permissions: await getRolePermissions(req.tenantId, account.role) };
+    next();
+  } catch (error) {
+    req.log.error('Auth error', { err: error });
+    res.status(401).json({ error: 'Invalid token' });
+  }
+};
+
+// Resolved per request, so revocation and expiry take effect immediately
+const authenticateApiKey = async (req, res, next, key) => {
+  // Looked up across tenants so a key presented to the wrong tenant is reported, not just unknown
+  const apiKey = await runUnscoped(() => ApiKey.findOne({ keyHash: hashToken(key) }).lean().exec());
+  if (!apiKey || apiKey.revokedAt || (apiKey.expiresAt && apiKey.expiresAt <= new Date())) {
+    return res.status(401).json({ error: 'Invalid API key' });
+  }
+  // Same binding as the JWT tenantId claim: a key only ever works for the tenant that issued it
+  if (apiKey.tenantId !== req.tenantId) {
+    req.log.warn('Tenant mismatch for API key', { apiKeyId: apiKey._id, keyTenantId: apiKey.tenantId });
+    return res.status(403).json({ error: 'Tenant mismatch' });
+  }
+  
+  // Throttled so busy keys do not write on every request
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > 60 * 1000) {
+    ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date(), lastUsedIp: req.ip } })
+      .catch(error => req.log.error('API key usage update error', { err: error }));
+  }
+  
+  req.apiKey = { id: apiKey._id, name: apiKey.name };
+  req.user = { tenantId: apiKey.tenantId, role: null, permissions: apiKey.scopes };
+  next();
+};
+
+// For endpoints about the signed-in person (sessions, credentials), which API keys cannot use
+const requireUserSession = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({ error: 'This endpoint requires a signed-in user' });
+  }
+  next();
+};
+
+// Declares what a route needs, e.g. requirePermission('resources:write'); runs after authenticate
+const requirePermission = (...required) => (req, res, next) => {
+  const missing = required.filter(permission => !req.user.permissions.includes(permission));
+  if (missing.length > 0) {
+    return res.status(403).json({ error: 'Permission denied', missing });
+  }
+  next();
+};
+
+// Routes
+// Liveness only says the process can serve HTTP; /health is kept for existing probes
+const liveness = (req, res) => {
+  res.json({ status: 'ok', uptime: Math.round(process.uptime()), timestamp: new Date().toISOString() });
+};
+app.get('/health', liveness);
+app.get('/health/live', liveness);
+
+// Readiness fails while Mongo is unreachable or the server is draining, so traffic goes elsewhere
+app.get('/health/ready', async (req, res) => {
+  const mongo = await checkMongo(mongoose.connection, { timeoutMs: HEALTH_PING_TIMEOUT_MS });
+  const ready = mongo.status === 'up' && !shuttingDown;
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'degraded',
+    shuttingDown,
+    checks: { mongo },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// A token rather than the caller's address decides access: req.ip is only as trustworthy as the proxies in front
+const authorizeMetrics = (req, res, next) => {
+  if (!METRICS_TOKEN) {
+    return res.status(403).json({ error: 'Metrics are disabled until METRICS_TOKEN is set' });
+  }
+  const supplied = Buffer.from(req.headers.authorization?.replace('Bearer ', '') || '');
+  const expected = Buffer.from(METRICS_TOKEN);
+  if (supplied.length !== expected.length || !crypto.timingSafeEqual(supplied, expected)) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  next();
+};
+
+app.get('/metrics', authorizeMetrics, async (req, res) => {
+  try {
+    res.set('Content-Type', metrics.registry.contentType);
+    res.send(await metrics.registry.metrics());
+  } catch (error) {
+    req.log.error('Metrics error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/auth/login', resolveTenantForOffboarding, async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    
+    const user = await User.findOne({ tenantId: req.tenantId, email });
+    const actor = { type: user ? 'user' : 'anonymous', userId: user?._id, email: typeof email === 'string' ? email : undefined };
+    if (!user || user.status === 'invited') {
+      const reason = user ? 'invite_pending' : 'unknown_user';
+      metrics.recordLogin(req.tenantId, 'failure', reason);
+      recordAudit(req, 'auth.login.failed', { actor, metadata: { reason } });
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+    
+    const validPassword = await bcrypt.compare(password, user.password);
+    if (!validPassword) {
+      metrics.recordLogin(req.tenantId, 'failure', 'invalid_password');
+      recordAudit(req, 'auth.login.failed', { actor, metadata: { reason: 'invalid_password' } });
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+    
+    if (user.status === 'deactivated') {
+      metrics.recordLogin(req.tenantId, 'failure', 'deactivated');
+      recordAudit(req, 'auth.login.failed', { actor, metadata: { reason: 'deactivated' } });
+      return res.status(403).json({ error: 'Account is deactivated' });
+    }
+    
+    const challenge = await mfaChallengeFor(req, user);
+    if (challenge) {
+      req.log.info('MFA challenge issued', { email });
+      recordAudit(req, 'auth.mfa.challenged', { actor, metadata: { enrollmentRequired: challenge.enrollmentRequired } });
+      return res.json(challenge);
+    }
+    
+    req.log.info('Login successful', { email });
+    metrics.recordLogin(req.tenantId, 'success');
+    recordAudit(req, 'auth.login.succeeded', { actor });
+    
+    res.json(await buildAuthResponse(req, user, req.tenant));
+  } catch (error) {
+    req.log.error('Login error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/auth/refresh', resolveTenantForOffboarding, async (req, res) => {
+  try {
+    const parsed = parseRefreshToken(req.body.refreshToken);
+    if (!parsed) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+    
+    const session = await Session.findOne({ _id: parsed.sessionId, tenantId: req.tenantId });
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+      return res.status(401).json({ error: 'Session has expired or been revoked' });
+    }
+    
+    const user = await User.findOne({ _id: session.userId, tenantId: req.tenantId });
+    if (!user || user.status !== 'active') {
+      return res.status(401).json({ error: 'Account is not active' });
+    }
+    
+    // Matching on the current hash makes rotation atomic: a token can be exchanged once
+    const secret = createRefreshSecret();
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: hashToken(parsed.secret), revokedAt: null },
+      { refreshTokenHash: hashToken(secret), lastUsedAt: new Date(), ip: req.ip },
+      { new: true }
+    );
+    
+    if (!rotated) {
+      // A rotated-out token came back: assume it was stolen and kill the whole family
+      await Session.updateOne({ _id: session._id }, { revokedAt: new Date(), revokedReason: 'refresh_token_reuse' });
+      req.log.warn('Refresh token reuse detected', { sessionId: session._id, userId: session.userId });
+      recordAudit(req, 'auth.refresh.reused', {
+        actor: { type: 'user', userId: user._id, email: user.email },
+        target: { type: 'session', id: String(session._id) }
+      });
+      return res.status(401).json({ error: 'Session has expired or been revoked' });
+    }
+    
+    res.json({
+      token: signAccessToken(user, rotated),
+      refreshToken: `${rotated._id}.${secret}`
+    });
+  } catch (error) {
+    req.log.error('Refresh error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/auth/logout', resolveTenantForOffboarding, authenticate, requireUserSession, async (req, res) => {
+  try {
+    await Session.updateOne(
+      { _id: req.user.sid, tenantId: req.tenantId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'logout' }
+    );
+    
+    recordAudit(req, 'auth.logout', { target: { type: 'session', id: String(req.user.sid) } });
+    
+    res.status(204).end();
+  } catch (error) {
+    req.log.error('Logout error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/auth/sessions', resolveTenant, authenticate, requireUserSession, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      tenantId: req.tenantId,
+      userId: req.user.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 }).lean();
+    
+    res.json({
+      data: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: String(session._id) === String(req.user.sid)
+      }))
+    });
+  } catch (error) {
+    req.log.error('List sessions error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Signs out every other device, keeping the session making the request
+app.delete('/api/auth/sessions', resolveTenant, authenticate, requireUserSession, async (req, res) => {
+  try {
+    const { modifiedCount } = await Session.updateMany(
+      { tenantId: req.tenantId, userId: req.user.userId, revokedAt: null, _id: { $ne: req.user.sid } },
+      { revokedAt: new Date(), revokedReason: 'revoked_by_user' }
+    );
+    
+    recordAudit(req, 'auth.sessions.revoked', { metadata: { count: modifiedCount } });
+    
+    res.json({ revoked: modifiedCount });
+  } catch (error) {
+    req.log.error('Revoke sessions error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/auth/sessions/:id', resolveTenant, authenticate, requireUserSession, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    const session = await Session.findOneAndUpdate(
+      { _id: req.params.id, tenantId: req.tenantId, userId: req.user.userId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'revoked_by_user' }
+    );
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    recordAudit(req, 'auth.session.revoked', { target: { type: 'session', id: String(session._id) } });
+    
+    res.status(204).end();
+  } catch (error) {
+    req.log.error('Revoke session error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Multi-factor authentication
+// Users with MFA, or whom the tenant policy requires to have it, get a short-lived challenge
+// token from the password step instead of a session. POST /api/auth/mfa/challenge trades it,
+// plus a code, for the usual tokens. The challenge has no session, so authenticate refuses it.
+const mfaChallengeFor = async (req, user) => {
+  const enrolled = Boolean(user.mfa?.enabledAt);
+  if (!enrolled && !isMfaRequired(req.tenant.mfaPolicy, await getRolePermissions(req.tenantId, user.role))) return null;
+  return {
+    mfaRequired: true,
+    enrollmentRequired: !enrolled,
+    challengeToken: jwt.sign(
+      { userId: user._id, tenantId: user.tenantId },
+      JWT_SECRET,
+      { audience: MFA_CHALLENGE_AUDIENCE, expiresIn: MFA_CHALLENGE_TTL_SECONDS }
+    ),
+    expiresIn: MFA_CHALLENGE_TTL_SECONDS
+  };
+};
+
+// The active user a challenge token was issued to, with MFA secrets loaded, or null
+const userFromChallenge = async (req) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(String(req.body.challengeToken), JWT_SECRET, { audience: MFA_CHALLENGE_AUDIENCE });
+  } catch (error) {
+    return null;
+  }
+  if (decoded.tenantId !== req.tenantId) return null;
+  const user = await User.findOne({ _id: decoded.userId, tenantId: req.tenantId })
+    .select('+mfa.secret +mfa.pendingSecret');
+  return user?.status === 'active' ? user : null;
+};
+
+const hashRecoveryCodes = (codes) => codes.map(code => hashToken(normalizeRecoveryCode(code)));
+
+// Stores a new secret as pending; it only takes effect once confirmMfaEnrollment sees a code from it
+const startMfaEnrollment = async (user, tenant) => {
+  const secret = generateSecret();
+  await User.updateOne({ _id: user._id, tenantId: tenant.tenantId }, { $set: { 'mfa.pendingSecret': secret } });
+  const otpauthUrl = provisioningUri({ secret, issuer: tenant.name, account: user.email });
+  return { secret, otpauthUrl, qrCode: await QRCode.toDataURL(otpauthUrl) };
+};
+
+// Returns fresh recovery codes, or null when `code` does not come from the pending secret
+const confirmMfaEnrollment = async (user, code) => {
+  const pendingSecret = user.mfa?.pendingSecret;
+  const step = pendingSecret && verifyTotp(pendingSecret, code);
+  if (!step) return null;
+  
+  const recoveryCodes = generateRecoveryCodes();
+  const { modifiedCount } = await User.updateOne(
+    { _id: user._id, tenantId: user.tenantId, 'mfa.pendingSecret': pendingSecret },
+    {
+      $set: {
+        'mfa.secret': pendingSecret,
+        'mfa.enabledAt': new Date(),
+        'mfa.lastUsedStep': step,
+        'mfa.recoveryCodeHashes': hashRecoveryCodes(recoveryCodes),
+        updatedAt: new Date()
+      },
+      $unset: { 'mfa.pendingSecret': 1 }
+    }
+  );
+  return modifiedCount ? recoveryCodes : null;
+};
+
+/**
+ * Checks a TOTP `code` or a `recoveryCode` for an enrolled user. Each is consumed by a
+ * conditional update, so a code seen twice (or raced) only works once. Returns the method
+ * used, 'totp' or 'recovery_code', or null.
+ */
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (typeof code === 'string' && code) {
+    const step = verifyTotp(user.mfa.secret, code);
+    if (!step) return null;
+    const { modifiedCount } = await User.updateOne(
+      { _id: user._id, tenantId: user.tenantId, $or: [{ 'mfa.lastUsedStep': { $lt: step } }, { 'mfa.lastUsedStep': null }] },
+      { $set: { 'mfa.lastUsedStep': step } }
+    );
+    return modifiedCount ? 'totp' : null;
+  }
+  if (typeof recoveryCode === 'string' && recoveryCode) {
+    const hash = hashToken(normalizeRecoveryCode(recoveryCode));
+    const { modifiedCount } = await User.updateOne(
+      { _id: user._id, tenantId: user.tenantId, 'mfa.recoveryCodeHashes': hash },
+      { $pull: { 'mfa.recoveryCodeHashes': hash } }
+    );
+    return modifiedCount ? 'recovery_code' : null;
+  }
+  return null;
+};
+
+const mfaStatus = async (tenant, userId) => {
+  const user = await User.findOne({ _id: userId, tenantId: tenant.tenantId }).select('+mfa.recoveryCodeHashes').lean();
+  return {
+    enabled: Boolean(user.mfa?.enabledAt),
+    enabledAt: user.mfa?.enabledAt,
+    required: isMfaRequired(tenant.mfaPolicy, await getRolePermissions(tenant.tenantId, user.role)),
+    recoveryCodesRemaining: user.mfa?.recoveryCodeHashes?.length || 0
+  };
+};
+
+// For a user who has to enroll before finishing sign-in
+app.post('/api/auth/mfa/challenge/enroll', resolveTenantForOffboarding, mfaLimiter, async (req, res) => {
+  try {
+    const user = await userFromChallenge(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Sign-in has expired, please start again' });
+    }
+    if (user.mfa?.enabledAt) {
+      return res.status(409).json({ error: 'Two-factor authentication is already set up' });
+    }
+    
+    res.set('Cache-Control', 'no-store');
+    res.json(await startMfaEnrollment(user, req.tenant));
+  } catch (error) {
+    req.log.error('MFA challenge enroll error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Second login step. Enrolled users send a code or a recovery code; users enrolling send
+// their first code, and get their recovery codes back alongside the tokens.
+app.post('/api/auth/mfa/challenge', resolveTenantForOffboarding, mfaLimiter, async (req, res) => {
+  try {
+    const user = await userFromChallenge(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Sign-in has expired, please start again' });
+    }
+    
+    const actor = { type: 'user', userId: user._id, email: user.email };
+    let method;
+    let recoveryCodes;
+    if (user.mfa?.enabledAt) {
+      method = await verifySecondFactor(user, req.body);
+    } else {
+      recoveryCodes = await confirmMfaEnrollment(user, req.body.code);
+      method = recoveryCodes && 'totp';
+    }
+    
+    if (!method) {
+      metrics.recordLogin(req.tenantId, 'failure', 'invalid_mfa_code');
+      recordAudit(req, 'auth.login.failed', { actor, metadata: { reason: 'invalid_mfa_code' } });
+      return res.status(401).json({ error: 'Invalid verification code' });
+    }
+    
+    req.log.info('Login successful', { email: user.email, mfa: method });
+    metrics.recordLogin(req.tenantId, 'success');
+    if (recoveryCodes) {
+      recordAudit(req, 'user.mfa.enabled', { actor, target: { type: 'user', id: String(user._id) } });
+    }
+    recordAudit(req, 'auth.login.succeeded', { actor, metadata: { mfa: method } });
+    
+    const response = await buildAuthResponse(req, await User.findOne({ _id: user._id, tenantId: req.tenantId }), req.tenant);
+    res.set('Cache-Control', 'no-store');
+    res.json({ ...response, ...(recoveryCodes && { recoveryCodes }) });
+  } catch (error) {
+    req.log.error('MFA challenge error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/auth/mfa', resolveTenant, authenticate, requireUserSession, async (req, res) => {
+  try {
+    res.json(await mfaStatus(req.tenant, req.user.userId));
+  } catch (error) {
+    req.log.error('Get MFA status error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/auth/mfa/enroll', resolveTenant, authenticate, requireUserSession, async (req, res) => {
+  try {
+    const user = await User.findOne({ _id: req.user.userId, tenantId: req.tenantId });
+    if (user.mfa?.enabledAt) {
+      return res.status(409).json({ error: 'Two-factor authentication is already set up' });
+    }
+    
+    res.set('Cache-Control', 'no-store');
+    res.json(await startMfaEnrollment(user, req.tenant));
+  } catch (error) {
+    req.log.error('MFA enroll error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/auth/mfa/enroll/confirm', resolveTenant, authenticate, requireUserSession, mfaLimiter, async (req, res) => {
+  try {
+    const user = await User.findOne({ _id: req.user.userId, tenantId: req.tenantId }).select('+mfa.pendingSecret');
+    if (user.mfa?.enabledAt) {
+      return res.status(409).json({ error: 'Two-factor authentication is already set up' });
+    }
+    
+    const recoveryCodes = await confirmMfaEnrollment(user, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ error: 'Validation failed', fields: { code: 'That code does not match, check the time on your device and try again' } });
+    }
+    
+    recordAudit(req, 'user.mfa.enabled', { target: { type: 'user', id: String(user._id) } });
+    
+    res.set('Cache-Control', 'no-store');
+    res.json({ recoveryCodes });
+  } catch (error) {
+    req.log.error('MFA confirm error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Replaces every recovery code; a current authenticator code proves the device is still at hand
+app.post('/api/auth/mfa/recovery-codes', resolveTenant, authenticate, requireUserSession, mfaLimiter, async (req, res) => {
+  try {
+    const user = await User.findOne({ _id: req.user.userId, tenantId: req.tenantId }).select('+mfa.secret');
+    if (!user.mfa?.enabledAt) {
+      return res.status(409).json({ error: 'Two-factor authentication is not set up' });
+    }
+    if (await verifySecondFactor(user, { code: req.body.code }) !== 'totp') {
+      return res.status(400).json({ error: 'Validation failed', fields: { code: 'Invalid verification code' } });
+    }
+    
+    const recoveryCodes = generateRecoveryCodes();
+    await User.updateOne(
+      { _id: user._id, tenantId: req.tenantId },
+      { $set: { 'mfa.recoveryCodeHashes': hashRecoveryCodes(recoveryCodes), updatedAt: new Date() } }
+    );
+    
+    recordAudit(req, 'user.mfa.recovery_codes.regenerated', { target: { type: 'user', id: String(user._id) } });
+    
+    res.set('Cache-Control', 'no-store');
+    res.json({ recoveryCodes });
+  } catch (error) {
+    req.log.error('Regenerate recovery codes error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/auth/mfa', resolveTenant, authenticate, requireUserSession, async (req, res) => {
+  try {
+    const user = await User.findOne({ _id: req.user.userId, tenantId: req.tenantId });
+    if (!user.mfa?.enabledAt) {
+      return res.status(409).json({ error: 'Two-factor authentication is not set up' });
+    }
+    if (isMfaRequired(req.tenant.mfaPolicy, req.user.permissions)) {
+      return res.status(409).json({ error: 'Your organization requires two-factor authentication' });
+    }
+    if (typeof req.body.password !== 'string' || !await bcrypt.compare(req.body.password, user.password)) {
+      return res.status(400).json({ error: 'Validation failed', fields: { password: 'Password is incorrect' } });
+    }
+    
+    await User.updateOne({ _id: user._id, tenantId: req.tenantId }, { $unset: { mfa: 1 }, $set: { updatedAt: new Date() } });
+    
+    recordAudit(req, 'user.mfa.disabled', { target: { type: 'user', id: String(user._id) } });
+    
+    res.status(204).end();
+  } catch (error) {
+    req.log.error('Disable MFA error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Password reset and email verification
+// Email links open the frontend, which posts the token back to the API
+const appLink = (tenantId, params) => `${APP_URL}/?${new URLSearchParams({ tenant: tenantId, ...params })}`;
+
+// Sent in the background so a slow or failing mail server never changes the response
+const sendEmail = (req, tenant, template, to, vars) => {
+  const message = renderEmail(template, { theme: themeFromTenant(tenant), ...vars });
+  mailer.send({ to, ...message })
+    .then(info => req.log.info('Email sent', { template, transport: mailer.transport.name, messageId: info.messageId }))
+    .catch(error => req.log.error('Email send error', { err: error, template }));
+};
+
+// Replaces any outstanding verification token, so only the latest email's link works
+const sendEmailVerification = async (req, tenant, user) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  await User.updateOne(
+    { _id: user._id, tenantId: tenant.tenantId },
+    {
+      $set: {
+        emailVerificationTokenHash: hashToken(token),
+        emailVerificationExpiresAt: new Date(Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000)
+      }
+    }
+  );
+  sendEmail(req, tenant, 'emailVerification', user.email, {
+    user,
+    url: appLink(tenant.tenantId, { verify: token }),
+    expiresInHours: EMAIL_VERIFICATION_TTL_HOURS
+  });
+};
+
+// Answers the same whether or not the account exists, so it cannot be used to discover users
+app.post('/api/auth/forgot-password', resolveTenantForOffboarding, emailTokenLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim())) {
+      return res.status(400).json({ error: 'Validation failed', fields: { email: 'A valid email address is required' } });
+    }
+    
+    const token = crypto.randomBytes(32).toString('hex');
+    const user = await User.findOneAndUpdate(
+      { tenantId: req.tenantId, email: email.trim(), status: 'active' },
+      {
+        $set: {
+          passwordResetTokenHash: hashToken(token),
+          passwordResetExpiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000)
+        }
+      },
+      { new: true }
+    );
+    
+    if (user) {
+      sendEmail(req, req.tenant, 'passwordReset', user.email, {
+        user,
+        url: appLink(req.tenantId, { reset: token }),
+        expiresInMinutes: PASSWORD_RESET_TTL_MINUTES
+      });
+      recordAudit(req, 'auth.password.reset.requested', {
+        actor: { type: 'user', userId: user._id, email: user.email },
+        target: { type: 'user', id: String(user._id) }
+      });
+    }
+    
+    res.status(202).json({ message: 'If an account exists for that email, a reset link is on its way' });
+  } catch (error) {
+    req.log.error('Forgot password error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/auth/reset-password', resolveTenantForOffboarding, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    
+    if (typeof token !== 'string' || !token) {
+      return res.status(400).json({ error: 'Reset token is required' });
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: 'Validation failed', fields: { password: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` } });
+    }
+    
+    // Clearing the hash in the same update makes the token single-use. The link arrived
+    // by email, which also proves the address, so it counts as verified from here on.
+    const user = await User.findOneAndUpdate(
+      {
+        tenantId: req.tenantId,
+        status: 'active',
+        passwordResetTokenHash: hashToken(token),
+        passwordResetExpiresAt: { $gt: new Date() }
+      },
+      {
+        $set: { password: await bcrypt.hash(password, 10), updatedAt: new Date() },
+        $min: { emailVerifiedAt: new Date() },
+        $unset: { passwordResetTokenHash: 1, passwordResetExpiresAt: 1 }
+      },
+      { new: true }
+    );
+    
+    if (!user) {
+      return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+    }
+    
+    // Whoever knew the old password is signed out everywhere
+    const { modifiedCount } = await revokeUserSessions(req.tenantId, user._id, 'password_reset');
+    
+    req.log.info('Password reset', { userId: user._id });
+    recordAudit(req, 'auth.password.reset', {
+      actor: { type: 'user', userId: user._id, email: user.email },
+      target: { type: 'user', id: String(user._id) },
+      metadata: { sessionsRevoked: modifiedCount }
+    });
+    
+    res.json({ success: true });
+  } catch (error) {
+    req.log.error('Reset password error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/auth/verify-email', resolveTenantForOffboarding, async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (typeof token !== 'string' || !token) {
+      return res.status(400).json({ error: 'Verification token is required' });
+    }
+    
+    const user = await User.findOneAndUpdate(
+      {
+        tenantId: req.tenantId,
+        emailVerificationTokenHash: hashToken(token),
+        emailVerificationExpiresAt: { $gt: new Date() }
+      },
+      {
+        $set: { emailVerifiedAt: new Date(), updatedAt: new Date() },
+        $unset: { emailVerificationTokenHash: 1, emailVerificationExpiresAt: 1 }
+      },
+      { new: true }
+    );
+    
+    if (!user) {
+      return res.status(400).json({ error: 'Verification link is invalid or has expired' });
+    }
+    
+    recordAudit(req, 'user.email.verified', {
+      actor: { type: 'user', userId: user._id, email: user.email },
+      target: { type: 'user', id: String(user._id) }
+    });
+    
+    res.json({ email: user.email, emailVerified: true });
+  } catch (error) {
+    req.log.error('Verify email error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/auth/verify-email/resend', resolveTenant, authenticate, requireUserSession, emailTokenLimiter, async (req, res) => {
+  try {
+    const user = await User.findOne({ _id: req.user.userId, tenantId: req.tenantId });
+    if (user.emailVerifiedAt) {
+      return res.status(409).json({ error: 'Email address is already verified' });
+    }
+    
+    await sendEmailVerification(req, req.tenant, user);
+    
+    res.status(202).json({ message: `A new confirmation link was sent to ${user.email}` });
+  } catch (error) {
+    req.log.error('Resend verification error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Tenant provisioning
+// There is no resolveTenant here, so the requested slug becomes the scope; invalid slugs fail validation first
+const scopeToNewTenant = (req, res, next) => {
+  runWithTenant(typeof req.body.tenantId === 'string' ? req.body.tenantId : null, next);
+};
+
+app.post('/api/tenants', signupLimiter, scopeToNewTenant, async (req, res) => {
+  let tenant;
+  try {
+    const errors = validateSignup(req.body);
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Validation failed', fields: errors });
+    }
+    
+    const { tenantId, name, adminName, adminEmail, password } = req.body;
+    const hashedPassword = await bcrypt.hash(password, 10);
+    
+    // The unique index on tenantId reserves the slug; standalone Mongo has no
+    // multi-document transactions, so any later failure removes the tenant again.
+    tenant = await Tenant.create({ tenantId, name: name.trim() });
+    await ensureBuiltInRoles([tenantId]);
+    const user = await User.create({
+      tenantId,
+      email: adminEmail.trim(),
+      password: hashedPassword,
+      name: adminName.trim(),
+      role: 'admin'
+    });
+    
+    req.log.info('Tenant provisioned', { tenantId });
+    sendEmailVerification(req, tenant, user).catch(error => req.log.error('Email verification error', { err: error }));
+    recordAudit(req, 'tenant.created', {
+      tenantId,
+      actor: { type: 'user', userId: user._id, email: user.email },
+      target: { type: 'tenant', id: tenantId },
+      after: themeFromTenant(tenant)
+    });
+    
+    res.status(201).json(await buildAuthResponse(req, user, tenant));
+  } catch (error) {
+    if (tenant) {
+      await Promise.all([
+        Tenant.deleteOne({ _id: tenant._id }),
+        User.deleteMany({ tenantId: tenant.tenantId }),
+        Role.deleteMany({ tenantId: tenant.tenantId })
+      ]).catch((cleanupError) => {
+        req.log.error('Tenant rollback error', { err: cleanupError });
+      });
+    } else if (error.code === 11000) {
+      return res.status(409).json({ error: 'Tenant ID is already taken', fields: { tenantId: 'This tenant ID is already taken' } });
+    }
+    req.log.error('Tenant signup error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Unauthenticated branding for the login page; only the published theme, never drafts or settings
+app.get('/api/tenant/public-theme', resolveTenantForOffboarding, (req, res) => {
+  res.set('Cache-Control', 'public, max-age=60');
+  res.vary('Host');
+  res.vary('X-Tenant-ID');
+  res.json({ tenantId: req.tenantId, ...themeFromTenant(req.tenant) });
+});
+
+app.get('/api/tenant/usage', resolveTenant, authenticate, async (req, res) => {
+  try {
+    const plan = getPlan(req.tenant.plan);
+    const usage = await getTenantUsage(req.tenantId);
+    res.json({
+      plan: { name: req.tenant.plan, label: plan.label, requestsPerMinute: plan.requestsPerMinute, limits: plan.limits },
+      usage,
+      // Filled in by tenantLimiter for this very request
+      requests: {
+        limit: req.rateLimit.limit,
+        remaining: req.rateLimit.remaining,
+        resetAt: req.rateLimit.resetTime
+      }
+    });
+  } catch (error) {
+    req.log.error('Get usage error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Sign-in requirements. A stricter MFA policy applies at each user's next sign-in; existing sessions are kept.
+app.get('/api/tenant/security', resolveTenant, authenticate, requirePermission('tenant:configure'), async (req, res) => {
+  try {
+    const mfaPolicy = req.tenant.mfaPolicy || 'off';
+    // Who will be asked to enroll on their next sign-in
+    const adminRoles = mfaPolicy === 'admins' ? await findAdminRoleNames(req.tenantId) : null;
+    const pendingEnrollment = mfaPolicy === 'off' ? 0 : await User.countDocuments({
+      tenantId: req.tenantId,
+      status: 'active',
+      'mfa.enabledAt': null,
+      ...(adminRoles && { role: { $in: adminRoles } })
+    });
+    res.json({ mfaPolicy, mfaPolicies: MFA_POLICIES, pendingEnrollment });
+  } catch (error) {
+    req.log.error('Get security settings error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.put('/api/tenant/security', resolveTenant, authenticate, requireUserSession, requirePermission('tenant:configure'), async (req, res) => {
+  try {
+    const { mfaPolicy } = req.body;
+    if (!MFA_POLICIES.includes(mfaPolicy)) {
+      return res.status(400).json({ error: 'Validation failed', fields: { mfaPolicy: `MFA policy must be one of: ${MFA_POLICIES.join(', ')}` } });
+    }
+    
+    const before = req.tenant.mfaPolicy || 'off';
+    await Tenant.updateOne({ tenantId: req.tenantId }, { $set: { mfaPolicy, updatedAt: new Date() } });
+    
+    req.log.info('Tenant security updated', { mfaPolicy });
+    recordAudit(req, 'tenant.security.updated', {
+      target: { type: 'tenant', id: req.tenantId },
+      before: { mfaPolicy: before },
+      after: { mfaPolicy }
+    });
+    
+    res.json({ mfaPolicy });
+  } catch (error) {
+    req.log.error('Update security settings error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/tenant/config', resolveTenant, authenticate, async (req, res) => {
+  try {
+    const tenant = await Tenant.findOne({ tenantId: req.tenantId });
+    res.json(themeFromTenant(tenant));
+  } catch (error) {
+    req.log.error('Get config error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+const THEME_PUBLISH_ATTEMPTS = 3;
+
+/**
+ * Makes `theme` the tenant's live branding and records it as the next version.
+ * Tenants that predate versioning get their current theme saved as version 1 first,
+ * so the original branding can always be restored.
+ *
+ * The version number is claimed before the tenant changes. When a concurrent publish
+ * takes the same number, the unique index rejects ours and we retry with the next one,
+ * so live branding is never left without a matching version.
+ */
+const publishTheme = async (req, theme, { restoredFrom, note } = {}) => {
+  const before = themeFromTenant(req.tenant);
+  const after = themeFromTenant({ ...before, ...theme });
+  
+  let published;
+  for (let attempt = 1; !published; attempt++) {
+    const latest = await ThemeVersion.findOne({ tenantId: req.tenantId }).sort({ version: -1 }).lean();
+    try {
+      if (!latest) {
+        await ThemeVersion.create({ tenantId: req.tenantId, version: 1, theme: before, note: 'Initial theme' });
+      }
+      published = await ThemeVersion.create({
+        tenantId: req.tenantId,
+        version: (latest ? latest.version : 1) + 1,
+        theme: after,
+        publishedBy: req.user.userId,
+        restoredFrom,
+        note
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= THEME_PUBLISH_ATTEMPTS) throw error;
+    }
+  }
+  
+  const tenant = await Tenant.findOneAndUpdate(
+    { tenantId: req.tenantId },
+    { $set: { ...theme, updatedAt: new Date() } },
+    { new: true }
+  );
+  
+  req.log.info('Tenant config updated', { version: published.version });
+  recordAudit(req, 'tenant.config.updated', {
+    target: { type: 'tenant', id: req.tenantId },
+    before,
+    after: themeFromTenant(tenant),
+    metadata: { version: published.version, ...(restoredFrom && { restoredFrom }) }
+  });
+  
+  return { tenant, version: published };
+};
+
+const toPublicVersion = (version) => ({
+  version: version.version,
+  theme: version.theme,
+  publishedBy: version.publishedBy,
+  restoredFrom: version.restoredFrom,
+  note: version.note,
+  createdAt: version.createdAt
+});
+
+// Publishes immediately; the draft endpoints below are the staged alternative
+app.put('/api/tenant/config', resolveTenant, authenticate, requirePermission('tenant:configure'), async (req, res) => {
+  try {
+    const { value, errors, warnings } = validateThemeUpdate(req.body, themeFromTenant(req.tenant));
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Validation failed', fields: errors, warnings });
+    }
+    
+    const { tenant, version } = await publishTheme(req, value);
+    
+    res.json({ success: true, config: themeFromTenant(tenant), version: version.version, warnings });
+  } catch (error) {
+    req.log.error('Update config error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/tenant/config/draft', resolveTenant, authenticate, requirePermission('tenant:configure'), async (req, res) => {
+  try {
+    const draft = req.tenant.themeDraft;
+    res.json({
+      hasDraft: Boolean(draft?.theme),
+      theme: draft?.theme || themeFromTenant(req.tenant),
+      updatedAt: draft?.updatedAt,
+      updatedBy: draft?.updatedBy
+    });
+  } catch (error) {
+    req.log.error('Get draft error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.put('/api/tenant/config/draft', resolveTenant, authenticate, requirePermission('tenant:configure'), async (req, res) => {
+  try {
+    const base = req.tenant.themeDraft?.theme || themeFromTenant(req.tenant);
+    const { value, errors, warnings } = validateThemeUpdate(req.body, base);
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Validation failed', fields: errors, warnings });
+    }
+    
+    const theme = { ...base, ...value };
+    await Tenant.updateOne(
+      { tenantId: req.tenantId },
+      { $set: { themeDraft: { theme, updatedAt: new Date(), updatedBy: req.user.userId } } }
+    );
+    
+    recordAudit(req, 'tenant.config.draft.updated', {
+      target: { type: 'tenant', id: req.tenantId },
+      before: base,
+      after: theme
+    });
+    
+    res.json({ hasDraft: true, theme, warnings });
+  } catch (error) {
+    req.log.error('Update draft error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/tenant/config/draft', resolveTenant, authenticate, requirePermission('tenant:configure'), async (req, res) => {
+  try {
+    await Tenant.updateOne({ tenantId: req.tenantId }, { $unset: { themeDraft: 1 } });
+    recordAudit(req, 'tenant.config.draft.discarded', { target: { type: 'tenant', id: req.tenantId } });
+    res.status(204).end();
+  } catch (error) {
+    req.log.error('Discard draft error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/tenant/config/publish', resolveTenant, authenticate, requirePermission('tenant:configure'), async (req, res) => {
+  try {
+    const draft = req.tenant.themeDraft?.theme;
+    if (!draft) {
+      return res.status(409).json({ error: 'There is no draft to publish' });
+    }
+    
+    // Re-validate: the allowlists may have changed since the draft was saved
+    const { value, errors, warnings } = validateThemeUpdate(draft, themeFromTenant(req.tenant));
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Validation failed', fields: errors, warnings });
+    }
+    
+    const { tenant, version } = await publishTheme(req, value, { note: typeof req.body?.note === 'string' ? req.body.note.trim().slice(0, 200) : undefined });
+    await Tenant.updateOne({ tenantId: req.tenantId }, { $unset: { themeDraft: 1 } });
+    
+    res.json({ success: true, config: themeFromTenant(tenant), version: version.version, warnings });
+  } catch (error) {
+    req.log.error('Publish draft error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/tenant/config/versions', resolveTenant, authenticate, requirePermission('tenant:configure'), async (req, res) => {
+  try {
+    const page = parsePage(req.query.page);
+    const limit = parseLimit(req.query.limit);
+    const skip = (page - 1) * limit;
+    const query = { tenantId: req.tenantId };
+    
+    const [versions, total] = await Promise.all([
+      ThemeVersion.find(query).sort({ version: -1 }).skip(skip).limit(limit).lean(),
+      ThemeVersion.countDocuments(query)
+    ]);
+    
+    res.json({
+      data: versions.map(toPublicVersion),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    req.log.error('List theme versions error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Version numbers are positive whole numbers; anything else yields null
+const parseVersionNumber = (value) => (typeof value === 'string' && /^[1-9]\d{0,8}$/.test(value) ? parseInt(value) : null);
+
+// :id is the version number. The diff is against the live theme unless ?compare=<version> is given.
+app.get('/api/tenant/config/versions/:id', resolveTenant, authenticate, requirePermission('tenant:configure'), async (req, res) => {
+  try {
+    const number = parseVersionNumber(req.params.id);
+    const compare = req.query.compare === undefined ? undefined : parseVersionNumber(req.query.compare);
+    if (number === null || compare === null) {
+      return res.status(400).json({ error: 'Version must be a positive whole number' });
+    }
+    
+    const version = await ThemeVersion.findOne({ tenantId: req.tenantId, version: number }).lean();
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+    
+    let baseline = themeFromTenant(req.tenant);
+    if (compare) {
+      const other = await ThemeVersion.findOne({ tenantId: req.tenantId, version: compare }).lean();
+      if (!other) {
+        return res.status(404).json({ error: 'Comparison version not found' });
+      }
+      baseline = other.theme;
+    }
+    
+    res.json({ ...toPublicVersion(version), diff: diffChanges(baseline, version.theme) });
+  } catch (error) {
+    req.log.error('Get theme version error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/tenant/config/versions/:id/restore', resolveTenant, authenticate, requirePermission('tenant:configure'), async (req, res) => {
+  try {
+    const number = parseVersionNumber(req.params.id);
+    if (number === null) {
+      return res.status(400).json({ error: 'Version must be a positive whole number' });
+    }
+    
+    const version = await ThemeVersion.findOne({ tenantId: req.tenantId, version: number }).lean();
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+    
+    // Fields that fail today's rules, such as colors below the contrast minimum, are left as they are
+    const { value, dropped } = restorableTheme(version.theme, themeFromTenant(req.tenant));
+    const { tenant, version: published } = await publishTheme(req, value, { restoredFrom: version.version });
+    
+    res.json({ success: true, config: themeFromTenant(tenant), version: published.version, dropped });
+  } catch (error) {
+    req.log.error('Restore theme version error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Tenant lifecycle
+// Streams an NDJSON body for the export archive and counts what it wrote into `counts`
+async function* toNdjson(cursor, toRecord, counts, key) {
+  counts[key] = 0;
+  for await (const doc of cursor) {
+    counts[key]++;
+    yield `${JSON.stringify(toRecord(doc))}\n`;
+  }
+}
+
+const withoutVersionKey = ({ __v, ...doc }) => doc;
+
+/**
+ * Everything the tenant owns in one .tar.gz: its configuration, users (without password
+ * hashes), roles, resources including the trash, and the full audit trail.
+ * Stays available while deletion is pending so data can be taken out before the purge.
+ */
+app.get('/api/tenant/export', resolveTenantForOffboarding, authenticate, requireUserSession, requirePermission('tenant:configure', 'users:manage', 'audit:read'), async (req, res) => {
+  try {
+    const tenant = req.tenant;
+    const counts = {};
+    const exportedAt = new Date();
+    const entries = [
+      {
+        name: 'tenant.json',
+        content: JSON.stringify({
+          tenantId: tenant.tenantId,
+          name: tenant.name,
+          plan: tenant.plan,
+          ...lifecycleOf(tenant),
+          createdAt: tenant.createdAt,
+          theme: themeFromTenant(tenant)
+        }, null, 2)
+      },
+      { name: 'users.ndjson', source: toNdjson(User.find({ tenantId: req.tenantId }).lean().cursor(), toPublicUser, counts, 'users') },
+      { name: 'roles.ndjson', source: toNdjson(Role.find({ tenantId: req.tenantId }).lean().cursor(), toPublicRole, counts, 'roles') },
+      { name: 'resources.ndjson', source: toNdjson(Resource.find({ tenantId: req.tenantId }).sort({ _id: 1 }).lean().cursor(), withoutVersionKey, counts, 'resources') },
+      { name: 'audit.ndjson', source: toNdjson(AuditEvent.find({ tenantId: req.tenantId }).sort({ _id: 1 }).lean().cursor(), withoutVersionKey, counts, 'auditEvents') },
+      // Written last so the counts cover everything above
+      { name: 'manifest.json', content: () => JSON.stringify({ tenantId: req.tenantId, exportedAt, counts }, null, 2) }
+    ];
+    
+    res.setHeader('Content-Type', 'application/gzip');
+    res.setHeader('Content-Disposition', `attachment; filename="${req.tenantId}-export-${exportedAt.toISOString().slice(0, 10)}.tar.gz"`);
+    await writeTarGz(entries, res, { mtime: exportedAt });
+    
+    req.log.info('Tenant data exported', { counts });
+    recordAudit(req, 'tenant.exported', { target: { type: 'tenant', id: req.tenantId }, metadata: { counts } });
+  } catch (error) {
+    req.log.error('Export tenant error', { err: error });
+    // A truncated archive must not look complete, so drop the connection instead of ending it
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Applies a lifecycle transition only if the status is still the one it was planned from;
+// tenants created before statuses existed have no status field and count as active
+const transitionTenant = async (tenant, action, options) => {
+  const update = planTransition(tenant, action, options);
+  const status = tenant.status || 'active';
+  const updated = await Tenant.findOneAndUpdate(
+    { tenantId: tenant.tenantId, status: status === 'active' ? { $in: ['active', null] } : status },
+    { ...update, $set: { ...update.$set, updatedAt: new Date() } },
+    { new: true }
+  );
+  if (!updated) {
+    throw Object.assign(new Error('The organization was changed by someone else; reload and try again'), { status: 409 });
+  }
+  return updated;
+};
+
+// Schedules the hard delete; the body must repeat the tenant ID as confirmation
+app.post('/api/tenant/deletion', resolveTenant, authenticate, requireUserSession, requirePermission('tenant:configure', 'users:manage'), async (req, res) => {
+  try {
+    if (req.body.confirm !== req.tenantId) {
+      return res.status(400).json({ error: 'Validation failed', fields: { confirm: 'Type the organization ID to confirm deletion' } });
+    }
+    
+    const before = lifecycleOf(req.tenant);
+    const tenant = await transitionTenant(req.tenant, 'scheduleDeletion', {
+      actorId: req.user.userId,
+      graceDays: TENANT_DELETION_GRACE_DAYS
+    });
+    
+    req.log.warn('Tenant deletion scheduled', { deletionScheduledFor: tenant.deletionScheduledFor });
+    recordAudit(req, 'tenant.deletion.scheduled', {
+      target: { type: 'tenant', id: req.tenantId },
+      before,
+      after: lifecycleOf(tenant),
+      metadata: { graceDays: TENANT_DELETION_GRACE_DAYS }
+    });
+    
+    res.json(lifecycleOf(tenant));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    req.log.error('Schedule tenant deletion error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/tenant/deletion', resolveTenantForOffboarding, authenticate, requireUserSession, requirePermission('tenant:configure', 'users:manage'), async (req, res) => {
+  try {
+    const before = lifecycleOf(req.tenant);
+    const tenant = await transitionTenant(req.tenant, 'cancelDeletion');
+    
+    req.log.info('Tenant deletion cancelled');
+    recordAudit(req, 'tenant.deletion.cancelled', {
+      target: { type: 'tenant', id: req.tenantId },
+      before,
+      after: lifecycleOf(tenant)
+    });
+    
+    res.json(lifecycleOf(tenant));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    req.log.error('Cancel tenant deletion error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// User management
+const findTenantUser = (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+  return User.findOne({ _id: req.params.id, tenantId: req.tenantId });
+};
+
+// Guards against an admin locking the tenant out of its own administration
+const isLastActiveAdmin = async (user) => {
+  if (user.status !== 'active') return false;
+  const adminRoles = await findAdminRoleNames(user.tenantId);
+  if (!adminRoles.includes(user.role)) return false;
+  const admins = await User.countDocuments({ tenantId: user.tenantId, role: { $in: adminRoles }, status: 'active' });
+  return admins <= 1;
+};
+
+// Acting on a user is limited to callers who hold every permission of that user's current role
+const checkManageableUser = async (req, user) => {
+  if (holdsAll(req, await getRolePermissions(req.tenantId, user.role))) return null;
+  return 'You cannot manage a user whose role has permissions you do not hold yourself';
+};
+
+app.get('/api/users', resolveTenant, authenticate, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const page = parsePage(req.query.page);
+    const limit = parseLimit(req.query.limit);
+    const skip = (page - 1) * limit;
+    
+    const query = { tenantId: req.tenantId };
+    if (['invited', 'active', 'deactivated'].includes(req.query.status)) {
+      query.status = req.query.status;
+    }
+    
+    const [users, total] = await Promise.all([
+      User.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      User.countDocuments(query)
+    ]);
+    
+    res.json({
+      data: users.map(toPublicUser),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    req.log.error('List users error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/users/invite', resolveTenant, authenticate, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { email, name, role = 'user' } = req.body;
+    
+    if (typeof email !== 'string' || !EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({ error: 'A valid email address is required' });
+    }
+    const roleError = await checkAssignableRole(req, role);
+    if (roleError) {
+      return res.status(400).json({ error: roleError });
+    }
+    
+    const quotaError = await checkPlanQuota(req, { users: 1 });
+    if (quotaError) {
+      return res.status(402).json(quotaError);
+    }
+    
+    const inviteToken = crypto.randomBytes(32).toString('hex');
+    const user = await User.create({
+      tenantId: req.tenantId,
+      email: email.trim(),
+      name: (typeof name === 'string' && name.trim()) || email.split('@')[0],
+      role,
+      status: 'invited',
+      inviteTokenHash: hashToken(inviteToken),
+      inviteExpiresAt: new Date(Date.now() + INVITE_TTL_HOURS * 60 * 60 * 1000),
+      invitedBy: req.user.userId
+    });
+    
+    req.log.info('User invited', { email: user.email });
+    recordAudit(req, 'user.invited', {
+      target: { type: 'user', id: String(user._id) },
+      after: { email: user.email, role: user.role }
+    });
+    
+    // Only the hash is stored, so this response is the one chance to hand the token out
+    res.status(201).json({ user: toPublicUser(user), inviteToken, expiresAt: user.inviteExpiresAt });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'A user with this email already exists' });
+    }
+    req.log.error('Invite user error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/users/invite/accept', resolveTenant, async (req, res) => {
+  try {
+    const { token, password, name } = req.body;
+    
+    if (typeof token !== 'string' || !token) {
+      return res.status(400).json({ error: 'Invite token is required' });
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+    
+    // Clearing the hash in the same update makes the token single-use
+    const user = await User.findOneAndUpdate(
+      {
+        tenantId: req.tenantId,
+        status: 'invited',
+        inviteTokenHash: hashToken(token),
+        inviteExpiresAt: { $gt: new Date() }
+      },
+      {
+        $set: {
+          password: await bcrypt.hash(password, 10),
+          status: 'active',
+          updatedAt: new Date(),
+          ...(typeof name === 'string' && name.trim() && { name: name.trim() })
+        },
+        $unset: { inviteTokenHash: 1, inviteExpiresAt: 1 }
+      },
+      { new: true }
+    );
+    
+    if (!user) {
+      return res.status(400).json({ error: 'Invite is invalid or has expired' });
+    }
+    
+    req.log.info('Invite accepted', { email: user.email });
+    // Invite links are handed out by admins rather than emailed, so the address is still unconfirmed
+    sendEmailVerification(req, req.tenant, user).catch(error => req.log.error('Email verification error', { err: error }));
+    recordAudit(req, 'user.invite.accepted', {
+      actor: { type: 'user', userId: user._id, email: user.email },
+      target: { type: 'user', id: String(user._id) },
+      before: { status: 'invited' },
+      after: { status: user.status }
+    });
+    
+    // A policy requiring MFA applies from the first sign-in, so the new user enrolls before getting a session
+    res.json(await mfaChallengeFor(req, user) || await buildAuthResponse(req, user, req.tenant));
+  } catch (error) {
+    req.log.error('Accept invite error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.patch('/api/users/:id/role', resolveTenant, authenticate, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { role } = req.body;
+    const roleError = await checkAssignableRole(req, role);
+    if (roleError) {
+      return res.status(400).json({ error: roleError });
+    }
+    
+    const user = await findTenantUser(req);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const manageError = await checkManageableUser(req, user);
+    if (manageError) {
+      return res.status(403).json({ error: manageError });
+    }
+    const adminRoles = await findAdminRoleNames(req.tenantId);
+    if (!adminRoles.includes(role) && await isLastActiveAdmin(user)) {
+      return res.status(409).json({ error: 'Cannot demote the last active admin' });
+    }
+    
+    const previousRole = user.role;
+    user.role = role;
+    user.updatedAt = new Date();
+    await user.save();
+    
+    req.log.info('User role changed', { email: user.email, role });
+    recordAudit(req, 'user.role.changed', {
+      target: { type: 'user', id: String(user._id) },
+      before: { role: previousRole },
+      after: { role }
+    });
+    
+    res.json(toPublicUser(user));
+  } catch (error) {
+    req.log.error('Change role error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/users/:id/deactivate', resolveTenant, authenticate, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const user = await findTenantUser(req);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const manageError = await checkManageableUser(req, user);
+    if (manageError) {
+      return res.status(403).json({ error: manageError });
+    }
+    if (user._id.equals(req.user.userId)) {
+      return res.status(409).json({ error: 'You cannot deactivate your own account' });
+    }
+    if (user.status !== 'active') {
+      return res.status(409).json({ error: 'Only active users can be deactivated' });
+    }
+    if (await isLastActiveAdmin(user)) {
+      return res.status(409).json({ error: 'Cannot deactivate the last active admin' });
+    }
+    
+    user.status = 'deactivated';
+    user.updatedAt = new Date();
+    await user.save();
+    await revokeUserSessions(req.tenantId, user._id, 'user_deactivated');
+    
+    req.log.info('User deactivated', { email: user.email });
+    recordAudit(req, 'user.deactivated', {
+      target: { type: 'user', id: String(user._id) },
+      before: { status: 'active' },
+      after: { status: 'deactivated' }
+    });
+    
+    res.json(toPublicUser(user));
+  } catch (error) {
+    req.log.error('Deactivate user error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/users/:id/reactivate', resolveTenant, authenticate, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const user = await findTenantUser(req);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const manageError = await checkManageableUser(req, user);
+    if (manageError) {
+      return res.status(403).json({ error: manageError });
+    }
+    if (user.status !== 'deactivated') {
+      return res.status(409).json({ error: 'Only deactivated users can be reactivated' });
+    }
+    
+    const quotaError = await checkPlanQuota(req, { users: 1 });
+    if (quotaError) {
+      return res.status(402).json(quotaError);
+    }
+    
+    user.status = 'active';
+    user.updatedAt = new Date();
+    await user.save();
+    
+    req.log.info('User reactivated', { email: user.email });
+    recordAudit(req, 'user.reactivated', {
+      target: { type: 'user', id: String(user._id) },
+      before: { status: 'deactivated' },
+      after: { status: 'active' }
+    });
+    
+    res.json(toPublicUser(user));
+  } catch (error) {
+    req.log.error('Reactivate user error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// For a user who lost both their authenticator and their recovery codes; they enroll again if policy requires it
+app.delete('/api/users/:id/mfa', resolveTenant, authenticate, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const user = await findTenantUser(req);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const manageError = await checkManageableUser(req, user);
+    if (manageError) {
+      return res.status(403).json({ error: manageError });
+    }
+    if (!user.mfa?.enabledAt) {
+      return res.status(409).json({ error: 'This user has not set up two-factor authentication' });
+    }
+    
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id, tenantId: req.tenantId },
+      { $unset: { mfa: 1 }, $set: { updatedAt: new Date() } },
+      { new: true }
+    );
+    await revokeUserSessions(req.tenantId, user._id, 'mfa_reset');
+    
+    req.log.info('User MFA reset', { email: user.email });
+    recordAudit(req, 'user.mfa.reset', {
+      target: { type: 'user', id: String(user._id) },
+      before: { mfaEnabled: true },
+      after: { mfaEnabled: false }
+    });
+    
+    res.json(toPublicUser(updated));
+  } catch (error) {
+    req.log.error('Reset user MFA error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/users/:id', resolveTenant, authenticate, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const user = await findTenantUser(req);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const manageError = await checkManageableUser(req, user);
+    if (manageError) {
+      return res.status(403).json({ error: manageError });
+    }
+    if (user._id.equals(req.user.userId)) {
+      return res.status(409).json({ error: 'You cannot remove your own account' });
+    }
+    if (await isLastActiveAdmin(user)) {
+      return res.status(409).json({ error: 'Cannot remove the last active admin' });
+    }
+    
+    await User.deleteOne({ _id: user._id, tenantId: req.tenantId });
+    await revokeUserSessions(req.tenantId, user._id, 'user_removed');
+    
+    req.log.info('User removed', { email: user.email });
+    recordAudit(req, 'user.removed', {
+      target: { type: 'user', id: String(user._id) },
+      before: { email: user.email, role: user.role, status: user.status }
+    });
+    
+    res.status(204).end();
+  } catch (error) {
+    req.log.error('Remove user error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Custom domains
+const toPublicDomain = (domain) => ({
+  id: domain._id,
+  hostname: domain.hostname,
+  status: domain.verifiedAt ? 'verified' : 'pending',
+  verifiedAt: domain.verifiedAt,
+  lastCheckedAt: domain.lastCheckedAt,
+  lastCheckError: domain.lastCheckError,
+  // Shown while pending so admins know which DNS record to create
+  verification: domain.verifiedAt ? undefined : tenantResolution.verificationRecord(domain.hostname, domain.verificationToken),
+  createdAt: domain.createdAt
+});
+
+const findTenantDomain = (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+  return CustomDomain.findOne({ _id: req.params.id, tenantId: req.tenantId });
+};
+
+app.get('/api/domains', resolveTenant, authenticate, requirePermission('tenant:configure'), async (req, res) => {
+  try {
+    const domains = await CustomDomain.find({ tenantId: req.tenantId }).sort({ createdAt: 1 }).lean();
+    res.json({ data: domains.map(toPublicDomain), resolution: TENANT_RESOLUTION_ORDER });
+  } catch (error) {
+    req.log.error('List domains error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/domains', resolveTenant, authenticate, requirePermission('tenant:configure'), async (req, res) => {
+  try {
+    const { hostname, error } = tenantResolution.validateCustomDomain(req.body.hostname, BASE_DOMAIN);
+    if (error) {
+      return res.status(400).json({ error: 'Validation failed', fields: { hostname: error } });
+    }
+    if (await CustomDomain.countDocuments({ tenantId: req.tenantId }) >= MAX_CUSTOM_DOMAINS) {
+      return res.status(409).json({ error: `A tenant can claim at most ${MAX_CUSTOM_DOMAINS} custom domains` });
+    }
+    
+    const domain = await CustomDomain.create({
+      tenantId: req.tenantId,
+      hostname,
+      verificationToken: tenantResolution.createVerificationToken(),
+      createdBy: req.user.userId
+    });
+    
+    recordAudit(req, 'domain.added', {
+      target: { type: 'domain', id: String(domain._id) },
+      after: { hostname }
+    });
+    
+    res.status(201).json(toPublicDomain(domain));
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'This domain has already been added', fields: { hostname: 'This domain has already been added' } });
+    }
+    req.log.error('Add domain error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Checks the TXT record; once verified, the hostname resolves to this tenant
+app.post('/api/domains/:id/verify', resolveTenant, authenticate, requirePermission('tenant:configure'), async (req, res) => {
+  try {
+    const domain = await findTenantDomain(req);
+    if (!domain) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+    if (domain.verifiedAt) {
+      return res.json(toPublicDomain(domain));
+    }
+    
+    const result = await tenantResolution.verifyDomainOwnership(domain.hostname, domain.verificationToken, resolveTxt);
+    domain.lastCheckedAt = new Date();
+    domain.lastCheckError = result.error ?? null;
+    if (result.verified) {
+      domain.verifiedAt = domain.lastCheckedAt;
+    }
+    await domain.save();
+    
+    if (!result.verified) {
+      return res.status(422).json({ error: result.error, domain: toPublicDomain(domain) });
+    }
+    
+    req.log.info('Domain verified', { hostname: domain.hostname });
+    recordAudit(req, 'domain.verified', {
+      target: { type: 'domain', id: String(domain._id) },
+      metadata: { hostname: domain.hostname }
+    });
+    
+    res.json(toPublicDomain(domain));
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'This domain is already verified by another tenant' });
+    }
+    req.log.error('Verify domain error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/domains/:id', resolveTenant, authenticate, requirePermission('tenant:configure'), async (req, res) => {
+  try {
+    const domain = await findTenantDomain(req);
+    if (!domain) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+    await CustomDomain.deleteOne({ _id: domain._id, tenantId: req.tenantId });
+    
+    recordAudit(req, 'domain.removed', {
+      target: { type: 'domain', id: String(domain._id) },
+      before: { hostname: domain.hostname, verified: Boolean(domain.verifiedAt) }
+    });
+    
+    res.status(204).end();
+  } catch (error) {
+    req.log.error('Remove domain error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// API keys
+const toPublicApiKey = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  expiresAt: apiKey.expiresAt,
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+  createdBy: apiKey.createdBy,
+  createdAt: apiKey.createdAt,
+  revokedAt: apiKey.revokedAt
+});
+
+app.get('/api/api-keys', resolveTenant, authenticate, requireUserSession, requirePermission('apikeys:manage'), async (req, res) => {
+  try {
+    const query = { tenantId: req.tenantId };
+    if (req.query.includeRevoked !== 'true') {
+      query.revokedAt = null;
+    }
+    const apiKeys = await ApiKey.find(query).sort({ createdAt: -1 }).lean();
+    res.json({ data: apiKeys.map(toPublicApiKey), scopes: PERMISSIONS });
+  } catch (error) {
+    req.log.error('List API keys error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Keys are minted by signed-in admins only, and never with scopes the creator lacks
+app.post('/api/api-keys', resolveTenant, authenticate, requireUserSession, requirePermission('apikeys:manage'), async (req, res) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+    const errors = {};
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+      errors.name = 'Name must be 1-100 characters';
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !PERMISSIONS.includes(scope))) {
+      errors.scopes = `Scopes must be a non-empty list drawn from: ${PERMISSIONS.join(', ')}`;
+    } else if (scopes.some(scope => !req.user.permissions.includes(scope))) {
+      errors.scopes = 'You cannot grant scopes you do not hold yourself';
+    }
+    const expiry = expiresAt ? parseDateParam(expiresAt) : undefined;
+    if (expiry === null || (expiry && expiry <= new Date())) {
+      errors.expiresAt = 'Expiry must be an ISO 8601 date in the future';
+    }
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Validation failed', fields: errors });
+    }
+    if (await ApiKey.countDocuments({ tenantId: req.tenantId, revokedAt: null }) >= MAX_API_KEYS) {
+      return res.status(409).json({ error: `A tenant can have at most ${MAX_API_KEYS} active API keys` });
+    }
+    
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const apiKey = await ApiKey.create({
+      tenantId: req.tenantId,
+      name: name.trim(),
+      prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+      keyHash: hashToken(key),
+      scopes: [...new Set(scopes)],
+      expiresAt: expiry,
+      createdBy: req.user.userId
+    });
+    
+    recordAudit(req, 'apikey.created', {
+      target: { type: 'apiKey', id: String(apiKey._id) },
+      after: { name: apiKey.name, scopes: apiKey.scopes, expiresAt: apiKey.expiresAt }
+    });
+    
+    // Only the hash is stored, so this response is the one chance to hand the key out
+    res.status(201).json({ ...toPublicApiKey(apiKey), key });
+  } catch (error) {
+    req.log.error('Create API key error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/api-keys/:id', resolveTenant, authenticate, requireUserSession, requirePermission('apikeys:manage'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: req.params.id, tenantId: req.tenantId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedBy: req.user.userId } },
+      { new: true }
+    );
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    
+    recordAudit(req, 'apikey.revoked', {
+      target: { type: 'apiKey', id: String(apiKey._id) },
+      metadata: { name: apiKey.name }
+    });
+    
+    res.status(204).end();
+  } catch (error) {
+    req.log.error('Revoke API key error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Roles
+const toPublicRole = (role) => ({
+  name: role.name,
+  label: role.label,
+  permissions: role.permissions,
+  builtIn: role.builtIn
+});
+
+const validateRole = (req, { label, permissions }, { partial = false } = {}) => {
+  const errors = {};
+  if (!partial || label !== undefined) {
+    if (typeof label !== 'string' || !label.trim() || label.trim().length > 50) {
+      errors.label = 'Label must be 1-50 characters';
+    }
+  }
+  if (!partial || permissions !== undefined) {
+    if (!Array.isArray(permissions) || permissions.some(permission => !PERMISSIONS.includes(permission))) {
+      errors.permissions = `Permissions must be a list drawn from: ${PERMISSIONS.join(', ')}`;
+    } else if (!holdsAll(req, permissions)) {
+      errors.permissions = 'You cannot grant permissions you do not hold yourself';
+    }
+  }
+  return errors;
+};
+
+app.get('/api/roles', resolveTenant, authenticate, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const roles = await Role.find({ tenantId: req.tenantId }).sort({ builtIn: -1, name: 1 }).lean();
+    res.json({ data: roles.map(toPublicRole), permissions: PERMISSIONS });
+  } catch (error) {
+    req.log.error('List roles error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/roles', resolveTenant, authenticate, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const errors = validateRole(req, req.body);
+    if (typeof req.body.name !== 'string' || !ROLE_NAME_PATTERN.test(req.body.name)) {
+      errors.name = 'Name must be 2-32 lowercase letters, numbers or hyphens, starting with a letter';
+    }
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Validation failed', fields: errors });
+    }
+    
+    const role = await Role.create({
+      tenantId: req.tenantId,
+      name: req.body.name,
+      label: req.body.label.trim(),
+      permissions: [...new Set(req.body.permissions)]
+    });
+    
+    req.log.info('Role created', { role: role.name });
+    recordAudit(req, 'role.created', {
+      target: { type: 'role', id: role.name },
+      after: { label: role.label, permissions: role.permissions }
+    });
+    
+    res.status(201).json(toPublicRole(role));
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'A role with this name already exists' });
+    }
+    req.log.error('Create role error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.patch('/api/roles/:name', resolveTenant, authenticate, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const errors = validateRole(req, req.body, { partial: true });
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Validation failed', fields: errors });
+    }
+    
+    const role = await Role.findOne({ tenantId: req.tenantId, name: req.params.name });
+    if (!role) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+    if (role.name === 'admin' && req.body.permissions !== undefined) {
+      return res.status(409).json({ error: 'The admin role always has every permission' });
+    }
+    
+    const before = { label: role.label, permissions: [...role.permissions] };
+    if (req.body.label !== undefined) role.label = req.body.label.trim();
+    if (req.body.permissions !== undefined) role.permissions = [...new Set(req.body.permissions)];
+    role.updatedAt = new Date();
+    await role.save();
+    
+    req.log.info('Role updated', { role: role.name });
+    recordAudit(req, 'role.updated', {
+      target: { type: 'role', id: role.name },
+      before,
+      after: { label: role.label, permissions: role.permissions }
+    });
+    
+    res.json(toPublicRole(role));
+  } catch (error) {
+    req.log.error('Update role error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/roles/:name', resolveTenant, authenticate, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const role = await Role.findOne({ tenantId: req.tenantId, name: req.params.name });
+    if (!role) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+    if (role.builtIn) {
+      return res.status(409).json({ error: 'Built-in roles cannot be deleted' });
+    }
+    if (await User.exists({ tenantId: req.tenantId, role: role.name })) {
+      return res.status(409).json({ error: 'Role is still assigned to users' });
+    }
+    
+    await Role.deleteOne({ _id: role._id, tenantId: req.tenantId });
+    
+    req.log.info('Role deleted', { role: role.name });
+    recordAudit(req, 'role.deleted', {
+      target: { type: 'role', id: role.name },
+      before: { label: role.label, permissions: role.permissions }
+    });
+    
+    res.status(204).end();
+  } catch (error) {
+    req.log.error('Delete role error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/resources', resolveTenant, authenticate, requirePermission('resources:read'), async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit);
+    const sort = parseSort(req.query.sort, RESOURCE_SORT_FIELDS, '-createdAt');
+    const { filter, errors } = buildResourceFilter(req.tenantId, req.query);
+    if (!sort) {
+      errors.sort = `Sort must be one of: ${RESOURCE_SORT_FIELDS.join(', ')} (prefix with - for descending)`;
+    }
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Validation failed', fields: errors });
+    }
+    
+    // Cursor mode avoids skip() scans on large tenants; page mode is kept for existing clients
+    if (req.query.cursor || req.query.paginate === 'cursor') {
+      const { data, next, prev } = await findWithCursor(Resource, filter, {
+        sort,
+        cursor: req.query.cursor,
+        limit
+      });
+      return res.json({ data, pagination: { limit, next, prev } });
+    }
+    
+    const page = parsePage(req.query.page);
+    const skip = (page - 1) * limit;
+    
+    const [resources, total] = await Promise.all([
+      Resource.find(filter).sort({ [sort.field]: sort.direction, _id: sort.direction }).skip(skip).limit(limit).lean(),
+      Resource.countDocuments(filter)
+    ]);
+    
+    res.json({
+      data: resources,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    req.log.error('Get resources error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/resources', resolveTenant, authenticate, requirePermission('resources:write'), async (req, res) => {
+  try {
+    const errors = validateResource(req.body);
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Validation failed', fields: errors });
+    }
+    
+    const { name, type, size = 0 } = req.body;
+    
+    const quotaError = await checkPlanQuota(req, { resources: 1, storageBytes: size });
+    if (quotaError) {
+      return res.status(402).json(quotaError);
+    }
+    
+    const resource = new Resource({
+      tenantId: req.tenantId,
+      name: name.trim(),
+      type,
+      size
+    });
+    
+    await resource.save();
+    
+    req.log.info('Resource created', { resourceId: resource._id });
+    recordAudit(req, 'resource.created', {
+      target: { type: 'resource', id: String(resource._id) },
+      after: { name: resource.name, type: resource.type, size: resource.size }
+    });
+    
+    res.status(201).json(resource);
+  } catch (error) {
+    req.log.error('Create resource error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+const EXPORT_FORMATS = ['csv', 'json', 'ndjson'];
+const RESOURCE_EXPORT_COLUMNS = ['id', 'name', 'type', 'size', 'createdAt', 'updatedAt'];
+
+const toExportRecord = (resource) => ({
+  id: String(resource._id),
+  name: resource.name,
+  type: resource.type,
+  size: resource.size || 0,
+  createdAt: resource.createdAt,
+  updatedAt: resource.updatedAt
+});
+
+// Accepts the list endpoint's filters and sort, so "export" always matches what the list shows
+app.get('/api/resources/export', resolveTenant, authenticate, requirePermission('resources:read'), async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    const sort = parseSort(req.query.sort, RESOURCE_SORT_FIELDS, '-createdAt');
+    const { filter, errors } = buildResourceFilter(req.tenantId, req.query);
+    if (!EXPORT_FORMATS.includes(format)) {
+      errors.format = `Format must be one of: ${EXPORT_FORMATS.join(', ')}`;
+    }
+    if (!sort) {
+      errors.sort = `Sort must be one of: ${RESOURCE_SORT_FIELDS.join(', ')} (prefix with - for descending)`;
+    }
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Validation failed', fields: errors });
+    }
+    
+    const contentTypes = { csv: 'text/csv', json: 'application/json', ndjson: 'application/x-ndjson' };
+    res.setHeader('Content-Type', `${contentTypes[format]}; charset=utf-8`);
+    res.setHeader('Content-Disposition', `attachment; filename="resources-${req.tenantId}-${Date.now()}.${format}"`);
+    
+    // Rows go out at the client's pace; if it disconnects, pipeline stops here and the cursor is closed
+    let count = 0;
+    const cursor = Resource.find(filter).sort({ [sort.field]: sort.direction, _id: sort.direction }).lean().cursor();
+    await pipeline(async function* () {
+      try {
+        if (format === 'csv') yield toCsvRow(RESOURCE_EXPORT_COLUMNS);
+        if (format === 'json') yield '[';
+        for await (const resource of cursor) {
+          const record = toExportRecord(resource);
+          if (format === 'csv') {
+            yield toCsvRow(RESOURCE_EXPORT_COLUMNS.map(column => record[column]));
+          } else if (format === 'json') {
+            yield `${count > 0 ? ',' : ''}\n${JSON.stringify(record)}`;
+          } else {
+            yield `${JSON.stringify(record)}\n`;
+          }
+          count++;
+        }
+        if (format === 'json') yield '\n]\n';
+      } finally {
+        await cursor.close();
+      }
+    }, res);
+    
+    recordAudit(req, 'resource.exported', { metadata: { format, count } });
+  } catch (error) {
+    if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+      return req.log.info('Resource export cancelled by the client');
+    }
+    req.log.error('Export resources error', { err: error });
+    // Rows are already streaming; destroying the response tells the client the file is incomplete
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+const importBodyParser = express.text({ type: () => true, limit: IMPORT_MAX_BYTES });
+
+// Body parser failures would otherwise fall through to Express's HTML error page
+const readImportBody = (req, res, next) => importBodyParser(req, res, (error) => {
+  if (error) {
+    return res.status(error.status || 400).json({
+      error: error.type === 'entity.too.large' ? `Import files are limited to ${IMPORT_MAX_BYTES}` : 'Could not read the uploaded file'
+    });
+  }
+  next();
+});
+
+/**
+ * Imports a CSV, JSON array or NDJSON file sent as the raw request body.
+ * Valid rows are inserted in batches and invalid rows are reported by row number;
+ * ?dryRun=true runs every check, including quotas, without writing anything.
+ */
+app.post('/api/resources/import', resolveTenant, authenticate, requirePermission('resources:write'), readImportBody, async (req, res) => {
+  try {
+    const format = detectFormat(req.query.format, req.headers['content-type']);
+    if (!format) {
+      return res.status(400).json({
+        error: `Format must be one of: ${IMPORT_FORMATS.join(', ')} (via ?format= or Content-Type)`
+      });
+    }
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({ error: 'Upload a non-empty file as the request body' });
+    }
+    
+    const records = parseImport(req.body, format);
+    if (records.length === 0) {
+      return res.status(400).json({ error: 'The file contains no rows' });
+    }
+    if (records.length > IMPORT_MAX_ROWS) {
+      return res.status(400).json({ error: `Imports are limited to ${IMPORT_MAX_ROWS} rows` });
+    }
+    
+    const errors = [];
+    const documents = [];
+    for (const record of records) {
+      const rowErrors = record.errors || validateResource(record.value);
+      if (Object.keys(rowErrors).length > 0) {
+        errors.push({ row: record.row, errors: rowErrors });
+        continue;
+      }
+      // tenantId always comes from the caller, never from the file
+      documents.push({
+        tenantId: req.tenantId,
+        name: record.value.name.trim(),
+        type: record.value.type,
+        size: record.value.size || 0
+      });
+    }
+    
+    const report = {
+      format,
+      dryRun: req.query.dryRun === 'true',
+      total: records.length,
+      valid: documents.length,
+      failed: errors.length,
+      inserted: 0,
+      errors
+    };
+    
+    const quotaError = await checkPlanQuota(req, {
+      resources: documents.length,
+      storageBytes: documents.reduce((sum, doc) => sum + doc.size, 0)
+    });
+    if (quotaError) {
+      return res.status(402).json({ ...quotaError, report });
+    }
+    
+    if (report.dryRun || documents.length === 0) {
+      return res.json(report);
+    }
+    
+    try {
+      for (let i = 0; i < documents.length; i += IMPORT_BATCH_SIZE) {
+        const batch = documents.slice(i, i + IMPORT_BATCH_SIZE);
+        await Resource.insertMany(batch);
+        report.inserted += batch.length;
+      }
+    } catch (error) {
+      // Earlier batches stay committed; the report says how far the import got
+      req.log.error('Import batch error', { err: error });
+      recordAudit(req, 'resource.imported', { metadata: { format, inserted: report.inserted, failed: errors.length, aborted: true } });
+      return res.status(500).json({ error: 'Import stopped after a database error', report });
+    }
+    
+    req.log.info('Resources imported', { inserted: report.inserted });
+    recordAudit(req, 'resource.imported', { metadata: { format, inserted: report.inserted, failed: errors.length } });
+    
+    res.status(201).json(report);
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    req.log.error('Import resources error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Registered before /:id so "trash" is not treated as a resource ID
+app.get('/api/resources/trash', resolveTenant, authenticate, requirePermission('resources:read'), async (req, res) => {
+  try {
+    const page = parsePage(req.query.page);
+    const limit = parseLimit(req.query.limit);
+    const skip = (page - 1) * limit;
+    
+    const query = { tenantId: req.tenantId, deletedAt: { $ne: null } };
+    
+    const [resources, total] = await Promise.all([
+      Resource.find(query).sort({ deletedAt: -1 }).skip(skip).limit(limit).lean(),
+      Resource.countDocuments(query)
+    ]);
+    
+    const retentionMs = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    
+    res.json({
+      data: resources.map(resource => ({
+        ...resource,
+        purgeAt: new Date(resource.deletedAt.getTime() + retentionMs)
+      })),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+      retentionDays: TRASH_RETENTION_DAYS
+    });
+  } catch (error) {
+    req.log.error('Get trash error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+const findTenantResource = (req, { deleted = false } = {}) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+  return Resource.findOne({
+    _id: req.params.id,
+    tenantId: req.tenantId,
+    deletedAt: deleted ? { $ne: null } : null
+  });
+};
+
+app.get('/api/resources/:id', resolveTenant, authenticate, requirePermission('resources:read'), async (req, res) => {
+  try {
+    const resource = await findTenantResource(req);
+    if (!resource) {
+      return res.status(404).json({ error: 'Resource not found' });
+    }
+    res.json(resource);
+  } catch (error) {
+    req.log.error('Get resource error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.patch('/api/resources/:id', resolveTenant, authenticate, requirePermission('resources:write'), async (req, res) => {
+  try {
+    const errors = validateResource(req.body, { partial: true });
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Validation failed', fields: errors });
+    }
+    
+    const resource = await findTenantResource(req);
+    if (!resource) {
+      return res.status(404).json({ error: 'Resource not found' });
+    }
+    
+    if (req.body.size !== undefined) {
+      const quotaError = await checkPlanQuota(req, { storageBytes: req.body.size - resource.size });
+      if (quotaError) {
+        return res.status(402).json(quotaError);
+      }
+    }
+    
+    const before = { name: resource.name, type: resource.type, size: resource.size };
+    if (req.body.name !== undefined) resource.name = req.body.name.trim();
+    if (req.body.type !== undefined) resource.type = req.body.type;
+    if (req.body.size !== undefined) resource.size = req.body.size;
+    resource.updatedAt = new Date();
+    await resource.save();
+    
+    req.log.info('Resource updated', { resourceId: resource._id });
+    recordAudit(req, 'resource.updated', {
+      target: { type: 'resource', id: String(resource._id) },
+      before,
+      after: { name: resource.name, type: resource.type, size: resource.size }
+    });
+    
+    res.json(resource);
+  } catch (error) {
+    req.log.error('Update resource error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/resources/:id', resolveTenant, authenticate, requirePermission('resources:write'), async (req, res) => {
+  try {
+    const resource = await findTenantResource(req);
+    if (!resource) {
+      return res.status(404).json({ error: 'Resource not found' });
+    }
+    
+    resource.deletedAt = new Date();
+    resource.deletedBy = req.user.userId;
+    await resource.save();
+    
+    req.log.info('Resource moved to trash', { resourceId: resource._id });
+    recordAudit(req, 'resource.deleted', {
+      target: { type: 'resource', id: String(resource._id) },
+      before: { name: resource.name, type: resource.type }
+    });
+    
+    res.status(204).end();
+  } catch (error) {
+    req.log.error('Delete resource error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/resources/:id/restore', resolveTenant, authenticate, requirePermission('resources:write'), async (req, res) => {
+  try {
+    const resource = await findTenantResource(req, { deleted: true });
+    if (!resource) {
+      return res.status(404).json({ error: 'Resource not found in trash' });
+    }
+    
+    const quotaError = await checkPlanQuota(req, { resources: 1, storageBytes: resource.size });
+    if (quotaError) {
+      return res.status(402).json(quotaError);
+    }
+    
+    resource.deletedAt = undefined;
+    resource.deletedBy = undefined;
+    resource.updatedAt = new Date();
+    await resource.save();
+    
+    req.log.info('Resource restored', { resourceId: resource._id });
+    recordAudit(req, 'resource.restored', {
+      target: { type: 'resource', id: String(resource._id) },
+      after: { name: resource.name, type: resource.type }
+    });
+    
+    res.json(resource);
+  } catch (error) {
+    req.log.error('Restore resource error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Permanently removes resources that have been in the trash longer than the retention period
+async function purgeTrash() {
+  try {
+    const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    const expired = { deletedAt: { $lt: cutoff } };
+    const perTenant = await Resource.aggregate([
+      { $match: expired },
+      { $group: { _id: '$tenantId', count: { $sum: 1 } } }
+    ]);
+    if (perTenant.length === 0) return;
+    
+    const { deletedCount } = await Resource.deleteMany(expired);
+    logger.info('Purged resources from trash', { deletedCount });
+    
+    await AuditEvent.insertMany(perTenant.map(({ _id, count }) => ({
+      tenantId: _id,
+      actor: { type: 'system' },
+      action: 'resource.purged',
+      metadata: { count, retentionDays: TRASH_RETENTION_DAYS }
+    })));
+  } catch (error) {
+    logger.error('Trash purge error', { err: error });
+  }
+}
+
+/**
+ * Hard-deletes tenants whose deletion grace period has ended. Every model carrying the
+ * tenant scope plugin is emptied for the tenant, and the Tenant document goes last so an
+ * interrupted purge is picked up again on the next run.
+ */
+async function purgeDeletedTenants() {
+  try {
+    const due = await Tenant.find({ status: 'pending-deletion', deletionScheduledFor: { $lte: new Date() } }).lean();
+    const tenantModels = mongoose.modelNames()
+      .map(name => mongoose.model(name))
+      .filter(model => model.schema.plugins.some(plugin => plugin.fn === tenantScopePlugin));
+    
+    for (const tenant of due) {
+      const deleted = {};
+      for (const model of tenantModels) {
+        const { deletedCount } = await model.deleteMany({ tenantId: tenant.tenantId });
+        deleted[model.modelName] = deletedCount;
+      }
+      await Tenant.deleteOne({ _id: tenant._id, status: 'pending-deletion' });
+      logger.warn('Tenant purged', { tenantId: tenant.tenantId, deletionRequestedAt: tenant.deletionRequestedAt, deleted });
+    }
+  } catch (error) {
+    logger.error('Tenant purge error', { err: error });
+  }
+}
+
+// Webhooks
+// The secret is only returned when it is created or rotated
+const toPublicWebhook = (endpoint) => ({
+  id: endpoint._id,
+  url: endpoint.url,
+  description: endpoint.description,
+  events: endpoint.events,
+  active: endpoint.active,
+  secretHint: `…${endpoint.secret.slice(-4)}`,
+  createdAt: endpoint.createdAt,
+  updatedAt: endpoint.updatedAt
+});
+
+const findTenantWebhook = (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+  return WebhookEndpoint.findOne({ _id: req.params.id, tenantId: req.tenantId });
+};
+
+app.get('/api/webhooks', resolveTenant, authenticate, requirePermission('tenant:configure'), async (req, res) => {
+  try {
+    const endpoints = await WebhookEndpoint.find({ tenantId: req.tenantId }).sort({ createdAt: 1 }).lean();
+    res.json({ data: endpoints.map(toPublicWebhook), events: webhooks.WEBHOOK_EVENTS });
+  } catch (error) {
+    req.log.error('List webhooks error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/webhooks', resolveTenant, authenticate, requirePermission('tenant:configure'), async (req, res) => {
+  try {
+    const errors = webhooks.validateWebhook(req.body);
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Validation failed', fields: errors });
+    }
+    if (await WebhookEndpoint.countDocuments({ tenantId: req.tenantId }) >= MAX_WEBHOOK_ENDPOINTS) {
+      return res.status(409).json({ error: `A tenant can register at most ${MAX_WEBHOOK_ENDPOINTS} webhook endpoints` });
+    }
+    
+    const endpoint = await WebhookEndpoint.create({
+      tenantId: req.tenantId,
+      url: req.body.url,
+      description: req.body.description,
+      events: [...new Set(req.body.events)],
+      secret: webhooks.createSecret(),
+      active: req.body.active !== false,
+      createdBy: req.user.userId
+    });
+    
+    recordAudit(req, 'webhook.created', {
+      target: { type: 'webhook', id: String(endpoint._id) },
+      after: { url: endpoint.url, events: endpoint.events, active: endpoint.active }
+    });
+    
+    res.status(201).json({ ...toPublicWebhook(endpoint), secret: endpoint.secret });
+  } catch (error) {
+    req.log.error('Create webhook error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.patch('/api/webhooks/:id', resolveTenant, authenticate, requirePermission('tenant:configure'), async (req, res) => {
+  try {
+    const errors = webhooks.validateWebhook(req.body, { partial: true });
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Validation failed', fields: errors });
+    }
+    
+    const endpoint = await findTenantWebhook(req);
+    if (!endpoint) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    
+    const before = { url: endpoint.url, events: endpoint.events, active: endpoint.active, description: endpoint.description };
+    if (req.body.url !== undefined) endpoint.url = req.body.url;
+    if (req.body.events !== undefined) endpoint.events = [...new Set(req.body.events)];
+    if (req.body.description !== undefined) endpoint.description = req.body.description;
+    if (req.body.active !== undefined) endpoint.active = req.body.active;
+    endpoint.updatedAt = new Date();
+    await endpoint.save();
+    
+    recordAudit(req, 'webhook.updated', {
+      target: { type: 'webhook', id: String(endpoint._id) },
+      before,
+      after: { url: endpoint.url, events: endpoint.events, active: endpoint.active, description: endpoint.description }
+    });
+    
+    res.json(toPublicWebhook(endpoint));
+  } catch (error) {
+    req.log.error('Update webhook error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/webhooks/:id/rotate-secret', resolveTenant, authenticate, requirePermission('tenant:configure'), async (req, res) => {
+  try {
+    const endpoint = await findTenantWebhook(req);
+    if (!endpoint) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    
+    endpoint.secret = webhooks.createSecret();
+    endpoint.updatedAt = new Date();
+    await endpoint.save();
+    
+    recordAudit(req, 'webhook.secret.rotated', { target: { type: 'webhook', id: String(endpoint._id) } });
+    
+    res.json({ ...toPublicWebhook(endpoint), secret: endpoint.secret });
+  } catch (error) {
+    req.log.error('Rotate webhook secret error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-// Rate limiting
-const tenantLimiter = rateLimit({
-  windowMs: 60 * 1000,
-  max: 100,
-  keyGenerator: (req) => `${req.tenantId || 'unknown'}:${req.ip}`,
-  message: 'Too many requests from this tenant'
+app.delete('/api/webhooks/:id', resolveTenant, authenticate, requirePermission('tenant:configure'), async (req, res) => {
+  try {
+    const endpoint = await findTenantWebhook(req);
+    if (!endpoint) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    
+    await WebhookDelivery.deleteMany({ tenantId: req.tenantId, endpointId: endpoint._id });
+    await endpoint.deleteOne();
+    
+    recordAudit(req, 'webhook.deleted', {
+      target: { type: 'webhook', id: String(endpoint._id) },
+      before: { url: endpoint.url, events: endpoint.events }
+    });
+    
+    res.status(204).end();
+  } catch (error) {
+    req.log.error('Delete webhook error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
 });
 
-// MongoDB Connection
-mongoose.connect(MONGO_URI, {
-  useNewUrlParser: true,
-  useUnifiedTopology: true,
-})
-.then(() => console.log('✅ Connected to MongoDB'))
-.catch(err => console.error('❌ MongoDB connection error:', err));
-
-// Schemas
-const TenantSchema = new mongoose.Schema({
-  tenantId: { type: String, required: true, unique: true, index: true },
-  name: { type: String, required: true },
-  logo: { type: String, default: '🏛️' },
-  primaryColor: { type: String, default: '#3b82f6' },
-  secondaryColor: { type: String, default: '#8b5cf6' },
-  accentColor: { type: String, default: '#10b981' },
-  backgroundColor: { type: String, default: '#ffffff' },
-  textColor: { type: String, default: '#1f2937' },
-  fontFamily: { type: String, default: 'system-ui, sans-serif' },
-  createdAt: { type: Date, default: Date.now },
-  updatedAt: { type: Date, default: Date.now }
+// Queues a "webhook.test" ping, even for events the endpoint is not subscribed to
+app.post('/api/webhooks/:id/test', resolveTenant, authenticate, requirePermission('tenant:configure'), async (req, res) => {
+  try {
+    const endpoint = await findTenantWebhook(req);
+    if (!endpoint) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    
+    const delivery = await WebhookDelivery.create({
+      tenantId: req.tenantId,
+      endpointId: endpoint._id,
+      event: 'webhook.test',
+      payload: {
+        id: uuidv4(),
+        type: 'webhook.test',
+        tenantId: req.tenantId,
+        createdAt: new Date(),
+        data: { actor: requestActor(req) }
+      }
+    });
+    setImmediate(() => runUnscoped(processWebhookQueue));
+    
+    res.status(202).json(delivery);
+  } catch (error) {
+    req.log.error('Test webhook error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
 });
 
-const UserSchema = new mongoose.Schema({
-  tenantId: { type: String, required: true, index: true },
-  email: { type: String, required: true },
-  password: { type: String, required: true },
-  name: { type: String, required: true },
-  role: { type: String, enum: ['admin', 'user'], default: 'user' },
-  createdAt: { type: Date, default: Date.now }
+app.get('/api/webhooks/:id/deliveries', resolveTenant, authenticate, requirePermission('tenant:configure'), async (req, res) => {
+  try {
+    const endpoint = await findTenantWebhook(req);
+    if (!endpoint) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    
+    const filter = { tenantId: req.tenantId, endpointId: endpoint._id };
+    if (req.query.status) {
+      filter.status = String(req.query.status);
+    }
+    
+    const limit = parseLimit(req.query.limit);
+    const sort = parseSort('-createdAt', ['createdAt'], '-createdAt');
+    const { data, next, prev } = await findWithCursor(WebhookDelivery, filter, {
+      sort,
+      cursor: req.query.cursor,
+      limit
+    });
+    
+    res.json({ data, pagination: { limit, next, prev } });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    req.log.error('List webhook deliveries error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
 });
-UserSchema.index({ tenantId: 1, email: 1 }, { unique: true });
 
-const ResourceSchema = new mongoose.Schema({
-  tenantId: { type: String, required: true, index: true },
-  name: { type: String, required: true },
-  type: { type: String, required: true },
-  createdAt: { type: Date, default: Date.now },
-  updatedAt: { type: Date, default: Date.now }
+// Sends the original payload again as a new delivery; the original keeps its own history
+app.post('/api/webhooks/:id/deliveries/:deliveryId/redeliver', resolveTenant, authenticate, requirePermission('tenant:configure'), async (req, res) => {
+  try {
+    const endpoint = await findTenantWebhook(req);
+    if (!endpoint || !mongoose.isValidObjectId(req.params.deliveryId)) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    
+    const original = await WebhookDelivery.findOne({
+      _id: req.params.deliveryId,
+      tenantId: req.tenantId,
+      endpointId: endpoint._id
+    }).lean();
+    if (!original) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    
+    const delivery = await WebhookDelivery.create({
+      tenantId: req.tenantId,
+      endpointId: endpoint._id,
+      event: original.event,
+      payload: original.payload,
+      redeliveryOf: original._id
+    });
+    setImmediate(() => runUnscoped(processWebhookQueue));
+    
+    recordAudit(req, 'webhook.redelivered', {
+      target: { type: 'webhook', id: String(endpoint._id) },
+      metadata: { deliveryId: String(original._id), redeliveryId: String(delivery._id) }
+    });
+    
+    res.status(202).json(delivery);
+  } catch (error) {
+    req.log.error('Redeliver webhook error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
 });
-ResourceSchema.index({ tenantId: 1, createdAt: -1 });
-ResourceSchema.index({ tenantId: 1, type: 1 });
-
-const Tenant = mongoose.model('Tenant', TenantSchema);
-const User = mongoose.model('User', UserSchema);
-const Resource = mongoose.model('Resource', ResourceSchema);
 
-// Tenant Resolution Middleware
-const resolveTenant = async (req, res, next) => {
+// Stats
+app.get('/api/stats', resolveTenant, authenticate, requirePermission('resources:read'), async (req, res) => {
   try {
-    const host = req.headers.host || '';
-    const subdomain = host.split('.')[0];
-    const pathMatch = req.path.match(/^\/t\/([^\/]+)/);
-    const headerTenant = req.headers['x-tenant-id'];
+    const range = parseRange(req.query.range);
+    if (!range) {
+      return res.status(400).json({ error: `Range must be one of: ${Object.keys(STAT_RANGES).join(', ')}` });
+    }
     
-    const tenantId = headerTenant || (pathMatch && pathMatch[1]) || subdomain;
+    const { tenantId } = req;
+    const now = new Date();
+    const inPeriod = { $gte: range.since };
+    const inPreviousPeriod = { $gte: range.previousSince, $lt: range.since };
     
-    if (!tenantId) {
-      return res.status(400).json({ error: 'Tenant ID required' });
+    // Creation counts include resources trashed since; totals and the type breakdown do not
+    const [[resources], [users], activeSessions] = await Promise.all([
+      Resource.aggregate([
+        { $match: { tenantId } },
+        {
+          $facet: {
+            total: [{ $match: { deletedAt: null } }, { $count: 'count' }],
+            byType: [{ $match: { deletedAt: null } }, { $group: { _id: '$type', count: { $sum: 1 } } }],
+            daily: [
+              { $match: { createdAt: inPeriod } },
+              { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }, count: { $sum: 1 } } }
+            ],
+            previous: [{ $match: { createdAt: inPreviousPeriod } }, { $count: 'count' }]
+          }
+        }
+      ]),
+      User.aggregate([
+        { $match: { tenantId } },
+        {
+          $facet: {
+            byStatus: [{ $group: { _id: '$status', count: { $sum: 1 } } }],
+            current: [{ $match: { createdAt: inPeriod } }, { $count: 'count' }],
+            previous: [{ $match: { createdAt: inPreviousPeriod } }, { $count: 'count' }]
+          }
+        }
+      ]),
+      Session.countDocuments({ tenantId, revokedAt: null, expiresAt: { $gt: now } })
+    ]);
+    
+    const countOf = (rows) => rows[0]?.count || 0;
+    const series = fillDailySeries(resources.daily, range);
+    const created = series.reduce((sum, day) => sum + day.count, 0);
+    const usersByStatus = Object.fromEntries(users.byStatus.map(row => [row._id, row.count]));
+    const typeCounts = Object.fromEntries(resources.byType.map(row => [row._id, row.count]));
+    
+    res.json({
+      range: { key: range.key, days: range.days, from: range.since, to: now },
+      totals: {
+        resources: countOf(resources.total),
+        users: usersByStatus.active || 0,
+        invitedUsers: usersByStatus.invited || 0,
+        activeSessions
+      },
+      resourcesByType: RESOURCE_TYPES.map(type => ({ type, count: typeCounts[type] || 0 })),
+      resourcesCreated: {
+        series,
+        total: created,
+        previousTotal: countOf(resources.previous),
+        change: percentChange(created, countOf(resources.previous))
+      },
+      usersAdded: {
+        total: countOf(users.current),
+        previousTotal: countOf(users.previous),
+        change: percentChange(countOf(users.current), countOf(users.previous))
+      }
+    });
+  } catch (error) {
+    req.log.error('Get stats error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Audit log
+const AUDIT_CSV_COLUMNS = ['createdAt', 'action', 'actorType', 'actorId', 'actorEmail', 'targetType', 'targetId', 'before', 'after', 'ip', 'correlationId'];
+
+// Translates GET /api/audit query parameters into a Mongo filter
+const buildAuditFilter = (tenantId, query) => {
+  const errors = {};
+  const filter = { tenantId };
+  for (const param of ['action', 'actorId', 'targetType', 'targetId']) {
+    if (query[param] !== undefined && typeof query[param] !== 'string') {
+      errors[param] = `${param} must be given once, as plain text`;
+    }
+  }
+  if (Object.keys(errors).length > 0) return { filter, errors };
+  
+  if (query.action) {
+    // "resource" matches every resource.* action; a full name matches exactly
+    filter.action = query.action.includes('.')
+      ? query.action
+      : { $regex: `^${query.action.replace(/[^a-z]/gi, '')}\\.` };
+  }
+  if (query.actorId && mongoose.isValidObjectId(query.actorId)) filter['actor.userId'] = query.actorId;
+  if (query.targetType) filter['target.type'] = query.targetType;
+  if (query.targetId) filter['target.id'] = query.targetId;
+  const from = parseDateParam(query.from);
+  const to = parseDateParam(query.to);
+  if (from === null || to === null) {
+    errors.createdAt = 'from and to must be ISO 8601 dates';
+  } else if (from || to) {
+    filter.createdAt = { ...(from && { $gte: from }), ...(to && { $lte: to }) };
+  }
+  return { filter, errors };
+};
+
+app.get('/api/audit', resolveTenant, authenticate, requirePermission('audit:read'), async (req, res) => {
+  try {
+    const { filter, errors } = buildAuditFilter(req.tenantId, req.query);
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Validation failed', fields: errors });
     }
     
-    const tenant = await Tenant.findOne({ tenantId });
-    if (!tenant) {
-      return res.status(404).json({ error: 'Tenant not found' });
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="audit-${req.tenantId}-${Date.now()}.csv"`);
+      
+      // pipeline waits on backpressure and stops, closing the cursor, if the client goes away mid-download
+      const cursor = AuditEvent.find(filter).sort({ createdAt: -1, _id: -1 }).lean().cursor();
+      await pipeline(async function* () {
+        try {
+          yield toCsvRow(AUDIT_CSV_COLUMNS);
+          for await (const event of cursor) {
+            yield toCsvRow([
+              event.createdAt,
+              event.action,
+              event.actor?.type,
+              event.actor?.userId,
+              event.actor?.email,
+              event.target?.type,
+              event.target?.id,
+              event.changes?.before,
+              event.changes?.after,
+              event.ip,
+              event.correlationId
+            ]);
+          }
+        } finally {
+          await cursor.close();
+        }
+      }, res);
+      return;
     }
     
-    req.tenantId = tenantId;
-    req.tenant = tenant;
-    next();
+    const limit = parseLimit(req.query.limit);
+    const sort = parseSort('-createdAt', ['createdAt'], '-createdAt');
+    const { data, next, prev } = await findWithCursor(AuditEvent, filter, {
+      sort,
+      cursor: req.query.cursor,
+      limit
+    });
+    
+    res.json({ data, pagination: { limit, next, prev } });
   } catch (error) {
-    console.error(`[${req.correlationId}] Tenant resolution error:`, error);
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+      return req.log.info('Audit export cancelled by the client');
+    }
+    req.log.error('Get audit log error', { err: error });
+    // Headers are out once the CSV has started; a truncated file must not look complete
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
     res.status(500).json({ error: 'Internal server error' });
   }
+});
+
+// Platform administration
+// Operators work across tenants: these routes never resolve a tenant and run unscoped
+app.use('/api/platform', (req, res, next) => runUnscoped(next));
+
+/**
+ * Records an operator action in the platform audit log. Actions aimed at a tenant are
+ * also written to that tenant's own log, so its admins can see what support changed.
+ */
+const recordPlatformAudit = (req, action, { tenantId, actor, target, before, after, metadata } = {}) => {
+  PlatformAuditEvent.create({
+    actor: actor || requestActor(req),
+    action,
+    tenantId,
+    target,
+    changes: before || after ? diffChanges(before, after) : undefined,
+    metadata,
+    ip: req.ip,
+    correlationId: req.correlationId
+  }).catch((error) => {
+    req.log.error('Platform audit write error', { err: error });
+  });
+  if (tenantId) {
+    recordAudit(req, action, { tenantId, actor, target, before, after, metadata });
+  }
 };
 
-// Auth Middleware
-const authenticate = async (req, res, next) => {
+// Tenant access tokens carry no audience, so they can never pass as operator tokens
+const authenticateOperator = async (req, res, next) => {
   try {
     const token = req.headers.authorization?.replace('Bearer ', '');
     if (!token) {
       return res.status(401).json({ error: 'Authentication required' });
     }
     
-    const decoded = jwt.verify(token, JWT_SECRET);
-    
-    if (decoded.tenantId !== req.tenantId) {
-      console.error(`[${req.correlationId}] Tenant mismatch`);
-      return res.status(403).json({ error: 'Tenant mismatch' });
+    const decoded = jwt.verify(token, JWT_SECRET, { audience: PLATFORM_AUDIENCE });
+    const [operator, session] = await Promise.all([
+      PlatformOperator.findById(decoded.operatorId).select('email name status').lean(),
+      PlatformSession.findOne({ _id: decoded.sid, operatorId: decoded.operatorId }).select('revokedAt expiresAt').lean()
+    ]);
+    if (!operator || operator.status !== 'active') {
+      return res.status(401).json({ error: 'Account is not active' });
+    }
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+      return res.status(401).json({ error: 'Session has been revoked' });
     }
     
-    req.user = decoded;
+    req.operator = { id: operator._id, email: operator.email, name: operator.name, sid: decoded.sid };
     next();
   } catch (error) {
-    console.error(`[${req.correlationId}] Auth error:`, error);
+    req.log.error('Platform auth error', { err: error });
     res.status(401).json({ error: 'Invalid token' });
   }
 };
 
-// Routes
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+const toPublicOperator = (operator) => ({
+  id: operator._id || operator.id,
+  email: operator.email,
+  name: operator.name
 });
 
-app.post('/api/auth/login', resolveTenant, async (req, res) => {
+app.post('/api/platform/auth/login', platformLoginLimiter, async (req, res) => {
   try {
     const { email, password } = req.body;
-    
-    const user = await User.findOne({ tenantId: req.tenantId, email });
-    if (!user) {
+    const operator = typeof email === 'string'
+      ? await PlatformOperator.findOne({ email: email.trim().toLowerCase() })
+      : null;
+    const validPassword = operator && typeof password === 'string' && await bcrypt.compare(password, operator.password);
+    if (!validPassword || operator.status !== 'active') {
+      const reason = !operator ? 'unknown_operator' : !validPassword ? 'invalid_password' : 'deactivated';
+      req.log.warn('Platform login failed', { reason });
+      recordPlatformAudit(req, 'platform.login.failed', {
+        actor: { type: 'anonymous', email: typeof email === 'string' ? email : undefined },
+        metadata: { reason }
+      });
       return res.status(401).json({ error: 'Invalid credentials' });
     }
     
-    const validPassword = await bcrypt.compare(password, user.password);
-    if (!validPassword) {
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
+    const expiresAt = new Date(Date.now() + PLATFORM_SESSION_TTL_HOURS * 60 * 60 * 1000);
+    const session = await PlatformSession.create({
+      operatorId: operator._id,
+      userAgent: req.get('user-agent'),
+      ip: req.ip,
+      expiresAt
+    });
+    operator.lastLoginAt = new Date();
+    await operator.save();
     
-    const token = jwt.sign(
-      { userId: user._id, tenantId: req.tenantId, role: user.role },
-      JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    req.log.info('Platform login successful', { operatorId: operator._id });
+    recordPlatformAudit(req, 'platform.login.succeeded', {
+      actor: { type: 'platform', operatorId: operator._id, email: operator.email }
+    });
+    
+    res.json({
+      token: jwt.sign(
+        { operatorId: operator._id, sid: session._id },
+        JWT_SECRET,
+        { audience: PLATFORM_AUDIENCE, expiresIn: `${PLATFORM_SESSION_TTL_HOURS}h` }
+      ),
+      expiresAt,
+      operator: toPublicOperator(operator)
+    });
+  } catch (error) {
+    req.log.error('Platform login error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/platform/auth/logout', authenticateOperator, async (req, res) => {
+  try {
+    await PlatformSession.updateOne({ _id: req.operator.sid, revokedAt: null }, { revokedAt: new Date() });
+    recordPlatformAudit(req, 'platform.logout');
+    res.status(204).end();
+  } catch (error) {
+    req.log.error('Platform logout error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/platform/me', authenticateOperator, (req, res) => {
+  res.json(toPublicOperator(req.operator));
+});
+
+const PLATFORM_TENANT_SORT_FIELDS = ['createdAt', 'name', 'tenantId'];
+
+const toPlatformTenant = (tenant, usage) => ({
+  tenantId: tenant.tenantId,
+  name: tenant.name,
+  logo: tenant.logo,
+  plan: tenant.plan,
+  ...lifecycleOf(tenant),
+  suspendedAt: tenant.suspendedAt || null,
+  suspendedReason: tenant.suspendedReason || null,
+  createdAt: tenant.createdAt,
+  usage
+});
+
+const findPlatformTenant = (req) => Tenant.findOne({ tenantId: String(req.params.tenantId) });
+
+app.get('/api/platform/tenants', authenticateOperator, async (req, res) => {
+  try {
+    const page = parsePage(req.query.page);
+    const limit = parseLimit(req.query.limit);
+    const sort = parseSort(req.query.sort, PLATFORM_TENANT_SORT_FIELDS, '-createdAt');
+    const { filter, errors } = buildTenantSearch(req.query);
+    if (!sort) {
+      errors.sort = `Sort must be one of: ${PLATFORM_TENANT_SORT_FIELDS.join(', ')} (prefix with - for descending)`;
+    }
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Validation failed', fields: errors });
+    }
     
-    console.log(`[${req.correlationId}] Login successful: ${email}`);
+    const [tenants, total] = await Promise.all([
+      Tenant.find(filter)
+        .sort({ [sort.field]: sort.direction, _id: sort.direction })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Tenant.countDocuments(filter)
+    ]);
+    const usage = await Promise.all(tenants.map(tenant => getTenantUsage(tenant.tenantId)));
     
     res.json({
-      token,
-      user: {
-        id: user._id,
-        email: user.email,
-        name: user.name,
-        tenantId: user.tenantId,
-        role: user.role
-      },
-      theme: {
-        name: req.tenant.name,
-        logo: req.tenant.logo,
-        primaryColor: req.tenant.primaryColor,
-        secondaryColor: req.tenant.secondaryColor,
-        accentColor: req.tenant.accentColor,
-        backgroundColor: req.tenant.backgroundColor,
-        textColor: req.tenant.textColor,
-        fontFamily: req.tenant.fontFamily
-      }
+      data: tenants.map((tenant, index) => toPlatformTenant(tenant, usage[index])),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
     });
   } catch (error) {
-    console.error(`[${req.correlationId}] Login error:`, error);
+    req.log.error('Platform list tenants error', { err: error });
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.get('/api/tenant/config', resolveTenant, authenticate, async (req, res) => {
+app.get('/api/platform/tenants/:tenantId', authenticateOperator, async (req, res) => {
   try {
-    const tenant = await Tenant.findOne({ tenantId: req.tenantId });
+    const tenant = await findPlatformTenant(req).lean();
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant not found' });
+    }
+    
+    const adminRoles = await findAdminRoleNames(tenant.tenantId);
+    const [usage, admins] = await Promise.all([
+      getTenantUsage(tenant.tenantId),
+      User.find({ tenantId: tenant.tenantId, role: { $in: adminRoles } }).sort({ createdAt: 1 }).lean()
+    ]);
+    
     res.json({
-      name: tenant.name,
-      logo: tenant.logo,
-      primaryColor: tenant.primaryColor,
-      secondaryColor: tenant.secondaryColor,
-      accentColor: tenant.accentColor,
-      backgroundColor: tenant.backgroundColor,
-      textColor: tenant.textColor,
-      fontFamily: tenant.fontFamily
+      ...toPlatformTenant(tenant, usage),
+      limits: getPlan(tenant.plan).limits,
+      admins: admins.map(toPublicUser)
     });
   } catch (error) {
-    console.error(`[${req.correlationId}] Get config error:`, error);
+    req.log.error('Platform get tenant error', { err: error });
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.put('/api/tenant/config', resolveTenant, authenticate, async (req, res) => {
+app.patch('/api/platform/tenants/:tenantId/plan', authenticateOperator, async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Admin access required' });
+    const { plan } = req.body;
+    if (!PLAN_NAMES.includes(plan)) {
+      return res.status(400).json({ error: 'Validation failed', fields: { plan: `Plan must be one of: ${PLAN_NAMES.join(', ')}` } });
     }
     
-    const updates = req.body;
-    const tenant = await Tenant.findOneAndUpdate(
-      { tenantId: req.tenantId },
-      { ...updates, updatedAt: new Date() },
-      { new: true }
-    );
+    const tenant = await findPlatformTenant(req);
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant not found' });
+    }
+    
+    const before = { plan: tenant.plan };
+    tenant.plan = plan;
+    tenant.updatedAt = new Date();
+    await tenant.save();
     
-    console.log(`[${req.correlationId}] Tenant config updated`);
+    req.log.info('Tenant plan changed', { tenantId: tenant.tenantId, plan });
+    recordPlatformAudit(req, 'tenant.plan.changed', {
+      tenantId: tenant.tenantId,
+      target: { type: 'tenant', id: tenant.tenantId },
+      before,
+      after: { plan }
+    });
     
-    res.json({ success: true, config: tenant });
+    res.json(toPlatformTenant(tenant, await getTenantUsage(tenant.tenantId)));
   } catch (error) {
-    console.error(`[${req.correlationId}] Update config error:`, error);
+    req.log.error('Platform change plan error', { err: error });
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.get('/api/resources', resolveTenant, authenticate, tenantLimiter, async (req, res) => {
+// Suspension takes effect on the tenant's next request: resolveTenant refuses suspended tenants
+const changeTenantStatus = (action, auditAction) => async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
+    const { reason } = req.body;
+    if (reason !== undefined && (typeof reason !== 'string' || reason.length > 500)) {
+      return res.status(400).json({ error: 'Validation failed', fields: { reason: 'Reason must be at most 500 characters' } });
+    }
     
-    const query = { tenantId: req.tenantId };
+    const tenant = await findPlatformTenant(req).lean();
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant not found' });
+    }
     
-    const [resources, total] = await Promise.all([
-      Resource.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
-      Resource.countDocuments(query)
-    ]);
+    const updated = await transitionTenant(tenant, action, { reason: reason?.trim() || undefined });
     
-    res.json({
-      data: resources,
-      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    req.log.warn('Tenant status changed', { tenantId: tenant.tenantId, status: updated.status });
+    recordPlatformAudit(req, auditAction, {
+      tenantId: tenant.tenantId,
+      target: { type: 'tenant', id: tenant.tenantId },
+      before: lifecycleOf(tenant),
+      after: lifecycleOf(updated),
+      metadata: reason ? { reason } : undefined
+    });
+    
+    res.json(toPlatformTenant(updated, await getTenantUsage(tenant.tenantId)));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    req.log.error('Platform change tenant status error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+app.post('/api/platform/tenants/:tenantId/suspend', authenticateOperator, changeTenantStatus('suspend', 'tenant.suspended'));
+app.post('/api/platform/tenants/:tenantId/reactivate', authenticateOperator, changeTenantStatus('reactivate', 'tenant.reactivated'));
+
+// For admins locked out of their tenant; the temporary password is returned once and never stored in plaintext
+app.post('/api/platform/tenants/:tenantId/admins/:userId/reset-password', authenticateOperator, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+      return res.status(404).json({ error: 'Admin not found' });
+    }
+    const tenantId = String(req.params.tenantId);
+    const adminRoles = await findAdminRoleNames(tenantId);
+    const user = await User.findOne({ _id: req.params.userId, tenantId, role: { $in: adminRoles } });
+    if (!user) {
+      return res.status(404).json({ error: 'Admin not found' });
+    }
+    if (user.status === 'invited') {
+      return res.status(409).json({ error: 'This admin has not accepted their invitation yet' });
+    }
+    
+    const temporaryPassword = generateTemporaryPassword();
+    user.password = await bcrypt.hash(temporaryPassword, 10);
+    user.updatedAt = new Date();
+    await user.save();
+    const { modifiedCount } = await revokeUserSessions(user.tenantId, user._id, 'password_reset');
+    
+    req.log.warn('Admin password reset by platform operator', { tenantId: user.tenantId, userId: user._id });
+    recordPlatformAudit(req, 'user.password.reset', {
+      tenantId: user.tenantId,
+      target: { type: 'user', id: String(user._id) },
+      metadata: { email: user.email, sessionsRevoked: modifiedCount }
     });
+    
+    res.set('Cache-Control', 'no-store');
+    res.json({ temporaryPassword });
   } catch (error) {
-    console.error(`[${req.correlationId}] Get resources error:`, error);
+    req.log.error('Platform reset password error', { err: error });
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.post('/api/resources', resolveTenant, authenticate, async (req, res) => {
+app.get('/api/platform/audit', authenticateOperator, async (req, res) => {
   try {
-    const { name, type } = req.body;
+    const filter = {};
+    if (req.query.tenantId) filter.tenantId = String(req.query.tenantId);
+    if (req.query.action) filter.action = String(req.query.action);
     
-    const resource = new Resource({
-      tenantId: req.tenantId,
-      name,
-      type
+    const limit = parseLimit(req.query.limit);
+    const sort = parseSort('-createdAt', ['createdAt'], '-createdAt');
+    const { data, next, prev } = await findWithCursor(PlatformAuditEvent, filter, {
+      sort,
+      cursor: req.query.cursor,
+      limit
     });
     
-    await resource.save();
-    res.status(201).json(resource);
+    res.json({ data, pagination: { limit, next, prev } });
   } catch (error) {
-    console.error(`[${req.correlationId}] Create resource error:`, error);
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    req.log.error('Platform audit log error', { err: error });
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// Sends one claimed delivery and schedules a retry with exponential backoff if it fails
+async function attemptDelivery(delivery) {
+  const endpoint = await WebhookEndpoint.findOne({ _id: delivery.endpointId, tenantId: delivery.tenantId }).lean();
+  if (!endpoint || !endpoint.active) {
+    await WebhookDelivery.updateOne({ _id: delivery._id }, {
+      $set: { status: 'failed', error: 'Endpoint was disabled or deleted' },
+      $unset: { lockedUntil: 1 }
+    });
+    return;
+  }
+  
+  const result = await webhooks.sendWebhook({
+    url: endpoint.url,
+    secret: endpoint.secret,
+    event: delivery.event,
+    deliveryId: String(delivery._id),
+    payload: delivery.payload,
+    allowPrivate: WEBHOOK_ALLOW_PRIVATE_URLS
+  });
+  
+  const attempts = delivery.attempts + 1;
+  const retry = !result.ok && result.retryable && attempts < webhooks.MAX_ATTEMPTS;
+  await WebhookDelivery.updateOne({ _id: delivery._id }, {
+    $set: {
+      status: result.ok ? 'succeeded' : (retry ? 'pending' : 'failed'),
+      attempts,
+      lastAttemptAt: new Date(),
+      ...(retry && { nextAttemptAt: new Date(Date.now() + webhooks.retryDelay(attempts)) }),
+      responseStatus: result.status ?? null,
+      responseBody: result.body ?? null,
+      error: result.error ?? null,
+      durationMs: result.durationMs
+    },
+    $unset: { lockedUntil: 1 }
+  });
+}
+
+let webhookWorkerRunning = false;
+
+// Claims due deliveries one at a time; a lock that outlives a crashed worker is picked up again
+async function processWebhookQueue() {
+  if (webhookWorkerRunning || mongoose.connection.readyState !== 1) return;
+  webhookWorkerRunning = true;
+  try {
+    for (;;) {
+      const now = new Date();
+      const delivery = await WebhookDelivery.findOneAndUpdate(
+        {
+          $or: [
+            { status: 'pending', nextAttemptAt: { $lte: now } },
+            { status: 'delivering', lockedUntil: { $lte: now } }
+          ]
+        },
+        { $set: { status: 'delivering', lockedUntil: new Date(now.getTime() + 3 * webhooks.DELIVERY_TIMEOUT_MS) } },
+        { sort: { nextAttemptAt: 1 }, new: true }
+      ).lean();
+      if (!delivery) break;
+      await attemptDelivery(delivery);
+    }
+  } catch (error) {
+    logger.error('Webhook queue error', { err: error });
+  } finally {
+    webhookWorkerRunning = false;
+  }
+}
+
+// Backfills built-in roles for tenants created before roles existed
+async function migrateRoles() {
+  try {
+    const tenantIds = await Tenant.distinct('tenantId');
+    if (tenantIds.length > 0) {
+      await ensureBuiltInRoles(tenantIds);
+    }
+  } catch (error) {
+    logger.error('Role migration error', { err: error });
+  }
+}
+
 // Seed database
 async function seedDatabase() {
   try {
     const existingTenants = await Tenant.countDocuments();
     if (existingTenants > 0) {
-      console.log('✅ Database already seeded');
+      logger.info('Database already seeded');
       return;
     }
     
-    console.log('🌱 Seeding database...');
+    logger.info('Seeding database');
     
     const tenants = [
       {
         tenantId: 'acme',
         name: 'ACME Corporation',
+        plan: 'pro',
         logo: '🏢',
         primaryColor: '#dc2626',
         secondaryColor: '#991b1b',
@@ -305,44 +4061,137 @@ async function seedDatabase() {
         email: 'admin@acme.com',
         password: hashedPassword,
         name: 'ACME Admin',
-        role: 'admin'
+        role: 'admin',
+        emailVerifiedAt: new Date()
       },
       {
         tenantId: 'techstart',
         email: 'admin@techstart.com',
         password: hashedPassword,
         name: 'TechStart Admin',
-        role: 'admin'
+        role: 'admin',
+        emailVerifiedAt: new Date()
       }
     ];
     
     await User.insertMany(users);
     
+    await PlatformOperator.create({
+      email: 'operator@platform.local',
+      name: 'Platform Operator',
+      password: hashedPassword
+    });
+    
     const resources = [];
     for (const tenant of ['acme', 'techstart']) {
       for (let i = 1; i <= 50; i++) {
+        // Spread over the last 90 days so the dashboard charts have history
+        const createdAt = new Date(Date.now() - Math.random() * 90 * 24 * 60 * 60 * 1000);
         resources.push({
           tenantId: tenant,
           name: `${tenant.toUpperCase()} Resource ${i}`,
-          type: ['Document', 'Image', 'Video'][Math.floor(Math.random() * 3)]
+          type: RESOURCE_TYPES[Math.floor(Math.random() * RESOURCE_TYPES.length)],
+          createdAt,
+          updatedAt: createdAt
         });
       }
     }
     
     await Resource.insertMany(resources);
     
-    console.log('✅ Database seeded successfully!');
-    console.log('📧 Test credentials:');
-    console.log('   ACME: admin@acme.com / password');
-    console.log('   TechStart: admin@techstart.com / password');
+    logger.info('Database seeded', {
+      testAccounts: ['acme: admin@acme.com', 'techstart: admin@techstart.com', 'platform console (/platform): operator@platform.local'],
+      note: 'Seeded accounts use the password "password"'
+    });
   } catch (error) {
-    console.error('❌ Seed error:', error);
+    logger.error('Seed error', { err: error });
   }
 }
 
-app.listen(PORT, async () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  await seedDatabase();
-});
+// The initial connect is not retried by the driver, so keep trying; readiness reports 503 meanwhile
+async function connectToMongo() {
+  for (let attempt = 1; !shuttingDown; attempt++) {
+    try {
+      await mongoose.connect(MONGO_URI, {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+        monitorCommands: true,
+      });
+      metrics.instrumentMongoClient(mongoose.connection.getClient());
+      logger.info('Connected to MongoDB');
+      return true;
+    } catch (error) {
+      const retryInMs = Math.min(1000 * 2 ** (attempt - 1), 30 * 1000);
+      logger.error('MongoDB connection error', { err: error, attempt, retryInMs });
+      await new Promise(resolve => setTimeout(resolve, retryInMs));
+    }
+  }
+  return false;
+}
+
+const backgroundJobs = [];
+
+// Work that needs the database runs after connecting rather than from the listen callback
+// Creates the first operator from PLATFORM_ADMIN_EMAIL and PLATFORM_ADMIN_PASSWORD; existing accounts are left alone
+async function ensurePlatformOperator() {
+  const email = process.env.PLATFORM_ADMIN_EMAIL?.trim().toLowerCase();
+  const password = process.env.PLATFORM_ADMIN_PASSWORD;
+  if (!email || !password) return;
+  try {
+    if (await PlatformOperator.exists({ email })) return;
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      logger.error('PLATFORM_ADMIN_PASSWORD is too short; no operator was created', { minLength: MIN_PASSWORD_LENGTH });
+      return;
+    }
+    await PlatformOperator.create({ email, name: 'Platform Admin', password: await bcrypt.hash(password, 10) });
+    logger.info('Platform operator created', { email });
+  } catch (error) {
+    logger.error('Platform operator bootstrap error', { err: error });
+  }
+}
+
+async function runStartupTasks() {
+  if (SEED_DEMO_DATA) await seedDatabase();
+  await ensurePlatformOperator();
+  await migrateRoles();
+  await purgeTrash();
+  await purgeDeletedTenants();
+  backgroundJobs.push(
+    setInterval(purgeTrash, 60 * 60 * 1000).unref(),
+    setInterval(purgeDeletedTenants, 60 * 60 * 1000).unref(),
+    setInterval(processWebhookQueue, WEBHOOK_POLL_MS).unref()
+  );
+}
+
+async function start() {
+  const server = app.listen(PORT, () => logger.info('Server listening', { port: PORT }));
+
+  const shutdown = async (signal) => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    logger.info('Shutting down', { signal, timeoutMs: SHUTDOWN_TIMEOUT_MS });
+    backgroundJobs.forEach(clearInterval);
+    const { forced } = await drainServer(server, { timeoutMs: SHUTDOWN_TIMEOUT_MS });
+    // Closing while the initial connect is still pending would wait for server selection to time out
+    try {
+      if (mongoose.connection.readyState === 1) await mongoose.connection.close();
+    } catch (error) {
+      logger.error('MongoDB close error', { err: error });
+    }
+    logger.info('Shutdown complete', { forced });
+    process.exit(forced ? 1 : 0);
+  };
+  process.once('SIGTERM', () => shutdown('SIGTERM'));
+  process.once('SIGINT', () => shutdown('SIGINT'));
+
+  // Jobs span tenants; the intervals started here inherit the unscoped context
+  if (await connectToMongo()) await runUnscoped(runStartupTasks);
+}
+
+if (require.main === module) {
+  start();
+}
 
-module.exports = app;
\ No newline at end of file
+module.exports = app;
+// Scheduled jobs, so tests can run them without the timers
+module.exports.purgeTrash = purgeTrash;
\ No newline at end of file
@@ -0,0 +1,89 @@
+process.env.LOG_LEVEL = 'silent';
+
+const crypto = require('crypto');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { createMemoryDb } = require('./support/memoryDb');
+const app = require('../server');
+
+const Tenant = mongoose.model('Tenant');
+const Resource = mongoose.model('Resource');
+const ApiKey = mongoose.model('ApiKey');
+
+const db = createMemoryDb();
+
+// Stores a key the way POST /api/api-keys does and returns the secret a client would hold
+const issueKey = (fields) => {
+  const key = `mtk_${crypto.randomBytes(32).toString('base64url')}`;
+  db.seed(ApiKey, {
+    tenantId: 'acme',
+    name: 'CI',
+    prefix: key.slice(0, 10),
+    keyHash: crypto.createHash('sha256').update(key).digest('hex'),
+    scopes: ['resources:read'],
+    ...fields
+  });
+  return key;
+};
+
+beforeAll(() => db.install());
+
+beforeEach(() => {
+  db.reset();
+  db.seed(Tenant, { tenantId: 'acme', name: 'Acme', plan: 'pro' }, { tenantId: 'globex', name: 'Globex', plan: 'pro' });
+  db.seed(Resource,
+    { tenantId: 'acme', name: 'Roadmap', type: 'Document' },
+    { tenantId: 'globex', name: 'Secret plans', type: 'Document' }
+  );
+});
+
+describe('API key authentication', () => {
+  it('accepts a valid key in either header and records its use', async () => {
+    const key = issueKey();
+
+    const viaHeader = await request(app).get('/api/t/acme/resources').set('X-API-Key', key);
+    const viaAuthorization = await request(app).get('/api/t/acme/resources').set('Authorization', `ApiKey ${key}`);
+
+    expect(viaHeader.status).toBe(200);
+    expect(viaHeader.body.data.map(resource => resource.name)).toEqual(['Roadmap']);
+    expect(viaAuthorization.status).toBe(200);
+    expect(db.all(ApiKey)[0].lastUsedAt).toBeInstanceOf(Date);
+  });
+
+  it('rejects revoked, expired and unknown keys', async () => {
+    const revoked = issueKey({ revokedAt: new Date() });
+    const expired = issueKey({ expiresAt: new Date(Date.now() - 1000) });
+
+    for (const key of [revoked, expired, 'mtk_not-a-real-key']) {
+      const res = await request(app).get('/api/t/acme/resources').set('X-API-Key', key);
+      expect(res.status).toBe(401);
+      expect(res.body.error).toBe('Invalid API key');
+    }
+  });
+
+  it('denies requests outside the key\'s scopes', async () => {
+    const key = issueKey({ scopes: ['resources:read'] });
+
+    const res = await request(app).post('/api/t/acme/resources').set('X-API-Key', key).send({ name: 'Draft', type: 'Document' });
+
+    expect(res.status).toBe(403);
+    expect(res.body).toEqual({ error: 'Permission denied', missing: ['resources:write'] });
+    expect(db.all(Resource, { name: 'Draft' })).toHaveLength(0);
+  });
+
+  it('only works for the tenant that issued it', async () => {
+    const key = issueKey();
+
+    const res = await request(app).get('/api/t/globex/resources').set('X-API-Key', key);
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('Tenant mismatch');
+  });
+
+  it('cannot reach endpoints that act on a signed-in user', async () => {
+    const key = issueKey({ scopes: ['resources:read', 'apikeys:manage'] });
+
+    expect((await request(app).get('/api/t/acme/auth/sessions').set('X-API-Key', key)).status).toBe(403);
+    expect((await request(app).get('/api/t/acme/api-keys').set('X-API-Key', key)).status).toBe(403);
+  });
+});
@@ -0,0 +1,60 @@
+const zlib = require('zlib');
+const { PassThrough } = require('stream');
+const { tarHeader, writeTarGz } = require('../lib/archive');
+const { untar } = require('./support/untar');
+
+const collect = (stream) => new Promise((resolve, reject) => {
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+  stream.on('end', () => resolve(Buffer.concat(chunks)));
+  stream.on('error', reject);
+});
+
+describe('tarHeader', () => {
+  it('writes a checksummed ustar header', () => {
+    const header = tarHeader('users.ndjson', 1000, new Date(0));
+    expect(header).toHaveLength(512);
+    expect(header.toString('utf8', 257, 262)).toBe('ustar');
+    const stored = parseInt(header.toString('utf8', 148, 154), 8);
+    const computed = Buffer.concat([header.subarray(0, 148), Buffer.from(' '.repeat(8)), header.subarray(156)])
+      .reduce((sum, byte) => sum + byte, 0);
+    expect(stored).toBe(computed);
+  });
+});
+
+describe('writeTarGz', () => {
+  it('archives strings, lazily built content and async sources in order', async () => {
+    let count = 0;
+    async function* lines() {
+      for (const id of [1, 2, 3]) {
+        count++;
+        yield `${JSON.stringify({ id })}\n`;
+      }
+    }
+    const output = new PassThrough();
+    const archive = collect(output);
+
+    await writeTarGz([
+      { name: 'tenant.json', content: '{"tenantId":"acme"}' },
+      { name: 'resources.ndjson', source: lines() },
+      { name: 'manifest.json', content: () => JSON.stringify({ count }) }
+    ], output);
+
+    const files = untar(zlib.gunzipSync(await archive));
+    expect(Object.keys(files)).toEqual(['tenant.json', 'resources.ndjson', 'manifest.json']);
+    expect(files['resources.ndjson']).toBe('{"id":1}\n{"id":2}\n{"id":3}\n');
+    expect(JSON.parse(files['manifest.json'])).toEqual({ count: 3 });
+  });
+
+  it('fails before writing anything when a source throws', async () => {
+    async function* broken() {
+      yield 'partial';
+      throw new Error('cursor died');
+    }
+    const output = new PassThrough();
+    const write = jest.spyOn(output, 'write');
+
+    await expect(writeTarGz([{ name: 'audit.ndjson', source: broken() }], output)).rejects.toThrow('cursor died');
+    expect(write).not.toHaveBeenCalled();
+  });
+});
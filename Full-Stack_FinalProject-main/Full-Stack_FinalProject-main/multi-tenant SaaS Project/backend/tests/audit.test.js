@@ -0,0 +1,63 @@
+process.env.LOG_LEVEL = 'silent';
+
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const { createMemoryDb } = require('./support/memoryDb');
+const app = require('../server');
+
+const Tenant = mongoose.model('Tenant');
+const User = mongoose.model('User');
+const Role = mongoose.model('Role');
+const AuditEvent = mongoose.model('AuditEvent');
+
+const db = createMemoryDb();
+const PASSWORD = 'correct horse battery';
+
+let token;
+
+beforeAll(() => db.install());
+
+beforeEach(async () => {
+  db.reset();
+  db.seed(Tenant, { tenantId: 'acme', name: 'Acme', plan: 'pro' }, { tenantId: 'globex', name: 'Globex', plan: 'pro' });
+  db.seed(Role, { tenantId: 'acme', name: 'auditor', label: 'Auditor', permissions: ['audit:read'] });
+  db.seed(User, { tenantId: 'acme', email: 'ann@acme.test', name: 'Ann', password: bcrypt.hashSync(PASSWORD, 4), role: 'auditor' });
+  db.seed(AuditEvent,
+    { tenantId: 'acme', actor: { type: 'user', email: 'ann@acme.test' }, action: 'resource.created', target: { type: 'resource', id: 'r1' }, createdAt: new Date('2026-01-02') },
+    { tenantId: 'acme', actor: { type: 'user', email: 'ann@acme.test' }, action: 'user.invited', target: { type: 'user', id: 'u1' }, createdAt: new Date('2026-01-03') },
+    { tenantId: 'globex', actor: { type: 'user', email: 'gus@globex.test' }, action: 'resource.created', createdAt: new Date('2026-01-02') }
+  );
+  const res = await request(app).post('/api/t/acme/auth/login').send({ email: 'ann@acme.test', password: PASSWORD });
+  token = res.body.token;
+});
+
+const audit = (query) => request(app).get('/api/t/acme/audit').query(query).set('Authorization', `Bearer ${token}`);
+
+describe('GET /api/audit', () => {
+  it('filters the tenant\'s own events', async () => {
+    const res = await audit({ action: 'resource.created' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(event => event.target.id)).toEqual(['r1']);
+  });
+
+  it('rejects repeated or nested filter parameters instead of failing', async () => {
+    for (const query of ['action=a.b&action=c.d', 'targetType[$ne]=user', 'from=2026-01-01&from=2026-02-01', 'to=yesterday']) {
+      const res = await request(app).get(`/api/t/acme/audit?${query}`).set('Authorization', `Bearer ${token}`);
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Validation failed');
+    }
+  });
+
+  it('streams the filtered events as CSV and closes the cursor', async () => {
+    const res = await audit({ format: 'csv', to: '2026-01-31T00:00:00Z' });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('text/csv; charset=utf-8');
+    const lines = res.text.trim().split('\r\n');
+    expect(lines[0]).toMatch(/^createdAt,action,actorType/);
+    expect(lines.slice(1).map(line => line.split(',')[1])).toEqual(['user.invited', 'resource.created']);
+    expect(db.cursors()).toEqual([expect.objectContaining({ closed: true })]);
+  });
+});
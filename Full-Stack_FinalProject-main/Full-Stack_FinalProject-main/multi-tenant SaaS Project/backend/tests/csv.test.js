@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const { escapeCell, toCsvRow, unescapeCell, parseCsv } = require('../lib/csv');
+
+describe('escapeCell', () => {
+  it('quotes cells containing separators, quotes or newlines', () => {
+    expect(escapeCell('plain')).toBe('plain');
+    expect(escapeCell('a,b')).toBe('"a,b"');
+    expect(escapeCell('say "hi"')).toBe('"say ""hi"""');
+    expect(escapeCell('line\nbreak')).toBe('"line\nbreak"');
+  });
+
+  it('neutralises spreadsheet formulas', () => {
+    expect(escapeCell('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+    expect(escapeCell('@SUM(A1)')).toBe("'@SUM(A1)");
+    expect(escapeCell(-5)).toBe('-5');
+  });
+
+  it('serialises dates, ids and objects', () => {
+    const id = new mongoose.Types.ObjectId();
+    expect(escapeCell(new Date(Date.UTC(2024, 0, 1)))).toBe('2024-01-01T00:00:00.000Z');
+    expect(escapeCell(id)).toBe(id.toHexString());
+    expect(escapeCell({ role: 'admin' })).toBe('"{""role"":""admin""}"');
+    expect(escapeCell(undefined)).toBe('');
+  });
+});
+
+describe('toCsvRow', () => {
+  it('joins cells with commas and terminates with CRLF', () => {
+    expect(toCsvRow(['a', 1, null])).toBe('a,1,\r\n');
+  });
+});
+
+describe('parseCsv', () => {
+  it('reads quoted cells containing separators, quotes and line breaks', () => {
+    expect(parseCsv('name,type\r\n"a,b","say ""hi"""\r\n"multi\nline",x\n')).toEqual([
+      ['name', 'type'],
+      ['a,b', 'say "hi"'],
+      ['multi\nline', 'x']
+    ]);
+  });
+
+  it('skips blank lines and a byte order mark, and keeps empty cells', () => {
+    expect(parseCsv('\uFEFFa,b\n\n1,\n')).toEqual([['a', 'b'], ['1', '']]);
+  });
+
+  it('rejects unterminated quotes', () => {
+    expect(() => parseCsv('a\n"open')).toThrow('unterminated');
+  });
+
+  it('round-trips rows written by toCsvRow', () => {
+    const values = ['=SUM(A1)', 'x,y', 'plain'];
+    expect(parseCsv(toCsvRow(values))[0].map(unescapeCell)).toEqual(values);
+  });
+});
@@ -0,0 +1,70 @@
+const { TEMPLATE_NAMES, escapeHtml, renderEmail } = require('../lib/emailTemplates');
+
+const theme = {
+  name: 'ACME Corporation',
+  logo: '🏢',
+  primaryColor: '#dc2626',
+  accentColor: '#fbbf24',
+  backgroundColor: '#ffffff',
+  textColor: '#1f2937',
+  fontFamily: 'system-ui, sans-serif'
+};
+const user = { name: 'ACME Admin', email: 'admin@acme.com' };
+const url = 'http://localhost/?tenant=acme&reset=abc123';
+
+describe('renderEmail', () => {
+  it('brands the message with the tenant theme', () => {
+    const { subject, html, text } = renderEmail('passwordReset', { theme, user, url, expiresInMinutes: 60 });
+
+    expect(subject).toBe('Reset your password - ACME Corporation');
+    expect(html).toContain('background:#dc2626');
+    expect(html).toContain('border-top:4px solid #fbbf24');
+    expect(html).toContain('🏢');
+    expect(html).toContain('href="http://localhost/?tenant=acme&amp;reset=abc123"');
+    expect(text).toContain(`Choose a new password: ${url}`);
+    expect(text).toContain('expires in 60 minutes');
+  });
+
+  it('renders every template', () => {
+    for (const name of TEMPLATE_NAMES) {
+      const email = renderEmail(name, { theme, user, url, expiresInMinutes: 60, expiresInHours: 48 });
+      expect(email.subject).toMatch(/ - ACME Corporation$/);
+      expect(email.text).toContain(url);
+    }
+  });
+
+  it('escapes names so they cannot add markup', () => {
+    const { html } = renderEmail('emailVerification', {
+      theme: { ...theme, name: '<b>ACME</b>' },
+      user: { name: '<script>alert(1)</script>', email: 'x@acme.com' },
+      url,
+      expiresInHours: 48
+    });
+
+    expect(html).not.toContain('<script>');
+    expect(html).not.toContain('<b>ACME</b>');
+    expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+  });
+
+  it('falls back to the default colors when a stored one does not parse', () => {
+    const { html } = renderEmail('passwordReset', {
+      theme: { ...theme, primaryColor: 'red;background:url(x)' },
+      user,
+      url,
+      expiresInMinutes: 60
+    });
+
+    expect(html).not.toContain('url(x)');
+    expect(html).toContain('background:#3b82f6');
+  });
+
+  it('rejects unknown templates', () => {
+    expect(() => renderEmail('welcome', { theme })).toThrow('Unknown email template: welcome');
+  });
+});
+
+describe('escapeHtml', () => {
+  it('escapes the characters that matter in text and attributes', () => {
+    expect(escapeHtml(`<a href="x">'&'</a>`)).toBe('&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+  });
+});
@@ -0,0 +1,74 @@
+const http = require('http');
+const { checkMongo, drainServer } = require('../lib/health');
+
+const fakeConnection = (readyState, command) => ({ readyState, db: { command } });
+
+describe('checkMongo', () => {
+  it('reports up with latency when the ping succeeds', async () => {
+    const command = jest.fn().mockResolvedValue({ ok: 1 });
+    const result = await checkMongo(fakeConnection(1, command));
+    expect(command).toHaveBeenCalledWith({ ping: 1 });
+    expect(result).toEqual({ status: 'up', state: 'connected', latencyMs: expect.any(Number) });
+  });
+
+  it('reports down without pinging when not connected', async () => {
+    const command = jest.fn();
+    expect(await checkMongo(fakeConnection(2, command))).toEqual({ status: 'down', state: 'connecting' });
+    expect(command).not.toHaveBeenCalled();
+  });
+
+  it('reports down when the ping fails or hangs', async () => {
+    const failing = fakeConnection(1, () => Promise.reject(new Error('not primary')));
+    expect(await checkMongo(failing)).toMatchObject({ status: 'down', error: 'not primary' });
+
+    const hanging = fakeConnection(1, () => new Promise(() => {}));
+    expect(await checkMongo(hanging, { timeoutMs: 20 })).toMatchObject({ status: 'down', error: 'Timed out after 20ms' });
+  });
+});
+
+describe('drainServer', () => {
+  let server;
+  let port;
+  let release;
+
+  beforeEach(async () => {
+    server = http.createServer((req, res) => {
+      release = () => res.end('done');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  const startRequest = () => new Promise((resolve, reject) => {
+    http.get({ port, host: '127.0.0.1', agent: false }, (res) => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve(body));
+    }).on('error', reject);
+  });
+
+  const waitForRequest = async () => {
+    while (!release) await new Promise(resolve => setTimeout(resolve, 5));
+  };
+
+  afterEach(() => {
+    release = null;
+  });
+
+  it('lets in-flight requests finish before resolving', async () => {
+    const response = startRequest();
+    await waitForRequest();
+    const drained = drainServer(server, { timeoutMs: 1000 });
+    release();
+    expect(await response).toBe('done');
+    expect(await drained).toEqual({ forced: false });
+    expect(server.listening).toBe(false);
+  });
+
+  it('destroys connections still open after the timeout', async () => {
+    const response = startRequest();
+    await waitForRequest();
+    expect(await drainServer(server, { timeoutMs: 20 })).toEqual({ forced: true });
+    await expect(response).rejects.toThrow();
+  });
+});
@@ -0,0 +1,45 @@
+const { detectFormat, parseImport } = require('../lib/import');
+
+describe('detectFormat', () => {
+  it('prefers an explicit format over the content type', () => {
+    expect(detectFormat('ndjson', 'text/csv')).toBe('ndjson');
+    expect(detectFormat(undefined, 'text/csv; charset=utf-8')).toBe('csv');
+    expect(detectFormat(undefined, 'application/json')).toBe('json');
+  });
+
+  it('returns null for unsupported formats', () => {
+    expect(detectFormat('xml')).toBeNull();
+    expect(detectFormat(undefined, 'text/plain')).toBeNull();
+  });
+});
+
+describe('parseImport', () => {
+  it('maps CSV columns by header and ignores server-assigned fields', () => {
+    const csv = 'id,Name,type,size,tenantId\r\nabc,"Q1, report",Document,2048,other\r\n,'
+      + "'=cmd,Image,,\r\n";
+    expect(parseImport(csv, 'csv')).toEqual([
+      { row: 1, value: { name: 'Q1, report', type: 'Document', size: 2048 } },
+      { row: 2, value: { name: '=cmd', type: 'Image' } }
+    ]);
+  });
+
+  it('rejects CSV without the required columns', () => {
+    expect(() => parseImport('title,kind\nx,y', 'csv')).toThrow('name and type');
+  });
+
+  it('reports rows that are not objects without failing the whole JSON file', () => {
+    expect(parseImport('[{"name":"a","type":"Video","tenantId":"x"}, 5]', 'json')).toEqual([
+      { row: 1, value: { name: 'a', type: 'Video' } },
+      { row: 2, errors: { _row: 'Expected an object' } }
+    ]);
+    expect(() => parseImport('{"name":"a"}', 'json')).toThrow('array');
+    expect(() => parseImport('[', 'json')).toThrow('not valid JSON');
+  });
+
+  it('numbers NDJSON rows by line and skips blank lines', () => {
+    expect(parseImport('{"name":"a","type":"Image"}\n\nnot json\n', 'ndjson')).toEqual([
+      { row: 1, value: { name: 'a', type: 'Image' } },
+      { row: 3, errors: { _row: 'Invalid JSON' } }
+    ]);
+  });
+});
@@ -0,0 +1,125 @@
+process.env.LOG_LEVEL = 'silent';
+process.env.MAIL_TRANSPORT = 'memory';
+
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const { createMemoryDb } = require('./support/memoryDb');
+const app = require('../server');
+
+const Tenant = mongoose.model('Tenant');
+const User = mongoose.model('User');
+const Role = mongoose.model('Role');
+const Session = mongoose.model('Session');
+
+const db = createMemoryDb();
+const PASSWORD = 'correct horse battery';
+const ALL_PERMISSIONS = ['resources:read', 'resources:write', 'tenant:configure', 'users:manage', 'audit:read', 'apikeys:manage'];
+
+let sam;
+
+beforeAll(() => db.install());
+
+beforeEach(() => {
+  db.reset();
+  db.seed(Tenant, { tenantId: 'acme', name: 'Acme', plan: 'pro' }, { tenantId: 'globex', name: 'Globex', plan: 'pro' });
+  db.seed(Role,
+    { tenantId: 'acme', name: 'admin', label: 'Admin', permissions: ALL_PERMISSIONS, builtIn: true },
+    { tenantId: 'acme', name: 'user', label: 'User', permissions: ['resources:read'], builtIn: true }
+  );
+  const password = bcrypt.hashSync(PASSWORD, 4);
+  db.seed(User, { tenantId: 'acme', email: 'admin@acme.test', name: 'Ada', password, role: 'admin' });
+  sam = db.seed(User, { tenantId: 'acme', email: 'sam@acme.test', name: 'Sam', password, role: 'user' });
+});
+
+const login = async (email) => {
+  const res = await request(app).post('/api/t/acme/auth/login').send({ email, password: PASSWORD });
+  expect(res.status).toBe(200);
+  return res.body;
+};
+
+const invite = async (fields) => {
+  const { token } = await login('admin@acme.test');
+  return request(app).post('/api/t/acme/users/invite').set('Authorization', `Bearer ${token}`).send(fields);
+};
+
+const accept = (token, tenant = 'acme') => request(app)
+  .post(`/api/t/${tenant}/users/invite/accept`)
+  .send({ token, password: 'a new strong password', name: 'Nia' });
+
+describe('POST /api/users/invite', () => {
+  it('creates an invited user and returns the token only once', async () => {
+    const res = await invite({ email: 'new@acme.test', role: 'user' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.inviteToken).toMatch(/^[0-9a-f]{64}$/);
+    const [invited] = db.all(User, { email: 'new@acme.test' });
+    expect(invited).toMatchObject({ tenantId: 'acme', status: 'invited', role: 'user' });
+    expect(invited.inviteTokenHash).not.toBe(res.body.inviteToken);
+    expect(invited.password).toBeUndefined();
+  });
+
+  it('refuses emails already in the tenant', async () => {
+    const res = await invite({ email: 'sam@acme.test' });
+
+    expect(res.status).toBe(409);
+    expect(db.all(User, { email: 'sam@acme.test' })).toHaveLength(1);
+  });
+});
+
+describe('POST /api/users/invite/accept', () => {
+  it('activates the user and signs them in', async () => {
+    const { body: { inviteToken } } = await invite({ email: 'new@acme.test' });
+
+    const res = await accept(inviteToken);
+
+    expect(res.status).toBe(200);
+    expect(res.body.token).toEqual(expect.any(String));
+    const [accepted] = db.all(User, { email: 'new@acme.test' });
+    expect(accepted).toMatchObject({ status: 'active', name: 'Nia' });
+    expect(accepted.inviteTokenHash).toBeUndefined();
+    expect((await request(app).post('/api/t/acme/auth/login').send({ email: 'new@acme.test', password: 'a new strong password' })).status).toBe(200);
+  });
+
+  it('accepts each token once', async () => {
+    const { body: { inviteToken } } = await invite({ email: 'new@acme.test' });
+    await accept(inviteToken);
+
+    const res = await accept(inviteToken);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invite is invalid or has expired');
+  });
+
+  it('rejects expired tokens and tokens presented to another tenant', async () => {
+    const { body: { inviteToken } } = await invite({ email: 'new@acme.test' });
+
+    expect((await accept(inviteToken, 'globex')).status).toBe(400);
+    await User.updateOne({ email: 'new@acme.test' }, { inviteExpiresAt: new Date(Date.now() - 1000) }).exec();
+    expect((await accept(inviteToken)).status).toBe(400);
+    expect(db.all(User, { email: 'new@acme.test' })[0].status).toBe('invited');
+  });
+});
+
+describe('POST /api/users/:id/deactivate', () => {
+  it('signs the user out everywhere', async () => {
+    const { refreshToken } = await login('sam@acme.test');
+    const { token } = await login('admin@acme.test');
+
+    const res = await request(app).post(`/api/t/acme/users/${sam._id}/deactivate`).set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('deactivated');
+    expect(db.all(Session, { userId: sam._id })).toEqual([expect.objectContaining({ revokedReason: 'user_deactivated' })]);
+    expect((await request(app).post('/api/t/acme/auth/refresh').send({ refreshToken })).status).toBe(401);
+    expect((await request(app).post('/api/t/acme/auth/login').send({ email: 'sam@acme.test', password: PASSWORD })).status).toBe(403);
+  });
+
+  it('refuses to deactivate the caller\'s own account', async () => {
+    const { token, user } = await login('admin@acme.test');
+
+    const res = await request(app).post(`/api/t/acme/users/${user.id}/deactivate`).set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(409);
+  });
+});
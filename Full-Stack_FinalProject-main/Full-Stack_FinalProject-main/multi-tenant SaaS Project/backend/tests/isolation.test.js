@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const { runWithTenant, runUnscoped, currentTenantId, tenantScopePlugin } = require('../lib/tenantScope');
+
+// Nothing here reaches a database: a hook registered after the plugin captures what would be sent
+class Captured extends Error {
+  constructor(value) {
+    super('captured');
+    this.value = value;
+  }
+}
+
+const schema = new mongoose.Schema({
+  tenantId: { type: String, required: true },
+  name: String
+});
+schema.plugin(tenantScopePlugin);
+schema.pre(['find', 'findOne', 'countDocuments', 'updateMany', 'deleteMany'], function () {
+  throw new Captured({ filter: this.getFilter(), update: this.getUpdate() });
+});
+schema.pre('aggregate', function () {
+  throw new Captured(this.pipeline());
+});
+schema.pre('insertMany', (next, docs) => next(new Captured(docs)));
+const Item = mongoose.model('IsolationItem', schema);
+
+const capture = async (promise) => {
+  try {
+    await promise;
+  } catch (error) {
+    if (error instanceof Captured) return error.value;
+    throw error;
+  }
+  throw new Error('query was not captured');
+};
+
+describe('tenant context', () => {
+  it('follows awaits inside runWithTenant', async () => {
+    await runWithTenant('acme', async () => {
+      await new Promise(resolve => setTimeout(resolve, 1));
+      expect(currentTenantId()).toBe('acme');
+    });
+    expect(currentTenantId()).toBeNull();
+  });
+});
+
+describe('tenantScopePlugin', () => {
+  it('throws when a query runs without a tenant context', async () => {
+    await expect(Item.find({ name: 'x' })).rejects.toMatchObject({ code: 'TENANT_SCOPE' });
+  });
+
+  it('adds the tenant to find, count, update and delete filters', async () => {
+    await runWithTenant('acme', async () => {
+      expect((await capture(Item.find({ name: 'x' }))).filter).toEqual({ name: 'x', tenantId: 'acme' });
+      expect((await capture(Item.findById('64b000000000000000000001'))).filter).toMatchObject({ tenantId: 'acme' });
+      expect((await capture(Item.countDocuments())).filter).toEqual({ tenantId: 'acme' });
+      expect((await capture(Item.updateMany({}, { name: 'y' }))).filter).toEqual({ tenantId: 'acme' });
+      expect((await capture(Item.deleteMany({}))).filter).toEqual({ tenantId: 'acme' });
+    });
+  });
+
+  it('rejects filters and updates that name another tenant', async () => {
+    await runWithTenant('acme', async () => {
+      await expect(Item.find({ tenantId: 'globex' })).rejects.toMatchObject({ code: 'TENANT_SCOPE' });
+      await expect(Item.updateMany({}, { $set: { tenantId: 'globex' } })).rejects.toMatchObject({ code: 'TENANT_SCOPE' });
+    });
+  });
+
+  it('prepends a tenant match to aggregation pipelines', async () => {
+    const pipeline = await runWithTenant('acme', () => capture(Item.aggregate([{ $group: { _id: '$name' } }])));
+    expect(pipeline).toEqual([{ $match: { tenantId: 'acme' } }, { $group: { _id: '$name' } }]);
+  });
+
+  it('stamps the tenant on new documents and refuses foreign ones', async () => {
+    await runWithTenant('acme', async () => {
+      const doc = new Item({ name: 'x' });
+      await doc.validate();
+      expect(doc.tenantId).toBe('acme');
+      await expect(new Item({ tenantId: 'globex' }).validate()).rejects.toMatchObject({ code: 'TENANT_SCOPE' });
+      expect(await capture(Item.insertMany([{ name: 'a' }], { lean: true }))).toEqual([{ name: 'a', tenantId: 'acme' }]);
+    });
+  });
+
+  it('scopes every bulkWrite operation', async () => {
+    const original = mongoose.Model.bulkWrite;
+    mongoose.Model.bulkWrite = jest.fn().mockResolvedValue({});
+    try {
+      await runWithTenant('acme', () => Item.bulkWrite([
+        { insertOne: { document: { name: 'a' } } },
+        { updateOne: { filter: { name: 'b' }, update: { $set: { name: 'c' } }, upsert: true } }
+      ]));
+      expect(mongoose.Model.bulkWrite.mock.calls[0][0]).toEqual([
+        { insertOne: { document: { name: 'a', tenantId: 'acme' } } },
+        { updateOne: { filter: { name: 'b', tenantId: 'acme' }, update: { $set: { name: 'c' } }, upsert: true } }
+      ]);
+      await expect(runWithTenant('acme', () => Item.bulkWrite([{ deleteMany: { filter: { tenantId: 'globex' } } }])))
+        .rejects.toMatchObject({ code: 'TENANT_SCOPE' });
+    } finally {
+      mongoose.Model.bulkWrite = original;
+    }
+  });
+
+  it('leaves queries untouched inside runUnscoped', async () => {
+    const { filter } = await runUnscoped(() => capture(Item.find({ tenantId: { $in: ['acme', 'globex'] } })));
+    expect(filter).toEqual({ tenantId: { $in: ['acme', 'globex'] } });
+  });
+
+  it('refuses estimatedDocumentCount inside a tenant context', async () => {
+    await expect(runWithTenant('acme', () => Item.estimatedDocumentCount())).rejects.toMatchObject({ code: 'TENANT_SCOPE' });
+  });
+});
@@ -0,0 +1,108 @@
+const { EventEmitter } = require('events');
+const { redact, createLogger, requestLogging } = require('../lib/logger');
+
+const capture = (options = {}) => {
+  const lines = [];
+  const logger = createLogger({ write: line => lines.push(JSON.parse(line)), ...options });
+  return { logger, lines };
+};
+
+describe('redact', () => {
+  it('masks sensitive keys at any depth, whatever their case', () => {
+    expect(redact({
+      email: 'a@b.c',
+      password: 'hunter2',
+      nested: { refreshToken: 'x', list: [{ Authorization: 'Bearer y' }] },
+      'x-api-key': 'mtk_z'
+    })).toEqual({
+      email: 'a@b.c',
+      password: '[REDACTED]',
+      nested: { refreshToken: '[REDACTED]', list: [{ Authorization: '[REDACTED]' }] },
+      'x-api-key': '[REDACTED]'
+    });
+  });
+
+  it('keeps identifiers that merely mention a key', () => {
+    expect(redact({ apiKeyId: 'k1', apiKey: 'mtk_z' })).toEqual({ apiKeyId: 'k1', apiKey: '[REDACTED]' });
+  });
+
+  it('leaves non-plain values untouched', () => {
+    const date = new Date(0);
+    expect(redact({ at: date }).at).toBe(date);
+    expect(redact('secret')).toBe('secret');
+  });
+});
+
+describe('createLogger', () => {
+  it('writes one JSON object per call with bindings and fields', () => {
+    const { logger, lines } = capture();
+    logger.child({ service: 'api' }).info('hello', { count: 2 });
+    expect(lines).toEqual([{ time: expect.any(String), level: 'info', msg: 'hello', service: 'api', count: 2 }]);
+  });
+
+  it('drops entries below the configured level', () => {
+    const { logger, lines } = capture({ level: 'warn' });
+    logger.info('skipped');
+    logger.warn('kept');
+    expect(lines.map(line => line.msg)).toEqual(['kept']);
+    expect(logger.isLevelEnabled('debug')).toBe(false);
+  });
+
+  it('includes stack traces only outside production', () => {
+    const error = Object.assign(new Error('boom'), { code: 11000 });
+    const dev = capture();
+    const prod = capture({ production: true });
+    dev.logger.error('failed', { err: error });
+    prod.logger.error('failed', { err: error });
+    expect(dev.lines[0].err).toMatchObject({ name: 'Error', message: 'boom', code: 11000, stack: expect.any(String) });
+    expect(prod.lines[0].err).toEqual({ name: 'Error', message: 'boom', code: 11000 });
+  });
+
+  it('resolves function bindings at log time', () => {
+    const { logger, lines } = capture();
+    const context = { tenantId: undefined };
+    const child = logger.child(() => ({ tenantId: context.tenantId }));
+    context.tenantId = 'acme';
+    child.info('resolved');
+    expect(lines[0].tenantId).toBe('acme');
+  });
+});
+
+describe('requestLogging', () => {
+  it('logs one summary line per request with route, status and duration', () => {
+    const { logger, lines } = capture({ level: 'debug' });
+    const req = {
+      method: 'POST',
+      originalUrl: '/api/auth/login?x=1',
+      baseUrl: '',
+      route: { path: '/api/auth/login' },
+      headers: { 'user-agent': 'jest', authorization: 'Bearer abc' },
+      query: {},
+      body: { email: 'a@b.c', password: 'hunter2' },
+      ip: '127.0.0.1',
+      correlationId: 'c-1'
+    };
+    const res = Object.assign(new EventEmitter(), { statusCode: 401 });
+    const next = jest.fn();
+
+    requestLogging(logger)(req, res, next);
+    req.tenantId = 'acme';
+    res.emit('finish');
+
+    expect(next).toHaveBeenCalled();
+    expect(lines).toHaveLength(1);
+    expect(lines[0]).toMatchObject({
+      level: 'warn',
+      msg: 'request',
+      correlationId: 'c-1',
+      tenantId: 'acme',
+      method: 'POST',
+      route: '/api/auth/login',
+      path: '/api/auth/login',
+      status: 401,
+      durationMs: expect.any(Number),
+      headers: { authorization: '[REDACTED]' },
+      body: { email: 'a@b.c', password: '[REDACTED]' }
+    });
+  });
+});
@@ -0,0 +1,72 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createFileTransport,
+  createMemoryTransport,
+  createTransportFromEnv,
+  createMailer
+} = require('../lib/mailer');
+
+const message = {
+  to: 'admin@acme.com',
+  subject: 'Reset your password - ACME Corporation',
+  text: 'Choose a new password: http://localhost/?tenant=acme&reset=abc',
+  html: '<p>Choose a new password</p>'
+};
+
+describe('createMailer', () => {
+  it('fills in the sender and hands the message to the transport', async () => {
+    const transport = createMemoryTransport();
+    const mailer = createMailer({ transport, from: 'ACME <no-reply@acme.com>' });
+
+    const { messageId } = await mailer.send(message);
+
+    expect(transport.messages).toHaveLength(1);
+    expect(transport.messages[0]).toMatchObject({ ...message, from: 'ACME <no-reply@acme.com>', messageId });
+  });
+});
+
+describe('createFileTransport', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('writes each message as an .eml file', async () => {
+    const transport = createFileTransport({ directory: path.join(directory, 'outbox') });
+
+    const { file, messageId } = await transport.send({ from: 'no-reply@acme.com', ...message });
+
+    expect(path.dirname(file)).toBe(path.join(directory, 'outbox'));
+    expect(file).toMatch(/\.eml$/);
+    expect(messageId).toMatch(/^<.+>$/);
+    const raw = fs.readFileSync(file, 'utf8');
+    expect(raw).toMatch(/^To: admin@acme\.com$/m);
+    expect(raw).toMatch(/^Subject: Reset your password - ACME Corporation$/m);
+    expect(raw).toContain('reset=abc');
+  });
+});
+
+describe('createTransportFromEnv', () => {
+  it('uses the local outbox outside production', () => {
+    const transport = createTransportFromEnv({ MAIL_OUTBOX_DIR: '/tmp/outbox' });
+    expect(transport.name).toBe('file');
+    expect(transport.directory).toBe('/tmp/outbox');
+    expect(createTransportFromEnv({ MAIL_TRANSPORT: 'memory' }).name).toBe('memory');
+  });
+
+  it('requires an SMTP URL in production', () => {
+    expect(() => createTransportFromEnv({ NODE_ENV: 'production' })).toThrow('SMTP_URL');
+    expect(createTransportFromEnv({ NODE_ENV: 'production', SMTP_URL: 'smtp://localhost:2525' }).name).toBe('smtp');
+  });
+
+  it('rejects unknown transports', () => {
+    expect(() => createTransportFromEnv({ MAIL_TRANSPORT: 'pigeon' })).toThrow('MAIL_TRANSPORT');
+  });
+});
@@ -0,0 +1,68 @@
+const { EventEmitter } = require('events');
+const { OTHER_TENANT, createMetrics } = require('../lib/metrics');
+
+const fakeRequest = (overrides = {}) => ({
+  method: 'GET',
+  baseUrl: '',
+  route: { path: '/api/resources/:id' },
+  tenantId: 'acme',
+  ...overrides
+});
+
+const serve = (metrics, req, statusCode = 200) => {
+  const res = Object.assign(new EventEmitter(), { statusCode });
+  metrics.middleware(req, res, () => {});
+  res.emit('finish');
+};
+
+describe('tenantLabel', () => {
+  it('keeps the first tenants and folds the rest into "other"', () => {
+    const { tenantLabel } = createMetrics({ maxTenants: 2, collectDefaults: false });
+    expect(tenantLabel('a')).toBe('a');
+    expect(tenantLabel('b')).toBe('b');
+    expect(tenantLabel('c')).toBe(OTHER_TENANT);
+    expect(tenantLabel('a')).toBe('a');
+    expect(tenantLabel(undefined)).toBe('none');
+  });
+});
+
+describe('http metrics', () => {
+  it('counts requests by route template, status and tenant', async () => {
+    const metrics = createMetrics({ collectDefaults: false });
+    serve(metrics, fakeRequest());
+    serve(metrics, fakeRequest(), 404);
+    serve(metrics, fakeRequest({ route: undefined, tenantId: undefined }), 404);
+
+    const output = await metrics.registry.metrics();
+    expect(output).toContain('http_requests_total{method="GET",route="/api/resources/:id",status="200",tenant="acme"} 1');
+    expect(output).toContain('http_requests_total{method="GET",route="/api/resources/:id",status="404",tenant="acme"} 1');
+    expect(output).toContain('http_requests_total{method="GET",route="unmatched",status="404",tenant="none"} 1');
+    expect(output).toMatch(/http_request_duration_seconds_count\{method="GET",route="\/api\/resources\/:id",status="200",tenant="acme"\} 1/);
+  });
+});
+
+describe('event counters', () => {
+  it('records logins, rate-limit rejections and Mongo command timings', async () => {
+    const metrics = createMetrics({ collectDefaults: false });
+    const mongoClient = new EventEmitter();
+    metrics.instrumentMongoClient(mongoClient);
+
+    metrics.recordLogin('acme', 'success');
+    metrics.recordLogin('acme', 'failure', 'invalid_password');
+    metrics.recordRateLimit('tenant', 'acme');
+    mongoClient.emit('commandSucceeded', { commandName: 'find', duration: 12 });
+    mongoClient.emit('commandFailed', { commandName: 'insert', duration: 3 });
+
+    const output = await metrics.registry.metrics();
+    expect(output).toContain('auth_logins_total{tenant="acme",outcome="success",reason="none"} 1');
+    expect(output).toContain('auth_logins_total{tenant="acme",outcome="failure",reason="invalid_password"} 1');
+    expect(output).toContain('rate_limit_rejections_total{limiter="tenant",tenant="acme"} 1');
+    expect(output).toContain('mongodb_command_duration_seconds_count{command="find",outcome="success"} 1');
+    expect(output).toContain('mongodb_command_duration_seconds_count{command="insert",outcome="failure"} 1');
+  });
+
+  it('includes Node process metrics by default', async () => {
+    const metrics = createMetrics();
+    expect(await metrics.registry.metrics()).toContain('process_cpu_seconds_total');
+  });
+});
@@ -0,0 +1,20 @@
+process.env.LOG_LEVEL = 'silent';
+process.env.METRICS_TOKEN = 'scrape-token';
+
+const request = require('supertest');
+const app = require('../server');
+
+describe('GET /metrics', () => {
+  it('serves the registry to scrapers presenting the token', async () => {
+    const res = await request(app).get('/metrics').set('Authorization', 'Bearer scrape-token');
+
+    expect(res.status).toBe(200);
+    expect(res.text).toContain('http_requests_total');
+  });
+
+  it('refuses callers without the token, whatever address they claim', async () => {
+    expect((await request(app).get('/metrics')).status).toBe(401);
+    expect((await request(app).get('/metrics').set('Authorization', 'Bearer wrong-token')).status).toBe(401);
+    expect((await request(app).get('/metrics').set('X-Forwarded-For', '10.0.0.5')).status).toBe(401);
+  });
+});
@@ -0,0 +1,73 @@
+process.env.LOG_LEVEL = 'silent';
+process.env.JWT_SECRET = 'test-secret';
+
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { createMemoryDb } = require('./support/memoryDb');
+const app = require('../server');
+
+const Tenant = mongoose.model('Tenant');
+const User = mongoose.model('User');
+const Role = mongoose.model('Role');
+const Session = mongoose.model('Session');
+
+const db = createMemoryDb();
+const PASSWORD = 'correct horse battery';
+const ALL_PERMISSIONS = ['resources:read', 'resources:write', 'tenant:configure', 'users:manage', 'audit:read', 'apikeys:manage'];
+
+let admin;
+
+beforeAll(() => db.install());
+
+beforeEach(() => {
+  db.reset();
+  db.seed(Tenant, { tenantId: 'acme', name: 'Acme', plan: 'pro', mfaPolicy: 'admins' });
+  db.seed(Role,
+    { tenantId: 'acme', name: 'admin', label: 'Admin', permissions: ALL_PERMISSIONS, builtIn: true },
+    { tenantId: 'acme', name: 'user', label: 'User', permissions: ['resources:read'], builtIn: true },
+    { tenantId: 'acme', name: 'people-ops', label: 'People ops', permissions: ['resources:read', 'users:manage'] }
+  );
+  const password = bcrypt.hashSync(PASSWORD, 4);
+  admin = db.seed(User, { tenantId: 'acme', email: 'admin@acme.test', name: 'Ada', password, role: 'admin', mfa: { enabledAt: new Date() } });
+  db.seed(User,
+    { tenantId: 'acme', email: 'hr@acme.test', name: 'Hal', password, role: 'people-ops' },
+    { tenantId: 'acme', email: 'sam@acme.test', name: 'Sam', password, role: 'user' }
+  );
+});
+
+const login = (email) => request(app).post('/api/t/acme/auth/login').send({ email, password: PASSWORD });
+
+// An access token for a session that has already passed the second factor
+const tokenFor = (user) => {
+  const session = db.seed(Session, { tenantId: 'acme', userId: user._id, refreshTokenHash: 'unused', expiresAt: new Date(Date.now() + 60 * 60 * 1000) });
+  return jwt.sign({ userId: user._id, tenantId: 'acme', role: user.role, sid: session._id }, 'test-secret');
+};
+
+describe('"admins" MFA policy', () => {
+  it('challenges roles holding an administrative permission, not just the admin role', async () => {
+    const res = await login('hr@acme.test');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ mfaRequired: true, enrollmentRequired: true });
+    expect(res.body.token).toBeUndefined();
+  });
+
+  it('lets roles without one sign in with a password alone', async () => {
+    const res = await login('sam@acme.test');
+
+    expect(res.status).toBe(200);
+    expect(res.body.token).toEqual(expect.any(String));
+  });
+
+  it('counts members of every such role as pending enrollment', async () => {
+    db.seed(User, { tenantId: 'acme', email: 'bo@acme.test', name: 'Bo', password: 'x', role: 'admin' });
+
+    const res = await request(app).get('/api/t/acme/tenant/security').set('Authorization', `Bearer ${tokenFor(admin)}`);
+
+    expect(res.status).toBe(200);
+    // Bo (admin) and Hal (people-ops); Ada is enrolled and Sam's role needs no second factor
+    expect(res.body).toMatchObject({ mfaPolicy: 'admins', pendingEnrollment: 2 });
+  });
+});
@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const {
+  MAX_LIMIT,
+  parseLimit,
+  parsePage,
+  parseSort,
+  encodeCursor,
+  decodeCursor,
+  findWithCursor
+} = require('../lib/pagination');
+
+// Minimal stand-in for a Mongoose model that records the query it was given
+const fakeModel = (rows) => {
+  const calls = [];
+  return {
+    calls,
+    find(query) {
+      const call = { query };
+      calls.push(call);
+      const chain = {
+        sort(sort) { call.sort = sort; return chain; },
+        limit(limit) { call.limit = limit; return chain; },
+        lean: async () => rows.slice(0, call.limit)
+      };
+      return chain;
+    }
+  };
+};
+
+const doc = (n) => ({
+  _id: new mongoose.Types.ObjectId(),
+  name: `Resource ${n}`,
+  createdAt: new Date(Date.UTC(2024, 0, n))
+});
+
+describe('parseLimit', () => {
+  it('defaults and caps the page size', () => {
+    expect(parseLimit(undefined)).toBe(10);
+    expect(parseLimit('25')).toBe(25);
+    expect(parseLimit('100000')).toBe(MAX_LIMIT);
+    expect(parseLimit('-5')).toBe(1);
+  });
+
+  it('falls back to the default for repeated or nested parameters', () => {
+    expect(parseLimit(['5', '50'])).toBe(10);
+    expect(parseLimit({ $gt: '5' })).toBe(10);
+  });
+});
+
+describe('parsePage', () => {
+  it('defaults to the first page', () => {
+    expect(parsePage('3')).toBe(3);
+    expect(parsePage(undefined)).toBe(1);
+    expect(parsePage('0')).toBe(1);
+    expect(parsePage(['2', '3'])).toBe(1);
+  });
+});
+
+describe('parseSort', () => {
+  const allowed = ['createdAt', 'name'];
+
+  it('parses ascending and descending keys', () => {
+    expect(parseSort('-createdAt', allowed, 'name')).toEqual({ key: '-createdAt', field: 'createdAt', direction: -1 });
+    expect(parseSort(undefined, allowed, 'name')).toEqual({ key: 'name', field: 'name', direction: 1 });
+  });
+
+  it('rejects fields outside the whitelist', () => {
+    expect(parseSort('password', allowed, 'name')).toBeNull();
+  });
+
+  it('rejects repeated or nested parameters instead of throwing', () => {
+    expect(parseSort(['name', '-createdAt'], allowed, 'name')).toBeNull();
+    expect(parseSort({ name: '1' }, allowed, 'name')).toBeNull();
+  });
+});
+
+describe('cursors', () => {
+  const sort = parseSort('-createdAt', ['createdAt'], '-createdAt');
+
+  it('round-trips date values and ids', () => {
+    const row = doc(3);
+    const decoded = decodeCursor(encodeCursor(sort, row, 'next'), sort);
+    expect(decoded.direction).toBe('next');
+    expect(decoded.value).toEqual(row.createdAt);
+    expect(decoded.id.equals(row._id)).toBe(true);
+  });
+
+  it('rejects tampered cursors and cursors for another sort', () => {
+    const cursor = encodeCursor(sort, doc(1), 'next');
+    expect(decodeCursor('not-a-cursor', sort)).toBeNull();
+    expect(decodeCursor(['a', 'b'], sort)).toBeNull();
+    expect(decodeCursor(cursor, parseSort('name', ['name'], 'name'))).toBeNull();
+  });
+});
+
+describe('findWithCursor', () => {
+  const sort = parseSort('-createdAt', ['createdAt'], '-createdAt');
+  const filter = { tenantId: 'acme' };
+
+  it('returns a next cursor only when another page exists', async () => {
+    const rows = [doc(5), doc(4), doc(3)];
+    const model = fakeModel(rows);
+
+    const page = await findWithCursor(model, filter, { sort, limit: 2 });
+
+    expect(page.data).toHaveLength(2);
+    expect(page.prev).toBeNull();
+    expect(decodeCursor(page.next, sort).id.equals(rows[1]._id)).toBe(true);
+    expect(model.calls[0]).toEqual({ query: filter, sort: { createdAt: -1, _id: -1 }, limit: 3 });
+  });
+
+  it('keeps the tenant filter when continuing from a cursor', async () => {
+    const model = fakeModel([doc(2)]);
+    const cursor = encodeCursor(sort, doc(3), 'next');
+
+    const page = await findWithCursor(model, filter, { sort, cursor, limit: 2 });
+
+    expect(model.calls[0].query.tenantId).toBe('acme');
+    expect(model.calls[0].query.$or[0].createdAt.$lt).toEqual(new Date(Date.UTC(2024, 0, 3)));
+    expect(page.next).toBeNull();
+    expect(page.prev).not.toBeNull();
+  });
+
+  it('walks backwards for prev cursors and restores the display order', async () => {
+    const rows = [doc(6), doc(7)];
+    const model = fakeModel(rows);
+    const cursor = encodeCursor(sort, doc(5), 'prev');
+
+    const page = await findWithCursor(model, filter, { sort, cursor, limit: 2 });
+
+    expect(model.calls[0].sort).toEqual({ createdAt: 1, _id: 1 });
+    expect(page.data.map(row => row.name)).toEqual(['Resource 7', 'Resource 6']);
+    expect(page.next).not.toBeNull();
+  });
+
+  it('throws a 400 error for invalid cursors', async () => {
+    await expect(findWithCursor(fakeModel([]), filter, { sort, cursor: 'bogus', limit: 2 }))
+      .rejects.toMatchObject({ status: 400 });
+  });
+});
@@ -0,0 +1,117 @@
+process.env.LOG_LEVEL = 'silent';
+
+const crypto = require('crypto');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const mailerLib = require('../lib/mailer');
+const { createMemoryDb } = require('./support/memoryDb');
+
+// Must be in place before the server builds its mailer
+const outbox = mailerLib.createMemoryTransport();
+jest.spyOn(mailerLib, 'createTransportFromEnv').mockReturnValue(outbox);
+const app = require('../server');
+
+const Tenant = mongoose.model('Tenant');
+const User = mongoose.model('User');
+const Role = mongoose.model('Role');
+const Session = mongoose.model('Session');
+
+const db = createMemoryDb();
+const PASSWORD = 'correct horse battery';
+const NEW_PASSWORD = 'a brand new passphrase';
+
+beforeAll(() => db.install());
+
+beforeEach(() => {
+  db.reset();
+  outbox.messages.length = 0;
+  db.seed(Tenant, { tenantId: 'acme', name: 'Acme', plan: 'pro' });
+  db.seed(Role, { tenantId: 'acme', name: 'user', permissions: ['resources:read'] });
+  db.seed(User, { tenantId: 'acme', email: 'ann@acme.test', name: 'Ann', password: bcrypt.hashSync(PASSWORD, 4) });
+});
+
+// Emails go out in the background; let them land before reading the outbox
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+const forgotPassword = (email) => request(app).post('/api/t/acme/auth/forgot-password').send({ email });
+const resetPassword = (token, password = NEW_PASSWORD) => request(app).post('/api/t/acme/auth/reset-password').send({ token, password });
+const login = (password) => request(app).post('/api/t/acme/auth/login').send({ email: 'ann@acme.test', password });
+
+const requestResetToken = async () => {
+  await forgotPassword('ann@acme.test');
+  await settle();
+  return outbox.messages.at(-1).text.match(/reset=([0-9a-f]{64})/)[1];
+};
+
+describe('POST /api/auth/forgot-password', () => {
+  it('answers the same for known and unknown addresses but only emails real accounts', async () => {
+    const known = await forgotPassword('ann@acme.test');
+    const unknown = await forgotPassword('nobody@acme.test');
+    await settle();
+
+    expect(known.status).toBe(202);
+    expect(unknown.status).toBe(202);
+    expect(unknown.body).toEqual(known.body);
+    expect(outbox.messages.map(message => message.to)).toEqual(['ann@acme.test']);
+  });
+});
+
+describe('POST /api/auth/reset-password', () => {
+  it('sets the new password once, verifies the email and signs out every session', async () => {
+    const { body: signedIn } = await login(PASSWORD);
+    const token = await requestResetToken();
+
+    const res = await resetPassword(token);
+
+    expect(res.status).toBe(200);
+    expect(db.all(Session)).toEqual([expect.objectContaining({ revokedReason: 'password_reset' })]);
+    expect((await request(app).post('/api/t/acme/auth/refresh').send({ refreshToken: signedIn.refreshToken })).status).toBe(401);
+    expect(db.all(User)[0].emailVerifiedAt).toBeInstanceOf(Date);
+    expect((await login(PASSWORD)).status).toBe(401);
+    expect((await login(NEW_PASSWORD)).status).toBe(200);
+
+    const reused = await resetPassword(token, 'yet another passphrase');
+    expect(reused.status).toBe(400);
+    expect(reused.body.error).toBe('Reset link is invalid or has expired');
+  });
+
+  it('rejects expired tokens', async () => {
+    const token = await requestResetToken();
+    await User.updateOne({ email: 'ann@acme.test' }, { passwordResetExpiresAt: new Date(Date.now() - 1000) }).exec();
+
+    expect((await resetPassword(token)).status).toBe(400);
+    expect((await login(PASSWORD)).status).toBe(200);
+  });
+});
+
+describe('POST /api/auth/verify-email', () => {
+  // Stores a token the way sendEmailVerification does and returns what the emailed link carries
+  const issueVerification = async (expiresAt) => {
+    const token = crypto.randomBytes(32).toString('hex');
+    await User.updateOne({ email: 'ann@acme.test' }, {
+      emailVerificationTokenHash: crypto.createHash('sha256').update(token).digest('hex'),
+      emailVerificationExpiresAt: expiresAt
+    }).exec();
+    return token;
+  };
+  const verify = (token) => request(app).post('/api/t/acme/auth/verify-email').send({ token });
+
+  it('marks the address verified and accepts each link once', async () => {
+    const token = await issueVerification(new Date(Date.now() + 60 * 60 * 1000));
+
+    const res = await verify(token);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ email: 'ann@acme.test', emailVerified: true });
+    expect(db.all(User)[0].emailVerifiedAt).toBeInstanceOf(Date);
+    expect((await verify(token)).status).toBe(400);
+  });
+
+  it('rejects expired links', async () => {
+    const token = await issueVerification(new Date(Date.now() - 1000));
+
+    expect((await verify(token)).status).toBe(400);
+    expect(db.all(User)[0].emailVerifiedAt).toBeUndefined();
+  });
+});
@@ -0,0 +1,33 @@
+const { PLANS, getPlan, findExceededQuota } = require('../lib/plans');
+
+describe('getPlan', () => {
+  it('falls back to the free plan for unknown or missing names', () => {
+    expect(getPlan('pro')).toBe(PLANS.pro);
+    expect(getPlan('platinum')).toBe(PLANS.free);
+    expect(getPlan(undefined)).toBe(PLANS.free);
+  });
+});
+
+describe('findExceededQuota', () => {
+  const usage = { users: 5, resources: 99, storageBytes: 0 };
+
+  it('allows changes that stay within the limits', () => {
+    expect(findExceededQuota(PLANS.free, usage, { resources: 1 })).toBeNull();
+    expect(findExceededQuota(PLANS.free, usage, { storageBytes: PLANS.free.limits.storageBytes })).toBeNull();
+  });
+
+  it('reports the first quota that would be exceeded', () => {
+    expect(findExceededQuota(PLANS.free, usage, { resources: 2, users: 1 })).toEqual({
+      quota: 'resources', limit: 100, current: 99, requested: 2
+    });
+  });
+
+  it('ignores decreases, even when already over the limit', () => {
+    expect(findExceededQuota(PLANS.free, usage, { users: 0 })).toBeNull();
+    expect(findExceededQuota(PLANS.free, { ...usage, storageBytes: Infinity }, { storageBytes: -10 })).toBeNull();
+  });
+
+  it('treats null limits as unlimited', () => {
+    expect(findExceededQuota(PLANS.enterprise, usage, { users: 1000000 })).toBeNull();
+  });
+});
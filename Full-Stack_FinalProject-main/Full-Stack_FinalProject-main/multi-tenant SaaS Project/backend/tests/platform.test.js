@@ -0,0 +1,39 @@
+const { escapeRegex, buildTenantSearch, generateTemporaryPassword } = require('../lib/platform');
+
+describe('buildTenantSearch', () => {
+  it('matches the search text against tenant ID and name', () => {
+    const { filter, errors } = buildTenantSearch({ q: ' acme ' });
+    expect(errors).toEqual({});
+    expect(filter).toEqual({
+      $or: [
+        { tenantId: { $regex: 'acme', $options: 'i' } },
+        { name: { $regex: 'acme', $options: 'i' } }
+      ]
+    });
+  });
+
+  it('treats search text literally', () => {
+    expect(escapeRegex('a.c+me(1)')).toBe('a\\.c\\+me\\(1\\)');
+    expect(buildTenantSearch({ q: '.*' }).filter.$or[0].tenantId.$regex).toBe('\\.\\*');
+  });
+
+  it('filters by status and plan, counting tenants without a status as active', () => {
+    expect(buildTenantSearch({ status: 'suspended', plan: 'pro' }).filter).toEqual({ status: 'suspended', plan: 'pro' });
+    expect(buildTenantSearch({ status: 'active' }).filter).toEqual({ status: { $in: ['active', null] } });
+    expect(buildTenantSearch({ q: '', status: '', plan: '' })).toEqual({ filter: {}, errors: {} });
+  });
+
+  it('reports invalid parameters', () => {
+    const { errors } = buildTenantSearch({ q: ['a', 'b'], status: 'archived', plan: 'platinum' });
+    expect(Object.keys(errors)).toEqual(['q', 'status', 'plan']);
+  });
+});
+
+describe('generateTemporaryPassword', () => {
+  it('avoids characters that are easy to misread', () => {
+    const password = generateTemporaryPassword();
+    expect(password).toHaveLength(16);
+    expect(password).toMatch(/^[A-HJ-NP-Za-km-z2-9]+$/);
+    expect(generateTemporaryPassword()).not.toBe(password);
+  });
+});
@@ -0,0 +1,57 @@
+process.env.LOG_LEVEL = 'silent';
+
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const { createMemoryDb } = require('./support/memoryDb');
+const app = require('../server');
+
+const Tenant = mongoose.model('Tenant');
+const User = mongoose.model('User');
+const Role = mongoose.model('Role');
+const PlatformOperator = mongoose.model('PlatformOperator');
+
+const db = createMemoryDb();
+const PASSWORD = 'correct horse battery';
+
+let token;
+let hal;
+let sam;
+
+beforeAll(() => db.install());
+
+beforeEach(async () => {
+  db.reset();
+  db.seed(Tenant, { tenantId: 'acme', name: 'Acme', plan: 'pro' });
+  db.seed(Role,
+    { tenantId: 'acme', name: 'user', label: 'User', permissions: ['resources:read'], builtIn: true },
+    { tenantId: 'acme', name: 'people-ops', label: 'People ops', permissions: ['resources:read', 'users:manage'] }
+  );
+  const password = bcrypt.hashSync(PASSWORD, 4);
+  hal = db.seed(User, { tenantId: 'acme', email: 'hal@acme.test', name: 'Hal', password, role: 'people-ops' });
+  sam = db.seed(User, { tenantId: 'acme', email: 'sam@acme.test', name: 'Sam', password, role: 'user' });
+  db.seed(PlatformOperator, { email: 'ops@platform.test', name: 'Ops', password });
+  const res = await request(app).post('/api/platform/auth/login').send({ email: 'ops@platform.test', password: PASSWORD });
+  token = res.body.token;
+});
+
+describe('tenant admins on the platform console', () => {
+  it('lists members of every role with an administrative permission', async () => {
+    const res = await request(app).get('/api/platform/tenants/acme').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.admins.map(admin => admin.email)).toEqual(['hal@acme.test']);
+  });
+
+  it('resets the password of such admins but not of other users', async () => {
+    const reset = (user) => request(app)
+      .post(`/api/platform/tenants/acme/admins/${user._id}/reset-password`)
+      .set('Authorization', `Bearer ${token}`);
+
+    const res = await reset(hal);
+
+    expect(res.status).toBe(200);
+    expect(bcrypt.compareSync(res.body.temporaryPassword, db.all(User, { _id: hal._id })[0].password)).toBe(true);
+    expect((await reset(sam)).status).toBe(404);
+  });
+});
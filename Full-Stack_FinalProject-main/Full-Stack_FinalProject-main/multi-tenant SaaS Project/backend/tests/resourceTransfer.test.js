@@ -0,0 +1,135 @@
+process.env.LOG_LEVEL = 'silent';
+process.env.IMPORT_MAX_BYTES = '1kb';
+
+const http = require('http');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const { createMemoryDb } = require('./support/memoryDb');
+const app = require('../server');
+
+const Tenant = mongoose.model('Tenant');
+const User = mongoose.model('User');
+const Role = mongoose.model('Role');
+const Resource = mongoose.model('Resource');
+
+const db = createMemoryDb();
+const PASSWORD = 'correct horse battery';
+
+let token;
+
+beforeAll(() => db.install());
+
+beforeEach(async () => {
+  db.reset();
+  db.seed(Tenant, { tenantId: 'acme', name: 'Acme', plan: 'pro' }, { tenantId: 'globex', name: 'Globex', plan: 'pro' });
+  db.seed(Role, { tenantId: 'acme', name: 'editor', label: 'Editor', permissions: ['resources:read', 'resources:write'] });
+  db.seed(User, { tenantId: 'acme', email: 'ann@acme.test', name: 'Ann', password: bcrypt.hashSync(PASSWORD, 4), role: 'editor' });
+  db.seed(Resource,
+    { tenantId: 'acme', name: 'Roadmap', type: 'Document', size: 120 },
+    { tenantId: 'acme', name: 'Logo', type: 'Image', size: 300 },
+    { tenantId: 'acme', name: 'Old draft', type: 'Document', deletedAt: new Date() },
+    { tenantId: 'globex', name: 'Secret plans', type: 'Document' }
+  );
+  const res = await request(app).post('/api/t/acme/auth/login').send({ email: 'ann@acme.test', password: PASSWORD });
+  token = res.body.token;
+});
+
+const exportResources = (query) => request(app).get('/api/t/acme/resources/export').query(query).set('Authorization', `Bearer ${token}`);
+
+const importResources = (body, contentType, query = {}) => request(app)
+  .post('/api/t/acme/resources/import')
+  .query(query)
+  .set('Authorization', `Bearer ${token}`)
+  .set('Content-Type', contentType)
+  .send(body);
+
+describe('GET /api/resources/export', () => {
+  it('exports the tenant\'s live resources as CSV by default and closes the cursor', async () => {
+    const res = await exportResources({ sort: 'name' });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('text/csv; charset=utf-8');
+    const lines = res.text.trim().split('\r\n');
+    expect(lines[0]).toBe('id,name,type,size,createdAt,updatedAt');
+    expect(lines.slice(1).map(line => line.split(',')[1])).toEqual(['Logo', 'Roadmap']);
+    expect(db.cursors()).toEqual([expect.objectContaining({ closed: true })]);
+  });
+
+  it('applies the list filters and writes JSON and NDJSON', async () => {
+    const json = await exportResources({ format: 'json', type: 'Document' });
+    const ndjson = await exportResources({ format: 'ndjson', sort: '-name' });
+
+    expect(json.headers['content-type']).toBe('application/json; charset=utf-8');
+    expect(JSON.parse(json.text)).toEqual([expect.objectContaining({ name: 'Roadmap', type: 'Document', size: 120 })]);
+    expect(ndjson.text.trim().split('\n').map(line => JSON.parse(line).name)).toEqual(['Roadmap', 'Logo']);
+  });
+
+  it('stops and closes the cursor when the client disconnects mid-download', async () => {
+    db.seed(Resource, ...Array.from({ length: 5000 }, (_, i) => ({ tenantId: 'acme', name: `Bulk ${i}`, type: 'Document' })));
+    const server = app.listen(0);
+    try {
+      // Read one chunk, then hang up while the server is still waiting to write the rest
+      await new Promise((resolve, reject) => {
+        const req = http.get({
+          port: server.address().port,
+          path: '/api/t/acme/resources/export',
+          headers: { Authorization: `Bearer ${token}` }
+        }, (res) => res.once('data', () => {
+          req.destroy();
+          resolve();
+        }));
+        req.on('error', reject);
+      });
+      while (!db.cursors()[0]?.closed) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+    } finally {
+      server.close();
+    }
+  });
+
+  it('rejects unknown formats, sorts and filters', async () => {
+    const res = await exportResources({ format: 'xlsx', sort: 'size', type: 'Spreadsheet' });
+
+    expect(res.status).toBe(400);
+    expect(Object.keys(res.body.fields).sort()).toEqual(['format', 'sort', 'type']);
+  });
+});
+
+describe('POST /api/resources/import', () => {
+  it('inserts valid rows into the caller\'s tenant and reports the rest', async () => {
+    const res = await importResources('name,type,size\nBudget,Document,10\nClip,Movie,5\n', 'text/csv');
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ format: 'csv', total: 2, inserted: 1, failed: 1 });
+    expect(res.body.errors).toEqual([{ row: 2, errors: { type: expect.any(String) } }]);
+    expect(db.all(Resource, { name: 'Budget' })).toEqual([expect.objectContaining({ tenantId: 'acme', size: 10 })]);
+  });
+
+  it('ignores tenantId in the file', async () => {
+    const body = JSON.stringify([{ name: 'Planted', type: 'Document', tenantId: 'globex' }]);
+
+    expect((await importResources(body, 'application/json')).status).toBe(201);
+    expect(db.all(Resource, { name: 'Planted' })).toEqual([expect.objectContaining({ tenantId: 'acme' })]);
+  });
+
+  it('writes nothing on a dry run', async () => {
+    const res = await importResources('{"name":"Trial","type":"Video"}\n', 'text/plain', { format: 'ndjson', dryRun: 'true' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ dryRun: true, valid: 1, inserted: 0 });
+    expect(db.all(Resource, { name: 'Trial' })).toHaveLength(0);
+  });
+
+  it('rejects unknown formats, unreadable files and files over the size limit', async () => {
+    expect((await importResources('name,type\n', 'application/pdf')).status).toBe(400);
+    expect((await importResources('{"name":', 'application/json')).body.error).toBe('Body is not valid JSON');
+
+    const tooLarge = await importResources(`name,type\n${'Report,Document\n'.repeat(100)}`, 'text/csv');
+
+    expect(tooLarge.status).toBe(413);
+    expect(tooLarge.body.error).toBe('Import files are limited to 1kb');
+    expect(db.all(Resource, { name: 'Report' })).toHaveLength(0);
+  });
+});
@@ -0,0 +1,129 @@
+process.env.LOG_LEVEL = 'silent';
+
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const { createMemoryDb } = require('./support/memoryDb');
+const app = require('../server');
+
+const Tenant = mongoose.model('Tenant');
+const User = mongoose.model('User');
+const Role = mongoose.model('Role');
+const Resource = mongoose.model('Resource');
+const AuditEvent = mongoose.model('AuditEvent');
+
+const db = createMemoryDb();
+const PASSWORD = 'correct horse battery';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let token;
+let roadmap;
+let foreign;
+
+beforeAll(() => db.install());
+
+beforeEach(async () => {
+  db.reset();
+  db.seed(Tenant, { tenantId: 'acme', name: 'Acme', plan: 'pro' }, { tenantId: 'globex', name: 'Globex', plan: 'pro' });
+  db.seed(Role, { tenantId: 'acme', name: 'editor', label: 'Editor', permissions: ['resources:read', 'resources:write'] });
+  db.seed(User, { tenantId: 'acme', email: 'ann@acme.test', name: 'Ann', password: bcrypt.hashSync(PASSWORD, 4), role: 'editor' });
+  roadmap = db.seed(Resource, { tenantId: 'acme', name: 'Roadmap', type: 'Document', size: 100 });
+  foreign = db.seed(Resource, { tenantId: 'globex', name: 'Secret plans', type: 'Document' });
+  const res = await request(app).post('/api/t/acme/auth/login').send({ email: 'ann@acme.test', password: PASSWORD });
+  token = res.body.token;
+});
+
+// "/api/resources" is sent as "/api/t/acme/resources"
+const tenantPath = (path) => path.replace(/^\/api/, '/api/t/acme');
+
+const api = {
+  get: (path) => request(app).get(tenantPath(path)).set('Authorization', `Bearer ${token}`),
+  post: (path) => request(app).post(tenantPath(path)).set('Authorization', `Bearer ${token}`),
+  patch: (path) => request(app).patch(tenantPath(path)).set('Authorization', `Bearer ${token}`),
+  delete: (path) => request(app).delete(tenantPath(path)).set('Authorization', `Bearer ${token}`)
+};
+
+describe('resource CRUD', () => {
+  it('creates resources in the caller\'s tenant', async () => {
+    const res = await api.post('/api/resources').send({ name: '  Budget ', type: 'Document', size: 20, tenantId: 'globex' });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ tenantId: 'acme', name: 'Budget', size: 20 });
+    expect(db.all(Resource, { name: 'Budget' })).toEqual([expect.objectContaining({ tenantId: 'acme' })]);
+  });
+
+  it('validates the fields it is given', async () => {
+    const res = await api.post('/api/resources').send({ name: '', type: 'Spreadsheet', size: -1 });
+
+    expect(res.status).toBe(400);
+    expect(Object.keys(res.body.fields).sort()).toEqual(['name', 'size', 'type']);
+  });
+
+  it('lists, reads and updates the tenant\'s own resources', async () => {
+    const list = await api.get('/api/resources');
+
+    expect(list.body.data.map(resource => resource.name)).toEqual(['Roadmap']);
+    expect(list.body.pagination).toMatchObject({ page: 1, total: 1, pages: 1 });
+    expect((await api.get(`/api/resources/${roadmap._id}`)).body.name).toBe('Roadmap');
+    expect((await api.patch(`/api/resources/${roadmap._id}`).send({ name: 'Roadmap 2027' })).status).toBe(200);
+    expect(db.all(Resource, { _id: roadmap._id })[0].name).toBe('Roadmap 2027');
+  });
+
+  it('answers 404 for another tenant\'s resources', async () => {
+    const id = foreign._id;
+
+    expect((await api.get(`/api/resources/${id}`)).status).toBe(404);
+    expect((await api.patch(`/api/resources/${id}`).send({ name: 'Mine now' })).status).toBe(404);
+    expect((await api.delete(`/api/resources/${id}`)).status).toBe(404);
+    expect((await api.post(`/api/resources/${id}/restore`)).status).toBe(404);
+    expect((await api.get('/api/resources/not-an-id')).status).toBe(404);
+    const [untouched] = db.all(Resource, { _id: id });
+    expect(untouched.name).toBe('Secret plans');
+    expect(untouched.deletedAt).toBeUndefined();
+  });
+});
+
+describe('GET /api/resources query parameters', () => {
+  it('answers 400 rather than failing for repeated sort or cursor parameters', async () => {
+    const sort = await request(app).get('/api/t/acme/resources?sort=name&sort=-name').set('Authorization', `Bearer ${token}`);
+    const cursor = await request(app).get('/api/t/acme/resources?cursor=a&cursor=b').set('Authorization', `Bearer ${token}`);
+    const page = await request(app).get('/api/t/acme/resources?page=2&page=3&limit[x]=1').set('Authorization', `Bearer ${token}`);
+
+    expect(sort.status).toBe(400);
+    expect(sort.body.fields.sort).toEqual(expect.any(String));
+    expect(cursor.status).toBe(400);
+    expect(page.status).toBe(200);
+    expect(page.body.pagination).toMatchObject({ page: 1, limit: 10 });
+  });
+});
+
+describe('trash', () => {
+  it('moves deleted resources to the trash until they are restored', async () => {
+    expect((await api.delete(`/api/resources/${roadmap._id}`)).status).toBe(204);
+
+    expect((await api.get('/api/resources')).body.data).toEqual([]);
+    expect((await api.get(`/api/resources/${roadmap._id}`)).status).toBe(404);
+    const trash = await api.get('/api/resources/trash');
+    expect(trash.body.data).toEqual([expect.objectContaining({ name: 'Roadmap', purgeAt: expect.any(String) })]);
+
+    const restored = await api.post(`/api/resources/${roadmap._id}/restore`);
+
+    expect(restored.status).toBe(200);
+    expect((await api.get('/api/resources')).body.data.map(resource => resource.name)).toEqual(['Roadmap']);
+    expect((await api.post(`/api/resources/${roadmap._id}/restore`)).status).toBe(404);
+  });
+
+  it('purges resources trashed longer than the retention period', async () => {
+    db.seed(Resource,
+      { tenantId: 'acme', name: 'Expired', type: 'Image', deletedAt: new Date(Date.now() - 31 * DAY_MS) },
+      { tenantId: 'acme', name: 'Recent', type: 'Image', deletedAt: new Date(Date.now() - DAY_MS) }
+    );
+
+    await app.purgeTrash();
+
+    expect(db.all(Resource).map(resource => resource.name).sort()).toEqual(['Recent', 'Roadmap', 'Secret plans']);
+    expect(db.all(AuditEvent, { action: 'resource.purged' })).toEqual([
+      expect.objectContaining({ tenantId: 'acme', metadata: { count: 1, retentionDays: 30 } })
+    ]);
+  });
+});
@@ -0,0 +1,187 @@
+process.env.LOG_LEVEL = 'silent';
+
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const { createMemoryDb } = require('./support/memoryDb');
+const app = require('../server');
+
+const Tenant = mongoose.model('Tenant');
+const User = mongoose.model('User');
+const Role = mongoose.model('Role');
+
+const db = createMemoryDb();
+const PASSWORD = 'correct horse battery';
+const ALL_PERMISSIONS = ['resources:read', 'resources:write', 'tenant:configure', 'users:manage', 'audit:read', 'apikeys:manage'];
+
+let admin;
+let lead;
+let target;
+
+beforeAll(() => db.install());
+
+beforeEach(() => {
+  db.reset();
+  db.seed(Tenant, { tenantId: 'acme', name: 'Acme', plan: 'pro' });
+  db.seed(Role,
+    { tenantId: 'acme', name: 'admin', label: 'Admin', permissions: ALL_PERMISSIONS, builtIn: true },
+    { tenantId: 'acme', name: 'user', label: 'User', permissions: ['resources:read'], builtIn: true },
+    { tenantId: 'acme', name: 'team-lead', label: 'Team lead', permissions: ['resources:read', 'users:manage'] }
+  );
+  const password = bcrypt.hashSync(PASSWORD, 4);
+  admin = db.seed(User, { tenantId: 'acme', email: 'admin@acme.test', name: 'Ada', password, role: 'admin' });
+  lead = db.seed(User, { tenantId: 'acme', email: 'lead@acme.test', name: 'Lee', password, role: 'team-lead' });
+  target = db.seed(User, { tenantId: 'acme', email: 'sam@acme.test', name: 'Sam', password, role: 'user' });
+});
+
+const signIn = async (email) => {
+  const res = await request(app).post('/api/t/acme/auth/login').send({ email, password: PASSWORD });
+  expect(res.status).toBe(200);
+  return res.body.token;
+};
+
+// "/api/roles" is sent as "/api/t/acme/roles"
+const tenantPath = (path) => path.replace(/^\/api/, '/api/t/acme');
+
+const as = (token) => ({
+  patch: (path) => request(app).patch(tenantPath(path)).set('Authorization', `Bearer ${token}`),
+  post: (path) => request(app).post(tenantPath(path)).set('Authorization', `Bearer ${token}`),
+  delete: (path) => request(app).delete(tenantPath(path)).set('Authorization', `Bearer ${token}`)
+});
+
+describe('PATCH /api/users/:id/role', () => {
+  it('refuses to assign a role with permissions the caller lacks', async () => {
+    const lead = as(await signIn('lead@acme.test'));
+
+    const res = await lead.patch(`/api/users/${target._id}/role`).send({ role: 'admin' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('You cannot assign a role with permissions you do not hold yourself');
+    expect(db.all(User, { _id: target._id })[0].role).toBe('user');
+  });
+
+  it('assigns roles within the caller\'s own permissions', async () => {
+    const lead = as(await signIn('lead@acme.test'));
+
+    const res = await lead.patch(`/api/users/${target._id}/role`).send({ role: 'team-lead' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.role).toBe('team-lead');
+  });
+
+  it('lets admins assign any role', async () => {
+    const admin = as(await signIn('admin@acme.test'));
+
+    expect((await admin.patch(`/api/users/${target._id}/role`).send({ role: 'admin' })).status).toBe(200);
+    expect(db.all(User, { _id: target._id })[0].role).toBe('admin');
+  });
+
+  it('rejects unknown roles', async () => {
+    const admin = as(await signIn('admin@acme.test'));
+
+    const res = await admin.patch(`/api/users/${target._id}/role`).send({ role: 'owner' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid role');
+  });
+});
+
+describe('acting on users with more access than the caller', () => {
+  it('is refused for every user management action', async () => {
+    const asLead = as(await signIn('lead@acme.test'));
+
+    const attempts = [
+      asLead.patch(`/api/users/${admin._id}/role`).send({ role: 'user' }),
+      asLead.post(`/api/users/${admin._id}/deactivate`),
+      asLead.delete(`/api/users/${admin._id}/mfa`),
+      asLead.delete(`/api/users/${admin._id}`)
+    ];
+
+    for (const res of await Promise.all(attempts)) {
+      expect(res.status).toBe(403);
+      expect(res.body.error).toBe('You cannot manage a user whose role has permissions you do not hold yourself');
+    }
+    expect(db.all(User, { _id: admin._id })[0]).toMatchObject({ role: 'admin', status: 'active' });
+  });
+
+  it('is allowed for users whose role is within the caller\'s permissions', async () => {
+    const asLead = as(await signIn('lead@acme.test'));
+
+    expect((await asLead.post(`/api/users/${target._id}/deactivate`)).status).toBe(200);
+  });
+});
+
+describe('last active admin', () => {
+  it('counts every role with an administrative permission, not only "admin"', async () => {
+    const asAdmin = as(await signIn('admin@acme.test'));
+    // Lee's team-lead role can manage users, so Ada is not the last admin
+    expect((await asAdmin.patch(`/api/users/${admin._id}/role`).send({ role: 'user' })).status).toBe(200);
+
+    const asLead = as(await signIn('lead@acme.test'));
+    const res = await asLead.patch(`/api/users/${lead._id}/role`).send({ role: 'user' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Cannot demote the last active admin');
+    expect((await asLead.delete(`/api/users/${lead._id}`)).status).toBe(409);
+  });
+});
+
+describe('POST /api/users/invite', () => {
+  it('refuses to invite someone into a role the caller could not assign', async () => {
+    const lead = as(await signIn('lead@acme.test'));
+
+    const res = await lead.post('/api/users/invite').send({ email: 'new@acme.test', name: 'New', role: 'admin' });
+
+    expect(res.status).toBe(400);
+    expect(db.all(User, { email: 'new@acme.test' })).toHaveLength(0);
+  });
+});
+
+describe('POST /api/roles', () => {
+  it('refuses to create a role with permissions the caller lacks', async () => {
+    const lead = as(await signIn('lead@acme.test'));
+
+    const res = await lead.post('/api/roles').send({ name: 'configurator', label: 'Configurator', permissions: ['tenant:configure'] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.fields.permissions).toBe('You cannot grant permissions you do not hold yourself');
+    expect(db.all(Role, { name: 'configurator' })).toHaveLength(0);
+  });
+
+  it('creates roles within the caller\'s own permissions', async () => {
+    const lead = as(await signIn('lead@acme.test'));
+
+    const res = await lead.post('/api/roles').send({ name: 'reader', label: 'Reader', permissions: ['resources:read'] });
+
+    expect(res.status).toBe(201);
+    expect(res.body.permissions).toEqual(['resources:read']);
+  });
+});
+
+describe('PATCH /api/roles/:name', () => {
+  it('refuses to widen a role beyond the caller\'s own permissions', async () => {
+    const lead = as(await signIn('lead@acme.test'));
+
+    const res = await lead.patch('/api/roles/user').send({ permissions: ['resources:read', 'apikeys:manage'] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.fields.permissions).toBe('You cannot grant permissions you do not hold yourself');
+    expect(db.all(Role, { name: 'user' })[0].permissions).toEqual(['resources:read']);
+  });
+
+  it('still allows label-only edits and narrowing', async () => {
+    const lead = as(await signIn('lead@acme.test'));
+
+    expect((await lead.patch('/api/roles/user').send({ label: 'Member' })).status).toBe(200);
+    expect((await lead.patch('/api/roles/team-lead').send({ permissions: ['users:manage'] })).status).toBe(200);
+  });
+
+  it('lets admins grant any permission', async () => {
+    const admin = as(await signIn('admin@acme.test'));
+
+    const res = await admin.patch('/api/roles/user').send({ permissions: ['resources:read', 'apikeys:manage'] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.permissions).toEqual(['resources:read', 'apikeys:manage']);
+  });
+});
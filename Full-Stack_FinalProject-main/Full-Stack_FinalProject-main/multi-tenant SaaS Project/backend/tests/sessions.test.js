@@ -0,0 +1,141 @@
+process.env.LOG_LEVEL = 'silent';
+
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const { createMemoryDb } = require('./support/memoryDb');
+const app = require('../server');
+
+const Tenant = mongoose.model('Tenant');
+const User = mongoose.model('User');
+const Role = mongoose.model('Role');
+const Session = mongoose.model('Session');
+const AuditEvent = mongoose.model('AuditEvent');
+
+const db = createMemoryDb();
+const PASSWORD = 'correct horse battery';
+
+beforeAll(() => db.install());
+
+beforeEach(() => {
+  db.reset();
+  db.seed(Tenant, { tenantId: 'acme', name: 'Acme', plan: 'pro' });
+  db.seed(Role, { tenantId: 'acme', name: 'user', permissions: ['resources:read'] });
+  db.seed(User, { tenantId: 'acme', email: 'ann@acme.test', name: 'Ann', password: bcrypt.hashSync(PASSWORD, 4) });
+});
+
+// Audit writes are fire-and-forget; let them land before asserting on them
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+const login = async () => {
+  const res = await request(app).post('/api/t/acme/auth/login').send({ email: 'ann@acme.test', password: PASSWORD });
+  expect(res.status).toBe(200);
+  return res.body;
+};
+
+const refresh = (refreshToken) => request(app).post('/api/t/acme/auth/refresh').send({ refreshToken });
+
+describe('POST /api/auth/refresh', () => {
+  it('rotates the refresh token within the same session', async () => {
+    const { refreshToken } = await login();
+
+    const res = await refresh(refreshToken);
+
+    expect(res.status).toBe(200);
+    expect(res.body.token).toEqual(expect.any(String));
+    expect(res.body.refreshToken).not.toBe(refreshToken);
+    expect(res.body.refreshToken.split('.')[0]).toBe(refreshToken.split('.')[0]);
+    expect(db.all(Session)).toHaveLength(1);
+  });
+
+  it('keeps rotating with each newly issued token', async () => {
+    const { refreshToken } = await login();
+    const rotated = await refresh(refreshToken);
+
+    expect((await refresh(rotated.body.refreshToken)).status).toBe(200);
+  });
+
+  it('revokes the session when a rotated-out token is presented again', async () => {
+    const { refreshToken } = await login();
+    const rotated = await refresh(refreshToken);
+
+    const reused = await refresh(refreshToken);
+
+    expect(reused.status).toBe(401);
+    const [session] = db.all(Session);
+    expect(session.revokedReason).toBe('refresh_token_reuse');
+    expect(session.revokedAt).toBeInstanceOf(Date);
+    // The legitimate holder is signed out too, since either party may be the thief
+    expect((await refresh(rotated.body.refreshToken)).status).toBe(401);
+    await settle();
+    expect(db.all(AuditEvent, { action: 'auth.refresh.reused' })).toHaveLength(1);
+  });
+
+  it('rejects malformed tokens and tokens from another tenant', async () => {
+    const { refreshToken } = await login();
+    db.seed(Tenant, { tenantId: 'globex', name: 'Globex', plan: 'pro' });
+
+    expect((await refresh('not-a-token')).status).toBe(401);
+    expect((await request(app).post('/api/t/globex/auth/refresh').send({ refreshToken })).status).toBe(401);
+    expect(db.all(Session)[0].revokedAt).toBeUndefined();
+  });
+
+  it('refuses deactivated accounts', async () => {
+    const { refreshToken } = await login();
+    await User.updateOne({ email: 'ann@acme.test' }, { status: 'deactivated' }).exec();
+
+    expect((await refresh(refreshToken)).status).toBe(401);
+  });
+});
+
+describe('POST /api/auth/logout', () => {
+  it('revokes the current session and its access and refresh tokens', async () => {
+    const { token, refreshToken } = await login();
+
+    const res = await request(app).post('/api/t/acme/auth/logout').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(204);
+    expect(db.all(Session)[0].revokedReason).toBe('logout');
+    expect((await request(app).get('/api/t/acme/auth/sessions').set('Authorization', `Bearer ${token}`)).status).toBe(401);
+    expect((await refresh(refreshToken)).status).toBe(401);
+  });
+});
+
+describe('/api/auth/sessions', () => {
+  it('lists active sessions and marks the current one', async () => {
+    const first = await login();
+    await login();
+
+    const res = await request(app).get('/api/t/acme/auth/sessions').set('Authorization', `Bearer ${first.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toHaveLength(2);
+    expect(res.body.data.filter(session => session.current)).toEqual([
+      expect.objectContaining({ id: first.refreshToken.split('.')[0] })
+    ]);
+  });
+
+  it('signs out other devices but keeps the current session', async () => {
+    const current = await login();
+    const other = await login();
+
+    const res = await request(app).delete('/api/t/acme/auth/sessions').set('Authorization', `Bearer ${current.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ revoked: 1 });
+    expect((await refresh(other.refreshToken)).status).toBe(401);
+    expect((await refresh(current.refreshToken)).status).toBe(200);
+  });
+
+  it('revokes a single session by id', async () => {
+    const current = await login();
+    const other = await login();
+    const otherId = other.refreshToken.split('.')[0];
+
+    const res = await request(app).delete(`/api/t/acme/auth/sessions/${otherId}`).set('Authorization', `Bearer ${current.token}`);
+
+    expect(res.status).toBe(204);
+    expect(db.all(Session, { _id: otherId })[0].revokedReason).toBe('revoked_by_user');
+    expect((await request(app).delete(`/api/t/acme/auth/sessions/${otherId}`).set('Authorization', `Bearer ${current.token}`)).status).toBe(404);
+  });
+});
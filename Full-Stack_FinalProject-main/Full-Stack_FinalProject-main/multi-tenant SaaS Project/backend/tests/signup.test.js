@@ -0,0 +1,73 @@
+process.env.LOG_LEVEL = 'silent';
+process.env.MAIL_TRANSPORT = 'memory';
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { createMemoryDb } = require('./support/memoryDb');
+const app = require('../server');
+
+const Tenant = mongoose.model('Tenant');
+const User = mongoose.model('User');
+const Role = mongoose.model('Role');
+const Session = mongoose.model('Session');
+
+const db = createMemoryDb();
+
+const signup = (fields) => request(app).post('/api/tenants').send({
+  tenantId: 'acme',
+  name: 'Acme',
+  adminName: 'Ada',
+  adminEmail: 'ada@acme.test',
+  password: 'correct horse battery',
+  ...fields
+});
+
+beforeAll(() => db.install());
+
+beforeEach(() => db.reset());
+
+describe('POST /api/tenants', () => {
+  it('provisions the tenant, its built-in roles and a signed-in admin', async () => {
+    const res = await signup();
+
+    expect(res.status).toBe(201);
+    expect(res.body.user).toMatchObject({ email: 'ada@acme.test', tenantId: 'acme', role: 'admin', emailVerified: false });
+    expect(res.body.user.permissions).toContain('users:manage');
+    expect(res.body).toEqual(expect.objectContaining({ token: expect.any(String), refreshToken: expect.any(String) }));
+    expect(db.all(Tenant)).toEqual([expect.objectContaining({ tenantId: 'acme', name: 'Acme' })]);
+    expect(db.all(Role, { tenantId: 'acme' }).map(role => role.name).sort()).toEqual(['admin', 'user']);
+    expect(db.all(Session, { tenantId: 'acme' })).toHaveLength(1);
+  });
+
+  it('validates every field', async () => {
+    const res = await signup({ tenantId: 'A!', name: ' ', adminName: '', adminEmail: 'ada', password: 'short' });
+
+    expect(res.status).toBe(400);
+    expect(Object.keys(res.body.fields).sort()).toEqual(['adminEmail', 'adminName', 'name', 'password', 'tenantId']);
+    expect(db.all(Tenant)).toHaveLength(0);
+  });
+
+  it('answers 409 when the tenant ID is taken, leaving the existing tenant alone', async () => {
+    db.seed(Tenant, { tenantId: 'acme', name: 'Acme Original' });
+
+    const res = await signup({ adminEmail: 'someone@else.test' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.fields.tenantId).toBe('This tenant ID is already taken');
+    expect(db.all(Tenant)).toEqual([expect.objectContaining({ name: 'Acme Original' })]);
+    expect(db.all(User)).toHaveLength(0);
+  });
+
+  it('removes the tenant again when the admin user cannot be created', async () => {
+    // A leftover user under the same slug makes the admin's (tenantId, email) a duplicate key
+    db.seed(User, { tenantId: 'acme', email: 'ada@acme.test', name: 'Old Ada', password: 'x' });
+
+    const res = await signup();
+
+    expect(res.status).toBe(500);
+    expect(db.all(Tenant)).toHaveLength(0);
+    expect(db.all(Role)).toHaveLength(0);
+    expect(db.all(User)).toHaveLength(0);
+    expect((await signup({ adminEmail: 'ada@new.test' })).status).toBe(201);
+  });
+});
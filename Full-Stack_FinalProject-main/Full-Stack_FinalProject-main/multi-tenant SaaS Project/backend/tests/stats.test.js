@@ -0,0 +1,38 @@
+const { parseRange, fillDailySeries, percentChange } = require('../lib/stats');
+
+const NOW = new Date('2024-03-10T15:30:00Z');
+
+describe('parseRange', () => {
+  it('covers whole UTC days ending with today', () => {
+    const range = parseRange('7d', NOW);
+    expect(range.days).toBe(7);
+    expect(range.since.toISOString()).toBe('2024-03-04T00:00:00.000Z');
+    expect(range.previousSince.toISOString()).toBe('2024-02-26T00:00:00.000Z');
+  });
+
+  it('defaults to 30 days and rejects unknown ranges', () => {
+    expect(parseRange(undefined, NOW).days).toBe(30);
+    expect(parseRange('1y', NOW)).toBeNull();
+  });
+});
+
+describe('fillDailySeries', () => {
+  it('includes every day of the range with zero for days without activity', () => {
+    const series = fillDailySeries([{ _id: '2024-03-05', count: 4 }], parseRange('7d', NOW));
+    expect(series).toHaveLength(7);
+    expect(series[0]).toEqual({ date: '2024-03-04', count: 0 });
+    expect(series[1]).toEqual({ date: '2024-03-05', count: 4 });
+    expect(series[6]).toEqual({ date: '2024-03-10', count: 0 });
+  });
+});
+
+describe('percentChange', () => {
+  it('rounds to one decimal place', () => {
+    expect(percentChange(15, 10)).toBe(50);
+    expect(percentChange(2, 3)).toBe(-33.3);
+  });
+
+  it('returns null without a previous value', () => {
+    expect(percentChange(5, 0)).toBeNull();
+  });
+});
@@ -0,0 +1,291 @@
+const mongoose = require('mongoose');
+
+// Route tests run the real app against this instead of MongoDB. It answers Mongoose queries from
+// plain objects per model, covering the filter and update operators the routes use, and nothing more.
+//
+// It deliberately does not emulate:
+// - query middleware, so the tenant scope plugin never runs; tests seed and assert tenantId themselves
+// - schema validation or save hooks
+// - unique indexes other than on save, or with a partial filter
+// - aggregation beyond $match and a $group that only $sums (enough for plan usage)
+// - bulkWrite other than updateOne, the only place $setOnInsert is understood
+// - populate, transactions, $text, $regex or $pull
+// Anything outside what it supports throws "memoryDb does not support ..." rather than answering
+// wrongly, so a route that needs more is tested against a real database or extended here on purpose.
+
+const comparable = (value) => {
+  if (value instanceof mongoose.Types.ObjectId) return value.toHexString();
+  if (value instanceof Date) return value.getTime();
+  return value;
+};
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => (target[key] ??= {}), doc);
+  if (value === undefined) delete parent[last];
+  else parent[last] = value;
+};
+
+const equals = (actual, expected) => {
+  if (expected === null) return actual == null;
+  if (Array.isArray(actual) && !Array.isArray(expected)) return actual.some(item => equals(item, expected));
+  return comparable(actual) === comparable(expected);
+};
+
+const isOperatorObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+  && !(value instanceof Date) && !(value instanceof mongoose.Types.ObjectId)
+  && Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith('$'));
+
+const OPERATORS = {
+  $eq: (actual, expected) => equals(actual, expected),
+  $ne: (actual, expected) => !equals(actual, expected),
+  $in: (actual, expected) => expected.some(item => equals(actual, item)),
+  $nin: (actual, expected) => !expected.some(item => equals(actual, item)),
+  $gt: (actual, expected) => actual != null && comparable(actual) > comparable(expected),
+  $gte: (actual, expected) => actual != null && comparable(actual) >= comparable(expected),
+  $lt: (actual, expected) => actual != null && comparable(actual) < comparable(expected),
+  $lte: (actual, expected) => actual != null && comparable(actual) <= comparable(expected),
+  $exists: (actual, expected) => (actual !== undefined) === Boolean(expected)
+};
+
+const matches = (doc, filter = {}) => Object.entries(filter).every(([key, expected]) => {
+  if (key === '$and') return expected.every(clause => matches(doc, clause));
+  if (key === '$or') return expected.some(clause => matches(doc, clause));
+  const actual = getPath(doc, key);
+  if (!isOperatorObject(expected)) return equals(actual, expected);
+  return Object.entries(expected).every(([operator, operand]) => {
+    if (!OPERATORS[operator]) throw new Error(`memoryDb does not support ${operator}`);
+    return OPERATORS[operator](actual, operand);
+  });
+});
+
+const applyUpdate = (doc, update = {}) => {
+  for (const [key, value] of Object.entries(update)) {
+    if (key === '$set') Object.entries(value).forEach(([path, item]) => setPath(doc, path, item));
+    else if (key === '$unset') Object.keys(value).forEach(path => setPath(doc, path, undefined));
+    else if (key === '$inc') Object.entries(value).forEach(([path, item]) => setPath(doc, path, (getPath(doc, path) || 0) + item));
+    else if (key === '$push') Object.entries(value).forEach(([path, item]) => setPath(doc, path, [...(getPath(doc, path) || []), item]));
+    else if (key === '$min') {
+      Object.entries(value).forEach(([path, item]) => {
+        const current = getPath(doc, path);
+        if (current == null || comparable(item) < comparable(current)) setPath(doc, path, item);
+      });
+    }
+    else if (key.startsWith('$')) throw new Error(`memoryDb does not support ${key}`);
+    else setPath(doc, key, value);
+  }
+};
+
+// "$path" reads a field; anything else is a literal
+const evaluate = (doc, expression) => (typeof expression === 'string' && expression.startsWith('$')
+  ? getPath(doc, expression.slice(1))
+  : expression);
+
+const group = (docs, { _id, ...fields }) => {
+  const groups = new Map();
+  for (const doc of docs) {
+    const id = evaluate(doc, _id) ?? null;
+    const key = JSON.stringify(comparable(id));
+    if (!groups.has(key)) groups.set(key, { _id: id, ...Object.fromEntries(Object.keys(fields).map(field => [field, 0])) });
+    const result = groups.get(key);
+    for (const [field, accumulator] of Object.entries(fields)) {
+      const [[operator, expression]] = Object.entries(accumulator);
+      if (operator !== '$sum') throw new Error(`memoryDb does not support ${operator}`);
+      result[field] += Number(evaluate(doc, expression)) || 0;
+    }
+  }
+  return [...groups.values()];
+};
+
+const STAGES = {
+  $match: (docs, filter) => docs.filter(doc => matches(doc, filter)),
+  $group: group
+};
+
+// Unique indexes as Mongo would enforce them on insert, failing with its duplicate key code
+const assertUnique = (model, docs, data) => {
+  for (const [fields, options] of model.schema.indexes()) {
+    if (!options.unique || options.partialFilterExpression) continue;
+    const paths = Object.keys(fields);
+    if (options.sparse && paths.some(path => getPath(data, path) === undefined)) continue;
+    const duplicate = docs.some(doc => !equals(doc._id, data._id)
+      && paths.every(path => comparable(getPath(doc, path)) === comparable(getPath(data, path))));
+    if (duplicate) {
+      throw Object.assign(new Error(`E11000 duplicate key error: ${model.modelName} ${paths.join(', ')}`), { code: 11000 });
+    }
+  }
+};
+
+// Ids, dates and buffers are shared; plain objects and arrays are copied so callers cannot edit the store
+const clone = (value) => {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value === null || typeof value !== 'object' || Object.getPrototypeOf(value) !== Object.prototype) return value;
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+};
+
+const sortDocs = (docs, sort) => {
+  const keys = Object.entries(sort || {});
+  return [...docs].sort((a, b) => {
+    for (const [path, direction] of keys) {
+      const left = comparable(getPath(a, path));
+      const right = comparable(getPath(b, path));
+      if (left === right) continue;
+      if (left == null) return -direction;
+      if (right == null) return direction;
+      return left < right ? -direction : direction;
+    }
+    return 0;
+  });
+};
+
+const createMemoryDb = () => {
+  const collections = new Map();
+  const cursors = [];
+  const collection = (modelName) => {
+    if (!collections.has(modelName)) collections.set(modelName, []);
+    return collections.get(modelName);
+  };
+
+  const toObject = (model, data) => clone(new model(data).toObject({ depopulate: true }));
+
+  const output = (query, doc) => {
+    if (!doc) return null;
+    return query._mongooseOptions.lean ? clone(doc) : query.model.hydrate(clone(doc));
+  };
+
+  const runQuery = (query) => {
+    const docs = collection(query.model.modelName);
+    const filter = query.getFilter();
+    const found = docs.filter(doc => matches(doc, filter));
+    const options = query.getOptions();
+    switch (query.op) {
+      case 'find': {
+        const sorted = sortDocs(found, options.sort).slice(options.skip || 0);
+        return (options.limit ? sorted.slice(0, options.limit) : sorted).map(doc => output(query, doc));
+      }
+      case 'findOne':
+        return output(query, sortDocs(found, options.sort)[0]);
+      case 'countDocuments':
+        return found.length;
+      case 'distinct':
+        return [...new Set(found.map(doc => getPath(doc, query._distinct)))];
+      case 'updateOne':
+      case 'updateMany': {
+        const targets = query.op === 'updateOne' ? found.slice(0, 1) : found;
+        targets.forEach(doc => applyUpdate(doc, query.getUpdate()));
+        return { acknowledged: true, matchedCount: targets.length, modifiedCount: targets.length };
+      }
+      case 'findOneAndUpdate': {
+        const [doc] = sortDocs(found, options.sort);
+        if (!doc) return null;
+        const before = clone(doc);
+        applyUpdate(doc, query.getUpdate());
+        return output(query, options.new || options.returnDocument === 'after' ? doc : before);
+      }
+      case 'deleteOne':
+      case 'deleteMany':
+      case 'findOneAndDelete': {
+        const targets = query.op === 'deleteMany' ? found : found.slice(0, 1);
+        collections.set(query.model.modelName, docs.filter(doc => !targets.includes(doc)));
+        return query.op === 'findOneAndDelete' ? output(query, targets[0]) : { acknowledged: true, deletedCount: targets.length };
+      }
+      default:
+        throw new Error(`memoryDb does not support ${query.op}`);
+    }
+  };
+
+  return {
+    // Stores documents with the model's defaults applied; returns them as saved
+    seed(model, ...docs) {
+      const saved = docs.map(data => toObject(model, data));
+      collection(model.modelName).push(...saved);
+      return saved.length === 1 ? clone(saved[0]) : saved.map(clone);
+    },
+
+    all(model, filter) {
+      return collection(model.modelName).filter(doc => matches(doc, filter)).map(clone);
+    },
+
+    // Cursors handed out since the last reset, so streaming routes can be checked for closing them
+    cursors() {
+      return [...cursors];
+    },
+
+    install() {
+      jest.spyOn(mongoose.Query.prototype, 'exec').mockImplementation(async function () {
+        return runQuery(this);
+      });
+      jest.spyOn(mongoose.Aggregate.prototype, 'exec').mockImplementation(async function () {
+        return this.pipeline().reduce((docs, stage) => {
+          const [[name, spec]] = Object.entries(stage);
+          if (!STAGES[name]) throw new Error(`memoryDb does not support ${name}`);
+          return STAGES[name](docs, spec);
+        }, collection(this._model.modelName)).map(clone);
+      });
+      // Yields the find results one by one and stops once closed, like a QueryCursor
+      jest.spyOn(mongoose.Query.prototype, 'cursor').mockImplementation(function () {
+        const query = this;
+        const cursor = {
+          closed: false,
+          async close() {
+            cursor.closed = true;
+          },
+          async *[Symbol.asyncIterator]() {
+            for (const doc of runQuery(query)) {
+              if (cursor.closed) return;
+              yield doc;
+            }
+          }
+        };
+        cursors.push(cursor);
+        return cursor;
+      });
+      const save = async function () {
+        const docs = collection(this.constructor.modelName);
+        const index = docs.findIndex(doc => equals(doc._id, this._id));
+        const data = clone(this.toObject({ depopulate: true }));
+        assertUnique(this.constructor, docs, data);
+        if (index === -1) docs.push(data);
+        else docs[index] = data;
+        this.isNew = false;
+        return this;
+      };
+      jest.spyOn(mongoose.Model.prototype, 'save').mockImplementation(save);
+      jest.spyOn(mongoose.Model.prototype, '$save').mockImplementation(save);
+      jest.spyOn(mongoose.Model, 'insertMany').mockImplementation(async function (docs) {
+        const saved = docs.map(data => toObject(this, data));
+        collection(this.modelName).push(...saved);
+        return saved.map(doc => this.hydrate(clone(doc)));
+      });
+      jest.spyOn(mongoose.Model, 'bulkWrite').mockImplementation(async function (operations) {
+        const docs = collection(this.modelName);
+        const result = { matchedCount: 0, upsertedCount: 0 };
+        for (const operation of operations) {
+          if (!operation.updateOne) throw new Error(`memoryDb does not support bulkWrite ${Object.keys(operation)[0]}`);
+          const { filter, update: { $setOnInsert, ...update }, upsert } = operation.updateOne;
+          const doc = docs.find(item => matches(item, filter));
+          if (doc) {
+            applyUpdate(doc, update);
+            result.matchedCount++;
+          } else if (upsert) {
+            const inserted = clone(filter);
+            applyUpdate(inserted, { ...update, $set: { ...update.$set, ...$setOnInsert } });
+            docs.push(toObject(this, inserted));
+            result.upsertedCount++;
+          }
+        }
+        return result;
+      });
+    },
+
+    reset() {
+      collections.clear();
+      cursors.length = 0;
+    }
+  };
+};
+
+module.exports = { createMemoryDb };
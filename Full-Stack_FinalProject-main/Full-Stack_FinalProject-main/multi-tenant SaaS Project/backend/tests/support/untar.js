@@ -0,0 +1,14 @@
+// Reads back the regular files of an uncompressed ustar archive
+const untar = (buffer) => {
+  const files = {};
+  for (let offset = 0; buffer[offset] !== 0; ) {
+    const header = buffer.subarray(offset, offset + 512);
+    const name = header.toString('utf8', 0, 100).replace(/\0.*$/s, '');
+    const size = parseInt(header.toString('utf8', 124, 136), 8);
+    files[name] = buffer.toString('utf8', offset + 512, offset + 512 + size);
+    offset += 512 + Math.ceil(size / 512) * 512;
+  }
+  return files;
+};
+
+module.exports = { untar };
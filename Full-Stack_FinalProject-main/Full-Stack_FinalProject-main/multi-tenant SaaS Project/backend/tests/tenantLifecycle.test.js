@@ -0,0 +1,62 @@
+const { planTransition, unavailableResponse, lifecycleOf } = require('../lib/tenantLifecycle');
+
+const now = new Date('2024-03-01T00:00:00Z');
+
+describe('planTransition', () => {
+  it('suspends and reactivates active tenants', () => {
+    expect(planTransition({ status: 'active' }, 'suspend', { reason: 'Unpaid invoice', now }))
+      .toEqual({ $set: { status: 'suspended', suspendedAt: now, suspendedReason: 'Unpaid invoice' } });
+    expect(planTransition({ status: 'suspended' }, 'reactivate'))
+      .toEqual({ $set: { status: 'active' }, $unset: { suspendedAt: 1, suspendedReason: 1 } });
+  });
+
+  it('treats tenants without a status as active', () => {
+    expect(planTransition({}, 'suspend', { now }).$set.status).toBe('suspended');
+  });
+
+  it('schedules deletion after the grace period and restores the previous status on cancel', () => {
+    const { $set } = planTransition({ status: 'suspended' }, 'scheduleDeletion', { actorId: 'u1', graceDays: 7, now });
+    expect($set).toEqual({
+      status: 'pending-deletion',
+      statusBeforeDeletion: 'suspended',
+      deletionRequestedAt: now,
+      deletionRequestedBy: 'u1',
+      deletionScheduledFor: new Date('2024-03-08T00:00:00Z')
+    });
+    expect(planTransition($set, 'cancelDeletion').$set).toEqual({ status: 'suspended' });
+  });
+
+  it('rejects transitions from the wrong status with a 409', () => {
+    expect(() => planTransition({ status: 'active' }, 'reactivate')).toThrow(expect.objectContaining({ status: 409 }));
+    expect(() => planTransition({ status: 'pending-deletion' }, 'suspend')).toThrow('Cannot suspend a tenant that is pending-deletion');
+    expect(() => planTransition({ status: 'active' }, 'cancelDeletion')).toThrow(/cancel deletion/);
+  });
+});
+
+describe('unavailableResponse', () => {
+  const pending = { status: 'pending-deletion', deletionScheduledFor: new Date('2024-03-31T00:00:00Z') };
+
+  it('lets active tenants through', () => {
+    expect(unavailableResponse({ status: 'active' })).toBeNull();
+    expect(unavailableResponse({})).toBeNull();
+  });
+
+  it('always refuses suspended tenants', () => {
+    expect(unavailableResponse({ status: 'suspended' }, { allowPendingDeletion: true }))
+      .toMatchObject({ code: 'tenant_suspended', error: expect.stringContaining('suspended') });
+  });
+
+  it('refuses tenants pending deletion unless the route opts in', () => {
+    expect(unavailableResponse(pending)).toEqual({
+      error: 'This organization is scheduled for deletion on 2024-03-31',
+      code: 'tenant_pending_deletion',
+      deletionScheduledFor: pending.deletionScheduledFor
+    });
+    expect(unavailableResponse(pending, { allowPendingDeletion: true })).toBeNull();
+  });
+
+  it('summarizes the lifecycle for clients', () => {
+    expect(lifecycleOf(pending)).toEqual({ status: 'pending-deletion', deletionScheduledFor: pending.deletionScheduledFor });
+    expect(lifecycleOf({})).toEqual({ status: 'active', deletionScheduledFor: null });
+  });
+});
@@ -0,0 +1,100 @@
+process.env.LOG_LEVEL = 'silent';
+
+const zlib = require('zlib');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const { createMemoryDb } = require('./support/memoryDb');
+const { untar } = require('./support/untar');
+const app = require('../server');
+
+const Tenant = mongoose.model('Tenant');
+const User = mongoose.model('User');
+const Role = mongoose.model('Role');
+const Resource = mongoose.model('Resource');
+const AuditEvent = mongoose.model('AuditEvent');
+
+const db = createMemoryDb();
+const PASSWORD = 'correct horse battery';
+const ALL_PERMISSIONS = ['resources:read', 'resources:write', 'tenant:configure', 'users:manage', 'audit:read', 'apikeys:manage'];
+
+let token;
+
+beforeAll(() => db.install());
+
+beforeEach(async () => {
+  db.reset();
+  db.seed(Tenant, { tenantId: 'acme', name: 'Acme', plan: 'pro' }, { tenantId: 'globex', name: 'Globex', plan: 'pro' });
+  db.seed(Role,
+    { tenantId: 'acme', name: 'admin', label: 'Admin', permissions: ALL_PERMISSIONS, builtIn: true },
+    { tenantId: 'globex', name: 'admin', label: 'Admin', permissions: ALL_PERMISSIONS, builtIn: true }
+  );
+  const password = bcrypt.hashSync(PASSWORD, 4);
+  db.seed(User,
+    { tenantId: 'acme', email: 'admin@acme.test', name: 'Ada', password, role: 'admin' },
+    { tenantId: 'globex', email: 'gus@globex.test', name: 'Gus', password, role: 'admin' }
+  );
+  db.seed(Resource,
+    { tenantId: 'acme', name: 'Roadmap', type: 'Document' },
+    { tenantId: 'acme', name: 'Old draft', type: 'Document', deletedAt: new Date() },
+    { tenantId: 'globex', name: 'Secret plans', type: 'Document' }
+  );
+  db.seed(AuditEvent, { tenantId: 'globex', actor: { type: 'system' }, action: 'resource.purged' });
+  const res = await request(app).post('/api/t/acme/auth/login').send({ email: 'admin@acme.test', password: PASSWORD });
+  token = res.body.token;
+});
+
+const asAdmin = (req) => req.set('Authorization', `Bearer ${token}`);
+
+// Collects the response body as a Buffer instead of letting supertest parse it
+const binary = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+const ndjson = (text) => text.trim().split('\n').map(line => JSON.parse(line));
+
+describe('GET /api/tenant/export', () => {
+  it('archives only the caller\'s tenant, without password hashes', async () => {
+    const res = await asAdmin(request(app).get('/api/t/acme/tenant/export')).buffer(true).parse(binary);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/gzip');
+    const files = untar(zlib.gunzipSync(res.body));
+    expect(Object.keys(files)).toEqual(['tenant.json', 'users.ndjson', 'roles.ndjson', 'resources.ndjson', 'audit.ndjson', 'manifest.json']);
+    expect(JSON.parse(files['tenant.json'])).toMatchObject({ tenantId: 'acme', name: 'Acme' });
+    expect(ndjson(files['users.ndjson']).map(user => user.email)).toEqual(['admin@acme.test']);
+    expect(files['users.ndjson']).not.toContain('password');
+    expect(ndjson(files['resources.ndjson']).map(resource => resource.name)).toEqual(['Roadmap', 'Old draft']);
+    expect(files['audit.ndjson']).not.toContain('globex');
+    expect(JSON.parse(files['manifest.json'])).toMatchObject({ tenantId: 'acme', counts: { users: 1, roles: 1, resources: 2 } });
+  });
+});
+
+describe('/api/tenant/deletion', () => {
+  it('schedules deletion and locks the tenant out of everything but export and cancel', async () => {
+    const res = await asAdmin(request(app).post('/api/t/acme/tenant/deletion')).send({ confirm: 'acme' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ status: 'pending-deletion', deletionScheduledFor: expect.any(String) });
+    expect(db.all(Tenant, { tenantId: 'acme' })[0]).toMatchObject({ status: 'pending-deletion', statusBeforeDeletion: 'active' });
+    expect(db.all(Tenant, { tenantId: 'globex' })[0].status).toBe('active');
+
+    const blocked = await asAdmin(request(app).get('/api/t/acme/resources'));
+    expect(blocked.status).toBe(403);
+    expect(blocked.body.code).toBe('tenant_pending_deletion');
+    expect((await asAdmin(request(app).get('/api/t/acme/tenant/export')).buffer(true).parse(binary)).status).toBe(200);
+
+    const cancelled = await asAdmin(request(app).delete('/api/t/acme/tenant/deletion'));
+    expect(cancelled.body).toEqual({ status: 'active', deletionScheduledFor: null });
+    expect((await asAdmin(request(app).get('/api/t/acme/resources'))).status).toBe(200);
+  });
+
+  it('requires the tenant ID as confirmation', async () => {
+    const res = await asAdmin(request(app).post('/api/t/acme/tenant/deletion')).send({ confirm: 'globex' });
+
+    expect(res.status).toBe(400);
+    expect(db.all(Tenant, { tenantId: 'acme' })[0].status).toBe('active');
+  });
+});
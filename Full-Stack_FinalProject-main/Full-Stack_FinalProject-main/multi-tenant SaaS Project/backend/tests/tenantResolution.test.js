@@ -0,0 +1,103 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  DEFAULT_RESOLUTION_ORDER,
+  parseResolutionOrder,
+  normalizeHostname,
+  subdomainFromHost,
+  extractPathTenant,
+  resolveTenantId,
+  validateCustomDomain,
+  verificationRecord,
+  createTxtResolver,
+  verifyDomainOwnership
+} = require('../lib/tenantResolution');
+
+describe('parseResolutionOrder', () => {
+  it('defaults to domain, subdomain and path without the header', () => {
+    expect(parseResolutionOrder(undefined)).toEqual(['domain', 'subdomain', 'path']);
+    expect(DEFAULT_RESOLUTION_ORDER).not.toContain('header');
+  });
+
+  it('accepts a custom order and rejects unknown strategies', () => {
+    expect(parseResolutionOrder('header, path')).toEqual(['header', 'path']);
+    expect(() => parseResolutionOrder('path,cookie')).toThrow(/TENANT_RESOLUTION/);
+  });
+});
+
+describe('hosts and paths', () => {
+  it('normalizes Host headers and ignores IP literals', () => {
+    expect(normalizeHostname('Acme.Example.com:3001')).toBe('acme.example.com');
+    expect(normalizeHostname('127.0.0.1:3001')).toBeNull();
+    expect(normalizeHostname('[::1]:3001')).toBeNull();
+  });
+
+  it('only takes single, unreserved labels directly below the base domain', () => {
+    expect(subdomainFromHost('acme.example.com', 'example.com')).toBe('acme');
+    expect(subdomainFromHost('example.com', 'example.com')).toBeNull();
+    expect(subdomainFromHost('a.b.example.com', 'example.com')).toBeNull();
+    expect(subdomainFromHost('www.example.com', 'example.com', ['www'])).toBeNull();
+    expect(subdomainFromHost('localhost', null)).toBeNull();
+  });
+
+  it('strips the tenant segment from API paths', () => {
+    expect(extractPathTenant('/api/t/acme/resources?page=2')).toEqual({ tenantId: 'acme', url: '/api/resources?page=2' });
+    expect(extractPathTenant('/api/t/acme')).toEqual({ tenantId: 'acme', url: '/api' });
+    expect(extractPathTenant('/api/tenants')).toBeNull();
+  });
+});
+
+describe('resolveTenantId', () => {
+  const lookupDomain = jest.fn(async hostname => (hostname === 'portal.acme.com' ? 'acme' : null));
+  const base = { order: ['domain', 'subdomain', 'path'], baseDomain: 'example.com', lookupDomain };
+
+  it('follows the configured precedence', async () => {
+    expect(await resolveTenantId({ ...base, hostname: 'portal.acme.com', pathTenantId: 'globex' }))
+      .toEqual({ tenantId: 'acme', source: 'domain' });
+    expect(await resolveTenantId({ ...base, hostname: 'globex.example.com', pathTenantId: 'acme' }))
+      .toEqual({ tenantId: 'globex', source: 'subdomain' });
+    expect(await resolveTenantId({ ...base, order: ['path', 'subdomain'], hostname: 'globex.example.com', pathTenantId: 'acme' }))
+      .toEqual({ tenantId: 'acme', source: 'path' });
+  });
+
+  it('skips the domain lookup for hosts under the base domain', async () => {
+    lookupDomain.mockClear();
+    await resolveTenantId({ ...base, hostname: 'acme.example.com' });
+    expect(lookupDomain).not.toHaveBeenCalled();
+  });
+
+  it('ignores X-Tenant-ID unless the header strategy is enabled', async () => {
+    expect(await resolveTenantId({ ...base, hostname: 'localhost', headerTenantId: 'acme' })).toBeNull();
+    expect(await resolveTenantId({ ...base, order: [...base.order, 'header'], hostname: 'localhost', headerTenantId: 'acme' }))
+      .toEqual({ tenantId: 'acme', source: 'header' });
+  });
+});
+
+describe('custom domains', () => {
+  it('accepts fully qualified hostnames outside the base domain', () => {
+    expect(validateCustomDomain(' Portal.Acme.com. ', 'example.com')).toEqual({ hostname: 'portal.acme.com' });
+    ['acme', 'localhost', '10.0.0.1', 'acme.example.com', '-bad.acme.com'].forEach((hostname) => {
+      expect(validateCustomDomain(hostname, 'example.com')).toHaveProperty('error');
+    });
+  });
+
+  it('verifies ownership through a stub TXT resolver', async () => {
+    const stubFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'dns-stub-')), 'txt.json');
+    const { name, value } = verificationRecord('portal.acme.com', 'token123');
+    fs.writeFileSync(stubFile, JSON.stringify({ [name]: ['v=spf1 -all', value] }));
+    const resolveTxt = createTxtResolver({ stubFile });
+
+    expect(name).toBe('_mt-verify.portal.acme.com');
+    expect(await verifyDomainOwnership('portal.acme.com', 'token123', resolveTxt)).toEqual({ verified: true });
+    expect(await verifyDomainOwnership('portal.acme.com', 'other', resolveTxt))
+      .toEqual({ verified: false, error: expect.stringContaining('does not contain') });
+    expect(await verifyDomainOwnership('www.acme.com', 'token123', resolveTxt))
+      .toEqual({ verified: false, error: 'No TXT record found at _mt-verify.www.acme.com' });
+  });
+
+  it('joins TXT records split into chunks', async () => {
+    const resolveTxt = async () => [['mt-verify=tok', 'en123']];
+    expect(await verifyDomainOwnership('portal.acme.com', 'token123', resolveTxt)).toEqual({ verified: true });
+  });
+});
@@ -0,0 +1,56 @@
+process.env.LOG_LEVEL = 'silent';
+
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const { createMemoryDb } = require('./support/memoryDb');
+const app = require('../server');
+
+const Tenant = mongoose.model('Tenant');
+const User = mongoose.model('User');
+const Role = mongoose.model('Role');
+const ThemeVersion = mongoose.model('ThemeVersion');
+
+const db = createMemoryDb();
+const PASSWORD = 'correct horse battery';
+
+let token;
+
+beforeAll(() => db.install());
+
+beforeEach(async () => {
+  db.reset();
+  db.seed(Tenant, { tenantId: 'acme', name: 'Acme', plan: 'pro' });
+  db.seed(Role, { tenantId: 'acme', name: 'designer', label: 'Designer', permissions: ['tenant:configure'] });
+  db.seed(User, { tenantId: 'acme', email: 'ann@acme.test', name: 'Ann', password: bcrypt.hashSync(PASSWORD, 4), role: 'designer' });
+  db.seed(ThemeVersion, { tenantId: 'acme', version: 1, theme: { name: 'Acme' }, note: 'Initial theme' });
+  const res = await request(app).post('/api/t/acme/auth/login').send({ email: 'ann@acme.test', password: PASSWORD });
+  token = res.body.token;
+});
+
+const asDesigner = (req) => req.set('Authorization', `Bearer ${token}`);
+
+describe('theme versions', () => {
+  it('answers 400 for version numbers that are not whole numbers', async () => {
+    for (const id of ['latest', '1.5', '0']) {
+      expect((await asDesigner(request(app).get(`/api/t/acme/tenant/config/versions/${id}`))).status).toBe(400);
+      expect((await asDesigner(request(app).post(`/api/t/acme/tenant/config/versions/${id}/restore`))).status).toBe(400);
+    }
+    expect((await asDesigner(request(app).get('/api/t/acme/tenant/config/versions/1?compare=first'))).status).toBe(400);
+  });
+
+  it('takes the next number when a concurrent publish claimed the same version', async () => {
+    const create = ThemeVersion.create.bind(ThemeVersion);
+    jest.spyOn(ThemeVersion, 'create').mockImplementationOnce(async () => {
+      db.seed(ThemeVersion, { tenantId: 'acme', version: 2, theme: { name: 'Acme Two' } });
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }).mockImplementation(create);
+
+    const res = await asDesigner(request(app).put('/api/t/acme/tenant/config')).send({ name: 'Acme Corp' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.version).toBe(3);
+    expect(db.all(ThemeVersion, { version: 3 })[0].theme.name).toBe('Acme Corp');
+    expect(db.all(Tenant)[0].name).toBe('Acme Corp');
+  });
+});
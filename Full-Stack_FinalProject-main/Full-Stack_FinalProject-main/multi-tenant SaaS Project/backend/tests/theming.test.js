@@ -0,0 +1,133 @@
+const {
+  FONT_STACKS,
+  parseColor,
+  contrastRatio,
+  validateThemeUpdate,
+  restorableTheme
+} = require('../lib/theme');
+
+const currentTheme = {
+  name: 'ACME Corporation',
+  logo: '🏢',
+  primaryColor: '#dc2626',
+  secondaryColor: '#991b1b',
+  accentColor: '#fbbf24',
+  backgroundColor: '#ffffff',
+  textColor: '#1f2937',
+  fontFamily: 'system-ui, sans-serif'
+};
+
+describe('parseColor', () => {
+  it('accepts short hex, long hex and rgb()', () => {
+    expect(parseColor('#fff')).toEqual([255, 255, 255]);
+    expect(parseColor('#DC2626')).toEqual([220, 38, 38]);
+    expect(parseColor('rgb(16, 185, 129)')).toEqual([16, 185, 129]);
+  });
+
+  it('rejects anything else', () => {
+    expect(parseColor('banana')).toBeNull();
+    expect(parseColor('#12345')).toBeNull();
+    expect(parseColor('rgb(300, 0, 0)')).toBeNull();
+    expect(parseColor(42)).toBeNull();
+  });
+});
+
+describe('contrastRatio', () => {
+  it('matches the WCAG reference values', () => {
+    expect(contrastRatio('#000000', '#ffffff')).toBeCloseTo(21, 1);
+    expect(contrastRatio('#ffffff', '#ffffff')).toBeCloseTo(1, 5);
+    expect(contrastRatio('#767676', '#ffffff')).toBeCloseTo(4.54, 2);
+  });
+});
+
+describe('validateThemeUpdate', () => {
+  it('normalizes valid updates to hex colors and trimmed strings', () => {
+    const { value, errors } = validateThemeUpdate({
+      name: '  ACME Corp  ',
+      accentColor: 'rgb(251, 191, 36)',
+      fontFamily: FONT_STACKS[1]
+    }, currentTheme);
+
+    expect(errors).toEqual({});
+    expect(value).toEqual({ name: 'ACME Corp', accentColor: '#fbbf24', fontFamily: FONT_STACKS[1] });
+  });
+
+  it('rejects read-only and unknown fields', () => {
+    const { value, errors } = validateThemeUpdate({ tenantId: 'techstart', createdAt: '2020-01-01' }, currentTheme);
+
+    expect(Object.keys(errors)).toEqual(['tenantId', 'createdAt']);
+    expect(value).toEqual({});
+  });
+
+  it('returns field-level errors for malformed values', () => {
+    const { errors } = validateThemeUpdate({
+      primaryColor: 'banana',
+      fontFamily: 'Comic Sans MS',
+      logo: 'a very long logo string',
+      name: ''
+    }, currentTheme);
+
+    expect(errors).toEqual({
+      primaryColor: expect.stringMatching(/#rrggbb/),
+      fontFamily: expect.any(String),
+      logo: expect.any(String),
+      name: expect.any(String)
+    });
+  });
+
+  it('rejects text and background pairs below WCAG AA', () => {
+    expect(validateThemeUpdate({ textColor: '#dddddd' }, currentTheme).errors.textColor)
+      .toMatch(/WCAG AA requires 4.5:1/);
+    expect(validateThemeUpdate({ backgroundColor: '#333333' }, currentTheme).errors.backgroundColor)
+      .toMatch(/contrast/);
+  });
+
+  it('warns on primary colors that only pass for large button text', () => {
+    const result = validateThemeUpdate({ primaryColor: '#3b82f6' }, currentTheme);
+
+    expect(result.errors).toEqual({});
+    expect(result.warnings.primaryColor).toMatch(/large or bold/);
+  });
+
+  it('rejects primary colors that fail even the large-text threshold', () => {
+    expect(validateThemeUpdate({ primaryColor: '#fbbf24' }, currentTheme).errors.primaryColor)
+      .toMatch(/at least 3:1/);
+  });
+
+  it('does not re-check colors the update leaves alone', () => {
+    const legacy = { ...currentTheme, primaryColor: '#fbbf24' };
+    expect(validateThemeUpdate({ name: 'ACME' }, legacy).errors).toEqual({});
+  });
+});
+
+describe('restorableTheme', () => {
+  it('restores a version that still passes unchanged', () => {
+    expect(restorableTheme({ ...currentTheme, name: 'ACME' }, currentTheme)).toEqual({
+      value: { ...currentTheme, name: 'ACME' },
+      dropped: []
+    });
+  });
+
+  it('drops colors that no longer meet the contrast rules', () => {
+    const { value, dropped } = restorableTheme({ name: 'Old ACME', primaryColor: '#fbbf24', textColor: '#111827' }, currentTheme);
+
+    expect(value).toEqual({ name: 'Old ACME', textColor: '#111827' });
+    expect(dropped).toEqual(['primaryColor']);
+  });
+
+  it('re-checks what remains until nothing fails', () => {
+    // Dropping the text color leaves the background judged against the current text, which also fails
+    const { value, dropped } = restorableTheme({ textColor: '#444444', backgroundColor: '#333333' }, currentTheme);
+
+    expect(value).toEqual({});
+    expect(dropped).toEqual(['textColor', 'backgroundColor']);
+  });
+
+  it('drops fields that are unknown or malformed today', () => {
+    const { value, dropped } = restorableTheme({ logo: '🚀', plan: 'enterprise', accentColor: 'teal' }, currentTheme);
+
+    expect(value).toEqual({ logo: '🚀' });
+    expect(dropped.sort()).toEqual(['accentColor', 'plan']);
+    expect(restorableTheme(null, currentTheme)).toEqual({ value: {}, dropped: [] });
+  });
+});
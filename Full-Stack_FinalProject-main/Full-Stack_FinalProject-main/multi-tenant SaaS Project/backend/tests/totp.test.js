@@ -0,0 +1,113 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  timeStep,
+  generateTotp,
+  verifyTotp,
+  provisioningUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+  isMfaRequired,
+  ADMIN_PERMISSIONS
+} = require('../lib/totp');
+
+// The SHA-1 key from RFC 6238 appendix B, "12345678901234567890"
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('base32', () => {
+  it('round-trips bytes and matches the RFC test key', () => {
+    expect(base32Encode(Buffer.from('12345678901234567890'))).toBe(RFC_SECRET);
+    expect(base32Decode(RFC_SECRET).toString()).toBe('12345678901234567890');
+    expect(base32Decode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq').toString()).toBe('12345678901234567890');
+  });
+
+  it('rejects characters outside the alphabet', () => {
+    expect(() => base32Decode('GEZD1')).toThrow('Invalid base32 character: 1');
+  });
+
+  it('generates 160-bit secrets', () => {
+    const secret = generateSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(base32Decode(secret)).toHaveLength(20);
+    expect(generateSecret()).not.toBe(secret);
+  });
+});
+
+describe('generateTotp', () => {
+  it('matches the RFC 6238 test vectors', () => {
+    expect(generateTotp(RFC_SECRET, timeStep(59 * 1000))).toBe('287082');
+    expect(generateTotp(RFC_SECRET, timeStep(1111111109 * 1000))).toBe('081804');
+    expect(generateTotp(RFC_SECRET, timeStep(1234567890 * 1000))).toBe('005924');
+    expect(generateTotp(RFC_SECRET, timeStep(2000000000 * 1000))).toBe('279037');
+  });
+});
+
+describe('verifyTotp', () => {
+  const time = 1234567890 * 1000;
+
+  it('returns the matching step', () => {
+    expect(verifyTotp(RFC_SECRET, '005924', { time })).toBe(timeStep(time));
+    expect(verifyTotp(RFC_SECRET, '005 924', { time })).toBe(timeStep(time));
+  });
+
+  it('allows one step of clock drift either way', () => {
+    const previous = generateTotp(RFC_SECRET, timeStep(time) - 1);
+    const next = generateTotp(RFC_SECRET, timeStep(time) + 1);
+    expect(verifyTotp(RFC_SECRET, previous, { time })).toBe(timeStep(time) - 1);
+    expect(verifyTotp(RFC_SECRET, next, { time })).toBe(timeStep(time) + 1);
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, timeStep(time) - 2), { time })).toBeNull();
+  });
+
+  it('rejects wrong and malformed codes', () => {
+    expect(verifyTotp(RFC_SECRET, '000000', { time })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, '5924', { time })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, 5924, { time })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, undefined, { time })).toBeNull();
+  });
+});
+
+describe('provisioningUri', () => {
+  it('labels the account with the issuer for authenticator apps', () => {
+    const uri = provisioningUri({ secret: RFC_SECRET, issuer: 'ACME Corporation', account: 'admin@acme.com' });
+    expect(uri).toBe(
+      `otpauth://totp/ACME%20Corporation:admin%40acme.com?secret=${RFC_SECRET}&issuer=ACME+Corporation&algorithm=SHA1&digits=6&period=30`
+    );
+  });
+});
+
+describe('recovery codes', () => {
+  it('generates distinct, readable codes', () => {
+    const codes = generateRecoveryCodes();
+    expect(codes).toHaveLength(10);
+    expect(new Set(codes).size).toBe(10);
+    for (const code of codes) expect(code).toMatch(/^[a-hjkmnp-z2-9]{5}-[a-hjkmnp-z2-9]{5}$/);
+  });
+
+  it('normalizes case, spaces and dashes', () => {
+    expect(normalizeRecoveryCode(' ABCDE fghij ')).toBe('abcdefghij');
+    expect(normalizeRecoveryCode('abcde-fghij')).toBe('abcdefghij');
+  });
+});
+
+describe('isMfaRequired', () => {
+  const admin = ['resources:read', 'resources:write', 'tenant:configure', 'users:manage', 'audit:read', 'apikeys:manage'];
+  const member = ['resources:read', 'resources:write'];
+
+  it('applies the tenant policy to the role\'s permissions', () => {
+    expect(isMfaRequired('off', admin)).toBe(false);
+    expect(isMfaRequired(undefined, admin)).toBe(false);
+    expect(isMfaRequired('admins', admin)).toBe(true);
+    expect(isMfaRequired('admins', member)).toBe(false);
+    expect(isMfaRequired('all', member)).toBe(true);
+    expect(isMfaRequired('all', [])).toBe(true);
+  });
+
+  it('treats any administrative permission as admin, whatever the role is called', () => {
+    for (const permission of ADMIN_PERMISSIONS) {
+      expect(isMfaRequired('admins', ['resources:read', permission])).toBe(true);
+    }
+    expect(isMfaRequired('admins', ['audit:read'])).toBe(false);
+    expect(isMfaRequired('admins', [])).toBe(false);
+  });
+});
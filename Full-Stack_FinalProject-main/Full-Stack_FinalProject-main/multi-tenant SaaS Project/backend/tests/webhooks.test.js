@@ -0,0 +1,124 @@
+const http = require('http');
+const {
+  signPayload,
+  verifySignature,
+  retryDelay,
+  isPrivateAddress,
+  validateWebhook,
+  sendWebhook
+} = require('../lib/webhooks');
+
+const SECRET = 'whsec_test';
+
+describe('signatures', () => {
+  it('verifies a signature produced by signPayload', () => {
+    const header = signPayload(SECRET, '{"a":1}');
+    expect(verifySignature(SECRET, '{"a":1}', header)).toBe(true);
+  });
+
+  it('rejects tampered bodies, wrong secrets and malformed headers', () => {
+    const header = signPayload(SECRET, '{"a":1}');
+    expect(verifySignature(SECRET, '{"a":2}', header)).toBe(false);
+    expect(verifySignature('whsec_other', '{"a":1}', header)).toBe(false);
+    expect(verifySignature(SECRET, '{"a":1}', 'garbage')).toBe(false);
+  });
+
+  it('rejects stale timestamps', () => {
+    const header = signPayload(SECRET, '{}', 1000);
+    expect(verifySignature(SECRET, '{}', header, { now: 1000 * 1000 })).toBe(true);
+    expect(verifySignature(SECRET, '{}', header, { now: (1000 + 301) * 1000 })).toBe(false);
+  });
+});
+
+describe('retryDelay', () => {
+  it('doubles from 30 seconds and caps at 6 hours', () => {
+    expect(retryDelay(1)).toBe(30 * 1000);
+    expect(retryDelay(3)).toBe(2 * 60 * 1000);
+    expect(retryDelay(20)).toBe(6 * 60 * 60 * 1000);
+  });
+});
+
+describe('isPrivateAddress', () => {
+  it('flags loopback, private, link-local and mapped addresses', () => {
+    ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '::1', 'fd00::1', 'fe80::1', '::ffff:10.0.0.1']
+      .forEach(ip => expect(isPrivateAddress(ip)).toBe(true));
+  });
+
+  it('allows public addresses', () => {
+    ['8.8.8.8', '172.32.0.1', '2606:4700::1111', '::ffff:1.1.1.1']
+      .forEach(ip => expect(isPrivateAddress(ip)).toBe(false));
+  });
+});
+
+describe('validateWebhook', () => {
+  it('requires an http(s) URL without credentials and known events', () => {
+    expect(validateWebhook({ url: 'https://example.com/hook', events: ['resource.created'] })).toEqual({});
+    expect(validateWebhook({ url: 'ftp://example.com', events: [] })).toEqual({
+      url: expect.any(String),
+      events: expect.any(String)
+    });
+    expect(validateWebhook({ url: 'https://user:pw@example.com', events: ['nope'] })).toEqual({
+      url: 'URL must not contain credentials',
+      events: expect.stringContaining('Events must be among')
+    });
+  });
+
+  it('only checks provided fields for partial updates', () => {
+    expect(validateWebhook({ active: false }, { partial: true })).toEqual({});
+    expect(validateWebhook({ active: 'yes' }, { partial: true })).toEqual({ active: expect.any(String) });
+  });
+});
+
+describe('sendWebhook', () => {
+  let server;
+  let url;
+  let received;
+  let respondWith;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received = { headers: req.headers, body };
+        res.writeHead(respondWith);
+        res.end('ack');
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/hook`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  const send = (options = {}) => sendWebhook({
+    url,
+    secret: SECRET,
+    event: 'resource.created',
+    deliveryId: 'delivery-1',
+    payload: { type: 'resource.created', data: { id: 1 } },
+    allowPrivate: true,
+    ...options
+  });
+
+  it('delivers a signed payload to a local receiver', async () => {
+    respondWith = 200;
+    const result = await send();
+    expect(result).toMatchObject({ ok: true, status: 200, body: 'ack' });
+    expect(received.headers['x-webhook-event']).toBe('resource.created');
+    expect(received.headers['x-webhook-id']).toBe('delivery-1');
+    expect(verifySignature(SECRET, received.body, received.headers['x-webhook-signature'])).toBe(true);
+    expect(JSON.parse(received.body)).toEqual({ type: 'resource.created', data: { id: 1 } });
+  });
+
+  it('reports non-2xx responses as retryable failures', async () => {
+    respondWith = 503;
+    expect(await send()).toMatchObject({ ok: false, retryable: true, status: 503 });
+  });
+
+  it('refuses private destinations unless allowed', async () => {
+    received = null;
+    expect(await send({ allowPrivate: false })).toMatchObject({ ok: false, retryable: false });
+    expect(received).toBeNull();
+  });
+});
@@ -1,5 +1,5 @@
-import React, { useState, useEffect, createContext, useContext } from 'react';
-import { AlertCircle, Building2, Palette, Settings, Users, BarChart3, Shield, LogOut } from 'lucide-react';
+import React, { useState, useEffect, useCallback, useMemo, createContext, useContext } from 'react';
+import { AlertCircle, Activity, Building2, Download, Key, KeyRound, Palette, Send, Settings, Users, UserCog, BarChart3, Shield, LogOut } from 'lucide-react';
 
 // Theme Context
 const ThemeContext = createContext(null);
@@ -35,104 +35,602 @@ const ThemeProvider = ({ children, theme }) => {
   return <ThemeContext.Provider value={theme}>{children}</ThemeContext.Provider>;
 };
 
-// Mock API Service
+const PERMISSIONS = ['resources:read', 'resources:write', 'tenant:configure', 'users:manage', 'audit:read', 'apikeys:manage'];
+const RESOURCE_TYPES = ['Document', 'Image', 'Video'];
+// Mirrors the backend allowlist in lib/theme.js
+const FONT_STACKS = [
+  'system-ui, sans-serif',
+  'Inter, system-ui, sans-serif',
+  'Inter, sans-serif',
+  '"Helvetica Neue", Arial, sans-serif',
+  'Georgia, serif',
+  'ui-monospace, monospace',
+];
+const COLOR_PICKERS = [
+  { key: 'primaryColor', label: 'Primary Color', fallback: '#3b82f6' },
+  { key: 'secondaryColor', label: 'Secondary Color', fallback: '#8b5cf6' },
+  { key: 'accentColor', label: 'Accent Color', fallback: '#10b981' },
+  { key: 'textColor', label: 'Text Color', fallback: '#1f2937' },
+  { key: 'backgroundColor', label: 'Background Color', fallback: '#ffffff' },
+];
+const RESOURCE_SORTS = [
+  { value: '-createdAt', label: 'Newest first' },
+  { value: 'createdAt', label: 'Oldest first' },
+  { value: '-updatedAt', label: 'Recently updated' },
+  { value: 'name', label: 'Name (A-Z)' },
+  { value: '-name', label: 'Name (Z-A)' },
+];
+
+// "/t/acme/..." links pin the tenant in the path; subdomains are resolved by the backend from Host
+const tenantFromPath = () => window.location.pathname.match(/^\/t\/([^/]+)/)?.[1] || null;
+
+// API Client
 const api = {
   baseURL: '/api',
+  // Set by AuthProvider; called when the session can no longer be refreshed
+  onUnauthorized: null,
+  // Set by AuthProvider; called with the 403 body when the organization is suspended or being deleted
+  onTenantUnavailable: null,
   
-  async fetch(endpoint, options = {}) {
+  // The tenant travels in the path ("/api/t/acme/..."); without one the backend resolves it from the host
+  url(endpoint, tenantId = localStorage.getItem('tenantId')) {
+    return `${this.baseURL}${tenantId ? `/t/${encodeURIComponent(tenantId)}` : ''}${endpoint}`;
+  },
+  
+  // `auth: false` marks credential checks (login, invites) whose 401s are not a lost session
+  async fetch(endpoint, { raw = false, retry = true, auth = true, tenantId, ...options } = {}) {
     const token = localStorage.getItem('token');
-    const tenantId = localStorage.getItem('tenantId');
     
     const headers = {
       'Content-Type': 'application/json',
       ...(token && { 'Authorization': `Bearer ${token}` }),
-      ...(tenantId && { 'X-Tenant-ID': tenantId }),
-      'X-Correlation-ID': `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
       ...options.headers,
     };
 
-    const response = await fetch(`${this.baseURL}${endpoint}`, {
+    const response = await fetch(this.url(endpoint, tenantId), {
       ...options,
       headers,
     });
 
+    // Access tokens are short-lived: refresh once and replay the request
+    if (response.status === 401 && auth) {
+      if (retry && localStorage.getItem('refreshToken') && await this.refreshSession()) {
+        return this.fetch(endpoint, { raw, retry: false, tenantId, ...options });
+      }
+      this.onUnauthorized?.();
+    }
+
     if (!response.ok) {
-      throw new Error(`API Error: ${response.statusText}`);
+      const body = await response.json().catch(() => ({}));
+      // The server echoes its correlation ID, so errors can be matched to backend logs
+      const correlationId = response.headers.get('X-Correlation-ID');
+      const error = new Error(body.error || `API Error: ${response.statusText}`);
+      error.status = response.status;
+      error.code = body.code;
+      error.fields = body.fields;
+      error.warnings = body.warnings;
+      error.correlationId = correlationId;
+      if (['tenant_suspended', 'tenant_pending_deletion'].includes(body.code) && auth) {
+        this.onTenantUnavailable?.(body);
+      }
+      console.error(`[${correlationId}] ${options.method || 'GET'} ${endpoint} failed (${response.status}): ${error.message}`);
+      throw error;
+    }
+
+    if (raw) {
+      return response;
+    }
+
+    if (response.status === 204) {
+      return null;
     }
 
     return response.json();
   },
 
+  // Concurrent 401s share one refresh so the rotating refresh token is only exchanged once
+  refreshSession() {
+    if (!this.refreshing) {
+      this.refreshing = fetch(this.url('/auth/refresh'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken: localStorage.getItem('refreshToken') }),
+      })
+        .then(async (response) => {
+          if (!response.ok) return false;
+          const { token, refreshToken } = await response.json();
+          localStorage.setItem('token', token);
+          localStorage.setItem('refreshToken', refreshToken);
+          return true;
+        })
+        .catch(() => false)
+        .finally(() => {
+          this.refreshing = null;
+        });
+    }
+    return this.refreshing;
+  },
+
   // Auth endpoints
   async login(tenantId, email, password) {
-    // Mock implementation
-    return {
-      token: `mock-token-${tenantId}`,
-      user: { id: '1', email, name: email.split('@')[0], tenantId, role: 'admin' },
-      theme: this.getMockTheme(tenantId)
-    };
+    return this.fetch('/auth/login', {
+      method: 'POST',
+      auth: false,
+      tenantId,
+      body: JSON.stringify({ email, password }),
+    });
+  },
+
+  async logout() {
+    return this.fetch('/auth/logout', { method: 'POST', auth: false });
+  },
+
+  async getSessions() {
+    return this.fetch('/auth/sessions');
+  },
+
+  async revokeSession(id) {
+    return this.fetch(`/auth/sessions/${id}`, { method: 'DELETE' });
+  },
+
+  async revokeOtherSessions() {
+    return this.fetch('/auth/sessions', { method: 'DELETE' });
+  },
+
+  async forgotPassword(tenantId, email) {
+    return this.fetch('/auth/forgot-password', {
+      method: 'POST',
+      auth: false,
+      tenantId,
+      body: JSON.stringify({ email }),
+    });
+  },
+
+  async resetPassword(tenantId, token, password) {
+    return this.fetch('/auth/reset-password', {
+      method: 'POST',
+      auth: false,
+      tenantId,
+      body: JSON.stringify({ token, password }),
+    });
+  },
+
+  async verifyEmail(tenantId, token) {
+    return this.fetch('/auth/verify-email', {
+      method: 'POST',
+      auth: false,
+      tenantId,
+      body: JSON.stringify({ token }),
+    });
+  },
+
+  async resendVerification() {
+    return this.fetch('/auth/verify-email/resend', { method: 'POST' });
+  },
+
+  // Second sign-in step, authorized by the challenge token from login instead of a session
+  async completeMfaChallenge(tenantId, challengeToken, factor) {
+    return this.fetch('/auth/mfa/challenge', {
+      method: 'POST',
+      auth: false,
+      tenantId,
+      body: JSON.stringify({ challengeToken, ...factor }),
+    });
+  },
+
+  async startChallengeMfaEnrollment(tenantId, challengeToken) {
+    return this.fetch('/auth/mfa/challenge/enroll', {
+      method: 'POST',
+      auth: false,
+      tenantId,
+      body: JSON.stringify({ challengeToken }),
+    });
+  },
+
+  async getMfaStatus() {
+    return this.fetch('/auth/mfa');
+  },
+
+  async startMfaEnrollment() {
+    return this.fetch('/auth/mfa/enroll', { method: 'POST' });
+  },
+
+  async confirmMfaEnrollment(code) {
+    return this.fetch('/auth/mfa/enroll/confirm', {
+      method: 'POST',
+      body: JSON.stringify({ code }),
+    });
+  },
+
+  async regenerateRecoveryCodes(code) {
+    return this.fetch('/auth/mfa/recovery-codes', {
+      method: 'POST',
+      body: JSON.stringify({ code }),
+    });
+  },
+
+  async disableMfa(password) {
+    return this.fetch('/auth/mfa', {
+      method: 'DELETE',
+      body: JSON.stringify({ password }),
+    });
   },
 
   // Tenant endpoints
+  async createTenant(signup) {
+    return this.fetch('/tenants', {
+      method: 'POST',
+      body: JSON.stringify(signup),
+    });
+  },
+
+  // Bypasses fetch() so a stale stored tenant never overrides the one in the URL
+  async getPublicTheme(tenantId) {
+    const response = await fetch(this.url('/tenant/public-theme', tenantId));
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      const error = new Error(body.error || `API Error: ${response.statusText}`);
+      error.status = response.status;
+      error.code = body.code;
+      throw error;
+    }
+    return response.json();
+  },
+
   async getTenantConfig() {
-    const tenantId = localStorage.getItem('tenantId');
-    return this.getMockTheme(tenantId);
+    return this.fetch('/tenant/config');
   },
 
   async updateTenantConfig(config) {
-    return { success: true, config };
+    return this.fetch('/tenant/config', {
+      method: 'PUT',
+      body: JSON.stringify(config),
+    });
   },
 
-  // Resources endpoints
-  async getResources(page = 1, limit = 10) {
+  async getStats(range = '30d') {
+    return this.fetch(`/stats?range=${range}`);
+  },
+
+  async getUsage() {
+    return this.fetch('/tenant/usage');
+  },
+
+  async getThemeDraft() {
+    return this.fetch('/tenant/config/draft');
+  },
+
+  async saveThemeDraft(theme) {
+    return this.fetch('/tenant/config/draft', {
+      method: 'PUT',
+      body: JSON.stringify(theme),
+    });
+  },
+
+  async discardThemeDraft() {
+    return this.fetch('/tenant/config/draft', { method: 'DELETE' });
+  },
+
+  async publishThemeDraft(note) {
+    return this.fetch('/tenant/config/publish', {
+      method: 'POST',
+      body: JSON.stringify({ note }),
+    });
+  },
+
+  async getThemeVersions(page = 1, limit = 10) {
+    return this.fetch(`/tenant/config/versions?page=${page}&limit=${limit}`);
+  },
+
+  async getThemeVersion(version) {
+    return this.fetch(`/tenant/config/versions/${version}`);
+  },
+
+  async restoreThemeVersion(version) {
+    return this.fetch(`/tenant/config/versions/${version}/restore`, { method: 'POST' });
+  },
+
+  async getSecuritySettings() {
+    return this.fetch('/tenant/security');
+  },
+
+  async updateSecuritySettings(settings) {
+    return this.fetch('/tenant/security', {
+      method: 'PUT',
+      body: JSON.stringify(settings),
+    });
+  },
+
+  // Tenant lifecycle endpoints
+  async exportTenantData() {
     const tenantId = localStorage.getItem('tenantId');
-    return {
-      data: Array.from({ length: limit }, (_, i) => ({
-        id: `${tenantId}-res-${(page - 1) * limit + i + 1}`,
-        name: `Resource ${(page - 1) * limit + i + 1}`,
-        type: ['Document', 'Image', 'Video'][Math.floor(Math.random() * 3)],
-        createdAt: new Date(Date.now() - Math.random() * 10000000000).toISOString(),
-        tenantId
-      })),
-      pagination: { page, limit, total: 100, pages: 10 }
-    };
+    return this.download('/tenant/export', `${tenantId}-export-${new Date().toISOString().slice(0, 10)}.tar.gz`);
   },
 
-  // Mock themes
-  getMockTheme(tenantId) {
-    const themes = {
-      acme: {
-        name: 'ACME Corporation',
-        logo: '🏢',
-        primaryColor: '#dc2626',
-        secondaryColor: '#991b1b',
-        accentColor: '#fbbf24',
-        backgroundColor: '#ffffff',
-        textColor: '#1f2937',
-        fontFamily: 'system-ui, sans-serif'
-      },
-      techstart: {
-        name: 'TechStart Inc',
-        logo: '🚀',
-        primaryColor: '#3b82f6',
-        secondaryColor: '#1d4ed8',
-        accentColor: '#10b981',
-        backgroundColor: '#f9fafb',
-        textColor: '#111827',
-        fontFamily: 'Inter, sans-serif'
+  async scheduleTenantDeletion(confirm) {
+    return this.fetch('/tenant/deletion', {
+      method: 'POST',
+      body: JSON.stringify({ confirm }),
+    });
+  },
+
+  async cancelTenantDeletion() {
+    return this.fetch('/tenant/deletion', { method: 'DELETE' });
+  },
+
+  // Resources endpoints
+  async getResources(page = 1, limit = 10, filters = {}) {
+    const params = new URLSearchParams({ page, limit });
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) params.set(key, value);
+    });
+    return this.fetch(`/resources?${params}`);
+  },
+
+  async createResource(resource) {
+    return this.fetch('/resources', {
+      method: 'POST',
+      body: JSON.stringify(resource),
+    });
+  },
+
+  async updateResource(id, changes) {
+    return this.fetch(`/resources/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify(changes),
+    });
+  },
+
+  async deleteResource(id) {
+    return this.fetch(`/resources/${id}`, { method: 'DELETE' });
+  },
+
+  async exportResources(format, filters = {}) {
+    const params = new URLSearchParams({ format });
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) params.set(key, value);
+    });
+    return this.download(`/resources/export?${params}`, `resources-${new Date().toISOString().slice(0, 10)}.${format}`);
+  },
+
+  // The file is sent as the raw body; its extension tells the server how to parse it
+  async importResources(file, { dryRun = false } = {}) {
+    const extension = file.name.split('.').pop().toLowerCase();
+    const format = extension === 'jsonl' ? 'ndjson' : extension;
+    return this.fetch(`/resources/import?format=${encodeURIComponent(format)}&dryRun=${dryRun}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/octet-stream' },
+      body: file,
+    });
+  },
+
+  async getTrash(page = 1, limit = 10) {
+    return this.fetch(`/resources/trash?page=${page}&limit=${limit}`);
+  },
+
+  async restoreResource(id) {
+    return this.fetch(`/resources/${id}/restore`, { method: 'POST' });
+  },
+
+  // User management endpoints
+  async getUsers(page = 1, limit = 10) {
+    return this.fetch(`/users?page=${page}&limit=${limit}`);
+  },
+
+  async inviteUser(invite) {
+    return this.fetch('/users/invite', {
+      method: 'POST',
+      body: JSON.stringify(invite),
+    });
+  },
+
+  async acceptInvite(tenantId, token, password) {
+    return this.fetch('/users/invite/accept', {
+      method: 'POST',
+      auth: false,
+      tenantId,
+      body: JSON.stringify({ token, password }),
+    });
+  },
+
+  async updateUserRole(id, role) {
+    return this.fetch(`/users/${id}/role`, {
+      method: 'PATCH',
+      body: JSON.stringify({ role }),
+    });
+  },
+
+  async setUserActive(id, active) {
+    return this.fetch(`/users/${id}/${active ? 'reactivate' : 'deactivate'}`, { method: 'POST' });
+  },
+
+  async removeUser(id) {
+    return this.fetch(`/users/${id}`, { method: 'DELETE' });
+  },
+
+  async resetUserMfa(id) {
+    return this.fetch(`/users/${id}/mfa`, { method: 'DELETE' });
+  },
+
+  // Saves a non-JSON response (e.g. a CSV export) through a temporary link
+  async download(endpoint, filename) {
+    const response = await this.fetch(endpoint, { raw: true });
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  },
+
+  // Role endpoints
+  async getRoles() {
+    return this.fetch('/roles');
+  },
+
+  async createRole(role) {
+    return this.fetch('/roles', {
+      method: 'POST',
+      body: JSON.stringify(role),
+    });
+  },
+
+  async updateRole(name, changes) {
+    return this.fetch(`/roles/${name}`, {
+      method: 'PATCH',
+      body: JSON.stringify(changes),
+    });
+  },
+
+  async deleteRole(name) {
+    return this.fetch(`/roles/${name}`, { method: 'DELETE' });
+  },
+
+  // API key endpoints
+  async getApiKeys() {
+    return this.fetch('/api-keys');
+  },
+
+  async createApiKey(apiKey) {
+    return this.fetch('/api-keys', {
+      method: 'POST',
+      body: JSON.stringify(apiKey),
+    });
+  },
+
+  async revokeApiKey(id) {
+    return this.fetch(`/api-keys/${id}`, { method: 'DELETE' });
+  },
+
+  // Webhook endpoints
+  async getWebhooks() {
+    return this.fetch('/webhooks');
+  },
+
+  async createWebhook(webhook) {
+    return this.fetch('/webhooks', {
+      method: 'POST',
+      body: JSON.stringify(webhook),
+    });
+  },
+
+  async updateWebhook(id, changes) {
+    return this.fetch(`/webhooks/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify(changes),
+    });
+  },
+
+  async deleteWebhook(id) {
+    return this.fetch(`/webhooks/${id}`, { method: 'DELETE' });
+  },
+
+  async rotateWebhookSecret(id) {
+    return this.fetch(`/webhooks/${id}/rotate-secret`, { method: 'POST' });
+  },
+
+  async testWebhook(id) {
+    return this.fetch(`/webhooks/${id}/test`, { method: 'POST' });
+  },
+
+  async getWebhookDeliveries(id, cursor = null) {
+    const params = new URLSearchParams({ limit: 20, ...(cursor && { cursor }) });
+    return this.fetch(`/webhooks/${id}/deliveries?${params}`);
+  },
+
+  async redeliverWebhook(id, deliveryId) {
+    return this.fetch(`/webhooks/${id}/deliveries/${deliveryId}/redeliver`, { method: 'POST' });
+  },
+
+  // Audit endpoints
+  async getAuditEvents(filters = {}, cursor = null) {
+    const params = new URLSearchParams({ limit: 25, ...filters, ...(cursor && { cursor }) });
+    return this.fetch(`/audit?${params}`);
+  },
+
+  async exportAuditEvents(filters = {}) {
+    const params = new URLSearchParams({ ...filters, format: 'csv' });
+    return this.download(`/audit?${params}`, `activity-${new Date().toISOString().slice(0, 10)}.csv`);
+  }
+};
+
+// Platform operator API: outside every tenant, with its own token and no refresh
+const platformApi = {
+  baseURL: '/api/platform',
+  // Set by PlatformConsole; called when the operator session has ended
+  onUnauthorized: null,
+
+  async fetch(endpoint, options = {}) {
+    const token = localStorage.getItem('platformToken');
+    const response = await fetch(`${this.baseURL}${endpoint}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { 'Authorization': `Bearer ${token}` }),
+        ...options.headers,
       },
-      default: {
-        name: 'Default Tenant',
-        logo: '🏛️',
-        primaryColor: '#6366f1',
-        secondaryColor: '#4f46e5',
-        accentColor: '#8b5cf6',
-        backgroundColor: '#ffffff',
-        textColor: '#374151',
-        fontFamily: 'system-ui, sans-serif'
-      }
-    };
-    return themes[tenantId] || themes.default;
+    });
+
+    if (response.status === 401 && token) {
+      this.onUnauthorized?.();
+    }
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      const error = new Error(body.error || `API Error: ${response.statusText}`);
+      error.status = response.status;
+      error.fields = body.fields;
+      throw error;
+    }
+    return response.status === 204 ? null : response.json();
+  },
+
+  async login(email, password) {
+    return this.fetch('/auth/login', {
+      method: 'POST',
+      body: JSON.stringify({ email, password }),
+    });
+  },
+
+  async logout() {
+    return this.fetch('/auth/logout', { method: 'POST' });
+  },
+
+  async getTenants(page = 1, filters = {}) {
+    const params = new URLSearchParams({ page, limit: 20 });
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) params.set(key, value);
+    });
+    return this.fetch(`/tenants?${params}`);
+  },
+
+  async getTenant(tenantId) {
+    return this.fetch(`/tenants/${encodeURIComponent(tenantId)}`);
+  },
+
+  async changePlan(tenantId, plan) {
+    return this.fetch(`/tenants/${encodeURIComponent(tenantId)}/plan`, {
+      method: 'PATCH',
+      body: JSON.stringify({ plan }),
+    });
+  },
+
+  async setTenantSuspended(tenantId, suspended, reason) {
+    return this.fetch(`/tenants/${encodeURIComponent(tenantId)}/${suspended ? 'suspend' : 'reactivate'}`, {
+      method: 'POST',
+      body: JSON.stringify(suspended && reason ? { reason } : {}),
+    });
+  },
+
+  async resetAdminPassword(tenantId, userId) {
+    return this.fetch(`/tenants/${encodeURIComponent(tenantId)}/admins/${userId}/reset-password`, { method: 'POST' });
+  },
+
+  async getAuditEvents(filters = {}, cursor = null) {
+    const params = new URLSearchParams({ limit: 25, ...(cursor && { cursor }) });
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) params.set(key, value);
+    });
+    return this.fetch(`/audit?${params}`);
   }
 };
 
@@ -140,6 +638,12 @@ const api = {
 const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [theme, setTheme] = useState(null);
+  // Draft theme shown only in this browser session until it is published
+  const [previewTheme, setPreviewTheme] = useState(null);
+  // { status, deletionScheduledFor } of the organization, from sign-in or a later 403
+  const [lifecycle, setLifecycle] = useState(null);
+  // { success, message } from opening an email confirmation link, shown on the next page rendered
+  const [verification, setVerification] = useState(null);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
@@ -150,41 +654,143 @@ const AuthProvider = ({ children }) => {
     if (token && savedUser && savedTheme) {
       setUser(JSON.parse(savedUser));
       setTheme(JSON.parse(savedTheme));
+      setLifecycle(JSON.parse(localStorage.getItem('lifecycle') || 'null'));
+      // Pick up branding published since the last visit; a dead session logs out via onUnauthorized
+      api.getTenantConfig()
+        .then((config) => {
+          setTheme(config);
+          localStorage.setItem('theme', JSON.stringify(config));
+        })
+        .catch(() => {});
     }
     setLoading(false);
   }, []);
 
+  // Confirmation links work signed in or out; the token is dropped from the URL before anything else
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    const token = params.get('verify');
+    if (!token) return;
+    const tenantId = params.get('tenant');
+    window.history.replaceState(null, '', window.location.pathname);
+    api.verifyEmail(tenantId, token)
+      .then((result) => {
+        setVerification({ success: true, message: `Thanks, ${result.email} is confirmed.` });
+        setUser((current) => {
+          if (!current || current.tenantId !== tenantId || current.email !== result.email) return current;
+          const next = { ...current, emailVerified: true };
+          localStorage.setItem('user', JSON.stringify(next));
+          return next;
+        });
+      })
+      .catch((error) => setVerification({ success: false, message: error.message }));
+  }, []);
+
+  const startSession = (tenantId, response) => {
+    localStorage.setItem('token', response.token);
+    if (response.refreshToken) {
+      localStorage.setItem('refreshToken', response.refreshToken);
+    }
+    localStorage.setItem('tenantId', tenantId);
+    localStorage.setItem('user', JSON.stringify(response.user));
+    localStorage.setItem('theme', JSON.stringify(response.theme));
+    setUser(response.user);
+    setTheme(response.theme);
+    updateLifecycle(response.tenant || null);
+  };
+
+  const updateLifecycle = (next) => {
+    localStorage.setItem('lifecycle', JSON.stringify(next));
+    setLifecycle(next);
+  };
+
+  // Password steps resolve to { success, challenge } when a second factor is still needed
   const login = async (tenantId, email, password) => {
     try {
       const response = await api.login(tenantId, email, password);
-      localStorage.setItem('token', response.token);
-      localStorage.setItem('tenantId', tenantId);
-      localStorage.setItem('user', JSON.stringify(response.user));
-      localStorage.setItem('theme', JSON.stringify(response.theme));
-      setUser(response.user);
-      setTheme(response.theme);
+      if (response.mfaRequired) return { success: true, challenge: { tenantId, ...response } };
+      startSession(tenantId, response);
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  };
+
+  const acceptInvite = async (tenantId, token, password) => {
+    try {
+      const response = await api.acceptInvite(tenantId, token, password);
+      if (response.mfaRequired) return { success: true, challenge: { tenantId, ...response } };
+      startSession(tenantId, response);
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  };
+
+  // Recovery codes from enrolling at sign-in have to be shown before the dashboard replaces the
+  // login page, so in that case the session only starts when the caller runs `finish`
+  const completeMfa = async (challenge, factor) => {
+    try {
+      const response = await api.completeMfaChallenge(challenge.tenantId, challenge.challengeToken, factor);
+      const finish = () => startSession(challenge.tenantId, response);
+      if (response.recoveryCodes) return { success: true, recoveryCodes: response.recoveryCodes, finish };
+      finish();
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  };
+
+  const signup = async (details) => {
+    try {
+      const response = await api.createTenant(details);
+      startSession(details.tenantId, response);
       return { success: true };
     } catch (error) {
       return { success: false, error: error.message };
     }
   };
 
-  const logout = () => {
+  const clearSession = () => {
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('tenantId');
     localStorage.removeItem('user');
     localStorage.removeItem('theme');
+    localStorage.removeItem('lifecycle');
     setUser(null);
     setTheme(null);
+    setPreviewTheme(null);
+    setLifecycle(null);
+  };
+
+  // The refresh token is gone or revoked, so there is no server session left to end
+  api.onUnauthorized = clearSession;
+
+  // A suspended organization cannot be used at all; one pending deletion is limited to export and cancel
+  api.onTenantUnavailable = (body) => {
+    if (body.code === 'tenant_suspended') {
+      clearSession();
+    } else {
+      updateLifecycle({ status: 'pending-deletion', deletionScheduledFor: body.deletionScheduledFor });
+    }
+  };
+
+  const logout = async () => {
+    // Revoke the server-side session first; local state is cleared even if that fails
+    await api.logout().catch(() => {});
+    clearSession();
   };
 
+  const can = (permission) => Boolean(user?.permissions?.includes(permission));
+
   const updateTheme = (newTheme) => {
     setTheme(newTheme);
     localStorage.setItem('theme', JSON.stringify(newTheme));
   };
 
   return (
-    <AuthContext.Provider value={{ user, theme, loading, login, logout, updateTheme }}>
+    <AuthContext.Provider value={{ user, theme, previewTheme, setPreviewTheme, lifecycle, updateLifecycle, verification, setVerification, loading, login, completeMfa, signup, acceptInvite, logout, updateTheme, can }}>
       {children}
     </AuthContext.Provider>
   );
@@ -192,107 +798,644 @@ const AuthProvider = ({ children }) => {
 
 // Login Component
 const LoginPage = () => {
-  const { login } = useAuth();
+  const { login, verification } = useAuth();
+  const invite = new URLSearchParams(window.location.search);
+  const [mode, setMode] = useState(() => {
+    if (invite.get('invite')) return 'invite';
+    if (invite.get('reset')) return 'reset';
+    return 'signin';
+  });
   const [tenantId, setTenantId] = useState('acme');
   const [email, setEmail] = useState('admin@acme.com');
   const [password, setPassword] = useState('password');
   const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  // { tenantId, challengeToken, enrollmentRequired } once the password has been accepted
+  const [challenge, setChallenge] = useState(null);
   const [loading, setLoading] = useState(false);
+  // Published branding of the tenant named by the URL, or null on the generic login page
+  const [branding, setBranding] = useState(null);
+
+  useEffect(() => {
+    const pathTenant = tenantFromPath();
+    api.getPublicTheme(pathTenant)
+      .then((theme) => {
+        setBranding(theme);
+        setTenantId(theme.tenantId);
+      })
+      .catch(() => {
+        if (pathTenant) setError(`Organization "${pathTenant}" was not found`);
+      });
+  }, []);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
     setLoading(true);
 
-    const result = await login(tenantId, email, password);
-    if (!result.success) {
+    const result = await login(tenantId.trim().toLowerCase(), email, password);
+    if (result.challenge) {
+      startChallenge(result.challenge);
+    } else if (!result.success) {
       setError(result.error);
     }
     setLoading(false);
   };
 
+  const startChallenge = (next) => {
+    setChallenge(next);
+    setPassword('');
+    setNotice('');
+    setMode('mfa');
+  };
+
   return (
-    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 to-indigo-100 p-4">
+    <div
+      className={`min-h-screen flex items-center justify-center p-4 ${branding ? '' : 'bg-gradient-to-br from-blue-50 to-indigo-100'}`}
+      style={branding ? { backgroundColor: branding.backgroundColor, fontFamily: branding.fontFamily } : undefined}
+    >
       <div className="bg-white rounded-lg shadow-xl p-8 max-w-md w-full">
         <div className="text-center mb-8">
-          <Building2 className="w-16 h-16 mx-auto text-blue-600 mb-4" />
-          <h1 className="text-3xl font-bold text-gray-900">Multi-Tenant SaaS</h1>
-          <p className="text-gray-600 mt-2">Secure, isolated tenant access</p>
+          {branding ? (
+            <div className="text-6xl mb-4">{branding.logo}</div>
+          ) : (
+            <Building2 className="w-16 h-16 mx-auto text-blue-600 mb-4" />
+          )}
+          <h1 className="text-3xl font-bold text-gray-900" style={branding ? { color: branding.textColor } : undefined}>
+            {branding ? branding.name : 'Multi-Tenant SaaS'}
+          </h1>
+          <p className="text-gray-600 mt-2">
+            {{
+              signin: branding ? 'Sign in to your workspace' : 'Secure, isolated tenant access',
+              signup: 'Create a new organization',
+              invite: `Join ${invite.get('tenant')}`,
+              forgot: 'Reset your password',
+              reset: 'Choose a new password',
+              mfa: 'Two-step verification',
+            }[mode]}
+          </p>
         </div>
 
-        <form onSubmit={handleSubmit} className="space-y-4">
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">
-              Tenant ID
-            </label>
-            <select
-              value={tenantId}
-              onChange={(e) => {
-                setTenantId(e.target.value);
-                setEmail(e.target.value === 'acme' ? 'admin@acme.com' : 'admin@techstart.com');
-              }}
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-            >
-              <option value="acme">acme (ACME Corp)</option>
-              <option value="techstart">techstart (TechStart Inc)</option>
-            </select>
+        {(notice || verification) && (
+          <div className={`text-sm p-3 rounded-md mb-4 ${!notice && !verification.success ? 'text-red-600 bg-red-50' : 'text-green-700 bg-green-50'}`}>
+            {notice || verification.message}
           </div>
+        )}
 
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">
-              Email
-            </label>
-            <input
-              type="email"
-              value={email}
-              onChange={(e) => setEmail(e.target.value)}
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-              required
-            />
-          </div>
+        {mode === 'mfa' && <MfaChallengeForm key={challenge.challengeToken} challenge={challenge} />}
+        {mode === 'forgot' && (
+          <ForgotPasswordForm initialTenantId={tenantId} initialEmail={email} showTenantId={!branding} />
+        )}
+        {mode === 'reset' && (
+          <ResetPasswordForm
+            tenantId={invite.get('tenant')}
+            token={invite.get('reset')}
+            onReset={() => {
+              window.history.replaceState(null, '', window.location.pathname);
+              setTenantId(invite.get('tenant'));
+              setPassword('');
+              setNotice('Your password was changed. Sign in with the new one.');
+              setMode('signin');
+            }}
+          />
+        )}
+        {mode === 'invite' && (
+          <AcceptInviteForm tenantId={invite.get('tenant')} token={invite.get('invite')} onChallenge={startChallenge} />
+        )}
+        {mode === 'signup' && <SignupForm />}
+        {mode === 'signin' && (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            {!branding && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Tenant ID
+                </label>
+                <input
+                  type="text"
+                  value={tenantId}
+                  onChange={(e) => setTenantId(e.target.value)}
+                  placeholder="your-organization"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  required
+                />
+              </div>
+            )}
 
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">
-              Password
-            </label>
-            <input
-              type="password"
-              value={password}
-              onChange={(e) => setPassword(e.target.value)}
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-              required
-            />
-          </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Email
+              </label>
+              <input
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                required
+              />
+            </div>
 
-          {error && (
-            <div className="flex items-center gap-2 text-red-600 text-sm bg-red-50 p-3 rounded-md">
-              <AlertCircle className="w-4 h-4" />
-              {error}
+            <div>
+              <div className="flex items-center justify-between mb-1">
+                <label className="block text-sm font-medium text-gray-700">
+                  Password
+                </label>
+                <button
+                  type="button"
+                  onClick={() => {
+                    setMode('forgot');
+                    setError('');
+                    setNotice('');
+                  }}
+                  className="text-xs font-medium text-blue-600 hover:text-blue-700"
+                >
+                  Forgot password?
+                </button>
+              </div>
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                required
+              />
             </div>
-          )}
 
+            {error && (
+              <div className="flex items-center gap-2 text-red-600 text-sm bg-red-50 p-3 rounded-md">
+                <AlertCircle className="w-4 h-4" />
+                {error}
+              </div>
+            )}
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+              style={branding ? { backgroundColor: branding.primaryColor } : undefined}
+            >
+              {loading ? 'Signing in...' : 'Sign In'}
+            </button>
+          </form>
+        )}
+
+        <div className="mt-6 pt-6 border-t border-gray-200 text-center space-y-2">
           <button
-            type="submit"
-            disabled={loading}
-            className="w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+            type="button"
+            onClick={() => {
+              setMode(mode === 'signin' ? 'signup' : 'signin');
+              setError('');
+              setNotice('');
+              window.history.replaceState(null, '', window.location.pathname);
+            }}
+            className="text-sm font-medium text-blue-600 hover:text-blue-700"
           >
-            {loading ? 'Signing in...' : 'Sign In'}
+            {{
+              signin: 'Create organization',
+              forgot: 'Back to sign in',
+              reset: 'Back to sign in',
+              mfa: 'Back to sign in',
+            }[mode] || 'Already have an organization? Sign in'}
           </button>
-        </form>
+          {mode === 'signin' && !branding && (
+            <p className="text-xs text-gray-500">
+              Demo credentials pre-filled (acme or techstart). Each tenant has isolated data and custom branding.
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Forgot Password Form
+// The server answers the same way for unknown addresses, so this always reports success
+const ForgotPasswordForm = ({ initialTenantId, initialEmail, showTenantId }) => {
+  const [tenantId, setTenantId] = useState(initialTenantId);
+  const [email, setEmail] = useState(initialEmail);
+  const [sent, setSent] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      const result = await api.forgotPassword(tenantId.trim().toLowerCase(), email);
+      setSent(result.message);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (sent) {
+    return (
+      <div className="text-sm text-green-700 bg-green-50 p-3 rounded-md">
+        {sent}. Check your inbox and follow the link to choose a new password.
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      {showTenantId && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Tenant ID
+          </label>
+          <input
+            type="text"
+            value={tenantId}
+            onChange={(e) => setTenantId(e.target.value)}
+            placeholder="your-organization"
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            required
+          />
+        </div>
+      )}
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          Email
+        </label>
+        <input
+          type="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          required
+        />
+      </div>
+
+      {error && (
+        <div className="flex items-center gap-2 text-red-600 text-sm bg-red-50 p-3 rounded-md">
+          <AlertCircle className="w-4 h-4" />
+          {error}
+        </div>
+      )}
+
+      <button
+        type="submit"
+        disabled={loading}
+        className="w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {loading ? 'Sending...' : 'Email Me a Reset Link'}
+      </button>
+    </form>
+  );
+};
+
+// Reset Password Form
+const ResetPasswordForm = ({ tenantId, token, onReset }) => {
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      await api.resetPassword(tenantId, token, password);
+      onReset();
+    } catch (err) {
+      setError(err.fields?.password || err.message);
+      setLoading(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          New Password
+        </label>
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          minLength={8}
+          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          required
+        />
+        <p className="text-xs text-gray-500 mt-1">At least 8 characters. You will be signed out on every other device.</p>
+      </div>
+
+      {error && (
+        <div className="flex items-center gap-2 text-red-600 text-sm bg-red-50 p-3 rounded-md">
+          <AlertCircle className="w-4 h-4" />
+          {error}
+        </div>
+      )}
 
-        <div className="mt-6 pt-6 border-t border-gray-200">
-          <p className="text-xs text-gray-500 text-center">
-            Demo credentials pre-filled. Each tenant has isolated data and custom branding.
+      <button
+        type="submit"
+        disabled={loading}
+        className="w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {loading ? 'Saving...' : 'Set New Password'}
+      </button>
+    </form>
+  );
+};
+
+// Shown while enrolling: the QR code for authenticator apps, and the key for typing in by hand
+const MfaSetupDetails = ({ enrollment }) => (
+  <div className="text-center space-y-2">
+    <img src={enrollment.qrCode} alt="QR code for your authenticator app" className="w-44 h-44 mx-auto" />
+    <p className="text-xs text-gray-500">Can't scan it? Enter this key instead:</p>
+    <code className="block text-xs font-mono break-all bg-gray-50 border border-gray-200 rounded-md p-2 text-gray-800">
+      {enrollment.secret}
+    </code>
+  </div>
+);
+
+// The server only keeps hashes, so this is the one time the codes can be seen
+const RecoveryCodes = ({ codes }) => (
+  <div className="space-y-2">
+    <p className="text-sm text-gray-700">
+      Save these recovery codes somewhere safe. Each one signs you in once if you lose your authenticator.
+    </p>
+    <ul className="grid grid-cols-2 gap-2 bg-gray-50 border border-gray-200 rounded-md p-3">
+      {codes.map(code => (
+        <li key={code} className="font-mono text-sm text-gray-900 text-center">{code}</li>
+      ))}
+    </ul>
+  </div>
+);
+
+// MFA Challenge Form
+const MfaChallengeForm = ({ challenge }) => {
+  const { completeMfa } = useAuth();
+  const [enrollment, setEnrollment] = useState(null);
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  // { recoveryCodes, finish } after enrolling; the session starts once they have been seen
+  const [enrolled, setEnrolled] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const { enrollmentRequired, tenantId, challengeToken } = challenge;
+  useEffect(() => {
+    if (!enrollmentRequired) return;
+    api.startChallengeMfaEnrollment(tenantId, challengeToken)
+      .then(setEnrollment)
+      .catch((err) => setError(err.message));
+  }, [enrollmentRequired, tenantId, challengeToken]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    const result = await completeMfa(challenge, useRecoveryCode ? { recoveryCode: code } : { code });
+    if (result.recoveryCodes) {
+      setEnrolled(result);
+    } else if (!result.success) {
+      setError(result.error);
+      setCode('');
+      setLoading(false);
+    }
+  };
+
+  if (enrolled) {
+    return (
+      <div className="space-y-4">
+        <RecoveryCodes codes={enrolled.recoveryCodes} />
+        <button
+          onClick={enrolled.finish}
+          className="w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          I've saved them, continue
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      {challenge.enrollmentRequired ? (
+        <>
+          <p className="text-sm text-gray-700">
+            Your organization requires two-step verification. Scan this code with an authenticator app,
+            then enter the 6-digit code it shows.
           </p>
+          {enrollment && <MfaSetupDetails enrollment={enrollment} />}
+        </>
+      ) : (
+        <p className="text-sm text-gray-700">
+          {useRecoveryCode
+            ? 'Enter one of the recovery codes you saved when setting up two-step verification.'
+            : 'Enter the 6-digit code from your authenticator app.'}
+        </p>
+      )}
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          {useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}
+        </label>
+        <input
+          type="text"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          inputMode={useRecoveryCode ? 'text' : 'numeric'}
+          autoComplete="one-time-code"
+          autoFocus
+          className="w-full px-3 py-2 border border-gray-300 rounded-md font-mono tracking-widest focus:outline-none focus:ring-2 focus:ring-blue-500"
+          required
+        />
+      </div>
+
+      {error && (
+        <div className="flex items-center gap-2 text-red-600 text-sm bg-red-50 p-3 rounded-md">
+          <AlertCircle className="w-4 h-4" />
+          {error}
         </div>
+      )}
+
+      <button
+        type="submit"
+        disabled={loading || (challenge.enrollmentRequired && !enrollment)}
+        className="w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {loading ? 'Verifying...' : 'Verify'}
+      </button>
+
+      {!challenge.enrollmentRequired && (
+        <button
+          type="button"
+          onClick={() => {
+            setUseRecoveryCode(!useRecoveryCode);
+            setCode('');
+            setError('');
+          }}
+          className="w-full text-sm text-blue-600 hover:text-blue-700"
+        >
+          {useRecoveryCode ? 'Use your authenticator app instead' : 'Use a recovery code instead'}
+        </button>
+      )}
+    </form>
+  );
+};
+
+// Accept Invite Form
+const AcceptInviteForm = ({ tenantId, token, onChallenge }) => {
+  const { acceptInvite } = useAuth();
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    const result = await acceptInvite(tenantId, token, password);
+    if (result.success) {
+      window.history.replaceState(null, '', window.location.pathname);
+      if (result.challenge) onChallenge(result.challenge);
+    } else {
+      setError(result.error);
+      setLoading(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          Choose a Password
+        </label>
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          minLength={8}
+          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          required
+        />
+        <p className="text-xs text-gray-500 mt-1">At least 8 characters</p>
       </div>
-    </div>
+
+      {error && (
+        <div className="flex items-center gap-2 text-red-600 text-sm bg-red-50 p-3 rounded-md">
+          <AlertCircle className="w-4 h-4" />
+          {error}
+        </div>
+      )}
+
+      <button
+        type="submit"
+        disabled={loading}
+        className="w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {loading ? 'Joining...' : 'Accept Invite'}
+      </button>
+    </form>
+  );
+};
+
+// Signup Form
+const SignupForm = () => {
+  const { signup } = useAuth();
+  const [details, setDetails] = useState({
+    name: '',
+    tenantId: '',
+    adminName: '',
+    adminEmail: '',
+    password: '',
+  });
+  const [slugEdited, setSlugEdited] = useState(false);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const toSlug = (value) => value.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 32);
+
+  const handleNameChange = (name) => {
+    setDetails({ ...details, name, ...(!slugEdited && { tenantId: toSlug(name) }) });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    const result = await signup(details);
+    if (!result.success) {
+      setError(result.error);
+      setLoading(false);
+    }
+  };
+
+  const fields = [
+    { key: 'tenantId', label: 'Tenant ID', type: 'text', placeholder: 'your-organization', hint: 'Lowercase letters, numbers and hyphens' },
+    { key: 'adminName', label: 'Your Name', type: 'text' },
+    { key: 'adminEmail', label: 'Email', type: 'email' },
+    { key: 'password', label: 'Password', type: 'password', hint: 'At least 8 characters', minLength: 8 },
+  ];
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          Organization Name
+        </label>
+        <input
+          type="text"
+          value={details.name}
+          onChange={(e) => handleNameChange(e.target.value)}
+          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          required
+        />
+      </div>
+
+      {fields.map(field => (
+        <div key={field.key}>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            {field.label}
+          </label>
+          <input
+            type={field.type}
+            value={details[field.key]}
+            onChange={(e) => {
+              if (field.key === 'tenantId') setSlugEdited(true);
+              setDetails({ ...details, [field.key]: e.target.value });
+            }}
+            placeholder={field.placeholder}
+            minLength={field.minLength}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            required
+          />
+          {field.hint && <p className="text-xs text-gray-500 mt-1">{field.hint}</p>}
+        </div>
+      ))}
+
+      {error && (
+        <div className="flex items-center gap-2 text-red-600 text-sm bg-red-50 p-3 rounded-md">
+          <AlertCircle className="w-4 h-4" />
+          {error}
+        </div>
+      )}
+
+      <button
+        type="submit"
+        disabled={loading}
+        className="w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {loading ? 'Creating organization...' : 'Create Organization'}
+      </button>
+    </form>
   );
 };
 
 // Dashboard Header
 const DashboardHeader = () => {
-  const { user, theme, logout } = useAuth();
+  const { user, logout } = useAuth();
+  const theme = useTheme();
 
   return (
     <header className="bg-white border-b border-gray-200 px-6 py-4">
@@ -327,11 +1470,17 @@ const DashboardHeader = () => {
 
 // Navigation
 const Navigation = ({ activeTab, setActiveTab }) => {
+  const { can } = useAuth();
   const tabs = [
     { id: 'dashboard', label: 'Dashboard', icon: BarChart3 },
-    { id: 'resources', label: 'Resources', icon: Users },
-    { id: 'settings', label: 'Settings', icon: Settings },
-  ];
+    { id: 'resources', label: 'Resources', icon: Users, permission: 'resources:read' },
+    { id: 'users', label: 'Users', icon: UserCog, permission: 'users:manage' },
+    { id: 'activity', label: 'Activity', icon: Activity, permission: 'audit:read' },
+    { id: 'settings', label: 'Settings', icon: Settings, permission: 'tenant:configure' },
+    { id: 'webhooks', label: 'Webhooks', icon: Send, permission: 'tenant:configure' },
+    { id: 'apikeys', label: 'API Keys', icon: Key, permission: 'apikeys:manage' },
+    { id: 'account', label: 'Account', icon: KeyRound },
+  ].filter(tab => !tab.permission || can(tab.permission));
 
   return (
     <nav className="bg-white border-b border-gray-200 px-6">
@@ -359,40 +1508,138 @@ const Navigation = ({ activeTab, setActiveTab }) => {
 };
 
 // Dashboard Tab
+const STAT_RANGES = [
+  { value: '7d', label: '7 days' },
+  { value: '30d', label: '30 days' },
+  { value: '90d', label: '90 days' },
+];
+
+const formatChange = (change) => {
+  if (change === null) return { text: 'n/a', className: 'text-gray-400' };
+  return change >= 0
+    ? { text: `+${change}%`, className: 'text-green-600' }
+    : { text: `${change}%`, className: 'text-red-600' };
+};
+
 const DashboardTab = () => {
   const { user, theme } = useAuth();
-  
-  const stats = [
-    { label: 'Total Users', value: '1,234', change: '+12%', icon: Users },
-    { label: 'Active Sessions', value: '89', change: '+5%', icon: Shield },
-    { label: 'Resources', value: '456', change: '+23%', icon: BarChart3 },
-  ];
+  const [range, setRange] = useState('30d');
+  const [stats, setStats] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setError('');
+    api.getStats(range)
+      .then(setStats)
+      .catch(err => setError(err.message));
+  }, [range]);
+
+  const cards = stats ? [
+    { label: 'Active Users', value: stats.totals.users, change: stats.usersAdded.change, hint: `${stats.usersAdded.total} joined`, icon: Users },
+    { label: 'Active Sessions', value: stats.totals.activeSessions, hint: 'Signed in now', icon: Shield },
+    { label: 'Resources', value: stats.totals.resources, change: stats.resourcesCreated.change, hint: `${stats.resourcesCreated.total} created`, icon: BarChart3 },
+  ] : [];
+  const peak = stats ? Math.max(0, ...stats.resourcesCreated.series.map(day => day.count)) : 0;
+  const typeTotal = stats ? stats.resourcesByType.reduce((sum, row) => sum + row.count, 0) : 0;
 
   return (
     <div className="space-y-6">
-      <div>
-        <h2 className="text-2xl font-bold text-gray-900 mb-2">Welcome back!</h2>
-        <p className="text-gray-600">
-          You're viewing data for <strong>{theme?.name}</strong> (ID: {user?.tenantId})
-        </p>
+      <div className="flex flex-wrap items-end justify-between gap-4">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900 mb-2">Welcome back!</h2>
+          <p className="text-gray-600">
+            You're viewing data for <strong>{theme?.name}</strong> (ID: {user?.tenantId})
+          </p>
+        </div>
+        <div className="flex rounded-lg border border-gray-300 overflow-hidden text-sm">
+          {STAT_RANGES.map(option => (
+            <button
+              key={option.value}
+              onClick={() => setRange(option.value)}
+              className={`px-3 py-1 ${range === option.value ? 'text-white' : 'text-gray-700 hover:bg-gray-50'}`}
+              style={range === option.value ? { backgroundColor: 'var(--primary)' } : undefined}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
       </div>
 
+      {error && (
+        <div className="flex items-center gap-2 text-red-600 text-sm bg-red-50 p-3 rounded-md">
+          <AlertCircle className="w-4 h-4" />
+          {error}
+        </div>
+      )}
+
       <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
-        {stats.map(stat => {
+        {cards.map(stat => {
           const Icon = stat.icon;
+          const change = stat.change !== undefined && formatChange(stat.change);
           return (
             <div key={stat.label} className="bg-white rounded-lg border border-gray-200 p-6">
               <div className="flex items-center justify-between mb-4">
                 <Icon className="w-8 h-8" style={{ color: 'var(--primary)' }} />
-                <span className="text-sm font-medium text-green-600">{stat.change}</span>
+                {stat.change !== undefined && (
+                  <span className={`text-sm font-medium ${change.className}`} title="Compared with the previous period">
+                    {change.text}
+                  </span>
+                )}
               </div>
-              <p className="text-3xl font-bold text-gray-900 mb-1">{stat.value}</p>
-              <p className="text-sm text-gray-600">{stat.label}</p>
+              <p className="text-3xl font-bold text-gray-900 mb-1">{stat.value.toLocaleString()}</p>
+              <p className="text-sm text-gray-600">{stat.label} · {stat.hint}</p>
             </div>
           );
         })}
       </div>
 
+      {stats && (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="bg-white rounded-lg border border-gray-200 p-6 lg:col-span-2">
+            <h3 className="font-semibold text-gray-900 mb-4">Resources created per day</h3>
+            <div className="flex items-end gap-px h-40">
+              {stats.resourcesCreated.series.map(day => (
+                <div
+                  key={day.date}
+                  className="flex-1 rounded-t"
+                  style={{
+                    height: `${peak ? (day.count / peak) * 100 : 0}%`,
+                    minHeight: day.count > 0 ? '2px' : 0,
+                    backgroundColor: 'var(--primary)',
+                  }}
+                  title={`${day.date}: ${day.count}`}
+                />
+              ))}
+            </div>
+            <div className="flex justify-between text-xs text-gray-500 mt-2">
+              <span>{stats.resourcesCreated.series[0].date}</span>
+              <span>Peak {peak}/day</span>
+              <span>{stats.resourcesCreated.series[stats.resourcesCreated.series.length - 1].date}</span>
+            </div>
+          </div>
+
+          <div className="bg-white rounded-lg border border-gray-200 p-6">
+            <h3 className="font-semibold text-gray-900 mb-4">Resources by type</h3>
+            <div className="space-y-3">
+              {stats.resourcesByType.map(row => {
+                const percent = typeTotal ? Math.round((row.count / typeTotal) * 100) : 0;
+                return (
+                  <div key={row.type}>
+                    <div className="flex justify-between text-sm text-gray-700 mb-1">
+                      <span>{row.type}</span>
+                      <span>{row.count} ({percent}%)</span>
+                    </div>
+                    <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+                      <div className="h-full" style={{ width: `${percent}%`, backgroundColor: 'var(--accent)' }} />
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        </div>
+      )}
+
       <div className="bg-blue-50 border border-blue-200 rounded-lg p-6">
         <div className="flex items-start gap-3">
           <Shield className="w-6 h-6 text-blue-600 flex-shrink-0 mt-1" />
@@ -414,40 +1661,262 @@ const DashboardTab = () => {
 
 // Resources Tab
 const ResourcesTab = () => {
+  const { can } = useAuth();
+  const canWrite = can('resources:write');
   const [resources, setResources] = useState([]);
   const [loading, setLoading] = useState(true);
   const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [view, setView] = useState('active');
+  const [draft, setDraft] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [error, setError] = useState('');
+  const [filters, setFilters] = useState({ q: '', type: '', sort: '-createdAt' });
+  const [exportFormat, setExportFormat] = useState('csv');
+  // Dry-run report for a chosen file, shown for confirmation before anything is written
+  const [pendingImport, setPendingImport] = useState(null);
+  const [notice, setNotice] = useState('');
 
-  useEffect(() => {
-    loadResources();
-  }, [page]);
-
-  const loadResources = async () => {
+  const loadResources = useCallback(async () => {
     setLoading(true);
     try {
-      const data = await api.getResources(page, 10);
+      const data = view === 'trash' ? await api.getTrash(page, 10) : await api.getResources(page, 10, filters);
       setResources(data.data);
+      setPages(Math.max(1, data.pagination.pages));
     } catch (error) {
       console.error('Failed to load resources:', error);
     }
     setLoading(false);
+  }, [page, view, filters]);
+
+  useEffect(() => {
+    loadResources();
+  }, [loadResources]);
+
+  const runAction = async (action) => {
+    setError('');
+    try {
+      await action();
+      setDraft(null);
+      setEditingId(null);
+      await loadResources();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    runAction(() => (editingId
+      ? api.updateResource(editingId, draft)
+      : api.createResource(draft)));
+  };
+
+  const updateFilter = (key, value) => {
+    setFilters({ ...filters, [key]: value });
+    setPage(1);
+  };
+
+  const handleImportFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setNotice('');
+    runAction(async () => {
+      const report = await api.importResources(file, { dryRun: true });
+      setPendingImport({ file, report });
+    });
+  };
+
+  const confirmImport = () => runAction(async () => {
+    const report = await api.importResources(pendingImport.file);
+    setPendingImport(null);
+    setNotice(`Imported ${report.inserted} resource${report.inserted === 1 ? '' : 's'}${report.failed ? `, skipped ${report.failed} invalid row${report.failed === 1 ? '' : 's'}` : ''}`);
+  });
+
+  const switchView = (nextView) => {
+    setView(nextView);
+    setPage(1);
+    setDraft(null);
+    setEditingId(null);
   };
 
   return (
     <div className="space-y-6">
       <div className="flex items-center justify-between">
         <div>
-          <h2 className="text-2xl font-bold text-gray-900">Resources</h2>
-          <p className="text-gray-600">Tenant-isolated resource list</p>
+          <h2 className="text-2xl font-bold text-gray-900">{view === 'trash' ? 'Trash' : 'Resources'}</h2>
+          <p className="text-gray-600">
+            {view === 'trash'
+              ? 'Deleted resources are purged permanently after the retention period'
+              : 'Tenant-isolated resource list'}
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => switchView(view === 'trash' ? 'active' : 'trash')}
+            className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+          >
+            {view === 'trash' ? 'Back to Resources' : 'Trash'}
+          </button>
+          {view === 'active' && (
+            <div className="flex rounded-lg border border-gray-300 overflow-hidden">
+              <select
+                value={exportFormat}
+                onChange={(e) => setExportFormat(e.target.value)}
+                className="px-2 py-2 text-sm text-gray-700 bg-white border-r border-gray-300 focus:outline-none"
+                aria-label="Export format"
+              >
+                <option value="csv">CSV</option>
+                <option value="json">JSON</option>
+                <option value="ndjson">NDJSON</option>
+              </select>
+              <button
+                onClick={() => runAction(() => api.exportResources(exportFormat, filters))}
+                className="flex items-center gap-2 px-3 py-2 text-gray-700 hover:bg-gray-50"
+                title="Exports every resource matching the current filters"
+              >
+                <Download className="w-4 h-4" />
+                Export
+              </button>
+            </div>
+          )}
+          {view === 'active' && canWrite && (
+            <label className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 cursor-pointer">
+              Import
+              <input type="file" accept=".csv,.json,.ndjson,.jsonl" onChange={handleImportFile} className="hidden" />
+            </label>
+          )}
+          {view === 'active' && (
+            <button
+              onClick={() => {
+                setEditingId(null);
+                setDraft({ name: '', type: RESOURCE_TYPES[0] });
+              }}
+              disabled={!canWrite}
+              title={canWrite ? undefined : 'You do not have permission to add resources'}
+              className="px-4 py-2 rounded-lg text-white font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+              style={{ backgroundColor: 'var(--primary)' }}
+            >
+              Add Resource
+            </button>
+          )}
         </div>
-        <button
-          className="px-4 py-2 rounded-lg text-white font-medium"
-          style={{ backgroundColor: 'var(--primary)' }}
-        >
-          Add Resource
-        </button>
       </div>
 
+      {view === 'active' && (
+        <div className="flex flex-wrap items-center gap-4">
+          <input
+            type="search"
+            placeholder="Search by name"
+            defaultValue={filters.q}
+            onKeyDown={(e) => e.key === 'Enter' && updateFilter('q', e.target.value.trim())}
+            onBlur={(e) => e.target.value.trim() !== filters.q && updateFilter('q', e.target.value.trim())}
+            className="flex-1 min-w-[12rem] px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <select
+            value={filters.type}
+            onChange={(e) => updateFilter('type', e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">All types</option>
+            {RESOURCE_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+          </select>
+          <select
+            value={filters.sort}
+            onChange={(e) => updateFilter('sort', e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {RESOURCE_SORTS.map(sort => <option key={sort.value} value={sort.value}>{sort.label}</option>)}
+          </select>
+        </div>
+      )}
+
+      {notice && (
+        <div className="text-sm text-green-700 bg-green-50 p-3 rounded-md">{notice}</div>
+      )}
+
+      {pendingImport && (
+        <div className="bg-white rounded-lg border border-gray-200 p-4 space-y-3">
+          <div className="flex items-center justify-between">
+            <div>
+              <h3 className="font-semibold text-gray-900">Import {pendingImport.file.name}</h3>
+              <p className="text-sm text-gray-600">
+                {pendingImport.report.valid} of {pendingImport.report.total} rows are valid
+                {pendingImport.report.failed > 0 && '; invalid rows will be skipped'}
+              </p>
+            </div>
+            <div className="flex items-center gap-3">
+              <button onClick={() => setPendingImport(null)} className="text-sm text-gray-600 hover:text-gray-900">
+                Cancel
+              </button>
+              <button
+                onClick={confirmImport}
+                disabled={pendingImport.report.valid === 0}
+                className="px-4 py-2 rounded-lg text-white font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+                style={{ backgroundColor: 'var(--primary)' }}
+              >
+                Import {pendingImport.report.valid} rows
+              </button>
+            </div>
+          </div>
+          {pendingImport.report.errors.length > 0 && (
+            <ul className="text-xs text-red-700 bg-red-50 rounded-md p-3 space-y-1 max-h-48 overflow-y-auto">
+              {pendingImport.report.errors.map(({ row, errors }) => (
+                <li key={row}>
+                  <strong>Row {row}:</strong> {Object.entries(errors).map(([field, message]) => (field === '_row' ? message : `${field}: ${message}`)).join('; ')}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {draft && (
+        <form onSubmit={handleSave} className="bg-white rounded-lg border border-gray-200 p-4 flex items-center gap-4">
+          <input
+            type="text"
+            placeholder="Resource name"
+            value={draft.name}
+            onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+            maxLength={200}
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            required
+          />
+          <select
+            value={draft.type}
+            onChange={(e) => setDraft({ ...draft, type: e.target.value })}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {RESOURCE_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+          </select>
+          <button
+            type="submit"
+            className="px-4 py-2 rounded-lg text-white font-medium"
+            style={{ backgroundColor: 'var(--primary)' }}
+          >
+            {editingId ? 'Save' : 'Create'}
+          </button>
+          <button
+            type="button"
+            onClick={() => {
+              setDraft(null);
+              setEditingId(null);
+            }}
+            className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+        </form>
+      )}
+
+      {error && (
+        <div className="flex items-center gap-2 text-red-600 text-sm bg-red-50 p-3 rounded-md">
+          <AlertCircle className="w-4 h-4" />
+          {error}
+        </div>
+      )}
+
       {loading ? (
         <div className="text-center py-12">
           <div className="animate-spin w-8 h-8 border-4 border-gray-200 border-t-blue-600 rounded-full mx-auto"></div>
@@ -461,23 +1930,54 @@ const ResourcesTab = () => {
                 <tr>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Type</th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Created</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                    {view === 'trash' ? 'Purges On' : 'Created'}
+                  </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Tenant ID</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Actions</th>
                 </tr>
               </thead>
               <tbody className="divide-y divide-gray-200">
                 {resources.map(resource => (
-                  <tr key={resource.id} className="hover:bg-gray-50">
+                  <tr key={resource._id} className="hover:bg-gray-50">
                     <td className="px-6 py-4 text-sm font-medium text-gray-900">{resource.name}</td>
                     <td className="px-6 py-4 text-sm text-gray-600">{resource.type}</td>
                     <td className="px-6 py-4 text-sm text-gray-600">
-                      {new Date(resource.createdAt).toLocaleDateString()}
+                      {new Date(view === 'trash' ? resource.purgeAt : resource.createdAt).toLocaleDateString()}
                     </td>
                     <td className="px-6 py-4">
                       <span className="px-2 py-1 text-xs font-medium rounded-full bg-blue-100 text-blue-800">
                         {resource.tenantId}
                       </span>
                     </td>
+                    <td className="px-6 py-4 text-right space-x-3 text-sm">
+                      {canWrite && (view === 'trash' ? (
+                        <button
+                          onClick={() => runAction(() => api.restoreResource(resource._id))}
+                          className="text-gray-600 hover:text-gray-900"
+                        >
+                          Restore
+                        </button>
+                      ) : (
+                        <>
+                          <button
+                            onClick={() => {
+                              setEditingId(resource._id);
+                              setDraft({ name: resource.name, type: resource.type });
+                            }}
+                            className="text-gray-600 hover:text-gray-900"
+                          >
+                            Edit
+                          </button>
+                          <button
+                            onClick={() => runAction(() => api.deleteResource(resource._id))}
+                            className="text-red-600 hover:text-red-800"
+                          >
+                            Delete
+                          </button>
+                        </>
+                      ))}
+                    </td>
                   </tr>
                 ))}
               </tbody>
@@ -492,10 +1992,10 @@ const ResourcesTab = () => {
             >
               Previous
             </button>
-            <span className="text-sm text-gray-600">Page {page} of 10</span>
+            <span className="text-sm text-gray-600">Page {page} of {pages}</span>
             <button
               onClick={() => setPage(p => p + 1)}
-              disabled={page === 10}
+              disabled={page >= pages}
               className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 disabled:opacity-50"
             >
               Next
@@ -507,179 +2007,2469 @@ const ResourcesTab = () => {
   );
 };
 
-// Settings Tab
-const SettingsTab = () => {
-  const { theme, updateTheme } = useAuth();
-  const [config, setConfig] = useState(theme || {});
-  const [saved, setSaved] = useState(false);
+// Users Tab
+const UsersTab = () => {
+  const { user: currentUser } = useAuth();
+  const [users, setUsers] = useState([]);
+  const [roles, setRoles] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1 });
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [invite, setInvite] = useState({ email: '', name: '', role: 'user' });
+  const [inviteLink, setInviteLink] = useState('');
 
-  const handleSave = async () => {
+  const loadUsers = useCallback(async () => {
+    setLoading(true);
     try {
-      await api.updateTenantConfig(config);
-      updateTheme(config);
-      setSaved(true);
-      setTimeout(() => setSaved(false), 3000);
-    } catch (error) {
-      console.error('Failed to save config:', error);
+      const [data, roleData] = await Promise.all([api.getUsers(page, 10), api.getRoles()]);
+      setUsers(data.data);
+      setPagination(data.pagination);
+      setRoles(roleData.data);
+    } catch (err) {
+      setError(err.message);
+    }
+    setLoading(false);
+  }, [page]);
+
+  useEffect(() => {
+    loadUsers();
+  }, [loadUsers]);
+
+  const runAction = async (action) => {
+    setError('');
+    try {
+      await action();
+      await loadUsers();
+    } catch (err) {
+      setError(err.message);
     }
   };
 
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    await runAction(async () => {
+      const result = await api.inviteUser(invite);
+      const params = new URLSearchParams({ tenant: currentUser.tenantId, invite: result.inviteToken });
+      setInviteLink(`${window.location.origin}/?${params}`);
+      setInvite({ email: '', name: '', role: 'user' });
+    });
+  };
+
+  const statusStyles = {
+    active: 'bg-green-100 text-green-800',
+    invited: 'bg-yellow-100 text-yellow-800',
+    deactivated: 'bg-gray-100 text-gray-600',
+  };
+
   return (
     <div className="space-y-6">
       <div>
-        <h2 className="text-2xl font-bold text-gray-900 mb-2">Tenant Settings</h2>
-        <p className="text-gray-600">Customize your organization's branding and theme</p>
+        <h2 className="text-2xl font-bold text-gray-900">Users</h2>
+        <p className="text-gray-600">Invite colleagues and manage their access</p>
       </div>
 
-      <div className="bg-white rounded-lg border border-gray-200 p-6 space-y-6">
-        <div>
-          <label className="block text-sm font-medium text-gray-700 mb-2">
-            Organization Name
-          </label>
+      <form onSubmit={handleInvite} className="bg-white rounded-lg border border-gray-200 p-6 space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
           <input
-            type="text"
-            value={config.name || ''}
-            onChange={(e) => setConfig({ ...config, name: e.target.value })}
-            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            type="email"
+            placeholder="Email"
+            value={invite.email}
+            onChange={(e) => setInvite({ ...invite, email: e.target.value })}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            required
           />
-        </div>
-
-        <div>
-          <label className="block text-sm font-medium text-gray-700 mb-2">
-            Logo Emoji
-          </label>
           <input
             type="text"
-            value={config.logo || ''}
-            onChange={(e) => setConfig({ ...config, logo: e.target.value })}
-            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-            maxLength={2}
+            placeholder="Name (optional)"
+            value={invite.name}
+            onChange={(e) => setInvite({ ...invite, name: e.target.value })}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
           />
+          <select
+            value={invite.role}
+            onChange={(e) => setInvite({ ...invite, role: e.target.value })}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {roles.map(role => <option key={role.name} value={role.name}>{role.label}</option>)}
+          </select>
+          <button
+            type="submit"
+            className="px-4 py-2 rounded-lg text-white font-medium"
+            style={{ backgroundColor: 'var(--primary)' }}
+          >
+            Send Invite
+          </button>
         </div>
-
-        <div className="grid grid-cols-2 gap-4">
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Primary Color
-            </label>
-            <input
-              type="color"
-              value={config.primaryColor || '#3b82f6'}
-              onChange={(e) => setConfig({ ...config, primaryColor: e.target.value })}
-              className="w-full h-10 rounded-md cursor-pointer"
-            />
-          </div>
-
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Secondary Color
-            </label>
-            <input
-              type="color"
-              value={config.secondaryColor || '#8b5cf6'}
-              onChange={(e) => setConfig({ ...config, secondaryColor: e.target.value })}
-              className="w-full h-10 rounded-md cursor-pointer"
-            />
+        {inviteLink && (
+          <div className="text-sm bg-green-50 border border-green-200 rounded-md p-3">
+            <p className="text-green-800 mb-1">Invite created. Share this single-use link:</p>
+            <code className="text-xs break-all text-green-900">{inviteLink}</code>
           </div>
+        )}
+      </form>
 
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Accent Color
-            </label>
-            <input
-              type="color"
-              value={config.accentColor || '#10b981'}
-              onChange={(e) => setConfig({ ...config, accentColor: e.target.value })}
-              className="w-full h-10 rounded-md cursor-pointer"
-            />
-          </div>
-
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Text Color
-            </label>
-            <input
-              type="color"
-              value={config.textColor || '#1f2937'}
-              onChange={(e) => setConfig({ ...config, textColor: e.target.value })}
-              className="w-full h-10 rounded-md cursor-pointer"
-            />
-          </div>
+      {error && (
+        <div className="flex items-center gap-2 text-red-600 text-sm bg-red-50 p-3 rounded-md">
+          <AlertCircle className="w-4 h-4" />
+          {error}
         </div>
+      )}
 
-        <div className="flex items-center gap-4 pt-4 border-t border-gray-200">
-          <button
-            onClick={handleSave}
-            className="px-6 py-2 rounded-lg text-white font-medium"
-            style={{ backgroundColor: 'var(--primary)' }}
-          >
-            Save Changes
-          </button>
-          {saved && (
-            <span className="text-sm text-green-600 font-medium">✓ Changes saved!</span>
-          )}
+      {loading ? (
+        <div className="text-center py-12">
+          <div className="animate-spin w-8 h-8 border-4 border-gray-200 border-t-blue-600 rounded-full mx-auto"></div>
+          <p className="text-gray-600 mt-4">Loading users...</p>
         </div>
-      </div>
+      ) : (
+        <>
+          <div className="bg-white rounded-lg border border-gray-200 overflow-hidden">
+            <table className="w-full">
+              <thead className="bg-gray-50 border-b border-gray-200">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Email</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Role</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {users.map(member => {
+                  const isSelf = member.id === currentUser?.id;
+                  return (
+                    <tr key={member.id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 text-sm font-medium text-gray-900">{member.name}</td>
+                      <td className="px-6 py-4 text-sm text-gray-600">{member.email}</td>
+                      <td className="px-6 py-4 text-sm text-gray-600">
+                        <select
+                          value={member.role}
+                          disabled={isSelf}
+                          onChange={(e) => runAction(() => api.updateUserRole(member.id, e.target.value))}
+                          className="px-2 py-1 border border-gray-300 rounded-md disabled:opacity-50"
+                        >
+                          {roles.map(role => <option key={role.name} value={role.name}>{role.label}</option>)}
+                        </select>
+                      </td>
+                      <td className="px-6 py-4">
+                        <span className={`px-2 py-1 text-xs font-medium rounded-full ${statusStyles[member.status]}`}>
+                          {member.status}
+                        </span>
+                        {member.mfaEnabled && (
+                          <span className="ml-2 px-2 py-1 text-xs font-medium rounded-full bg-blue-100 text-blue-800">
+                            2-step
+                          </span>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 text-right space-x-3 text-sm">
+                        {!isSelf && member.status !== 'invited' && (
+                          <button
+                            onClick={() => runAction(() => api.setUserActive(member.id, member.status === 'deactivated'))}
+                            className="text-gray-600 hover:text-gray-900"
+                          >
+                            {member.status === 'deactivated' ? 'Reactivate' : 'Deactivate'}
+                          </button>
+                        )}
+                        {!isSelf && member.mfaEnabled && (
+                          <button
+                            onClick={() => {
+                              if (window.confirm(`Reset two-step verification for ${member.email}? They will be signed out everywhere.`)) {
+                                runAction(() => api.resetUserMfa(member.id));
+                              }
+                            }}
+                            className="text-gray-600 hover:text-gray-900"
+                          >
+                            Reset 2-step
+                          </button>
+                        )}
+                        {!isSelf && (
+                          <button
+                            onClick={() => {
+                              if (window.confirm(`Remove ${member.email}?`)) {
+                                runAction(() => api.removeUser(member.id));
+                              }
+                            }}
+                            className="text-red-600 hover:text-red-800"
+                          >
+                            Remove
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
 
-      <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-6">
-        <div className="flex items-start gap-3">
-          <Palette className="w-6 h-6 text-yellow-600 flex-shrink-0 mt-1" />
-          <div>
-            <h3 className="font-semibold text-yellow-900 mb-2">Runtime Theming</h3>
-            <p className="text-sm text-yellow-800">
-              Theme changes apply immediately using CSS variables. No redeployment required.
-              All users of your tenant will see the updated branding on their next page load.
-            </p>
+          <div className="flex items-center justify-between">
+            <button
+              onClick={() => setPage(p => Math.max(1, p - 1))}
+              disabled={page === 1}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span className="text-sm text-gray-600">Page {page} of {Math.max(1, pagination.pages)}</span>
+            <button
+              onClick={() => setPage(p => p + 1)}
+              disabled={page >= pagination.pages}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            >
+              Next
+            </button>
           </div>
-        </div>
-      </div>
+        </>
+      )}
+
+      <RolesPanel roles={roles} onChange={loadUsers} />
     </div>
   );
 };
 
-// Main Dashboard
-const Dashboard = () => {
-  const [activeTab, setActiveTab] = useState('dashboard');
+// Roles Panel
+const RolesPanel = ({ roles, onChange }) => {
+  const [draft, setDraft] = useState({ name: '', label: '', permissions: [] });
+  const [error, setError] = useState('');
+
+  const runAction = async (action) => {
+    setError('');
+    try {
+      await action();
+      await onChange();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const togglePermission = (permissions, permission) => (
+    permissions.includes(permission)
+      ? permissions.filter(p => p !== permission)
+      : [...permissions, permission]
+  );
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    runAction(async () => {
+      await api.createRole(draft);
+      setDraft({ name: '', label: '', permissions: [] });
+    });
+  };
 
   return (
-    <div className="min-h-screen bg-gray-50">
-      <DashboardHeader />
-      <Navigation activeTab={activeTab} setActiveTab={setActiveTab} />
-      
-      <main className="max-w-7xl mx-auto px-6 py-8">
-        {activeTab === 'dashboard' && <DashboardTab />}
-        {activeTab === 'resources' && <ResourcesTab />}
-        {activeTab === 'settings' && <SettingsTab />}
-      </main>
+    <div className="bg-white rounded-lg border border-gray-200 p-6 space-y-4">
+      <div>
+        <h3 className="font-semibold text-gray-900">Roles</h3>
+        <p className="text-sm text-gray-600">Control what each role can see and change</p>
+      </div>
+
+      {error && (
+        <div className="flex items-center gap-2 text-red-600 text-sm bg-red-50 p-3 rounded-md">
+          <AlertCircle className="w-4 h-4" />
+          {error}
+        </div>
+      )}
+
+      <table className="w-full">
+        <thead className="bg-gray-50 border-b border-gray-200">
+          <tr>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Role</th>
+            {PERMISSIONS.map(permission => (
+              <th key={permission} className="px-4 py-2 text-center text-xs font-medium text-gray-500">{permission}</th>
+            ))}
+            <th className="px-4 py-2"></th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200">
+          {roles.map(role => (
+            <tr key={role.name}>
+              <td className="px-4 py-2 text-sm font-medium text-gray-900">{role.label}</td>
+              {PERMISSIONS.map(permission => (
+                <td key={permission} className="px-4 py-2 text-center">
+                  <input
+                    type="checkbox"
+                    checked={role.permissions.includes(permission)}
+                    disabled={role.name === 'admin'}
+                    onChange={() => runAction(() => api.updateRole(role.name, {
+                      permissions: togglePermission(role.permissions, permission),
+                    }))}
+                  />
+                </td>
+              ))}
+              <td className="px-4 py-2 text-right text-sm">
+                {!role.builtIn && (
+                  <button
+                    onClick={() => runAction(() => api.deleteRole(role.name))}
+                    className="text-red-600 hover:text-red-800"
+                  >
+                    Delete
+                  </button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <form onSubmit={handleCreate} className="flex flex-wrap items-center gap-4 pt-4 border-t border-gray-200">
+        <input
+          type="text"
+          placeholder="Label (e.g. Viewer)"
+          value={draft.label}
+          onChange={(e) => setDraft({
+            ...draft,
+            label: e.target.value,
+            name: e.target.value.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, ''),
+          })}
+          className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          required
+        />
+        {PERMISSIONS.map(permission => (
+          <label key={permission} className="flex items-center gap-1 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={draft.permissions.includes(permission)}
+              onChange={() => setDraft({ ...draft, permissions: togglePermission(draft.permissions, permission) })}
+            />
+            {permission}
+          </label>
+        ))}
+        <button
+          type="submit"
+          className="px-4 py-2 rounded-lg text-white font-medium"
+          style={{ backgroundColor: 'var(--primary)' }}
+        >
+          Add Role
+        </button>
+      </form>
     </div>
   );
 };
 
-// Main App
-const App = () => {
-  const { user, theme, loading } = useAuth();
+// Activity Tab
+const AUDIT_ACTION_GROUPS = [
+  { value: '', label: 'All activity' },
+  { value: 'auth', label: 'Sign-ins' },
+  { value: 'tenant', label: 'Organization settings' },
+  { value: 'user', label: 'Users' },
+  { value: 'resource', label: 'Resources' },
+];
 
-  if (loading) {
-    return (
-      <div className="min-h-screen flex items-center justify-center">
-        <div className="animate-spin w-12 h-12 border-4 border-gray-200 border-t-blue-600 rounded-full"></div>
-      </div>
-    );
-  }
+const describeChanges = (changes) => {
+  if (!changes?.after && !changes?.before) return '';
+  const keys = Object.keys({ ...changes.before, ...changes.after });
+  return keys
+    .map(key => `${key}: ${changes.before?.[key] ?? '—'} → ${changes.after?.[key] ?? '—'}`)
+    .join(', ');
+};
 
-  if (!user) {
-    return <LoginPage />;
-  }
+const ActivityTab = () => {
+  const [events, setEvents] = useState([]);
+  const [action, setAction] = useState('');
+  const [cursors, setCursors] = useState({ next: null, prev: null });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const filters = useMemo(() => (action ? { action } : {}), [action]);
+
+  const loadEvents = useCallback(async (cursor) => {
+    setLoading(true);
+    setError('');
+    try {
+      const data = await api.getAuditEvents(filters, cursor);
+      setEvents(data.data);
+      setCursors(data.pagination);
+    } catch (err) {
+      setError(err.message);
+    }
+    setLoading(false);
+  }, [filters]);
+
+  useEffect(() => {
+    loadEvents(null);
+  }, [loadEvents]);
+
+  const handleExport = async () => {
+    setError('');
+    try {
+      await api.exportAuditEvents(filters);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
 
   return (
-    <ThemeProvider theme={theme}>
-      <Dashboard />
-    </ThemeProvider>
-  );
-};
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Activity</h2>
+          <p className="text-gray-600">Audit trail of sign-ins and changes in your organization</p>
+        </div>
+        <div className="flex items-center gap-2">
+          <select
+            value={action}
+            onChange={(e) => setAction(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {AUDIT_ACTION_GROUPS.map(group => <option key={group.value} value={group.value}>{group.label}</option>)}
+          </select>
+          <button
+            onClick={handleExport}
+            className="flex items-center gap-2 px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+          >
+            <Download className="w-4 h-4" />
+            Export CSV
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="flex items-center gap-2 text-red-600 text-sm bg-red-50 p-3 rounded-md">
+          <AlertCircle className="w-4 h-4" />
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="text-center py-12">
+          <div className="animate-spin w-8 h-8 border-4 border-gray-200 border-t-blue-600 rounded-full mx-auto"></div>
+          <p className="text-gray-600 mt-4">Loading activity...</p>
+        </div>
+      ) : (
+        <>
+          <div className="bg-white rounded-lg border border-gray-200 overflow-hidden">
+            <table className="w-full">
+              <thead className="bg-gray-50 border-b border-gray-200">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">When</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actor</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Action</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Target</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Changes</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">IP</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {events.map(event => (
+                  <tr key={event._id} className="hover:bg-gray-50" title={`Correlation ID: ${event.correlationId || '—'}`}>
+                    <td className="px-6 py-4 text-sm text-gray-600 whitespace-nowrap">
+                      {new Date(event.createdAt).toLocaleString()}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-900">
+                      {event.actor?.type === 'platform' && 'Platform support · '}
+                      {event.actor?.email || event.actor?.userId || (event.actor?.apiKeyId && `API key ${event.actor.apiKeyId}`) || event.actor?.type}
+                    </td>
+                    <td className="px-6 py-4">
+                      <span className="px-2 py-1 text-xs font-medium rounded-full bg-gray-100 text-gray-800">
+                        {event.action}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-600">
+                      {event.target?.type ? `${event.target.type} ${event.target.id}` : '—'}
+                    </td>
+                    <td className="px-6 py-4 text-xs text-gray-600">{describeChanges(event.changes)}</td>
+                    <td className="px-6 py-4 text-xs text-gray-500">{event.ip}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex items-center justify-between">
+            <button
+              onClick={() => loadEvents(cursors.prev)}
+              disabled={!cursors.prev}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            >
+              Newer
+            </button>
+            <button
+              onClick={() => loadEvents(cursors.next)}
+              disabled={!cursors.next}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            >
+              Older
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+// API Keys Tab
+const ApiKeysTab = () => {
+  const { can } = useAuth();
+  const [apiKeys, setApiKeys] = useState([]);
+  const [draft, setDraft] = useState(null);
+  const [createdKey, setCreatedKey] = useState(null);
+  const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  const loadKeys = async () => {
+    const data = await api.getApiKeys();
+    setApiKeys(data.data);
+  };
+
+  useEffect(() => {
+    loadKeys().catch(err => setError(err.message));
+  }, []);
+
+  const runAction = async (action) => {
+    setError('');
+    setFieldErrors({});
+    try {
+      await action();
+      await loadKeys();
+    } catch (err) {
+      setError(err.message);
+      setFieldErrors(err.fields || {});
+    }
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    runAction(async () => {
+      const created = await api.createApiKey({
+        name: draft.name,
+        scopes: draft.scopes,
+        ...(draft.expiresAt && { expiresAt: new Date(`${draft.expiresAt}T23:59:59`).toISOString() }),
+      });
+      setCreatedKey(created.key);
+      setDraft(null);
+    });
+  };
+
+  const toggleScope = (scope) => {
+    const scopes = draft.scopes.includes(scope)
+      ? draft.scopes.filter(item => item !== scope)
+      : [...draft.scopes, scope];
+    setDraft({ ...draft, scopes });
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">API Keys</h2>
+          <p className="text-gray-600">Credentials for scripts and CI, limited to the scopes you choose</p>
+        </div>
+        <button
+          onClick={() => setDraft({ name: '', scopes: ['resources:read'], expiresAt: '' })}
+          className="px-4 py-2 rounded-lg text-white font-medium"
+          style={{ backgroundColor: 'var(--primary)' }}
+        >
+          Create Key
+        </button>
+      </div>
+
+      {error && (
+        <div className="flex items-center gap-2 text-red-600 text-sm bg-red-50 p-3 rounded-md">
+          <AlertCircle className="w-4 h-4" />
+          {error}
+        </div>
+      )}
+
+      {createdKey && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 text-sm text-yellow-900">
+          <p className="font-medium mb-1">Copy this key now — it will not be shown again</p>
+          <code className="block bg-white border border-yellow-200 rounded px-2 py-1 break-all">{createdKey}</code>
+          <p className="text-xs mt-2">
+            Send it as <code>Authorization: ApiKey &lt;key&gt;</code> or <code>X-API-Key</code>, together with your tenant ID.
+          </p>
+          <button onClick={() => setCreatedKey(null)} className="text-xs underline mt-2">Dismiss</button>
+        </div>
+      )}
+
+      {draft && (
+        <form onSubmit={handleCreate} className="bg-white rounded-lg border border-gray-200 p-6 space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+              <input
+                type="text"
+                value={draft.name}
+                onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                placeholder="CI deploy job"
+                maxLength={100}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                required
+              />
+              {fieldErrors.name && <p className="text-xs text-red-600 mt-1">{fieldErrors.name}</p>}
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Expires (optional)</label>
+              <input
+                type="date"
+                value={draft.expiresAt}
+                onChange={(e) => setDraft({ ...draft, expiresAt: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              {fieldErrors.expiresAt && <p className="text-xs text-red-600 mt-1">{fieldErrors.expiresAt}</p>}
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Scopes</label>
+            <div className="flex flex-wrap gap-4">
+              {PERMISSIONS.map(scope => (
+                <label key={scope} className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={draft.scopes.includes(scope)}
+                    onChange={() => toggleScope(scope)}
+                    disabled={!can(scope)}
+                  />
+                  <code>{scope}</code>
+                </label>
+              ))}
+            </div>
+            {fieldErrors.scopes && <p className="text-xs text-red-600 mt-1">{fieldErrors.scopes}</p>}
+          </div>
+          <div className="flex gap-3">
+            <button type="submit" className="px-4 py-2 rounded-lg text-white font-medium" style={{ backgroundColor: 'var(--primary)' }}>
+              Create Key
+            </button>
+            <button type="button" onClick={() => setDraft(null)} className="px-4 py-2 text-gray-600 hover:text-gray-900">
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="bg-white rounded-lg border border-gray-200 overflow-hidden">
+        <table className="w-full">
+          <thead className="bg-gray-50 border-b border-gray-200">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Scopes</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Last used</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Expires</th>
+              <th className="px-6 py-3" />
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {apiKeys.length === 0 ? (
+              <tr>
+                <td colSpan="5" className="px-6 py-8 text-center text-gray-500">No API keys yet.</td>
+              </tr>
+            ) : apiKeys.map(apiKey => (
+              <tr key={apiKey.id} className="hover:bg-gray-50">
+                <td className="px-6 py-4 text-sm">
+                  <p className="font-medium text-gray-900">{apiKey.name}</p>
+                  <code className="text-xs text-gray-500">{apiKey.prefix}…</code>
+                </td>
+                <td className="px-6 py-4 text-xs text-gray-700">
+                  {apiKey.scopes.map(scope => <code key={scope} className="block">{scope}</code>)}
+                </td>
+                <td className="px-6 py-4 text-sm text-gray-600">
+                  {apiKey.lastUsedAt ? new Date(apiKey.lastUsedAt).toLocaleString() : 'Never'}
+                </td>
+                <td className="px-6 py-4 text-sm text-gray-600">
+                  {apiKey.expiresAt ? new Date(apiKey.expiresAt).toLocaleDateString() : 'Never'}
+                </td>
+                <td className="px-6 py-4 text-right text-sm">
+                  <button
+                    onClick={() => {
+                      if (window.confirm(`Revoke "${apiKey.name}"? Anything using it will stop working immediately.`)) {
+                        runAction(() => api.revokeApiKey(apiKey.id));
+                      }
+                    }}
+                    className="text-red-600 hover:text-red-800"
+                  >
+                    Revoke
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+// Webhooks Tab
+const DELIVERY_STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  delivering: 'bg-blue-100 text-blue-800',
+  succeeded: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+};
+
+const WebhooksTab = () => {
+  const [endpoints, setEndpoints] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [draft, setDraft] = useState(null);
+  const [secret, setSecret] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+  const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  const loadEndpoints = async () => {
+    const data = await api.getWebhooks();
+    setEndpoints(data.data);
+    setEvents(data.events);
+  };
+
+  useEffect(() => {
+    loadEndpoints().catch(err => setError(err.message));
+  }, []);
+
+  const runAction = async (action) => {
+    setError('');
+    setFieldErrors({});
+    try {
+      await action();
+      await loadEndpoints();
+    } catch (err) {
+      setError(err.message);
+      setFieldErrors(err.fields || {});
+    }
+  };
+
+  const toggleEvent = (event) => {
+    const selected = draft.events.includes(event)
+      ? draft.events.filter(item => item !== event)
+      : [...draft.events, event];
+    setDraft({ ...draft, events: selected });
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    runAction(async () => {
+      const created = await api.createWebhook(draft);
+      setSecret({ id: created.id, value: created.secret });
+      setDraft(null);
+    });
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Webhooks</h2>
+          <p className="text-gray-600">Receive signed HTTP callbacks when things change in your organization</p>
+        </div>
+        <button
+          onClick={() => setDraft({ url: '', description: '', events: [] })}
+          className="px-4 py-2 rounded-lg text-white font-medium"
+          style={{ backgroundColor: 'var(--primary)' }}
+        >
+          Add Endpoint
+        </button>
+      </div>
+
+      {error && (
+        <div className="flex items-center gap-2 text-red-600 text-sm bg-red-50 p-3 rounded-md">
+          <AlertCircle className="w-4 h-4" />
+          {error}
+        </div>
+      )}
+
+      {secret && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 text-sm text-yellow-900">
+          <p className="font-medium mb-1">Signing secret — copy it now, it will not be shown again</p>
+          <code className="block bg-white border border-yellow-200 rounded px-2 py-1 break-all">{secret.value}</code>
+          <p className="text-xs mt-2">
+            Verify the X-Webhook-Signature header (t=timestamp,v1=HMAC-SHA256 of "timestamp.body") with this secret.
+          </p>
+          <button onClick={() => setSecret(null)} className="text-xs underline mt-2">Dismiss</button>
+        </div>
+      )}
+
+      {draft && (
+        <form onSubmit={handleCreate} className="bg-white rounded-lg border border-gray-200 p-6 space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Endpoint URL</label>
+            <input
+              type="url"
+              value={draft.url}
+              onChange={(e) => setDraft({ ...draft, url: e.target.value })}
+              placeholder="https://example.com/webhooks"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              required
+            />
+            {fieldErrors.url && <p className="text-xs text-red-600 mt-1">{fieldErrors.url}</p>}
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+            <input
+              type="text"
+              value={draft.description}
+              onChange={(e) => setDraft({ ...draft, description: e.target.value })}
+              maxLength={200}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Events</label>
+            <div className="grid grid-cols-2 md:grid-cols-3 gap-2">
+              {events.map(event => (
+                <label key={event} className="flex items-center gap-2 text-sm text-gray-700">
+                  <input type="checkbox" checked={draft.events.includes(event)} onChange={() => toggleEvent(event)} />
+                  <code>{event}</code>
+                </label>
+              ))}
+            </div>
+            {fieldErrors.events && <p className="text-xs text-red-600 mt-1">{fieldErrors.events}</p>}
+          </div>
+          <div className="flex gap-3">
+            <button type="submit" className="px-4 py-2 rounded-lg text-white font-medium" style={{ backgroundColor: 'var(--primary)' }}>
+              Create Endpoint
+            </button>
+            <button type="button" onClick={() => setDraft(null)} className="px-4 py-2 text-gray-600 hover:text-gray-900">
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {endpoints.length === 0 && !draft && (
+        <div className="bg-white rounded-lg border border-gray-200 p-8 text-center text-gray-500">
+          No webhook endpoints yet.
+        </div>
+      )}
+
+      {endpoints.map(endpoint => (
+        <div key={endpoint.id} className="bg-white rounded-lg border border-gray-200 p-6 space-y-3">
+          <div className="flex items-start justify-between gap-4">
+            <div className="min-w-0">
+              <p className="font-medium text-gray-900 break-all">{endpoint.url}</p>
+              {endpoint.description && <p className="text-sm text-gray-600">{endpoint.description}</p>}
+              <p className="text-xs text-gray-500 mt-1">Secret {endpoint.secretHint}</p>
+            </div>
+            <label className="flex items-center gap-2 text-sm text-gray-700 flex-shrink-0">
+              <input
+                type="checkbox"
+                checked={endpoint.active}
+                onChange={() => runAction(() => api.updateWebhook(endpoint.id, { active: !endpoint.active }))}
+              />
+              Active
+            </label>
+          </div>
+          <div className="flex flex-wrap gap-1">
+            {endpoint.events.map(event => (
+              <code key={event} className="text-xs bg-gray-100 text-gray-700 px-2 py-0.5 rounded">{event}</code>
+            ))}
+          </div>
+          <div className="flex flex-wrap gap-4 text-sm pt-2 border-t border-gray-100">
+            <button
+              onClick={() => runAction(async () => {
+                await api.testWebhook(endpoint.id);
+                setExpandedId(endpoint.id);
+              })}
+              className="text-gray-600 hover:text-gray-900"
+            >
+              Send test
+            </button>
+            <button
+              onClick={() => setExpandedId(expandedId === endpoint.id ? null : endpoint.id)}
+              className="text-gray-600 hover:text-gray-900"
+            >
+              {expandedId === endpoint.id ? 'Hide deliveries' : 'Deliveries'}
+            </button>
+            <button
+              onClick={() => {
+                if (window.confirm('Rotate the signing secret? Receivers must switch to the new secret.')) {
+                  runAction(async () => {
+                    const rotated = await api.rotateWebhookSecret(endpoint.id);
+                    setSecret({ id: rotated.id, value: rotated.secret });
+                  });
+                }
+              }}
+              className="text-gray-600 hover:text-gray-900"
+            >
+              Rotate secret
+            </button>
+            <button
+              onClick={() => {
+                if (window.confirm(`Delete the endpoint ${endpoint.url} and its delivery log?`)) {
+                  runAction(() => api.deleteWebhook(endpoint.id));
+                }
+              }}
+              className="text-red-600 hover:text-red-800"
+            >
+              Delete
+            </button>
+          </div>
+          {expandedId === endpoint.id && <DeliveryLog endpointId={endpoint.id} />}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const DeliveryLog = ({ endpointId }) => {
+  const [deliveries, setDeliveries] = useState([]);
+  const [next, setNext] = useState(null);
+  const [error, setError] = useState('');
+
+  const load = useCallback(async (cursor = null) => {
+    setError('');
+    try {
+      const data = await api.getWebhookDeliveries(endpointId, cursor);
+      setDeliveries(current => (cursor ? [...current, ...data.data] : data.data));
+      setNext(data.pagination.next);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [endpointId]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const redeliver = async (deliveryId) => {
+    setError('');
+    try {
+      await api.redeliverWebhook(endpointId, deliveryId);
+      await load();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="border-t border-gray-100 pt-3">
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="text-sm font-semibold text-gray-900">Recent deliveries</h4>
+        <button onClick={() => load()} className="text-xs text-gray-600 hover:text-gray-900">Refresh</button>
+      </div>
+      {error && <p className="text-xs text-red-600 mb-2">{error}</p>}
+      {deliveries.length === 0 ? (
+        <p className="text-sm text-gray-500">No deliveries yet.</p>
+      ) : (
+        <table className="w-full text-xs">
+          <thead className="text-left text-gray-500">
+            <tr>
+              <th className="py-1">Status</th>
+              <th className="py-1">Event</th>
+              <th className="py-1">Attempts</th>
+              <th className="py-1">Response</th>
+              <th className="py-1">Created</th>
+              <th className="py-1" />
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {deliveries.map(delivery => (
+              <tr key={delivery._id}>
+                <td className="py-2">
+                  <span className={`px-2 py-0.5 rounded-full font-medium ${DELIVERY_STATUS_STYLES[delivery.status]}`}>
+                    {delivery.status}
+                  </span>
+                </td>
+                <td className="py-2"><code>{delivery.event}</code></td>
+                <td className="py-2">{delivery.attempts}</td>
+                <td className="py-2 text-gray-600" title={delivery.responseBody || undefined}>
+                  {delivery.error || delivery.responseStatus || '—'}
+                  {delivery.status === 'pending' && delivery.attempts > 0 && (
+                    <span className="block text-gray-400">retry {new Date(delivery.nextAttemptAt).toLocaleTimeString()}</span>
+                  )}
+                </td>
+                <td className="py-2 text-gray-600">{new Date(delivery.createdAt).toLocaleString()}</td>
+                <td className="py-2 text-right">
+                  <button onClick={() => redeliver(delivery._id)} className="text-gray-600 hover:text-gray-900">
+                    Redeliver
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {next && (
+        <button onClick={() => load(next)} className="mt-2 text-xs text-gray-600 hover:text-gray-900">Load more</button>
+      )}
+    </div>
+  );
+};
+
+// Settings Tab
+const SettingsTab = () => {
+  const { theme, updateTheme, previewTheme, setPreviewTheme } = useAuth();
+  const [config, setConfig] = useState(theme || {});
+  const [hasDraft, setHasDraft] = useState(false);
+  const [status, setStatus] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [warnings, setWarnings] = useState({});
+  const [versionsKey, setVersionsKey] = useState(0);
+
+  useEffect(() => {
+    api.getThemeDraft()
+      .then((draft) => {
+        setConfig(draft.theme);
+        setHasDraft(draft.hasDraft);
+      })
+      .catch((error) => console.error('Failed to load theme draft:', error));
+  }, []);
+
+  // Keep an active preview in sync with what is being edited
+  useEffect(() => {
+    setPreviewTheme(current => (current ? config : current));
+  }, [config, setPreviewTheme]);
+
+  const showStatus = (message) => {
+    setStatus(message);
+    setTimeout(() => setStatus(''), 3000);
+  };
+
+  const runAction = async (action) => {
+    setFieldErrors({});
+    try {
+      await action();
+    } catch (error) {
+      console.error('Failed to save config:', error);
+      setFieldErrors(error.fields || { _form: error.message });
+      setWarnings(error.warnings || {});
+    }
+  };
+
+  const handleSaveDraft = () => runAction(async () => {
+    const result = await api.saveThemeDraft(config);
+    setConfig(result.theme);
+    setHasDraft(true);
+    setWarnings(result.warnings || {});
+    showStatus('✓ Draft saved');
+  });
+
+  const handlePublish = () => runAction(async () => {
+    await api.saveThemeDraft(config);
+    const result = await api.publishThemeDraft();
+    updateTheme(result.config);
+    setConfig(result.config);
+    setPreviewTheme(null);
+    setHasDraft(false);
+    setWarnings(result.warnings || {});
+    setVersionsKey(key => key + 1);
+    showStatus(`✓ Published as version ${result.version}`);
+  });
+
+  const handleDiscard = () => runAction(async () => {
+    await api.discardThemeDraft();
+    setConfig(theme);
+    setPreviewTheme(null);
+    setHasDraft(false);
+    setWarnings({});
+    showStatus('Draft discarded');
+  });
+
+  const handleRestored = (result) => {
+    updateTheme(result.config);
+    setConfig(result.config);
+    setPreviewTheme(null);
+    setVersionsKey(key => key + 1);
+    showStatus(result.dropped?.length
+      ? `✓ Restored as version ${result.version}, keeping the current ${result.dropped.join(', ')}`
+      : `✓ Restored as version ${result.version}`);
+  };
+
+  const FieldMessage = ({ field }) => (
+    <>
+      {fieldErrors[field] && <p className="text-xs text-red-600 mt-1">{fieldErrors[field]}</p>}
+      {!fieldErrors[field] && warnings[field] && <p className="text-xs text-yellow-700 mt-1">{warnings[field]}</p>}
+    </>
+  );
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h2 className="text-2xl font-bold text-gray-900 mb-2">Tenant Settings</h2>
+        <p className="text-gray-600">Customize your organization's branding and theme</p>
+      </div>
+
+      <div className="bg-white rounded-lg border border-gray-200 p-6 space-y-6">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Organization Name
+          </label>
+          <input
+            type="text"
+            value={config.name || ''}
+            onChange={(e) => setConfig({ ...config, name: e.target.value })}
+            maxLength={100}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <FieldMessage field="name" />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Logo Emoji
+          </label>
+          <input
+            type="text"
+            value={config.logo || ''}
+            onChange={(e) => setConfig({ ...config, logo: e.target.value })}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            maxLength={16}
+          />
+          <FieldMessage field="logo" />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Font
+          </label>
+          <select
+            value={config.fontFamily || FONT_STACKS[0]}
+            onChange={(e) => setConfig({ ...config, fontFamily: e.target.value })}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {FONT_STACKS.map(font => <option key={font} value={font} style={{ fontFamily: font }}>{font}</option>)}
+          </select>
+          <FieldMessage field="fontFamily" />
+        </div>
+
+        <div className="grid grid-cols-2 gap-4">
+          {COLOR_PICKERS.map(picker => (
+            <div key={picker.key}>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                {picker.label}
+              </label>
+              <input
+                type="color"
+                value={config[picker.key] || picker.fallback}
+                onChange={(e) => setConfig({ ...config, [picker.key]: e.target.value })}
+                className={`w-full h-10 rounded-md cursor-pointer ${fieldErrors[picker.key] ? 'ring-2 ring-red-500' : ''}`}
+              />
+              <FieldMessage field={picker.key} />
+            </div>
+          ))}
+        </div>
+
+        {fieldErrors._form && (
+          <div className="flex items-center gap-2 text-red-600 text-sm bg-red-50 p-3 rounded-md">
+            <AlertCircle className="w-4 h-4" />
+            {fieldErrors._form}
+          </div>
+        )}
+
+        <div className="flex flex-wrap items-center gap-4 pt-4 border-t border-gray-200">
+          <button
+            onClick={handlePublish}
+            className="px-6 py-2 rounded-lg text-white font-medium"
+            style={{ backgroundColor: 'var(--primary)' }}
+          >
+            Publish
+          </button>
+          <button
+            onClick={handleSaveDraft}
+            className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+          >
+            Save Draft
+          </button>
+          <button
+            onClick={() => setPreviewTheme(previewTheme ? null : config)}
+            className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+          >
+            {previewTheme ? 'Stop Preview' : 'Preview'}
+          </button>
+          {hasDraft && (
+            <button onClick={handleDiscard} className="text-sm text-red-600 hover:text-red-800">
+              Discard Draft
+            </button>
+          )}
+          {status && (
+            <span className="text-sm text-green-600 font-medium">{status}</span>
+          )}
+        </div>
+      </div>
+
+      <ThemeVersions key={versionsKey} onRestored={handleRestored} />
+
+      <SecurityPolicy />
+
+      <PlanUsage />
+
+      <DataAndDeletion />
+
+      <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-6">
+        <div className="flex items-start gap-3">
+          <Palette className="w-6 h-6 text-yellow-600 flex-shrink-0 mt-1" />
+          <div>
+            <h3 className="font-semibold text-yellow-900 mb-2">Runtime Theming</h3>
+            <p className="text-sm text-yellow-800">
+              Drafts and previews are private to you. Publishing applies the theme using CSS variables
+              with no redeployment; all users of your tenant see it on their next page load.
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const formatBytes = (bytes) => {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return `${Number.isInteger(value) ? value : value.toFixed(1)} ${units[unit]}`;
+};
+
+// Security
+const MFA_POLICY_LABELS = {
+  off: 'Optional for everyone',
+  admins: 'Required for anyone who can manage users, settings or API keys',
+  all: 'Required for everyone',
+};
+
+const SecurityPolicy = () => {
+  const [settings, setSettings] = useState(null);
+  const [status, setStatus] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    api.getSecuritySettings()
+      .then(setSettings)
+      .catch((err) => setError(err.message));
+  }, []);
+
+  const handleChange = async (mfaPolicy) => {
+    setError('');
+    setStatus('');
+    try {
+      await api.updateSecuritySettings({ mfaPolicy });
+      setSettings(await api.getSecuritySettings());
+      setStatus('Saved');
+    } catch (err) {
+      setError(err.fields?.mfaPolicy || err.message);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 p-6 space-y-4">
+      <div>
+        <h3 className="font-semibold text-gray-900">Two-Step Verification</h3>
+        <p className="text-sm text-gray-600">
+          Choose who must use an authenticator app to sign in. Changes apply at each person's next sign-in.
+        </p>
+      </div>
+
+      {settings && (
+        <div className="space-y-2">
+          {settings.mfaPolicies.map(policy => (
+            <label key={policy} className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="radio"
+                name="mfaPolicy"
+                checked={settings.mfaPolicy === policy}
+                onChange={() => handleChange(policy)}
+              />
+              {MFA_POLICY_LABELS[policy] || policy}
+            </label>
+          ))}
+          {settings.pendingEnrollment > 0 && (
+            <p className="text-sm text-yellow-800 bg-yellow-50 p-3 rounded-md">
+              {settings.pendingEnrollment} active {settings.pendingEnrollment === 1 ? 'user has' : 'users have'} not set it up yet
+              and will be asked to at their next sign-in.
+            </p>
+          )}
+          {status && <span className="text-sm text-green-600 font-medium">{status}</span>}
+        </div>
+      )}
+
+      {error && (
+        <div className="flex items-center gap-2 text-red-600 text-sm bg-red-50 p-3 rounded-md">
+          <AlertCircle className="w-4 h-4" />
+          {error}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Plan & Usage
+const PlanUsage = () => {
+  const [report, setReport] = useState(null);
+
+  useEffect(() => {
+    api.getUsage()
+      .then(setReport)
+      .catch(error => console.error('Failed to load usage:', error));
+  }, []);
+
+  if (!report) return null;
+
+  const meters = [
+    { key: 'users', label: 'Users', format: String },
+    { key: 'resources', label: 'Resources', format: String },
+    { key: 'storageBytes', label: 'Storage', format: formatBytes },
+  ];
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 p-6 space-y-4">
+      <div>
+        <h3 className="font-semibold text-gray-900">{report.plan.label} Plan</h3>
+        <p className="text-sm text-gray-600">
+          Up to {report.plan.requestsPerMinute} API requests per minute across your organization.
+        </p>
+      </div>
+      {meters.map(({ key, label, format }) => {
+        const limit = report.plan.limits[key];
+        const used = report.usage[key];
+        const percent = limit ? Math.min(100, Math.round((used / limit) * 100)) : 0;
+        return (
+          <div key={key}>
+            <div className="flex justify-between text-sm text-gray-700 mb-1">
+              <span>{label}</span>
+              <span>{format(used)} / {limit === null ? 'Unlimited' : format(limit)}</span>
+            </div>
+            {limit !== null && (
+              <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+                <div
+                  className={`h-full ${percent >= 90 ? 'bg-red-500' : ''}`}
+                  style={{ width: `${percent}%`, ...(percent < 90 && { backgroundColor: 'var(--primary)' }) }}
+                />
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+// Data export and scheduled deletion of the whole organization
+const DataAndDeletion = () => {
+  const { user, can, updateLifecycle } = useAuth();
+  const [confirm, setConfirm] = useState('');
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  if (!can('users:manage') || !can('audit:read')) return null;
+
+  const runAction = async (action) => {
+    setError('');
+    setBusy(true);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.fields?.confirm || err.message);
+    }
+    setBusy(false);
+  };
+
+  return (
+    <div className="bg-white rounded-lg border border-red-200 p-6 space-y-4">
+      <div>
+        <h3 className="font-semibold text-gray-900">Data & Deletion</h3>
+        <p className="text-sm text-gray-600">
+          Download everything your organization stores: settings, users (without passwords), resources and the activity log.
+        </p>
+      </div>
+      <button
+        onClick={() => runAction(() => api.exportTenantData())}
+        disabled={busy}
+        className="flex items-center gap-2 px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+      >
+        <Download className="w-4 h-4" />
+        Export all data
+      </button>
+
+      <div className="border-t border-gray-200 pt-4 space-y-2">
+        <p className="text-sm text-gray-700">
+          Deleting the organization locks everyone out of the app and permanently erases all of its data after a grace period.
+          Until then an admin can still export data or cancel. Type <strong>{user.tenantId}</strong> to confirm.
+        </p>
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={confirm}
+            onChange={(e) => setConfirm(e.target.value)}
+            placeholder={user.tenantId}
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-red-500"
+          />
+          <button
+            onClick={() => runAction(async () => updateLifecycle(await api.scheduleTenantDeletion(confirm)))}
+            disabled={busy || confirm !== user.tenantId}
+            className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50"
+          >
+            Delete organization
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="flex items-center gap-2 text-red-600 text-sm bg-red-50 p-3 rounded-md">
+          <AlertCircle className="w-4 h-4" />
+          {error}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Shown instead of the dashboard while the organization waits to be purged
+const TenantOffboarding = () => {
+  const { user, lifecycle, updateLifecycle, logout, can } = useAuth();
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+  const canManage = can('tenant:configure') && can('users:manage');
+
+  const runAction = async (action) => {
+    setError('');
+    setBusy(true);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    }
+    setBusy(false);
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center px-6">
+      <div className="bg-white rounded-lg border border-red-200 p-8 max-w-lg w-full space-y-4">
+        <h2 className="text-2xl font-bold text-gray-900">Organization scheduled for deletion</h2>
+        <p className="text-gray-600">
+          {user.tenantId} and all of its data will be permanently deleted on{' '}
+          <strong>{new Date(lifecycle.deletionScheduledFor).toLocaleDateString()}</strong>.
+          {canManage ? ' You can still download a full export or cancel the deletion.' : ' Contact an administrator if this is a mistake.'}
+        </p>
+
+        {error && (
+          <div className="flex items-center gap-2 text-red-600 text-sm bg-red-50 p-3 rounded-md">
+            <AlertCircle className="w-4 h-4" />
+            {error}
+          </div>
+        )}
+
+        <div className="flex flex-wrap gap-2">
+          {canManage && can('audit:read') && (
+            <button
+              onClick={() => runAction(() => api.exportTenantData())}
+              disabled={busy}
+              className="flex items-center gap-2 px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            >
+              <Download className="w-4 h-4" />
+              Export all data
+            </button>
+          )}
+          {canManage && (
+            <button
+              onClick={() => runAction(async () => updateLifecycle(await api.cancelTenantDeletion()))}
+              disabled={busy}
+              className="px-4 py-2 text-white rounded-lg disabled:opacity-50"
+              style={{ backgroundColor: 'var(--primary)' }}
+            >
+              Cancel deletion
+            </button>
+          )}
+          <button
+            onClick={logout}
+            className="flex items-center gap-2 px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+          >
+            <LogOut className="w-4 h-4" />
+            Sign out
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Theme Version History
+const ThemeVersions = ({ onRestored }) => {
+  const [versions, setVersions] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    api.getThemeVersions()
+      .then(data => setVersions(data.data))
+      .catch(err => setError(err.message));
+  }, []);
+
+  const runAction = async (action) => {
+    setError('');
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 p-6 space-y-4">
+      <div>
+        <h3 className="font-semibold text-gray-900">Version History</h3>
+        <p className="text-sm text-gray-600">Every published theme, newest first. Restoring publishes it again.</p>
+      </div>
+
+      {error && (
+        <div className="flex items-center gap-2 text-red-600 text-sm bg-red-50 p-3 rounded-md">
+          <AlertCircle className="w-4 h-4" />
+          {error}
+        </div>
+      )}
+
+      <ul className="divide-y divide-gray-200">
+        {versions.map(version => (
+          <li key={version.version} className="py-3 space-y-2">
+            <div className="flex items-center justify-between">
+              <div className="flex items-center gap-3">
+                <span className="text-2xl">{version.theme.logo}</span>
+                <div>
+                  <p className="text-sm font-medium text-gray-900">
+                    Version {version.version}
+                    {version.restoredFrom && ` (restored from v${version.restoredFrom})`}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {new Date(version.createdAt).toLocaleString()}
+                    {version.note && ` · ${version.note}`}
+                  </p>
+                </div>
+                <div className="flex gap-1">
+                  {COLOR_PICKERS.map(picker => (
+                    <span
+                      key={picker.key}
+                      className="w-4 h-4 rounded-full border border-gray-200"
+                      style={{ backgroundColor: version.theme[picker.key] }}
+                      title={picker.label}
+                    />
+                  ))}
+                </div>
+              </div>
+              <div className="space-x-3 text-sm">
+                <button
+                  onClick={() => runAction(async () => {
+                    setSelected(selected?.version === version.version ? null : await api.getThemeVersion(version.version));
+                  })}
+                  className="text-gray-600 hover:text-gray-900"
+                >
+                  {selected?.version === version.version ? 'Hide changes' : 'Compare'}
+                </button>
+                <button
+                  onClick={() => runAction(async () => onRestored(await api.restoreThemeVersion(version.version)))}
+                  className="text-gray-600 hover:text-gray-900"
+                >
+                  Restore
+                </button>
+              </div>
+            </div>
+            {selected?.version === version.version && (
+              <div className="text-xs bg-gray-50 rounded-md p-3">
+                {Object.keys(selected.diff.after).length === 0 ? (
+                  <p className="text-gray-600">Identical to the live theme.</p>
+                ) : (
+                  Object.keys(selected.diff.after).map(key => (
+                    <p key={key} className="text-gray-700">
+                      <strong>{key}</strong>: {String(selected.diff.before[key])} (live) → {String(selected.diff.after[key])}
+                    </p>
+                  ))
+                )}
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+// Account Tab
+const AccountTab = () => {
+  const { user } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  const loadSessions = async () => {
+    setLoading(true);
+    try {
+      const data = await api.getSessions();
+      setSessions(data.data);
+    } catch (err) {
+      setError(err.message);
+    }
+    setLoading(false);
+  };
+
+  const runAction = async (action) => {
+    setError('');
+    try {
+      await action();
+      await loadSessions();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h2 className="text-2xl font-bold text-gray-900 mb-2">Account</h2>
+        <p className="text-gray-600">Signed in as {user?.email}</p>
+      </div>
+
+      <TwoStepVerification />
+
+      <div className="bg-white rounded-lg border border-gray-200 p-6 space-y-4">
+        <div className="flex items-center justify-between">
+          <div>
+            <h3 className="font-semibold text-gray-900">Active Sessions</h3>
+            <p className="text-sm text-gray-600">Devices currently signed in to your account</p>
+          </div>
+          <button
+            onClick={() => runAction(() => api.revokeOtherSessions())}
+            disabled={sessions.length <= 1}
+            className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+          >
+            Sign out other devices
+          </button>
+        </div>
+
+        {error && (
+          <div className="flex items-center gap-2 text-red-600 text-sm bg-red-50 p-3 rounded-md">
+            <AlertCircle className="w-4 h-4" />
+            {error}
+          </div>
+        )}
+
+        {loading ? (
+          <div className="animate-spin w-8 h-8 border-4 border-gray-200 border-t-blue-600 rounded-full mx-auto"></div>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {sessions.map(session => (
+              <li key={session.id} className="py-3 flex items-center justify-between">
+                <div>
+                  <p className="text-sm font-medium text-gray-900">
+                    {session.userAgent || 'Unknown device'}
+                    {session.current && (
+                      <span className="ml-2 px-2 py-0.5 text-xs font-medium rounded-full bg-green-100 text-green-800">
+                        This device
+                      </span>
+                    )}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {session.ip} · Last active {new Date(session.lastUsedAt).toLocaleString()}
+                  </p>
+                </div>
+                {!session.current && (
+                  <button
+                    onClick={() => runAction(() => api.revokeSession(session.id))}
+                    className="text-sm text-red-600 hover:text-red-800"
+                  >
+                    Revoke
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Two-step verification for the signed-in user: enroll, replace recovery codes, or turn it off
+const TwoStepVerification = () => {
+  const [status, setStatus] = useState(null);
+  const [enrollment, setEnrollment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  const loadStatus = async () => {
+    try {
+      setStatus(await api.getMfaStatus());
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const runAction = async (action) => {
+    setError('');
+    setBusy(true);
+    try {
+      await action();
+      setCode('');
+      setPassword('');
+      await loadStatus();
+    } catch (err) {
+      setError(err.fields?.code || err.fields?.password || err.message);
+    }
+    setBusy(false);
+  };
+
+  if (!status) return null;
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 p-6 space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="font-semibold text-gray-900">Two-Step Verification</h3>
+          <p className="text-sm text-gray-600">
+            {status.required
+              ? 'Your organization requires a code from an authenticator app at sign-in'
+              : 'Ask for a code from an authenticator app at sign-in'}
+          </p>
+        </div>
+        <span className={`px-2 py-1 text-xs font-medium rounded-full ${status.enabled ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'}`}>
+          {status.enabled ? 'On' : 'Off'}
+        </span>
+      </div>
+
+      {recoveryCodes && (
+        <div className="space-y-3">
+          <RecoveryCodes codes={recoveryCodes} />
+          <button
+            onClick={() => setRecoveryCodes(null)}
+            className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+          >
+            Done
+          </button>
+        </div>
+      )}
+
+      {!status.enabled && !enrollment && (
+        <button
+          onClick={() => runAction(async () => setEnrollment(await api.startMfaEnrollment()))}
+          disabled={busy}
+          className="px-4 py-2 rounded-lg text-white font-medium disabled:opacity-50"
+          style={{ backgroundColor: 'var(--primary)' }}
+        >
+          Set up
+        </button>
+      )}
+
+      {!status.enabled && enrollment && (
+        <div className="space-y-3">
+          <p className="text-sm text-gray-700">Scan this code with an authenticator app, then enter the 6-digit code it shows.</p>
+          <MfaSetupDetails enrollment={enrollment} />
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              placeholder="123456"
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-md font-mono focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <button
+              onClick={() => runAction(async () => {
+                const result = await api.confirmMfaEnrollment(code);
+                setEnrollment(null);
+                setRecoveryCodes(result.recoveryCodes);
+              })}
+              disabled={busy || !code}
+              className="px-4 py-2 rounded-lg text-white font-medium disabled:opacity-50"
+              style={{ backgroundColor: 'var(--primary)' }}
+            >
+              Turn on
+            </button>
+          </div>
+        </div>
+      )}
+
+      {status.enabled && (
+        <div className="space-y-3">
+          <p className="text-sm text-gray-600">
+            On since {new Date(status.enabledAt).toLocaleDateString()} · {status.recoveryCodesRemaining} recovery codes left
+          </p>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              placeholder="Code from your app"
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-md font-mono focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <button
+              onClick={() => runAction(async () => setRecoveryCodes((await api.regenerateRecoveryCodes(code)).recoveryCodes))}
+              disabled={busy || !code}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            >
+              New recovery codes
+            </button>
+          </div>
+          {!status.required && (
+            <div className="flex gap-2">
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="Current password"
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <button
+                onClick={() => runAction(() => api.disableMfa(password))}
+                disabled={busy || !password}
+                className="px-4 py-2 border border-red-300 rounded-lg text-red-600 hover:bg-red-50 disabled:opacity-50"
+              >
+                Turn off
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      {error && (
+        <div className="flex items-center gap-2 text-red-600 text-sm bg-red-50 p-3 rounded-md">
+          <AlertCircle className="w-4 h-4" />
+          {error}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Reminds users with an unconfirmed address, and reports the result of a confirmation link
+const EmailVerificationBanner = () => {
+  const { user, verification, setVerification } = useAuth();
+  const [status, setStatus] = useState('');
+  const [sending, setSending] = useState(false);
+
+  const resend = async () => {
+    setSending(true);
+    try {
+      const result = await api.resendVerification();
+      setStatus(result.message);
+    } catch (err) {
+      setStatus(err.message);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  if (verification) {
+    return (
+      <div className={`border-b px-6 py-2 flex items-center justify-between text-sm ${verification.success ? 'bg-green-50 border-green-200 text-green-800' : 'bg-red-50 border-red-200 text-red-700'}`}>
+        <span>{verification.message}</span>
+        <button onClick={() => setVerification(null)} className="font-medium underline">
+          Dismiss
+        </button>
+      </div>
+    );
+  }
+
+  if (user.emailVerified !== false) return null;
+
+  return (
+    <div className="bg-blue-50 border-b border-blue-200 px-6 py-2 flex items-center justify-between text-sm text-blue-900">
+      <span>{status || `Please confirm ${user.email} using the link we emailed you.`}</span>
+      {!status && (
+        <button onClick={resend} disabled={sending} className="font-medium underline disabled:opacity-50">
+          {sending ? 'Sending...' : 'Resend email'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+// Main Dashboard
+const Dashboard = () => {
+  const { previewTheme, setPreviewTheme } = useAuth();
+  const [activeTab, setActiveTab] = useState('dashboard');
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {previewTheme && (
+        <div className="bg-yellow-100 border-b border-yellow-300 px-6 py-2 flex items-center justify-between text-sm text-yellow-900">
+          <span>Previewing an unpublished theme draft. Only you can see this.</span>
+          <button onClick={() => setPreviewTheme(null)} className="font-medium underline">
+            Exit preview
+          </button>
+        </div>
+      )}
+      <EmailVerificationBanner />
+      <DashboardHeader />
+      <Navigation activeTab={activeTab} setActiveTab={setActiveTab} />
+      
+      <main className="max-w-7xl mx-auto px-6 py-8">
+        {activeTab === 'dashboard' && <DashboardTab />}
+        {activeTab === 'resources' && <ResourcesTab />}
+        {activeTab === 'users' && <UsersTab />}
+        {activeTab === 'activity' && <ActivityTab />}
+        {activeTab === 'settings' && <SettingsTab />}
+        {activeTab === 'webhooks' && <WebhooksTab />}
+        {activeTab === 'apikeys' && <ApiKeysTab />}
+        {activeTab === 'account' && <AccountTab />}
+      </main>
+    </div>
+  );
+};
+
+// Main App
+const App = () => {
+  const { user, theme, previewTheme, lifecycle, loading } = useAuth();
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin w-12 h-12 border-4 border-gray-200 border-t-blue-600 rounded-full"></div>
+      </div>
+    );
+  }
+
+  if (!user) {
+    return <LoginPage />;
+  }
+
+  return (
+    <ThemeProvider theme={previewTheme || theme}>
+      {lifecycle?.status === 'pending-deletion' ? <TenantOffboarding /> : <Dashboard />}
+    </ThemeProvider>
+  );
+};
+
+// Platform Console
+// A separate area at /platform for operators; tenant users never see it
+const PLATFORM_PLANS = ['free', 'pro', 'enterprise'];
+const TENANT_STATUS_STYLES = {
+  active: 'bg-green-100 text-green-800',
+  suspended: 'bg-red-100 text-red-800',
+  'pending-deletion': 'bg-yellow-100 text-yellow-800',
+};
+
+const PlatformConsole = () => {
+  const [operator, setOperator] = useState(() => JSON.parse(localStorage.getItem('platformOperator') || 'null'));
+  const [activeTab, setActiveTab] = useState('tenants');
+  const [selectedTenant, setSelectedTenant] = useState(null);
+
+  const clearSession = () => {
+    localStorage.removeItem('platformToken');
+    localStorage.removeItem('platformOperator');
+    setOperator(null);
+  };
+  platformApi.onUnauthorized = clearSession;
+
+  const startSession = (response) => {
+    localStorage.setItem('platformToken', response.token);
+    localStorage.setItem('platformOperator', JSON.stringify(response.operator));
+    setOperator(response.operator);
+  };
+
+  const logout = async () => {
+    await platformApi.logout().catch(() => {});
+    clearSession();
+  };
+
+  if (!operator) {
+    return <PlatformLogin onSignedIn={startSession} />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <header className="bg-gray-900 text-white px-6 py-4 flex items-center justify-between">
+        <div className="flex items-center gap-3">
+          <Shield className="w-8 h-8" />
+          <div>
+            <h1 className="text-xl font-bold">Platform Console</h1>
+            <p className="text-xs text-gray-400">Changes here are recorded in the platform and tenant audit logs</p>
+          </div>
+        </div>
+        <div className="flex items-center gap-4">
+          <div className="text-right">
+            <p className="text-sm font-medium">{operator.name}</p>
+            <p className="text-xs text-gray-400">{operator.email}</p>
+          </div>
+          <button onClick={logout} className="p-2 text-gray-300 hover:text-white rounded-lg" title="Logout">
+            <LogOut className="w-5 h-5" />
+          </button>
+        </div>
+      </header>
+      <nav className="bg-white border-b border-gray-200 px-6 flex gap-1">
+        {[
+          { id: 'tenants', label: 'Tenants', icon: Building2 },
+          { id: 'audit', label: 'Audit Log', icon: Activity },
+        ].map(({ id, label, icon: Icon }) => (
+          <button
+            key={id}
+            onClick={() => {
+              setActiveTab(id);
+              setSelectedTenant(null);
+            }}
+            className={`flex items-center gap-2 px-4 py-3 border-b-2 ${
+              activeTab === id ? 'border-gray-900 text-gray-900' : 'border-transparent text-gray-600 hover:text-gray-900'
+            }`}
+          >
+            <Icon className="w-4 h-4" />
+            {label}
+          </button>
+        ))}
+      </nav>
+      <main className="max-w-7xl mx-auto px-6 py-8">
+        {activeTab === 'tenants' && !selectedTenant && <PlatformTenants onSelect={setSelectedTenant} />}
+        {activeTab === 'tenants' && selectedTenant && (
+          <PlatformTenantDetail tenantId={selectedTenant} onBack={() => setSelectedTenant(null)} />
+        )}
+        {activeTab === 'audit' && <PlatformAudit />}
+      </main>
+    </div>
+  );
+};
+
+const PlatformLogin = ({ onSignedIn }) => {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+    try {
+      onSignedIn(await platformApi.login(email, password));
+    } catch (err) {
+      setError(err.message);
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center p-4 bg-gray-900">
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-xl p-8 max-w-md w-full space-y-4">
+        <div className="text-center mb-4">
+          <Shield className="w-16 h-16 mx-auto text-gray-900 mb-4" />
+          <h1 className="text-3xl font-bold text-gray-900">Platform Console</h1>
+          <p className="text-gray-600 mt-2">Operator sign-in</p>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Email</label>
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-gray-500"
+            required
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Password</label>
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-gray-500"
+            required
+          />
+        </div>
+        {error && (
+          <div className="flex items-center gap-2 text-red-600 text-sm bg-red-50 p-3 rounded-md">
+            <AlertCircle className="w-4 h-4" />
+            {error}
+          </div>
+        )}
+        <button
+          type="submit"
+          disabled={loading}
+          className="w-full bg-gray-900 text-white py-2 px-4 rounded-md hover:bg-gray-800 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {loading ? 'Signing in...' : 'Sign In'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+const TenantStatusBadge = ({ status }) => (
+  <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${TENANT_STATUS_STYLES[status] || 'bg-gray-100 text-gray-800'}`}>
+    {status}
+  </span>
+);
+
+const PlatformTenants = ({ onSelect }) => {
+  const [tenants, setTenants] = useState([]);
+  const [filters, setFilters] = useState({ q: '', status: '', plan: '' });
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    // Debounced so every keystroke in the search box does not hit the API
+    const timer = setTimeout(() => {
+      setLoading(true);
+      platformApi.getTenants(page, filters)
+        .then((data) => {
+          setTenants(data.data);
+          setPages(Math.max(1, data.pagination.pages));
+          setTotal(data.pagination.total);
+          setError('');
+        })
+        .catch(err => setError(err.message))
+        .finally(() => setLoading(false));
+    }, 250);
+    return () => clearTimeout(timer);
+  }, [page, filters]);
+
+  const updateFilter = (key, value) => {
+    setFilters({ ...filters, [key]: value });
+    setPage(1);
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h2 className="text-2xl font-bold text-gray-900 mb-2">Tenants</h2>
+        <p className="text-gray-600">{total} organizations on the platform</p>
+      </div>
+
+      <div className="flex flex-wrap gap-3">
+        <input
+          type="search"
+          value={filters.q}
+          onChange={(e) => updateFilter('q', e.target.value)}
+          placeholder="Search by ID or name"
+          maxLength={100}
+          className="flex-1 min-w-[200px] px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-gray-500"
+        />
+        <select
+          value={filters.status}
+          onChange={(e) => updateFilter('status', e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-md"
+        >
+          <option value="">All statuses</option>
+          {Object.keys(TENANT_STATUS_STYLES).map(status => <option key={status} value={status}>{status}</option>)}
+        </select>
+        <select
+          value={filters.plan}
+          onChange={(e) => updateFilter('plan', e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-md"
+        >
+          <option value="">All plans</option>
+          {PLATFORM_PLANS.map(plan => <option key={plan} value={plan}>{plan}</option>)}
+        </select>
+      </div>
+
+      {error && (
+        <div className="flex items-center gap-2 text-red-600 text-sm bg-red-50 p-3 rounded-md">
+          <AlertCircle className="w-4 h-4" />
+          {error}
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg border border-gray-200 overflow-hidden">
+        <table className="w-full text-sm">
+          <thead className="bg-gray-50 text-left text-gray-600">
+            <tr>
+              <th className="px-4 py-3 font-medium">Organization</th>
+              <th className="px-4 py-3 font-medium">Plan</th>
+              <th className="px-4 py-3 font-medium">Status</th>
+              <th className="px-4 py-3 font-medium text-right">Users</th>
+              <th className="px-4 py-3 font-medium text-right">Resources</th>
+              <th className="px-4 py-3 font-medium text-right">Storage</th>
+              <th className="px-4 py-3 font-medium">Created</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {tenants.map(tenant => (
+              <tr key={tenant.tenantId} onClick={() => onSelect(tenant.tenantId)} className="cursor-pointer hover:bg-gray-50">
+                <td className="px-4 py-3">
+                  <p className="font-medium text-gray-900">{tenant.logo} {tenant.name}</p>
+                  <p className="text-xs text-gray-500">{tenant.tenantId}</p>
+                </td>
+                <td className="px-4 py-3 capitalize">{tenant.plan}</td>
+                <td className="px-4 py-3"><TenantStatusBadge status={tenant.status} /></td>
+                <td className="px-4 py-3 text-right">{tenant.usage.users}</td>
+                <td className="px-4 py-3 text-right">{tenant.usage.resources}</td>
+                <td className="px-4 py-3 text-right">{formatBytes(tenant.usage.storageBytes)}</td>
+                <td className="px-4 py-3 text-gray-600">{new Date(tenant.createdAt).toLocaleDateString()}</td>
+              </tr>
+            ))}
+            {!loading && tenants.length === 0 && (
+              <tr>
+                <td colSpan={7} className="px-4 py-8 text-center text-gray-500">No tenants match these filters</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex items-center justify-between">
+        <button
+          onClick={() => setPage(page - 1)}
+          disabled={page <= 1}
+          className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+        >
+          Previous
+        </button>
+        <span className="text-sm text-gray-600">Page {page} of {pages}</span>
+        <button
+          onClick={() => setPage(page + 1)}
+          disabled={page >= pages}
+          className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+        >
+          Next
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const PlatformTenantDetail = ({ tenantId, onBack }) => {
+  const [tenant, setTenant] = useState(null);
+  const [plan, setPlan] = useState('');
+  const [reason, setReason] = useState('');
+  const [temporaryPassword, setTemporaryPassword] = useState(null);
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const load = useCallback(async () => {
+    const data = await platformApi.getTenant(tenantId);
+    setTenant(data);
+    setPlan(data.plan);
+  }, [tenantId]);
+
+  useEffect(() => {
+    load().catch(err => setError(err.message));
+  }, [load]);
+
+  const runAction = async (action) => {
+    setError('');
+    setBusy(true);
+    try {
+      await action();
+      await load();
+    } catch (err) {
+      setError(err.fields ? Object.values(err.fields).join(' ') : err.message);
+    }
+    setBusy(false);
+  };
+
+  const resetPassword = (admin) => runAction(async () => {
+    if (!window.confirm(`Reset the password of ${admin.email}? They will be signed out everywhere.`)) return;
+    const result = await platformApi.resetAdminPassword(tenantId, admin.id);
+    setTemporaryPassword({ email: admin.email, password: result.temporaryPassword });
+  });
+
+  return (
+    <div className="space-y-6">
+      <button onClick={onBack} className="text-sm text-gray-600 hover:text-gray-900">← All tenants</button>
+
+      {error && (
+        <div className="flex items-center gap-2 text-red-600 text-sm bg-red-50 p-3 rounded-md">
+          <AlertCircle className="w-4 h-4" />
+          {error}
+        </div>
+      )}
+
+      {tenant && (
+        <>
+          <div className="flex items-center gap-3">
+            <span className="text-4xl">{tenant.logo}</span>
+            <div>
+              <h2 className="text-2xl font-bold text-gray-900">{tenant.name}</h2>
+              <p className="text-sm text-gray-600">
+                {tenant.tenantId} · created {new Date(tenant.createdAt).toLocaleDateString()} · <TenantStatusBadge status={tenant.status} />
+              </p>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            {[
+              { key: 'users', label: 'Users', format: String },
+              { key: 'resources', label: 'Resources', format: String },
+              { key: 'storageBytes', label: 'Storage', format: formatBytes },
+            ].map(({ key, label, format }) => (
+              <div key={key} className="bg-white rounded-lg border border-gray-200 p-4">
+                <p className="text-sm text-gray-600">{label}</p>
+                <p className="text-xl font-semibold text-gray-900">
+                  {format(tenant.usage[key])}
+                  <span className="text-sm font-normal text-gray-500"> / {tenant.limits[key] === null ? 'Unlimited' : format(tenant.limits[key])}</span>
+                </p>
+              </div>
+            ))}
+          </div>
+
+          <div className="bg-white rounded-lg border border-gray-200 p-6 space-y-3">
+            <h3 className="font-semibold text-gray-900">Plan</h3>
+            <div className="flex gap-2">
+              <select value={plan} onChange={(e) => setPlan(e.target.value)} className="px-3 py-2 border border-gray-300 rounded-md capitalize">
+                {PLATFORM_PLANS.map(name => <option key={name} value={name}>{name}</option>)}
+              </select>
+              <button
+                onClick={() => runAction(() => platformApi.changePlan(tenantId, plan))}
+                disabled={busy || plan === tenant.plan}
+                className="px-4 py-2 bg-gray-900 text-white rounded-lg hover:bg-gray-800 disabled:opacity-50"
+              >
+                Change plan
+              </button>
+            </div>
+          </div>
+
+          <div className="bg-white rounded-lg border border-gray-200 p-6 space-y-3">
+            <h3 className="font-semibold text-gray-900">Access</h3>
+            {tenant.status === 'suspended' && (
+              <p className="text-sm text-gray-700">
+                Suspended {new Date(tenant.suspendedAt).toLocaleString()}
+                {tenant.suspendedReason && `: ${tenant.suspendedReason}`}
+              </p>
+            )}
+            {tenant.status === 'pending-deletion' && (
+              <p className="text-sm text-gray-700">
+                Scheduled for deletion on {new Date(tenant.deletionScheduledFor).toLocaleDateString()}; its admins can still cancel.
+              </p>
+            )}
+            {tenant.status === 'active' && (
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                  placeholder="Reason (recorded in the audit log)"
+                  maxLength={500}
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-gray-500"
+                />
+                <button
+                  onClick={() => runAction(async () => {
+                    await platformApi.setTenantSuspended(tenantId, true, reason);
+                    setReason('');
+                  })}
+                  disabled={busy}
+                  className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50"
+                >
+                  Suspend
+                </button>
+              </div>
+            )}
+            {tenant.status === 'suspended' && (
+              <button
+                onClick={() => runAction(() => platformApi.setTenantSuspended(tenantId, false))}
+                disabled={busy}
+                className="px-4 py-2 bg-gray-900 text-white rounded-lg hover:bg-gray-800 disabled:opacity-50"
+              >
+                Reactivate
+              </button>
+            )}
+          </div>
+
+          <div className="bg-white rounded-lg border border-gray-200 p-6 space-y-3">
+            <h3 className="font-semibold text-gray-900">Admins</h3>
+            {temporaryPassword && (
+              <div className="text-sm bg-yellow-50 border border-yellow-200 rounded-md p-3">
+                Temporary password for {temporaryPassword.email}: <code className="font-mono font-semibold">{temporaryPassword.password}</code>
+                <p className="text-xs text-yellow-800 mt-1">Shown once. Share it over a trusted channel.</p>
+              </div>
+            )}
+            <ul className="divide-y divide-gray-200">
+              {tenant.admins.map(admin => (
+                <li key={admin.id} className="py-3 flex items-center justify-between">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">{admin.name}</p>
+                    <p className="text-xs text-gray-500">{admin.email} · {admin.status}</p>
+                  </div>
+                  {admin.status !== 'invited' && (
+                    <button
+                      onClick={() => resetPassword(admin)}
+                      disabled={busy}
+                      className="text-sm text-red-600 hover:text-red-800 disabled:opacity-50"
+                    >
+                      Reset password
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+const PlatformAudit = () => {
+  const [events, setEvents] = useState([]);
+  const [next, setNext] = useState(null);
+  const [tenantFilter, setTenantFilter] = useState('');
+  const [error, setError] = useState('');
+
+  const load = useCallback(async (cursor = null) => {
+    try {
+      const data = await platformApi.getAuditEvents({ tenantId: tenantFilter.trim() }, cursor);
+      setEvents(current => (cursor ? [...current, ...data.data] : data.data));
+      setNext(data.pagination.next);
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [tenantFilter]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h2 className="text-2xl font-bold text-gray-900 mb-2">Audit Log</h2>
+        <p className="text-gray-600">Every sign-in and change made through this console</p>
+      </div>
+
+      <input
+        type="text"
+        value={tenantFilter}
+        onChange={(e) => setTenantFilter(e.target.value)}
+        placeholder="Filter by tenant ID"
+        className="w-full md:w-64 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-gray-500"
+      />
+
+      {error && (
+        <div className="flex items-center gap-2 text-red-600 text-sm bg-red-50 p-3 rounded-md">
+          <AlertCircle className="w-4 h-4" />
+          {error}
+        </div>
+      )}
+
+      <ul className="bg-white rounded-lg border border-gray-200 divide-y divide-gray-200">
+        {events.map(event => (
+          <li key={event._id} className="px-4 py-3 text-sm">
+            <div className="flex justify-between">
+              <span className="font-medium text-gray-900">{event.action}</span>
+              <span className="text-xs text-gray-500">{new Date(event.createdAt).toLocaleString()}</span>
+            </div>
+            <p className="text-xs text-gray-600">
+              {event.actor?.email || event.actor?.type}
+              {event.tenantId && ` · ${event.tenantId}`}
+              {event.target?.type === 'user' && ` · user ${event.metadata?.email || event.target.id}`}
+              {event.changes && Object.keys(event.changes.after || {}).map(key => (
+                ` · ${key}: ${event.changes.before?.[key]} → ${event.changes.after[key]}`
+              ))}
+              {event.metadata?.reason && ` · ${event.metadata.reason}`}
+            </p>
+          </li>
+        ))}
+        {events.length === 0 && <li className="px-4 py-8 text-center text-gray-500 text-sm">No events yet</li>}
+      </ul>
+
+      {next && (
+        <button
+          onClick={() => load(next)}
+          className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+        >
+          Load more
+        </button>
+      )}
+    </div>
+  );
+};
+
+// Root Component
+const Root = () => {
+  if (window.location.pathname.startsWith('/platform')) {
+    return <PlatformConsole />;
+  }
 
-// Root Component
-const Root = () => {
   return (
     <AuthProvider>
       <App />